@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import llmAdapter from '../modules/llm_adapter';
+import { diffLines } from '../modules/llm_fixtures';
+
+/**
+ * 请求状态的显示样式
+ * @type {Object}
+ */
+const STATUS_STYLES = {
+  pending: { label: '进行中', className: 'bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-200' },
+  success: { label: '成功', className: 'bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-200' },
+  error: { label: '失败', className: 'bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200' },
+  cancelled: { label: '已取消', className: 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200' }
+};
+
+/**
+ * 获取调试记录中用于对比的内容
+ * @param {Object} entry - 调试记录
+ * @returns {string} 格式化的JSON
+ */
+const getComparableText = (entry) => JSON.stringify({
+  messages: entry.messages,
+  options: entry.options,
+  response: entry.response,
+  error: entry.error
+}, null, 2);
+
+/**
+ * LLM请求调试面板
+ * 调试模式下浏览、复制、对比和重新发送记录的请求
+ */
+const DebugPanel = () => {
+  // 状态
+  const [traffic, setTraffic] = useState(llmAdapter.getTraffic());
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [section, setSection] = useState('messages'); // messages, options, response, raw, diff, resend
+  const [editMessages, setEditMessages] = useState('');
+  const [editOptions, setEditOptions] = useState('');
+  const [resendError, setResendError] = useState('');
+  const [isResending, setIsResending] = useState(false);
+
+  // 监听记录变化
+  useEffect(() => {
+    const handleTrafficUpdate = () => {
+      setTraffic(llmAdapter.getTraffic());
+    };
+    
+    window.addEventListener('llmTrafficUpdate', handleTrafficUpdate);
+    
+    return () => {
+      window.removeEventListener('llmTrafficUpdate', handleTrafficUpdate);
+    };
+  }, []);
+
+  const selected = traffic.find(entry => entry.id === selectedId) || null;
+  const compared = traffic.find(entry => entry.id === compareId) || null;
+
+  const filteredTraffic = traffic.filter(entry => {
+    if (!filter) return true;
+    
+    const keyword = filter.toLowerCase();
+    return [entry.task, entry.agentId, entry.provider, entry.model, entry.status]
+      .some(value => value && String(value).toLowerCase().includes(keyword));
+  });
+
+  // 选择记录，并用它的内容初始化重新发送的编辑框
+  const handleSelect = (entry) => {
+    setSelectedId(entry.id);
+    setEditMessages(JSON.stringify(entry.messages, null, 2));
+    setEditOptions(JSON.stringify(entry.options, null, 2));
+    setResendError('');
+    
+    if (compareId === entry.id) {
+      setCompareId(null);
+    }
+  };
+
+  // 复制到剪贴板
+  const handleCopy = async (value) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      console.error('复制失败:', error);
+      alert('复制失败，浏览器不允许访问剪贴板');
+    }
+  };
+
+  // 重新发送
+  const handleResend = async () => {
+    let messages;
+    let options;
+    
+    try {
+      messages = JSON.parse(editMessages);
+      options = JSON.parse(editOptions || '{}');
+    } catch (error) {
+      setResendError(`JSON格式错误: ${error.message}`);
+      return;
+    }
+    
+    setResendError('');
+    setIsResending(true);
+    
+    try {
+      await llmAdapter.resendTraffic(selected.id, { messages, options });
+      
+      // 新记录在列表最前
+      const [latest] = llmAdapter.getTraffic();
+      if (latest) {
+        handleSelect(latest);
+        setSection('response');
+      }
+    } catch (error) {
+      setResendError(error.message);
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  // 渲染可复制的代码块
+  const renderBlock = (title, value) => (
+    <div className="mb-4">
+      <div className="flex justify-between items-center mb-1">
+        <h4 className="font-medium text-sm">{title}</h4>
+        <button
+          className="px-2 py-0.5 text-xs bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500"
+          onClick={() => handleCopy(value)}
+        >
+          复制
+        </button>
+      </div>
+      <pre className="text-xs bg-gray-100 dark:bg-gray-900 p-2 rounded overflow-auto max-h-96 whitespace-pre-wrap break-all">
+        {typeof value === 'string' ? value : JSON.stringify(value, null, 2)}
+      </pre>
+    </div>
+  );
+
+  // 渲染对比结果
+  const renderDiff = () => {
+    if (!compared) {
+      return (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          在左侧列表中点击"对比"选择另一条记录
+        </p>
+      );
+    }
+    
+    const lines = diffLines(getComparableText(compared), getComparableText(selected)).split('\n');
+    
+    return (
+      <div>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-2">
+          "-" 为 {compared.id}，"+" 为 {selected.id}
+        </p>
+        <pre className="text-xs bg-gray-100 dark:bg-gray-900 p-2 rounded overflow-auto max-h-[32rem]">
+          {lines.map((line, index) => (
+            <div
+              key={index}
+              className={line.startsWith('-') ? 'text-red-600 dark:text-red-400' : (line.startsWith('+') ? 'text-green-600 dark:text-green-400' : '')}
+            >
+              {line}
+            </div>
+          ))}
+        </pre>
+      </div>
+    );
+  };
+
+  // 渲染选中记录的详情
+  const renderDetail = () => {
+    if (!selected) {
+      return (
+        <p className="text-gray-500 dark:text-gray-400">选择一条记录查看详情</p>
+      );
+    }
+    
+    const sections = [
+      { id: 'messages', label: '消息' },
+      { id: 'options', label: '参数' },
+      { id: 'response', label: '响应' },
+      { id: 'raw', label: '原始数据' },
+      { id: 'diff', label: '对比' },
+      { id: 'resend', label: '重新发送' }
+    ];
+    
+    return (
+      <div>
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600 dark:text-gray-400 mb-3">
+          <span>{selected.id}</span>
+          <span>{selected.provider} / {selected.model}</span>
+          {selected.latency !== null && <span>{selected.latency} ms</span>}
+          {selected.usage && (
+            <span>
+              {selected.usage.prompt_tokens ?? 0} + {selected.usage.completion_tokens ?? 0} 令牌
+              {selected.usage.estimated ? '（估算）' : ''}
+            </span>
+          )}
+          {selected.resentFrom && <span>重新发送自 {selected.resentFrom}</span>}
+        </div>
+        
+        <div className="flex space-x-1 mb-3 border-b border-gray-200 dark:border-gray-700">
+          {sections.map(item => (
+            <button
+              key={item.id}
+              className={`px-3 py-1 text-sm ${section === item.id ? 'border-b-2 border-indigo-500 font-medium' : 'text-gray-500 dark:text-gray-400'}`}
+              onClick={() => setSection(item.id)}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        
+        {section === 'messages' && renderBlock('消息', selected.messages)}
+        
+        {section === 'options' && renderBlock('请求参数', selected.options)}
+        
+        {section === 'response' && (
+          <div>
+            {selected.error && renderBlock('错误', selected.error)}
+            {selected.response && renderBlock('响应文本', selected.response.text || '')}
+            {selected.response && renderBlock('响应详情', selected.response)}
+            {selected.attempts.length > 0 && renderBlock('失败的尝试', selected.attempts)}
+          </div>
+        )}
+        
+        {section === 'raw' && (
+          selected.exchanges.length > 0 ? selected.exchanges.map((exchange, index) => (
+            <div key={index}>
+              <p className="text-sm mb-1">
+                {exchange.method} {exchange.url} → {exchange.status ?? exchange.error ?? '...'}
+                {exchange.latency !== null ? `（${exchange.latency} ms）` : ''}
+              </p>
+              {renderBlock('请求正文', exchange.requestBody || '')}
+              {renderBlock('响应正文', exchange.responseBody ?? '<读取中>')}
+            </div>
+          )) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              没有HTTP请求（模拟、回放或缓存命中）
+            </p>
+          )
+        )}
+        
+        {section === 'diff' && renderDiff()}
+        
+        {section === 'resend' && (
+          <div className="space-y-3">
+            <div>
+              <label className="block text-sm font-medium mb-1">消息 (JSON)</label>
+              <textarea
+                value={editMessages}
+                onChange={(e) => setEditMessages(e.target.value)}
+                rows={12}
+                spellCheck={false}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 font-mono text-xs"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">参数 (JSON，会覆盖当前配置)</label>
+              <textarea
+                value={editOptions}
+                onChange={(e) => setEditOptions(e.target.value)}
+                rows={6}
+                spellCheck={false}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 font-mono text-xs"
+              />
+            </div>
+            {resendError && (
+              <div className="text-sm text-red-500">{resendError}</div>
+            )}
+            <button
+              className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+              onClick={handleResend}
+              disabled={isResending}
+            >
+              {isResending ? '发送中...' : '重新发送'}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4 h-full">
+      {/* 请求列表 */}
+      <div className="w-full md:w-1/3 flex flex-col">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-xl font-semibold">LLM请求</h2>
+          <button
+            className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500"
+            onClick={() => llmAdapter.clearTraffic()}
+          >
+            清空
+          </button>
+        </div>
+        
+        <input
+          type="text"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="w-full px-3 py-2 mb-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+          placeholder="按任务、角色、提供商、模型或状态筛选"
+        />
+        
+        <div className="flex-grow overflow-y-auto space-y-1">
+          {filteredTraffic.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              暂无记录。调试模式开启后发送的请求会显示在这里
+            </p>
+          )}
+          
+          {filteredTraffic.map(entry => {
+            const status = STATUS_STYLES[entry.status] || STATUS_STYLES.pending;
+            
+            return (
+              <div
+                key={entry.id}
+                className={`p-2 rounded cursor-pointer text-sm ${
+                  entry.id === selectedId
+                    ? 'bg-indigo-100 dark:bg-indigo-900'
+                    : (entry.id === compareId ? 'bg-yellow-100 dark:bg-yellow-900' : 'bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700')
+                }`}
+                onClick={() => handleSelect(entry)}
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-medium">{entry.task || '未指定任务'}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs ${status.className}`}>{status.label}</span>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  <span>{new Date(entry.timestamp).toLocaleTimeString()} · {entry.model}</span>
+                  <span>
+                    {entry.latency !== null ? `${entry.latency} ms` : ''}
+                    {selectedId && entry.id !== selectedId && (
+                      <button
+                        className="ml-2 underline"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setCompareId(entry.id);
+                          setSection('diff');
+                        }}
+                      >
+                        对比
+                      </button>
+                    )}
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      {/* 详情 */}
+      <div className="w-full md:w-2/3 overflow-y-auto">
+        {renderDetail()}
+      </div>
+    </div>
+  );
+};
+
+export default DebugPanel;
@@ -1,15 +1,34 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import TRPGActionPanel from './TRPGActionPanel';
 import ResponseDisplay from './ResponseDisplay';
 import GameStateDisplay from './GameStateDisplay';
 import CharacterPanel from './CharacterPanel';
 import WorldBookPanel from './WorldBookPanel';
+import PromptTemplatePanel from './PromptTemplatePanel';
 import SettingsPanel from './SettingsPanel';
+import DebugPanel from './DebugPanel';
 import gameState from '../modules/game_state';
 import historyManager from '../modules/history';
 import agentRegistry from '../modules/agent_registry';
 import transition from '../modules/transition';
 import agentPolicy from '../modules/agent_policy';
+import llmAdapter, { LLMErrorType } from '../modules/llm_adapter';
+
+/**
+ * LLM错误类型的显示名称
+ * @type {Object}
+ */
+const LLM_ERROR_LABELS = {
+  [LLMErrorType.AUTH]: '认证失败',
+  [LLMErrorType.RATE_LIMIT]: '请求过于频繁',
+  [LLMErrorType.SERVER]: '服务器错误',
+  [LLMErrorType.TIMEOUT]: '请求超时',
+  [LLMErrorType.NETWORK]: '网络错误',
+  [LLMErrorType.INVALID_REQUEST]: '请求无效',
+  [LLMErrorType.BUDGET]: '超出预算',
+  [LLMErrorType.REPLAY_MISMATCH]: '回放不匹配',
+  [LLMErrorType.UNKNOWN]: '未知错误'
+};
 
 /**
  * 游戏主界面组件
@@ -17,11 +36,17 @@ import agentPolicy from '../modules/agent_policy';
  */
 const GameInterface = () => {
   // 状态
-  const [currentTab, setCurrentTab] = useState('game'); // game, characters, worldbook, settings
+  const [currentTab, setCurrentTab] = useState('game'); // game, characters, worldbook, templates, settings, debug
   const [gameStateData, setGameStateData] = useState(gameState.getState());
   const [history, setHistory] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [streamingResponses, setStreamingResponses] = useState({}); // agentId -> 正在生成的文本
+  const abortControllerRef = useRef(null); // 当前回合的取消控制器
   const [systemMessage, setSystemMessage] = useState('');
+  const [llmNotice, setLLMNotice] = useState(null); // LLM重试/失败提示 { level, text, transient }
+  const [connectionProfiles, setConnectionProfiles] = useState(llmAdapter.getConnectionProfiles());
+  const [activeProfileId, setActiveProfileId] = useState(llmAdapter.getActiveConnectionProfile()?.id || '');
+  const [queueStats, setQueueStats] = useState(llmAdapter.getQueueStats());
   const [darkMode, setDarkMode] = useState(
     localStorage.getItem('darkMode') === 'true' || 
     window.matchMedia('(prefers-color-scheme: dark)').matches
@@ -40,6 +65,14 @@ const GameInterface = () => {
     // 初始化角色注册表
     agentRegistry.initialize();
     
+    // 提示解锁已加密的API密钥
+    if (llmAdapter.getSecretStatus().locked) {
+      setLLMNotice({
+        level: 'warning',
+        text: 'API密钥已加密保存，请在设置中输入口令解锁'
+      });
+    }
+    
     // 监听游戏状态变化
     const handleStateChange = () => {
       setGameStateData({...gameState.getState()});
@@ -50,14 +83,61 @@ const GameInterface = () => {
       setHistory(historyManager.getRecentHistory(20));
     };
     
+    // 监听LLM请求重试和失败
+    const handleLLMRequestStatus = (event) => {
+      const { status, errorType, message, attempt, maxRetries, delay } = event.detail;
+      const label = LLM_ERROR_LABELS[errorType] || LLM_ERROR_LABELS[LLMErrorType.UNKNOWN];
+      
+      if (status === 'budget') {
+        setLLMNotice({
+          level: 'warning',
+          text: message
+        });
+      } else if (status === 'fallback') {
+        setLLMNotice({
+          level: 'warning',
+          transient: true,
+          text: `LLM${label}，切换到备用提供商 ${event.detail.fallbackIndex + 1}`
+        });
+      } else if (status === 'retry') {
+        setLLMNotice({
+          level: 'warning',
+          transient: true,
+          text: `LLM${label}，${(delay / 1000).toFixed(1)}秒后重试（${attempt}/${maxRetries}）`
+        });
+      } else {
+        setLLMNotice({
+          level: 'error',
+          text: `LLM请求失败（${label}）: ${message}`
+        });
+      }
+    };
+    
+    // 监听连接配置变化
+    const handleProfileChange = () => {
+      setConnectionProfiles(llmAdapter.getConnectionProfiles());
+      setActiveProfileId(llmAdapter.getActiveConnectionProfile()?.id || '');
+    };
+    
+    // 监听请求队列变化
+    const handleQueueUpdate = (event) => {
+      setQueueStats(event.detail);
+    };
+    
     // 添加事件监听
     window.addEventListener('gameStateChanged', handleStateChange);
     window.addEventListener('historyChanged', handleHistoryChange);
+    window.addEventListener('llmRequestStatus', handleLLMRequestStatus);
+    window.addEventListener('llmConnectionProfileChange', handleProfileChange);
+    window.addEventListener('llmQueueUpdate', handleQueueUpdate);
     
     // 清理函数
     return () => {
       window.removeEventListener('gameStateChanged', handleStateChange);
       window.removeEventListener('historyChanged', handleHistoryChange);
+      window.removeEventListener('llmRequestStatus', handleLLMRequestStatus);
+      window.removeEventListener('llmConnectionProfileChange', handleProfileChange);
+      window.removeEventListener('llmQueueUpdate', handleQueueUpdate);
     };
   }, []);
 
@@ -76,8 +156,12 @@ const GameInterface = () => {
    * @param {Object} action - 行为对象
    */
   const handleActionSubmit = async (action) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    
     try {
       setIsProcessing(true);
+      setLLMNotice(null);
       setSystemMessage('处理中...');
       
       // 添加行为到历史记录
@@ -86,28 +170,66 @@ const GameInterface = () => {
       // 应用状态转移
       const newState = transition.applyTransition(action);
       
-      // 生成NPC响应
-      const responses = await agentPolicy.generateSceneResponses(action);
+      // 生成NPC响应，流式输出的文本实时显示
+      setStreamingResponses({});
+      const responses = await agentPolicy.generateSceneResponses(action, {
+        signal: controller.signal,
+        onToken: (agentId, token, text) => {
+          setStreamingResponses(prev => ({
+            ...prev,
+            [agentId]: text
+          }));
+        }
+      });
       
       // 将响应添加到历史记录
       responses.forEach(({ agentId, response }) => {
         if (response.type === 'dialogue') {
           historyManager.addNPCResponseEntry(agentId, response.content, {
             emotion: response.emotion,
-            intensity: response.emotionIntensity
+            intensity: response.emotionIntensity,
+            interrupted: response.interrupted || undefined,
+            servedBy: response.servedBy
           });
         }
       });
       
       // 保存历史记录
       historyManager.saveToLocalStorage();
+      setHistory(historyManager.getRecentHistory(20));
       
-      setSystemMessage('');
+      // GM可能通过工具调用修改了游戏状态
+      setGameStateData({...gameState.getState()});
+      
+      if (controller.signal.aborted) {
+        setSystemMessage('已停止生成');
+        
+        // 3秒后清除消息
+        setTimeout(() => {
+          setSystemMessage('');
+        }, 3000);
+      } else {
+        setSystemMessage('');
+      }
     } catch (error) {
       console.error('处理行为失败:', error);
       setSystemMessage(`错误: ${error.message}`);
     } finally {
+      abortControllerRef.current = null;
+      setStreamingResponses({});
       setIsProcessing(false);
+      
+      // 回合结束后清除重试和切换提示，失败和预算提示保留到下次行动
+      setLLMNotice(notice => (notice?.transient ? null : notice));
+    }
+  };
+
+  /**
+   * 停止生成当前回合的响应
+   */
+  const handleStopGenerating = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
     }
   };
 
@@ -267,16 +389,53 @@ const GameInterface = () => {
             >
               世界书
             </button>
+            <button 
+              className={`px-3 py-1 rounded-md ${currentTab === 'templates' ? 'bg-indigo-800 dark:bg-indigo-700' : 'hover:bg-indigo-700 dark:hover:bg-indigo-600'}`}
+              onClick={() => setCurrentTab('templates')}
+            >
+              模板
+            </button>
             <button 
               className={`px-3 py-1 rounded-md ${currentTab === 'settings' ? 'bg-indigo-800 dark:bg-indigo-700' : 'hover:bg-indigo-700 dark:hover:bg-indigo-600'}`}
               onClick={() => setCurrentTab('settings')}
             >
               设置
             </button>
+            {gameStateData.debugMode && (
+              <button 
+                className={`px-3 py-1 rounded-md ${currentTab === 'debug' ? 'bg-indigo-800 dark:bg-indigo-700' : 'hover:bg-indigo-700 dark:hover:bg-indigo-600'}`}
+                onClick={() => setCurrentTab('debug')}
+              >
+                调试
+              </button>
+            )}
           </nav>
           
           {/* 工具栏 */}
           <div className="flex items-center space-x-2">
+            {(queueStats.running > 0 || queueStats.queued > 0) && (
+              <span
+                className="text-sm text-indigo-100"
+                title={`平均等待 ${(queueStats.averageWait / 1000).toFixed(1)}秒`}
+              >
+                LLM 进行中 {queueStats.running}
+                {queueStats.queued > 0 && ` · 排队 ${queueStats.queued}（已等待 ${(queueStats.oldestWait / 1000).toFixed(1)}秒）`}
+              </span>
+            )}
+            {connectionProfiles.length > 0 && (
+              <select
+                value={activeProfileId}
+                onChange={(e) => e.target.value && llmAdapter.activateConnectionProfile(e.target.value)}
+                disabled={isProcessing}
+                className="px-2 py-1 rounded-md bg-indigo-700 dark:bg-indigo-900 text-white text-sm"
+                title="切换LLM连接配置"
+              >
+                {!activeProfileId && <option value="">未保存的连接设置</option>}
+                {connectionProfiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+            )}
             <button 
               className="p-2 rounded-full hover:bg-indigo-700 dark:hover:bg-indigo-600"
               onClick={() => setDarkMode(!darkMode)}
@@ -312,6 +471,23 @@ const GameInterface = () => {
         </div>
       )}
       
+      {/* LLM重试/失败提示 */}
+      {llmNotice && (
+        <div className={`border-l-4 p-4 flex justify-between items-start ${
+          llmNotice.level === 'error'
+            ? 'bg-red-100 dark:bg-red-900 border-red-500 text-red-700 dark:text-red-200'
+            : 'bg-yellow-100 dark:bg-yellow-900 border-yellow-500 text-yellow-700 dark:text-yellow-200'
+        }`}>
+          <p className="break-all">{llmNotice.text}</p>
+          <button
+            className="ml-4 text-sm opacity-70 hover:opacity-100"
+            onClick={() => setLLMNotice(null)}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+      
       {/* 主要内容区域 */}
       <main className="flex-grow flex overflow-hidden">
         {/* 游戏界面 */}
@@ -326,14 +502,15 @@ const GameInterface = () => {
             <div className="w-full md:w-2/3 flex flex-col h-full">
               {/* 响应显示区域 */}
               <div className="flex-grow p-4 overflow-y-auto">
-                <ResponseDisplay history={history} />
+                <ResponseDisplay history={history} streamingResponses={streamingResponses} />
               </div>
               
               {/* 行为输入区域 */}
               <div className="p-4 border-t border-gray-200 dark:border-gray-700">
                 <TRPGActionPanel 
-                  onSubmit={handleActionSubmit} 
-                  disabled={isProcessing}
+                  onSubmitAction={handleActionSubmit} 
+                  onStop={handleStopGenerating}
+                  isProcessing={isProcessing}
                   gameState={gameStateData}
                 />
               </div>
@@ -355,6 +532,13 @@ const GameInterface = () => {
           </div>
         )}
         
+        {/* 提示模板面板 */}
+        {currentTab === 'templates' && (
+          <div className="w-full h-full overflow-y-auto p-4">
+            <PromptTemplatePanel />
+          </div>
+        )}
+        
         {/* 设置面板 */}
         {currentTab === 'settings' && (
           <div className="w-full h-full overflow-y-auto p-4">
@@ -365,6 +549,13 @@ const GameInterface = () => {
             />
           </div>
         )}
+        
+        {/* 调试面板 */}
+        {currentTab === 'debug' && gameStateData.debugMode && (
+          <div className="w-full h-full overflow-hidden p-4">
+            <DebugPanel />
+          </div>
+        )}
       </main>
       
       {/* 底部状态栏 */}
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import promptBuilder from '../modules/prompt_builder';
+import llmAdapter from '../modules/llm_adapter';
+import { validateTemplate, TEMPLATE_FILTERS } from '../modules/template_engine';
+import { PROMPT_TEMPLATE_INFO, COMMON_TEMPLATE_VARIABLES } from '../modules/prompt_templates';
+import { PROMPT_LANGUAGE_LABELS } from '../modules/prompt_language';
+
+/**
+ * 提示模板编辑器组件
+ * 按语言编辑内置提示模板，按当前游戏状态实时预览，可逐个恢复默认
+ */
+const PromptTemplatePanel = () => {
+  const templateTypes = promptBuilder.getEditableTemplateTypes();
+
+  // 状态
+  const [language, setLanguage] = useState(() => promptBuilder.resolveLanguages().prompt);
+  const [selectedType, setSelectedType] = useState(templateTypes[0]);
+  const [draft, setDraft] = useState(() => promptBuilder.getTemplateSource(templateTypes[0], language));
+  const [savedSource, setSavedSource] = useState(() => promptBuilder.getTemplateSource(templateTypes[0], language));
+  const [previewMode, setPreviewMode] = useState('text'); // text, messages
+  const [revision, setRevision] = useState(0); // 模板保存或游戏状态变化时递增，用于刷新预览
+
+  // 游戏状态或历史记录变化时刷新预览
+  useEffect(() => {
+    const handleChange = () => {
+      setRevision(value => value + 1);
+    };
+    
+    window.addEventListener('gameStateChanged', handleChange);
+    window.addEventListener('historyChanged', handleChange);
+    
+    return () => {
+      window.removeEventListener('gameStateChanged', handleChange);
+      window.removeEventListener('historyChanged', handleChange);
+    };
+  }, []);
+
+  const validation = useMemo(() => validateTemplate(draft), [draft]);
+  const preview = useMemo(
+    () => {
+      if (!validation.valid) return null;
+      
+      // 使用该任务路由的上下文预算，与实际请求一致
+      const routeConfig = llmAdapter.getRouteConfig(selectedType);
+      return promptBuilder.previewTemplate(selectedType, draft, {
+        tokenBudget: routeConfig.contextTokenBudget,
+        tokenOptions: routeConfig,
+        promptLanguage: language
+      });
+    },
+    [selectedType, language, draft, validation.valid, revision]
+  );
+  const isDirty = draft !== savedSource;
+  const info = PROMPT_TEMPLATE_INFO[selectedType] || { name: selectedType, variables: [] };
+
+  // 切换模板或语言，有未保存的修改时先确认
+  const handleSelectType = (type, nextLanguage = language) => {
+    if (type === selectedType && nextLanguage === language) return;
+    
+    if (isDirty && !window.confirm('当前模板有未保存的修改，确定要放弃吗？')) {
+      return;
+    }
+    
+    const source = promptBuilder.getTemplateSource(type, nextLanguage);
+    setSelectedType(type);
+    setLanguage(nextLanguage);
+    setDraft(source);
+    setSavedSource(source);
+    setPreviewMode('text');
+  };
+
+  // 保存模板
+  const handleSave = () => {
+    try {
+      promptBuilder.setTemplateSource(selectedType, draft, language);
+      setSavedSource(draft);
+      setRevision(value => value + 1);
+    } catch (error) {
+      alert(`保存失败: ${error.message}`);
+    }
+  };
+
+  // 恢复默认模板
+  const handleReset = () => {
+    if (!window.confirm(`确定要将"${info.name}"恢复为默认模板吗？修改的内容将丢失。`)) {
+      return;
+    }
+    
+    promptBuilder.resetTemplateSource(selectedType, language);
+    const source = promptBuilder.getDefaultTemplateSource(selectedType, language);
+    setDraft(source);
+    setSavedSource(source);
+    setRevision(value => value + 1);
+  };
+
+  // 渲染模板列表和变量说明
+  const renderSidebar = () => (
+    <div className="space-y-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+        <h3 className="text-lg font-semibold mb-3">模板</h3>
+        <select
+          value={language}
+          onChange={(e) => handleSelectType(selectedType, e.target.value)}
+          className="w-full mb-3 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+        >
+          {Object.entries(PROMPT_LANGUAGE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {templateTypes.map(type => (
+            <li key={type} className="py-1">
+              <button
+                className={`w-full text-left px-3 py-2 rounded flex justify-between items-center ${
+                  selectedType === type
+                    ? 'bg-indigo-100 dark:bg-indigo-900'
+                    : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+                onClick={() => handleSelectType(type)}
+              >
+                <span className="font-medium">{PROMPT_TEMPLATE_INFO[type]?.name || type}</span>
+                {promptBuilder.isTemplateCustomized(type, language) && (
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
+                    已修改
+                  </span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+      
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 text-sm">
+        <h3 className="text-lg font-semibold mb-3">可用变量</h3>
+        <ul className="space-y-1 mb-3">
+          {info.variables.map(variable => (
+            <li key={variable.name}>
+              <code className="text-indigo-600 dark:text-indigo-300">{`{{${variable.name}}}`}</code>
+              <span className="text-gray-600 dark:text-gray-400 ml-2">{variable.description}</span>
+            </li>
+          ))}
+        </ul>
+        <h4 className="font-medium mb-1">通用变量</h4>
+        <ul className="space-y-1 mb-3">
+          {COMMON_TEMPLATE_VARIABLES.map(variable => (
+            <li key={variable.name}>
+              <code className="text-indigo-600 dark:text-indigo-300">{`{{${variable.name}}}`}</code>
+              <span className="text-gray-600 dark:text-gray-400 ml-2">{variable.description}</span>
+            </li>
+          ))}
+        </ul>
+        <h4 className="font-medium mb-1">语法</h4>
+        <ul className="space-y-1 text-gray-600 dark:text-gray-400 mb-3">
+          <li><code>{'{{#if 变量}}...{{else}}...{{/if}}'}</code> 条件，<code>{'{{#unless}}'}</code> 为反向条件</li>
+          <li><code>{'{{#each 列表}}...{{else}}...{{/each}}'}</code> 循环，循环内可用 <code>{'{{this}}'}</code>、<code>{'{{@number}}'}</code></li>
+          <li><code>{'{{! 注释 }}'}</code> 不会出现在提示中</li>
+        </ul>
+        <h4 className="font-medium mb-1">过滤器</h4>
+        <ul className="space-y-1 text-gray-600 dark:text-gray-400">
+          {TEMPLATE_FILTERS.map(filter => (
+            <li key={filter.name}>
+              <code>{`| ${filter.usage}`}</code> {filter.description}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+
+  // 渲染编辑器
+  const renderEditor = () => (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold">
+          {info.name}
+          {isDirty && <span className="ml-2 text-sm text-yellow-600 dark:text-yellow-400">未保存</span>}
+        </h3>
+        <div className="flex space-x-2">
+          <button
+            className="px-3 py-1 bg-gray-300 dark:bg-gray-600 text-gray-800 dark:text-gray-200 rounded hover:bg-gray-400 dark:hover:bg-gray-500 disabled:opacity-50"
+            onClick={() => setDraft(savedSource)}
+            disabled={!isDirty}
+          >
+            撤销修改
+          </button>
+          <button
+            className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50"
+            onClick={handleReset}
+            disabled={!promptBuilder.isTemplateCustomized(selectedType, language) && draft === promptBuilder.getDefaultTemplateSource(selectedType, language)}
+          >
+            恢复默认
+          </button>
+          <button
+            className="px-3 py-1 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:opacity-50"
+            onClick={handleSave}
+            disabled={!isDirty || !validation.valid}
+          >
+            保存
+          </button>
+        </div>
+      </div>
+      
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        spellCheck={false}
+        className="w-full h-96 px-3 py-2 font-mono text-sm border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+      />
+      
+      {!validation.valid && (
+        <div className="mt-2 p-2 text-sm rounded bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200">
+          语法错误：{validation.error}
+        </div>
+      )}
+      
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        模板保存在游戏状态中，随存档一起保存和导出。每种语言的模板分别保存，提示末尾会自动加上回复语言的要求。
+      </p>
+    </div>
+  );
+
+  // 渲染上下文预算报告
+  const renderContextReport = (report) => (
+    <div className="mt-3 p-2 text-sm rounded bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700">
+      <div className={report.overBudget ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}>
+        上下文：约 {report.usedTokens} 令牌
+        {report.budget ? ` / 预算 ${report.budget}` : '（未设置预算）'}，
+        固定部分 {report.fixedTokens}
+        {report.overBudget && '，固定部分已超出预算'}
+      </div>
+      <ul className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+        {report.slots.map(slot => (
+          <li key={slot.name}>
+            {slot.label}：包含 {slot.included} 条（{slot.tokens} 令牌{slot.limit !== null ? `，上限 ${slot.limit}` : ''}）
+            {slot.dropped > 0 && `，舍弃 ${slot.dropped} 条`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  // 渲染预览
+  const renderPreview = () => (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold">预览</h3>
+        {preview?.messages && (
+          <div className="flex space-x-1 text-sm">
+            <button
+              className={`px-2 py-1 rounded ${previewMode === 'text' ? 'bg-indigo-500 text-white' : 'bg-gray-200 dark:bg-gray-700'}`}
+              onClick={() => setPreviewMode('text')}
+            >
+              文本
+            </button>
+            <button
+              className={`px-2 py-1 rounded ${previewMode === 'messages' ? 'bg-indigo-500 text-white' : 'bg-gray-200 dark:bg-gray-700'}`}
+              onClick={() => setPreviewMode('messages')}
+            >
+              聊天消息
+            </button>
+          </div>
+        )}
+      </div>
+      
+      {!preview ? (
+        <div className="text-gray-500 dark:text-gray-400 text-center py-8">
+          修正语法错误后显示预览
+        </div>
+      ) : preview.error ? (
+        <div className="p-2 text-sm rounded bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-200">
+          无法预览：{preview.error}
+        </div>
+      ) : previewMode === 'messages' && preview.messages ? (
+        <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+          {preview.messages.map((message, index) => (
+            <div key={index} className="p-2 rounded border border-gray-200 dark:border-gray-700">
+              <div className="text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">{message.role}</div>
+              <pre className="whitespace-pre-wrap text-sm font-sans">{message.content}</pre>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <pre className="whitespace-pre-wrap text-sm bg-gray-50 dark:bg-gray-900 p-3 rounded border border-gray-200 dark:border-gray-700 max-h-[32rem] overflow-y-auto font-sans">
+          {preview.text}
+        </pre>
+      )}
+      
+      {preview?.contextReport && renderContextReport(preview.contextReport)}
+      
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+        使用当前游戏状态渲染，没有角色或行为时使用示例数据。
+      </p>
+    </div>
+  );
+
+  return (
+    <div className="container mx-auto">
+      <h1 className="text-2xl font-bold mb-6">提示模板</h1>
+      
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* 左侧：模板列表和变量说明 */}
+        <div className="md:col-span-1">
+          {renderSidebar()}
+        </div>
+        
+        {/* 右侧：编辑器和预览 */}
+        <div className="md:col-span-2 space-y-6">
+          {renderEditor()}
+          {renderPreview()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromptTemplatePanel;
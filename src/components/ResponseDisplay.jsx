@@ -1,13 +1,15 @@
 import React, { useRef, useEffect } from 'react';
 import { HistoryEntryType } from '../modules/history';
+import { ResponseTier } from '../modules/llm_adapter';
 
 /**
  * 响应显示组件
  * 显示游戏历史记录和NPC响应
  * @param {Object} props - 组件属性
  * @param {Array} props.history - 历史记录数组
+ * @param {Object} [props.streamingResponses] - 正在生成的响应，agentId -> 当前文本
  */
-const ResponseDisplay = ({ history = [] }) => {
+const ResponseDisplay = ({ history = [], streamingResponses = {} }) => {
   // 创建引用，用于自动滚动
   const messagesEndRef = useRef(null);
 
@@ -16,7 +18,27 @@ const ResponseDisplay = ({ history = [] }) => {
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [history]);
+  }, [history, streamingResponses]);
+
+  const streamingEntries = Object.entries(streamingResponses);
+
+  /**
+   * 获取响应来源层级的显示文本
+   * @param {Object} servedBy - 响应来源 { tier, fallbackIndex, provider, model }
+   * @returns {string} 显示文本
+   */
+  const getServedByLabel = (servedBy) => {
+    switch (servedBy.tier) {
+      case ResponseTier.PRIMARY:
+        return servedBy.model || servedBy.provider;
+      case ResponseTier.FALLBACK:
+        return `备用${servedBy.fallbackIndex + 1} · ${servedBy.model || servedBy.provider}`;
+      case ResponseTier.OFFLINE:
+        return '离线模板';
+      default:
+        return '';
+    }
+  };
 
   /**
    * 根据历史条目类型获取CSS类名
@@ -33,6 +55,8 @@ const ResponseDisplay = ({ history = [] }) => {
         return 'bg-purple-50 dark:bg-purple-900 border-purple-200 dark:border-purple-700';
       case HistoryEntryType.ENVIRONMENT:
         return 'bg-amber-50 dark:bg-amber-900 border-amber-200 dark:border-amber-700';
+      case HistoryEntryType.TOOL_CALL:
+        return 'bg-slate-50 dark:bg-slate-800 border-slate-200 dark:border-slate-600';
       default:
         return 'bg-gray-50 dark:bg-gray-800 border-gray-200 dark:border-gray-700';
     }
@@ -98,6 +122,23 @@ const ResponseDisplay = ({ history = [] }) => {
                     {entry.metadata.emotion}
                   </span>
                 )}
+                {entry.metadata?.interrupted && (
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                    (已中断)
+                  </span>
+                )}
+                {entry.metadata?.servedBy && (
+                  <span
+                    className={`ml-2 text-xs ${
+                      entry.metadata.servedBy.tier === ResponseTier.PRIMARY
+                        ? 'text-gray-400 dark:text-gray-500'
+                        : 'text-orange-500 dark:text-orange-400'
+                    }`}
+                    title={entry.metadata.servedBy.provider}
+                  >
+                    [{getServedByLabel(entry.metadata.servedBy)}{entry.metadata.servedBy.cached ? ' · 缓存' : ''}]
+                  </span>
+                )}
               </div>
               <div className="text-xs text-gray-500 dark:text-gray-400">{timestamp}</div>
             </div>
@@ -127,6 +168,23 @@ const ResponseDisplay = ({ history = [] }) => {
           </div>
         );
 
+      case HistoryEntryType.TOOL_CALL:
+        return (
+          <div key={index} className={`p-3 mb-3 rounded-lg border ${className}`}>
+            <div className="flex justify-between items-start">
+              <div className="font-semibold">工具: {entry.toolName}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">{timestamp}</div>
+            </div>
+            <div className="mt-1 text-sm font-mono">
+              {JSON.stringify(entry.arguments)}
+              {' → '}
+              {entry.error ? (
+                <span className="text-red-600 dark:text-red-400">{entry.error}</span>
+              ) : JSON.stringify(entry.result)}
+            </div>
+          </div>
+        );
+
       default:
         return (
           <div key={index} className={`p-3 mb-3 rounded-lg border ${className}`}>
@@ -140,17 +198,40 @@ const ResponseDisplay = ({ history = [] }) => {
     }
   };
 
+  /**
+   * 渲染正在生成的响应
+   * @param {Array} entry - [agentId, 当前文本]
+   * @returns {JSX.Element} 渲染的响应
+   */
+  const renderStreamingEntry = ([agentId, text]) => {
+    const className = getEntryClassName(HistoryEntryType.NPC_RESPONSE);
+
+    return (
+      <div key={`streaming_${agentId}`} className={`p-3 mb-3 rounded-lg border ${className}`}>
+        <div className="flex justify-between items-start">
+          <div className="font-semibold">{agentId}</div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">生成中...</div>
+        </div>
+        <div className="mt-1 whitespace-pre-wrap">
+          {text}
+          <span className="animate-pulse">▌</span>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-2">
       <h2 className="text-xl font-bold mb-4">游戏历史</h2>
       
-      {history.length === 0 ? (
+      {history.length === 0 && streamingEntries.length === 0 ? (
         <div className="text-center p-8 text-gray-500 dark:text-gray-400">
           没有历史记录。开始你的冒险吧！
         </div>
       ) : (
         <div className="space-y-2">
           {history.map(renderHistoryEntry)}
+          {streamingEntries.map(renderStreamingEntry)}
           <div ref={messagesEndRef} />
         </div>
       )}
@@ -1,6 +1,56 @@
 import React, { useState, useEffect } from 'react';
 import gameState from '../modules/game_state';
-import llmAdapter, { LLMProvider, ModelType } from '../modules/llm_adapter';
+import llmAdapter, { LLMProvider, ModelType, LocalApiType, JSONMode, CircuitState, EmbeddingProvider } from '../modules/llm_adapter';
+import promptBuilder, { PromptType } from '../modules/prompt_builder';
+import { PROMPT_LANGUAGE_LABELS, LANGUAGE_AUTO } from '../modules/prompt_language';
+import agentRegistry from '../modules/agent_registry';
+import usageLedger, { BudgetUnit, BudgetAction } from '../modules/usage_ledger';
+import mockScript, { MockFault, DEFAULT_MOCK_SCRIPT } from '../modules/mock_script';
+import { TokenizerEncoding } from '../modules/tokenizer';
+import { DEFAULT_SCHEDULER_SETTINGS } from '../modules/request_scheduler';
+import { DEFAULT_SAMPLER_PRESETS, parseLogitBias, formatLogitBias } from '../modules/sampler_params';
+
+/**
+ * 提示类型的显示名称
+ * @type {Object}
+ */
+const PROMPT_TYPE_LABELS = {
+  [PromptType.AGENT_RESPONSE]: 'NPC对话',
+  [PromptType.ENVIRONMENT_DESCRIPTION]: '环境描述',
+  [PromptType.STORY_PROGRESSION]: '故事进展',
+  [PromptType.DIALOGUE_GENERATION]: '对话生成',
+  [PromptType.ACTION_RESULT]: 'GM叙述',
+  [PromptType.WORLD_BUILDING]: '世界构建',
+  [PromptType.CHARACTER_CREATION]: '角色创建'
+};
+
+/**
+ * 模拟故障的显示名称
+ * @type {Object}
+ */
+const MOCK_FAULT_LABELS = {
+  [MockFault.RATE_LIMIT]: '429 限流',
+  [MockFault.SERVER]: '500 服务器错误',
+  [MockFault.AUTH]: '401 认证失败',
+  [MockFault.TIMEOUT]: '超时',
+  [MockFault.NETWORK]: '网络错误',
+  [MockFault.MALFORMED_JSON]: '格式错误的JSON'
+};
+
+/**
+ * 采样参数的显示名称和输入范围
+ * @type {Array<Object>}
+ */
+const SAMPLER_FIELD_OPTIONS = [
+  { name: 'temperature', label: '温度', min: 0, max: 2, step: 0.05 },
+  { name: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { name: 'topK', label: 'Top K', min: 0, step: 1 },
+  { name: 'minP', label: 'Min P', min: 0, max: 1, step: 0.01 },
+  { name: 'frequencyPenalty', label: '频率惩罚', min: -2, max: 2, step: 0.1 },
+  { name: 'presencePenalty', label: '存在惩罚', min: -2, max: 2, step: 0.1 },
+  { name: 'repetitionPenalty', label: '重复惩罚', min: 0, max: 2, step: 0.05 },
+  { name: 'seed', label: '随机种子', step: 1 }
+];
 
 /**
  * 设置面板组件
@@ -14,14 +64,50 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
   // 状态
   const [llmConfig, setLLMConfig] = useState({});
   const [gameConfig, setGameConfig] = useState({});
-  const [activeTab, setActiveTab] = useState('llm'); // llm, game, interface, data
+  const [activeTab, setActiveTab] = useState('llm'); // llm, routing, usage, game, interface, data
   const [isTestingConnection, setIsTestingConnection] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState(null);
+  const [availableModels, setAvailableModels] = useState([]);
+  const [isLoadingModels, setIsLoadingModels] = useState(false);
   const [fileInputKey, setFileInputKey] = useState(Date.now()); // 用于重置文件输入
+  const [newRouteName, setNewRouteName] = useState('');
+  const [newPresetName, setNewPresetName] = useState('');
+  const [circuitStates, setCircuitStates] = useState({});
+  const [cacheStats, setCacheStats] = useState(null);
+  const [usageSettings, setUsageSettings] = useState(usageLedger.getSettings());
+  const [usageSummary, setUsageSummary] = useState({ session: null, today: null });
+  const [newPriceModel, setNewPriceModel] = useState('');
+  const [fixtureCount, setFixtureCount] = useState(0);
+  const [fixtureInputKey, setFixtureInputKey] = useState(Date.now()); // 用于重置录制文件输入
+  const [mockRulesText, setMockRulesText] = useState('[]');
+  const [mockRulesError, setMockRulesError] = useState('');
+  const [secretStatus, setSecretStatus] = useState(llmAdapter.getSecretStatus());
+  const [passphrase, setPassphrase] = useState('');
+  const [isProcessingSecrets, setIsProcessingSecrets] = useState(false);
+  const [profileInputKey, setProfileInputKey] = useState(Date.now()); // 用于重置连接配置文件输入
+  const [queueStats, setQueueStats] = useState(llmAdapter.getQueueStats());
 
   // 加载配置
   useEffect(() => {
     loadConfigurations();
+    
+    // 顶栏切换连接配置或测试成功后刷新
+    const handleProfileChange = () => {
+      setLLMConfig(llmAdapter.getConfig());
+    };
+    
+    // 请求队列变化
+    const handleQueueUpdate = (event) => {
+      setQueueStats(event.detail);
+    };
+    
+    window.addEventListener('llmConnectionProfileChange', handleProfileChange);
+    window.addEventListener('llmQueueUpdate', handleQueueUpdate);
+    
+    return () => {
+      window.removeEventListener('llmConnectionProfileChange', handleProfileChange);
+      window.removeEventListener('llmQueueUpdate', handleQueueUpdate);
+    };
   }, []);
 
   // 加载配置
@@ -29,6 +115,12 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
     // 加载LLM配置
     const llmConfigData = llmAdapter.getConfig();
     setLLMConfig(llmConfigData);
+    setCircuitStates(llmAdapter.getCircuitStates());
+    llmAdapter.getCacheStats().then(setCacheStats).catch(() => setCacheStats(null));
+    setFixtureCount(llmAdapter.getFixtureCount());
+    setMockRulesText(JSON.stringify(llmAdapter.getMockScript().rules, null, 2));
+    setMockRulesError('');
+    setSecretStatus(llmAdapter.getSecretStatus());
     
     // 加载游戏配置
     const state = gameState.getState();
@@ -36,7 +128,23 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
       maxHistoryLength: state.maxHistoryLength || 100,
       autoSave: state.autoSave !== false,
       autoSaveInterval: state.autoSaveInterval || 5,
-      debugMode: state.debugMode || false
+      debugMode: state.debugMode || false,
+      promptLanguage: gameState.getLanguageSettings().prompt,
+      responseLanguage: gameState.getLanguageSettings().response
+    });
+    
+    // 加载用量
+    loadUsage();
+  };
+
+  // 加载用量汇总
+  const loadUsage = () => {
+    const state = gameState.getState();
+    
+    setUsageSettings(usageLedger.getSettings());
+    setUsageSummary({
+      session: usageLedger.getSummary({ sessionId: state.sessionId }),
+      today: usageLedger.getSummary({ date: usageLedger.getToday() })
     });
   };
 
@@ -64,10 +172,400 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
     });
   };
 
+  // 处理任务路由变更，空值表示继承全局配置
+  const handleRouteChange = (task, e) => {
+    const { name, value, type } = e.target;
+    
+    setLLMConfig({
+      ...llmConfig,
+      routes: {
+        ...llmConfig.routes,
+        [task]: {
+          ...llmConfig.routes?.[task],
+          [name]: type === 'number' && value !== '' ? Number(value) : value
+        }
+      }
+    });
+  };
+
+  // 处理全局采样参数变更
+  const handleSamplerChange = (name, value) => {
+    setLLMConfig({ ...llmConfig, [name]: value });
+  };
+
+  // 处理采样预设参数变更
+  const handlePresetChange = (id, name, value) => {
+    setLLMConfig({
+      ...llmConfig,
+      samplerPresets: {
+        ...llmConfig.samplerPresets,
+        [id]: { ...llmConfig.samplerPresets?.[id], [name]: value }
+      }
+    });
+  };
+
+  // 添加采样预设，参数从全局配置复制
+  const handleAddPreset = () => {
+    const name = newPresetName.trim();
+    
+    if (!name) return;
+    
+    const id = `preset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    setLLMConfig({
+      ...llmConfig,
+      samplerPresets: {
+        ...llmConfig.samplerPresets,
+        [id]: { name, temperature: llmConfig.temperature }
+      }
+    });
+    setNewPresetName('');
+  };
+
+  // 删除采样预设
+  const handleRemovePreset = (id) => {
+    const samplerPresets = { ...llmConfig.samplerPresets };
+    delete samplerPresets[id];
+    
+    setLLMConfig({
+      ...llmConfig,
+      samplerPresets
+    });
+  };
+
+  // 恢复内置采样预设
+  const handleResetPresets = () => {
+    setLLMConfig({
+      ...llmConfig,
+      samplerPresets: { ...llmConfig.samplerPresets, ...DEFAULT_SAMPLER_PRESETS }
+    });
+  };
+
+  // 添加自定义任务路由
+  const handleAddRoute = () => {
+    const task = newRouteName.trim();
+    
+    if (!task) return;
+    
+    if (llmConfig.routes?.[task] || PROMPT_TYPE_LABELS[task]) {
+      alert('该任务已存在');
+      return;
+    }
+    
+    setLLMConfig({
+      ...llmConfig,
+      routes: {
+        ...llmConfig.routes,
+        [task]: {}
+      }
+    });
+    setNewRouteName('');
+  };
+
+  // 移除任务路由
+  const handleRemoveRoute = (task) => {
+    const routes = { ...llmConfig.routes };
+    delete routes[task];
+    
+    setLLMConfig({
+      ...llmConfig,
+      routes
+    });
+  };
+
+  // 清空响应缓存
+  const handleClearCache = async () => {
+    try {
+      await llmAdapter.clearCache();
+      setCacheStats(await llmAdapter.getCacheStats());
+    } catch (error) {
+      console.error('清空响应缓存失败:', error);
+      alert(`清空失败: ${error.message}`);
+    }
+  };
+
+  // 导出录制文件
+  const handleExportFixtures = () => {
+    const dataUri = `data:application/json;charset=utf-8,${encodeURIComponent(llmAdapter.exportFixtures())}`;
+    
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', `ai_trpg_fixtures_${new Date().toISOString().slice(0, 10)}.json`);
+    linkElement.click();
+  };
+
+  // 导入录制文件
+  const handleImportFixtures = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    
+    reader.onload = (event) => {
+      if (llmAdapter.importFixtures(event.target.result)) {
+        setFixtureCount(llmAdapter.getFixtureCount());
+      } else {
+        alert('导入失败：录制文件格式无效');
+      }
+      
+      setFixtureInputKey(Date.now());
+    };
+    
+    reader.readAsText(file);
+  };
+
+  // 清空录制记录
+  const handleClearFixtures = () => {
+    if (window.confirm('确定要清空所有录制记录吗？')) {
+      llmAdapter.clearFixtures();
+      setFixtureCount(0);
+    }
+  };
+
+  // 用当前填写的连接设置新建连接配置
+  const handleCreateProfile = () => {
+    const name = window.prompt('连接配置名称', llmConfig.model || '');
+    if (name === null) return;
+    
+    llmAdapter.createConnectionProfile(name.trim(), llmConfig);
+  };
+
+  // 复制当前连接配置
+  const handleDuplicateProfile = () => {
+    llmAdapter.duplicateConnectionProfile(llmConfig.activeConnectionProfile);
+  };
+
+  // 重命名当前连接配置
+  const handleRenameProfile = () => {
+    const profile = llmAdapter.getActiveConnectionProfile();
+    if (!profile) return;
+    
+    const name = window.prompt('新名称', profile.name);
+    
+    if (name && name.trim()) {
+      llmAdapter.renameConnectionProfile(profile.id, name.trim());
+    }
+  };
+
+  // 删除当前连接配置
+  const handleDeleteProfile = () => {
+    const profile = llmAdapter.getActiveConnectionProfile();
+    
+    if (profile && window.confirm(`确定要删除连接配置"${profile.name}"吗？`)) {
+      llmAdapter.deleteConnectionProfile(profile.id);
+    }
+  };
+
+  // 导出连接配置
+  const handleExportProfiles = () => {
+    const dataUri = `data:application/json;charset=utf-8,${encodeURIComponent(llmAdapter.exportConnectionProfiles())}`;
+    
+    const linkElement = document.createElement('a');
+    linkElement.setAttribute('href', dataUri);
+    linkElement.setAttribute('download', `ai_trpg_connections_${new Date().toISOString().slice(0, 10)}.json`);
+    linkElement.click();
+  };
+
+  // 导入连接配置
+  const handleImportProfiles = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    
+    reader.onload = (event) => {
+      const count = llmAdapter.importConnectionProfiles(event.target.result);
+      
+      if (count > 0) {
+        alert(`已导入 ${count} 个连接配置，请为其重新填写API密钥`);
+      } else {
+        alert('导入失败：连接配置文件格式无效');
+      }
+      
+      setProfileInputKey(Date.now());
+    };
+    
+    reader.readAsText(file);
+  };
+
+  // 处理备用提供商变更
+  const handleFallbackChange = (index, e) => {
+    const { name, value } = e.target;
+    const fallbacks = [...(llmConfig.fallbacks || [])];
+    fallbacks[index] = { ...fallbacks[index], [name]: value };
+    
+    setLLMConfig({ ...llmConfig, fallbacks });
+  };
+
+  // 添加备用提供商
+  const handleAddFallback = () => {
+    setLLMConfig({
+      ...llmConfig,
+      fallbacks: [
+        ...(llmConfig.fallbacks || []),
+        { id: `fallback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, provider: LLMProvider.LOCAL, model: '' }
+      ]
+    });
+  };
+
+  // 移除备用提供商
+  const handleRemoveFallback = (index) => {
+    setLLMConfig({
+      ...llmConfig,
+      fallbacks: (llmConfig.fallbacks || []).filter((_, i) => i !== index)
+    });
+  };
+
+  // 调整备用提供商顺序
+  const handleMoveFallback = (index, offset) => {
+    const fallbacks = [...(llmConfig.fallbacks || [])];
+    const target = index + offset;
+    
+    if (target < 0 || target >= fallbacks.length) return;
+    
+    [fallbacks[index], fallbacks[target]] = [fallbacks[target], fallbacks[index]];
+    setLLMConfig({ ...llmConfig, fallbacks });
+  };
+
+  // 处理调度设置变更
+  const handleSchedulerChange = (e) => {
+    const { name, value } = e.target;
+    
+    setLLMConfig({
+      ...llmConfig,
+      scheduler: {
+        ...DEFAULT_SCHEDULER_SETTINGS,
+        ...llmConfig.scheduler,
+        [name]: name === 'starvationTimeout' ? Number(value) * 1000 : Number(value)
+      }
+    });
+  };
+
+  // 重置熔断器
+  const handleResetCircuits = () => {
+    llmAdapter.resetCircuits();
+    setCircuitStates(llmAdapter.getCircuitStates());
+  };
+
+  // 处理用量设置变更
+  const handleUsageSettingChange = (e) => {
+    const { name, value, type } = e.target;
+    
+    setUsageSettings({
+      ...usageSettings,
+      [name]: type === 'number' ? Number(value) : value
+    });
+  };
+
+  // 处理模型价格变更
+  const handlePriceChange = (model, field, value) => {
+    setUsageSettings({
+      ...usageSettings,
+      prices: {
+        ...usageSettings.prices,
+        [model]: {
+          ...usageSettings.prices[model],
+          [field]: Number(value)
+        }
+      }
+    });
+  };
+
+  // 添加模型价格
+  const handleAddPrice = () => {
+    const model = newPriceModel.trim();
+    
+    if (!model || usageSettings.prices[model]) return;
+    
+    setUsageSettings({
+      ...usageSettings,
+      prices: {
+        ...usageSettings.prices,
+        [model]: { prompt: 0, completion: 0 }
+      }
+    });
+    setNewPriceModel('');
+  };
+
+  // 删除模型价格
+  const handleRemovePrice = (model) => {
+    const prices = { ...usageSettings.prices };
+    delete prices[model];
+    setUsageSettings({ ...usageSettings, prices });
+  };
+
+  // 保存用量设置
+  const handleSaveUsageSettings = () => {
+    usageLedger.updateSettings(usageSettings);
+    loadUsage();
+    alert('用量设置已保存');
+  };
+
+  // 清空用量记录
+  const handleClearUsage = () => {
+    if (window.confirm('确定要清空所有用量记录吗？')) {
+      usageLedger.clear();
+      loadUsage();
+    }
+  };
+
+  // 处理模拟脚本变更
+  const handleMockScriptChange = (name, value) => {
+    setLLMConfig({
+      ...llmConfig,
+      mockScript: {
+        ...DEFAULT_MOCK_SCRIPT,
+        ...llmConfig.mockScript,
+        [name]: value
+      }
+    });
+  };
+
+  // 切换随机注入的故障类型
+  const handleToggleMockFault = (fault) => {
+    const faultTypes = llmConfig.mockScript?.faultTypes ?? DEFAULT_MOCK_SCRIPT.faultTypes;
+    
+    handleMockScriptChange('faultTypes', faultTypes.includes(fault) ?
+      faultTypes.filter(type => type !== fault) :
+      [...faultTypes, fault]);
+  };
+
+  // 解析并校验模拟规则文本
+  const parseMockScript = () => {
+    let rules;
+    
+    try {
+      rules = JSON.parse(mockRulesText || '[]');
+    } catch (error) {
+      throw new Error(`模拟规则不是有效的JSON: ${error.message}`);
+    }
+    
+    const script = { ...DEFAULT_MOCK_SCRIPT, ...llmConfig.mockScript, rules };
+    const errors = mockScript.validate(script);
+    
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    return script;
+  };
+
   // 保存LLM配置
   const handleSaveLLMConfig = () => {
     try {
-      llmAdapter.updateConfig(llmConfig);
+      let script;
+      
+      try {
+        script = parseMockScript();
+        setMockRulesError('');
+      } catch (error) {
+        setMockRulesError(error.message);
+        throw error;
+      }
+      
+      llmAdapter.updateConfig({ ...llmConfig, mockScript: script });
+      llmAdapter.resetMockScript();
+      setLLMConfig(llmAdapter.getConfig());
       alert('LLM配置已保存');
     } catch (error) {
       console.error('保存LLM配置失败:', error);
@@ -75,6 +573,51 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
     }
   };
 
+  // 执行密钥加密操作并刷新状态
+  const runSecretAction = async (action, successMessage) => {
+    try {
+      setIsProcessingSecrets(true);
+      await action();
+      setPassphrase('');
+      setLLMConfig(llmAdapter.getConfig());
+      
+      if (successMessage) {
+        alert(successMessage);
+      }
+    } catch (error) {
+      console.error('API密钥操作失败:', error);
+      alert(`操作失败: ${error.message}`);
+    } finally {
+      setSecretStatus(llmAdapter.getSecretStatus());
+      setIsProcessingSecrets(false);
+    }
+  };
+
+  // 解锁已加密的API密钥
+  const handleUnlockSecrets = () => {
+    runSecretAction(() => llmAdapter.unlockSecrets(passphrase));
+  };
+
+  // 设置或修改口令，同时保存当前填写的密钥
+  const handleSetSecretPassphrase = () => {
+    runSecretAction(async () => {
+      llmAdapter.updateConfig({ ...llmConfig });
+      await llmAdapter.setSecretPassphrase(passphrase);
+    }, 'API密钥已加密保存');
+  };
+
+  // 锁定API密钥
+  const handleLockSecrets = () => {
+    runSecretAction(async () => llmAdapter.lockSecrets());
+  };
+
+  // 删除已保存的API密钥
+  const handleForgetSecrets = () => {
+    if (window.confirm('确定要删除已加密保存的所有API密钥吗？')) {
+      runSecretAction(async () => llmAdapter.forgetSecrets());
+    }
+  };
+
   // 保存游戏配置
   const handleSaveGameConfig = () => {
     try {
@@ -84,6 +627,10 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
         autoSaveInterval: gameConfig.autoSaveInterval,
         debugMode: gameConfig.debugMode
       });
+      gameState.updateLanguageSettings({
+        prompt: gameConfig.promptLanguage,
+        response: gameConfig.responseLanguage
+      });
       alert('游戏配置已保存');
     } catch (error) {
       console.error('保存游戏配置失败:', error);
@@ -113,6 +660,24 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
     }
   };
 
+  // 获取模型列表
+  const handleLoadModels = async () => {
+    try {
+      setIsLoadingModels(true);
+      const models = await llmAdapter.listModels(llmConfig);
+      setAvailableModels(models);
+      
+      if (models.length === 0) {
+        alert('服务器上没有可用的模型');
+      }
+    } catch (error) {
+      console.error('获取模型列表失败:', error);
+      alert(`获取模型列表失败: ${error.message}`);
+    } finally {
+      setIsLoadingModels(false);
+    }
+  };
+
   // 处理文件导入
   const handleFileImport = (e) => {
     if (onImportGame) {
@@ -122,13 +687,153 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
     }
   };
 
+  // 渲染采样参数输入，空值表示不发送该参数
+  const renderSamplerFields = (values, onChange, fields = SAMPLER_FIELD_OPTIONS) => {
+    const inputClassName = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700';
+    const stopText = (values.stop ? [].concat(values.stop) : []).join('\n');
+    const biasText = formatLogitBias(values.logitBias);
+    
+    return (
+      <div className="space-y-2">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {fields.map(field => (
+            <label key={field.name} className="text-sm">
+              {field.label}
+              <input
+                type="number"
+                value={values[field.name] ?? ''}
+                onChange={(e) => onChange(field.name, e.target.value === '' ? undefined : Number(e.target.value))}
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                className={inputClassName}
+                placeholder="默认"
+              />
+            </label>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <label className="text-sm">
+            停止序列（每行一个）
+            <textarea
+              key={stopText}
+              defaultValue={stopText}
+              onBlur={(e) => {
+                const stop = e.target.value.split('\n').filter(Boolean);
+                onChange('stop', stop.length > 0 ? stop : undefined);
+              }}
+              rows={2}
+              className={`${inputClassName} font-mono`}
+            />
+          </label>
+          <label className="text-sm">
+            令牌偏置（令牌ID:偏置，逗号分隔）
+            <textarea
+              key={biasText}
+              defaultValue={biasText}
+              onBlur={(e) => {
+                const bias = parseLogitBias(e.target.value);
+                onChange('logitBias', Object.keys(bias).length > 0 ? bias : undefined);
+              }}
+              rows={2}
+              className={`${inputClassName} font-mono`}
+              placeholder="例如: 50256:-100"
+            />
+          </label>
+        </div>
+      </div>
+    );
+  };
+
   // 渲染LLM设置标签页
   const renderLLMTab = () => {
+    const script = { ...DEFAULT_MOCK_SCRIPT, ...llmConfig.mockScript };
+    const latency = typeof script.latency === 'object' ? script.latency : { min: script.latency, max: script.latency };
+    const usesMock = llmConfig.provider === LLMProvider.MOCK ||
+      (llmConfig.provider === LLMProvider.RECORD && llmConfig.recordProvider === LLMProvider.MOCK) ||
+      (llmConfig.fallbacks || []).some(fallback => fallback.provider === LLMProvider.MOCK);
+    
+    const profiles = llmAdapter.getConnectionProfiles();
+    const activeProfile = llmConfig.connectionProfiles?.[llmConfig.activeConnectionProfile];
+    
     return (
       <div>
         <h2 className="text-xl font-semibold mb-4">LLM设置</h2>
         
         <div className="space-y-4">
+          <div className="p-3 border border-gray-200 dark:border-gray-700 rounded-md space-y-2">
+            <label className="block text-gray-700 dark:text-gray-300 font-medium">
+              连接配置
+            </label>
+            <select
+              value={activeProfile ? activeProfile.id : ''}
+              onChange={(e) => e.target.value && llmAdapter.activateConnectionProfile(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            >
+              <option value="">未保存的连接设置</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              {activeProfile
+                ? (activeProfile.lastSuccessAt
+                  ? `上次连接成功: ${new Date(activeProfile.lastSuccessAt).toLocaleString()}`
+                  : '尚未测试成功')
+                : '保存为连接配置后可以在顶栏快速切换'}
+              {activeProfile && '。修改下方的提供商、地址、密钥和模型后保存会同步到该配置'}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                className="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600"
+                onClick={handleCreateProfile}
+              >
+                另存为新配置
+              </button>
+              <button
+                className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 disabled:opacity-50"
+                onClick={handleDuplicateProfile}
+                disabled={!activeProfile}
+              >
+                复制
+              </button>
+              <button
+                className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 disabled:opacity-50"
+                onClick={handleRenameProfile}
+                disabled={!activeProfile}
+              >
+                重命名
+              </button>
+              <button
+                className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50"
+                onClick={handleDeleteProfile}
+                disabled={!activeProfile}
+              >
+                删除
+              </button>
+              <button
+                className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 disabled:opacity-50"
+                onClick={handleExportProfiles}
+                disabled={profiles.length === 0}
+              >
+                导出
+              </button>
+              <label className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 cursor-pointer">
+                导入
+                <input
+                  type="file"
+                  accept=".json"
+                  className="hidden"
+                  onChange={handleImportProfiles}
+                  key={profileInputKey}
+                />
+              </label>
+            </div>
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              导出的文件不包含API密钥
+            </div>
+          </div>
+          
           <div>
             <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
               提供商
@@ -140,102 +845,559 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
             >
               <option value={LLMProvider.OPENAI}>OpenAI</option>
+              <option value={LLMProvider.ANTHROPIC}>Anthropic</option>
               <option value={LLMProvider.LOCAL}>本地模型</option>
               <option value={LLMProvider.MOCK}>模拟模式</option>
+              <option value={LLMProvider.RECORD}>录制模式</option>
+              <option value={LLMProvider.REPLAY}>回放模式</option>
             </select>
           </div>
           
+          {llmConfig.provider === LLMProvider.RECORD && (
+            <div>
+              <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+                录制的提供商
+              </label>
+              <select
+                name="recordProvider"
+                value={llmConfig.recordProvider || LLMProvider.OPENAI}
+                onChange={handleLLMConfigChange}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+              >
+                <option value={LLMProvider.OPENAI}>OpenAI</option>
+                <option value={LLMProvider.ANTHROPIC}>Anthropic</option>
+                <option value={LLMProvider.LOCAL}>本地模型</option>
+                <option value={LLMProvider.MOCK}>模拟模式</option>
+              </select>
+              <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                请求转发给该提供商，每次请求和响应都会保存为录制记录；录制期间不使用响应缓存和备用提供商
+              </div>
+            </div>
+          )}
+          
+          {(llmConfig.provider === LLMProvider.RECORD || llmConfig.provider === LLMProvider.REPLAY) && (
+            <div className="p-3 bg-gray-100 dark:bg-gray-700 rounded-lg space-y-2">
+              <div className="text-sm text-gray-600 dark:text-gray-400">
+                已录制 {fixtureCount} 条请求。回放时按请求指纹返回录制的响应，请求不一致时报告差异
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500"
+                  onClick={handleExportFixtures}
+                >
+                  导出录制文件
+                </button>
+                <label className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 cursor-pointer">
+                  导入录制文件
+                  <input
+                    type="file"
+                    className="hidden"
+                    accept=".json"
+                    onChange={handleImportFixtures}
+                    key={fixtureInputKey}
+                  />
+                </label>
+                <button
+                  className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500"
+                  onClick={() => llmAdapter.resetReplay()}
+                >
+                  从头回放
+                </button>
+                <button
+                  className="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600"
+                  onClick={handleClearFixtures}
+                >
+                  清空
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {usesMock && (
+            <div className="p-3 bg-gray-100 dark:bg-gray-700 rounded-lg space-y-3">
+              <h3 className="font-medium">模拟脚本</h3>
+              
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">最小延迟（毫秒）</label>
+                  <input
+                    type="number"
+                    value={latency.min ?? 0}
+                    onChange={(e) => handleMockScriptChange('latency', { ...latency, min: Number(e.target.value) })}
+                    min="0"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">最大延迟（毫秒）</label>
+                  <input
+                    type="number"
+                    value={latency.max ?? 0}
+                    onChange={(e) => handleMockScriptChange('latency', { ...latency, max: Number(e.target.value) })}
+                    min="0"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  />
+                </div>
+              </div>
+              
+              <div>
+                <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">
+                  随机故障概率: {Math.round((script.faultRate || 0) * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={script.faultRate || 0}
+                  onChange={(e) => handleMockScriptChange('faultRate', Number(e.target.value))}
+                  className="w-full"
+                />
+                <div className="flex flex-wrap gap-3 mt-1">
+                  {Object.values(MockFault).map(fault => (
+                    <label key={fault} className="flex items-center text-sm">
+                      <input
+                        type="checkbox"
+                        checked={(script.faultTypes || []).includes(fault)}
+                        onChange={() => handleToggleMockFault(fault)}
+                        className="mr-1"
+                      />
+                      {MOCK_FAULT_LABELS[fault]}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              
+              <div>
+                <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">规则 (JSON)</label>
+                <textarea
+                  value={mockRulesText}
+                  onChange={(e) => setMockRulesText(e.target.value)}
+                  rows={8}
+                  spellCheck={false}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 font-mono text-sm"
+                  placeholder={'[{ "pattern": "攻击", "responses": [{ "fault": "rate_limit", "retryAfter": 1 }, "你说：{{lastUser}}"] }]'}
+                />
+                {mockRulesError && (
+                  <div className="text-sm text-red-500 mt-1">{mockRulesError}</div>
+                )}
+                <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                  按顺序匹配，pattern为关键词或正则（regex: true），responses按顺序返回。
+                  响应可以是文本模板（{'{{lastUser}}'}、{'{{task}}'}、{'{{match.1}}'}等）、{'{ "json": {...} }'} 或 {'{ "fault": "server" }'}
+                </div>
+              </div>
+            </div>
+          )}
+          
+          {(llmConfig.provider === LLMProvider.LOCAL ||
+            (llmConfig.provider === LLMProvider.RECORD && llmConfig.recordProvider === LLMProvider.LOCAL)) && (
+            <div>
+              <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+                本地接口类型
+              </label>
+              <select
+                name="localApiType"
+                value={llmConfig.localApiType || LocalApiType.OPENAI_COMPATIBLE}
+                onChange={handleLLMConfigChange}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+              >
+                <option value={LocalApiType.OPENAI_COMPATIBLE}>OpenAI兼容 (llama.cpp server等)</option>
+                <option value={LocalApiType.OLLAMA}>Ollama</option>
+              </select>
+            </div>
+          )}
+          
           <div>
             <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
               模型
             </label>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                name="model"
+                value={llmConfig.model || ''}
+                onChange={handleLLMConfigChange}
+                list="llm-model-options"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                placeholder="例如: gpt-3.5-turbo"
+              />
+              <button
+                className="px-3 py-2 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 whitespace-nowrap disabled:cursor-not-allowed"
+                onClick={handleLoadModels}
+                disabled={isLoadingModels}
+              >
+                {isLoadingModels ? '获取中...' : '获取模型列表'}
+              </button>
+            </div>
+            <datalist id="llm-model-options">
+              {availableModels.map(model => (
+                <option key={model} value={model} />
+              ))}
+            </datalist>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              模型类型
+            </label>
+            <select
+              name="modelType"
+              value={llmConfig.modelType || ModelType.CHAT}
+              onChange={handleLLMConfigChange}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            >
+              <option value={ModelType.CHAT}>聊天模型</option>
+              <option value={ModelType.COMPLETION}>文本补全模型</option>
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              API密钥
+            </label>
+            <input
+              type="password"
+              name="apiKey"
+              value={llmConfig.apiKey || ''}
+              onChange={handleLLMConfigChange}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+              placeholder="输入你的API密钥"
+            />
+          </div>
+          
+          <div className="p-3 border border-gray-200 dark:border-gray-700 rounded-md space-y-2">
+            <div className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              API密钥加密
+            </div>
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              {!secretStatus.supported
+                ? '当前环境不支持加密，请通过HTTPS或localhost访问。API密钥只保存在本次会话中'
+                : secretStatus.locked
+                  ? '已保存的API密钥已加密，输入口令解锁后才能使用'
+                  : secretStatus.persistent
+                    ? 'API密钥已用口令加密保存，不会写入存档或导出文件'
+                    : 'API密钥只保存在本次会话中，刷新页面后需要重新输入。设置口令后会加密保存'}
+            </div>
+            {secretStatus.supported && (
+              <div className="flex gap-2">
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  placeholder={secretStatus.locked ? '输入口令' : (secretStatus.persistent ? '新口令' : '设置口令')}
+                />
+                <button
+                  className="px-3 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                  onClick={secretStatus.locked ? handleUnlockSecrets : handleSetSecretPassphrase}
+                  disabled={!passphrase || isProcessingSecrets}
+                >
+                  {secretStatus.locked ? '解锁' : (secretStatus.persistent ? '修改口令' : '加密保存')}
+                </button>
+              </div>
+            )}
+            {(secretStatus.locked || secretStatus.persistent) && (
+              <div className="flex gap-2">
+                {secretStatus.persistent && (
+                  <button
+                    className="px-3 py-1 text-sm bg-gray-200 dark:bg-gray-700 rounded-md hover:bg-gray-300 dark:hover:bg-gray-600"
+                    onClick={handleLockSecrets}
+                    disabled={isProcessingSecrets}
+                  >
+                    锁定
+                  </button>
+                )}
+                <button
+                  className="px-3 py-1 text-sm bg-red-500 text-white rounded-md hover:bg-red-600"
+                  onClick={handleForgetSecrets}
+                  disabled={isProcessingSecrets}
+                >
+                  删除已保存的密钥
+                </button>
+              </div>
+            )}
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              API端点 (可选)
+            </label>
             <input
               type="text"
-              name="model"
-              value={llmConfig.model || ''}
+              name="apiEndpoint"
+              value={llmConfig.apiEndpoint || ''}
               onChange={handleLLMConfigChange}
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
-              placeholder="例如: gpt-3.5-turbo"
+              placeholder={llmConfig.provider === LLMProvider.LOCAL
+                ? (llmConfig.localApiType === LocalApiType.OLLAMA ? '例如: http://localhost:11434' : '例如: http://localhost:8080/v1')
+                : (llmConfig.provider === LLMProvider.ANTHROPIC ? '例如: https://api.anthropic.com/v1' : '例如: https://api.openai.com/v1')}
             />
           </div>
           
           <div>
             <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
-              模型类型
+              温度 (0-1)
+            </label>
+            <input
+              type="range"
+              name="temperature"
+              min="0"
+              max="1"
+              step="0.1"
+              value={llmConfig.temperature || 0.7}
+              onChange={handleLLMConfigChange}
+              className="w-full"
+            />
+            <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400">
+              <span>更确定 (0)</span>
+              <span>{llmConfig.temperature || 0.7}</span>
+              <span>更随机 (1)</span>
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              最大令牌数
+            </label>
+            <input
+              type="number"
+              name="maxTokens"
+              value={llmConfig.maxTokens || 1000}
+              onChange={handleLLMConfigChange}
+              min="100"
+              max="8000"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            />
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              上下文令牌预算
+            </label>
+            <input
+              type="number"
+              name="contextTokenBudget"
+              value={llmConfig.contextTokenBudget ?? 3000}
+              onChange={handleLLMConfigChange}
+              min="0"
+              step="500"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            />
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              角色响应和故事进展提示的上限，超出时依次舍弃早期摘要、较早的历史、记忆和世界书条目；0表示不限制
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              采样预设
+            </label>
+            <select
+              name="samplerPreset"
+              value={llmConfig.samplerPreset || ''}
+              onChange={handleLLMConfigChange}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            >
+              <option value="">不使用预设</option>
+              {Object.entries(llmConfig.samplerPresets || {}).map(([id, preset]) => (
+                <option key={id} value={id}>{preset.name || id}</option>
+              ))}
+            </select>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              预设中设置的参数覆盖下方的全局参数，可以在"路由与备用"中为每种任务单独选择预设
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              其他采样参数
+            </label>
+            {renderSamplerFields(llmConfig, handleSamplerChange, SAMPLER_FIELD_OPTIONS.filter(field => field.name !== 'temperature'))}
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              留空使用提供商的默认值。OpenAI不支持Top K、Min P和重复惩罚，Anthropic只支持Top P、Top K和停止序列，Ollama不支持令牌偏置，不支持的参数发送时会被忽略
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              失败重试次数
+            </label>
+            <input
+              type="number"
+              name="retries"
+              value={llmConfig.retries ?? 3}
+              onChange={handleLLMConfigChange}
+              min="0"
+              max="10"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            />
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              仅对限流、服务器错误、超时和网络错误重试，认证失败不会重试
+            </div>
+          </div>
+          
+          <div>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                name="cache"
+                checked={llmConfig.cache || false}
+                onChange={handleLLMConfigChange}
+                className="mr-2"
+              />
+              <span className="text-gray-700 dark:text-gray-300">缓存相同请求的响应</span>
+            </label>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              默认只缓存温度为0的请求，重复生成同一场景时不再重复计费
+            </div>
+          </div>
+          
+          {llmConfig.cache && (
+            <div className="pl-6 space-y-3">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  name="cacheAllowTemperature"
+                  checked={llmConfig.cacheAllowTemperature || false}
+                  onChange={handleLLMConfigChange}
+                  className="mr-2"
+                />
+                <span className="text-gray-700 dark:text-gray-300">也缓存温度大于0的请求</span>
+              </label>
+              
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">有效期（小时）</label>
+                  <input
+                    type="number"
+                    value={(llmConfig.cacheTTL ?? 86400000) / 3600000}
+                    onChange={(e) => setLLMConfig({ ...llmConfig, cacheTTL: Number(e.target.value) * 3600000 })}
+                    min="0"
+                    step="1"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">最大条目数</label>
+                  <input
+                    type="number"
+                    name="cacheMaxEntries"
+                    value={llmConfig.cacheMaxEntries ?? 500}
+                    onChange={handleLLMConfigChange}
+                    min="1"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  />
+                </div>
+              </div>
+              
+              <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400">
+                <span>
+                  {cacheStats ? `已缓存 ${cacheStats.entries} 条，约 ${(cacheStats.size / 1024).toFixed(1)} KB` : ''}
+                </span>
+                <button
+                  className="px-3 py-1 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500"
+                  onClick={handleClearCache}
+                >
+                  清空缓存
+                </button>
+              </div>
+            </div>
+          )}
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              嵌入向量
             </label>
             <select
-              name="modelType"
-              value={llmConfig.modelType || ModelType.CHAT}
+              name="embeddingProvider"
+              value={llmConfig.embeddingProvider || EmbeddingProvider.AUTO}
               onChange={handleLLMConfigChange}
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
             >
-              <option value={ModelType.CHAT}>聊天模型</option>
-              <option value={ModelType.COMPLETION}>文本补全模型</option>
+              <option value={EmbeddingProvider.AUTO}>跟随提供商</option>
+              <option value={EmbeddingProvider.OPENAI}>OpenAI</option>
+              <option value={EmbeddingProvider.LOCAL}>本地模型</option>
+              <option value={EmbeddingProvider.HASH}>本地哈希向量（无需模型服务）</option>
             </select>
+            {llmConfig.embeddingProvider !== EmbeddingProvider.HASH && (
+              <div className="grid grid-cols-2 gap-2 mt-2">
+                <div>
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">嵌入模型</label>
+                  <input
+                    type="text"
+                    name="embeddingModel"
+                    value={llmConfig.embeddingModel || ''}
+                    onChange={handleLLMConfigChange}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                    placeholder="OpenAI默认 text-embedding-3-small，本地模型如 nomic-embed-text"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">每批文本数</label>
+                  <input
+                    type="number"
+                    name="embeddingBatchSize"
+                    value={llmConfig.embeddingBatchSize ?? 64}
+                    onChange={handleLLMConfigChange}
+                    min="1"
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">嵌入接口地址 (可选，默认与API端点相同)</label>
+                  <input
+                    type="text"
+                    name="embeddingEndpoint"
+                    value={llmConfig.embeddingEndpoint || ''}
+                    onChange={handleLLMConfigChange}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                  />
+                </div>
+              </div>
+            )}
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              用于记忆和世界书检索。本地模型需要填写嵌入模型；嵌入接口不可用时自动改用本地哈希向量
+            </div>
           </div>
           
           <div>
             <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
-              API密钥
-            </label>
-            <input
-              type="password"
-              name="apiKey"
-              value={llmConfig.apiKey || ''}
-              onChange={handleLLMConfigChange}
-              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
-              placeholder="输入你的API密钥"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
-              API端点 (可选)
+              分词器
             </label>
-            <input
-              type="text"
-              name="apiEndpoint"
-              value={llmConfig.apiEndpoint || ''}
+            <select
+              name="tokenizer"
+              value={llmConfig.tokenizer || 'auto'}
               onChange={handleLLMConfigChange}
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
-              placeholder="例如: https://api.openai.com/v1"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
-              温度 (0-1)
-            </label>
-            <input
-              type="range"
-              name="temperature"
-              min="0"
-              max="1"
-              step="0.1"
-              value={llmConfig.temperature || 0.7}
-              onChange={handleLLMConfigChange}
-              className="w-full"
-            />
-            <div className="flex justify-between text-sm text-gray-500 dark:text-gray-400">
-              <span>更确定 (0)</span>
-              <span>{llmConfig.temperature || 0.7}</span>
-              <span>更随机 (1)</span>
+            >
+              <option value="auto">按模型自动选择</option>
+              <option value={TokenizerEncoding.CL100K}>cl100k_base</option>
+              <option value={TokenizerEncoding.O200K}>o200k_base</option>
+              <option value={TokenizerEncoding.HEURISTIC}>估算</option>
+            </select>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              用于计算提示长度和估算用量。
+              {llmAdapter.isTokenCountExact(llmConfig) ? '当前模型的词表已加载，令牌数为精确值' : '当前模型没有可用的词表，令牌数为估算值'}
             </div>
           </div>
           
           <div>
             <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
-              最大令牌数
+              JSON输出模式
             </label>
-            <input
-              type="number"
-              name="maxTokens"
-              value={llmConfig.maxTokens || 1000}
+            <select
+              name="jsonMode"
+              value={llmConfig.jsonMode || JSONMode.OBJECT}
               onChange={handleLLMConfigChange}
-              min="100"
-              max="8000"
               className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
-            />
+            >
+              <option value={JSONMode.SCHEMA}>JSON Schema约束</option>
+              <option value={JSONMode.OBJECT}>JSON模式</option>
+              <option value={JSONMode.PROMPT}>仅提示约束</option>
+            </select>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              需要结构化输出时使用。服务器不支持response_format时请选择"仅提示约束"
+            </div>
           </div>
           
           <div>
@@ -299,6 +1461,620 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
     );
   };
 
+  // 渲染任务路由标签页
+  const renderRoutingTab = () => {
+    const routes = llmConfig.routes || {};
+    const tasks = [
+      ...Object.values(PromptType),
+      ...Object.keys(routes).filter(task => !PROMPT_TYPE_LABELS[task])
+    ];
+    const inputClassName = 'w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700';
+    const scheduler = { ...DEFAULT_SCHEDULER_SETTINGS, ...llmConfig.scheduler };
+    
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">任务路由</h2>
+        <div className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          为不同任务指定提供商、模型和采样参数，留空的字段使用LLM设置中的全局配置。
+          切换到其他提供商时需要单独填写API密钥和端点。
+        </div>
+        
+        <div className="space-y-4">
+          {tasks.map(task => {
+            const route = routes[task] || {};
+            const isCustom = !PROMPT_TYPE_LABELS[task];
+            const switchesProvider = route.provider && route.provider !== llmConfig.provider;
+            
+            return (
+              <div key={task} className="p-3 border border-gray-200 dark:border-gray-700 rounded">
+                <div className="flex justify-between items-center mb-2">
+                  <div className="font-medium">
+                    {PROMPT_TYPE_LABELS[task] || task}
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{task}</span>
+                  </div>
+                  {(isCustom || routes[task]) && (
+                    <button
+                      className="text-sm text-red-500 hover:text-red-600"
+                      onClick={() => handleRemoveRoute(task)}
+                    >
+                      {isCustom ? '删除' : '重置'}
+                    </button>
+                  )}
+                </div>
+                
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                  <select
+                    name="provider"
+                    value={route.provider || ''}
+                    onChange={(e) => handleRouteChange(task, e)}
+                    className={inputClassName}
+                  >
+                    <option value="">继承全局</option>
+                    <option value={LLMProvider.OPENAI}>OpenAI</option>
+                    <option value={LLMProvider.ANTHROPIC}>Anthropic</option>
+                    <option value={LLMProvider.LOCAL}>本地模型</option>
+                    <option value={LLMProvider.MOCK}>模拟模式</option>
+                  </select>
+                  <input
+                    type="text"
+                    name="model"
+                    value={route.model || ''}
+                    onChange={(e) => handleRouteChange(task, e)}
+                    className={inputClassName}
+                    placeholder={`模型 (${llmConfig.model || '全局'})`}
+                  />
+                  <select
+                    name="samplerPreset"
+                    value={route.samplerPreset || ''}
+                    onChange={(e) => handleRouteChange(task, e)}
+                    className={inputClassName}
+                    title="采样预设"
+                  >
+                    <option value="">预设: 继承全局</option>
+                    {Object.entries(llmConfig.samplerPresets || {}).map(([id, preset]) => (
+                      <option key={id} value={id}>预设: {preset.name || id}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    name="temperature"
+                    value={route.temperature ?? ''}
+                    onChange={(e) => handleRouteChange(task, e)}
+                    min="0"
+                    max="2"
+                    step="0.1"
+                    className={inputClassName}
+                    placeholder={`温度 (${llmConfig.temperature ?? 0.7})`}
+                  />
+                  <input
+                    type="number"
+                    name="maxTokens"
+                    value={route.maxTokens ?? ''}
+                    onChange={(e) => handleRouteChange(task, e)}
+                    min="1"
+                    className={inputClassName}
+                    placeholder={`最大令牌 (${llmConfig.maxTokens || 1000})`}
+                  />
+                </div>
+                
+                {switchesProvider && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mt-2">
+                    {route.provider === LLMProvider.LOCAL && (
+                      <select
+                        name="localApiType"
+                        value={route.localApiType || LocalApiType.OPENAI_COMPATIBLE}
+                        onChange={(e) => handleRouteChange(task, e)}
+                        className={inputClassName}
+                      >
+                        <option value={LocalApiType.OPENAI_COMPATIBLE}>OpenAI兼容</option>
+                        <option value={LocalApiType.OLLAMA}>Ollama</option>
+                      </select>
+                    )}
+                    {(route.provider === LLMProvider.OPENAI || route.provider === LLMProvider.ANTHROPIC) && (
+                      <input
+                        type="password"
+                        name="apiKey"
+                        value={route.apiKey || ''}
+                        onChange={(e) => handleRouteChange(task, e)}
+                        className={inputClassName}
+                        placeholder="API密钥"
+                      />
+                    )}
+                    <input
+                      type="text"
+                      name="apiEndpoint"
+                      value={route.apiEndpoint || ''}
+                      onChange={(e) => handleRouteChange(task, e)}
+                      className={inputClassName}
+                      placeholder="API端点 (可选)"
+                    />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={newRouteName}
+              onChange={(e) => setNewRouteName(e.target.value)}
+              className="flex-grow px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+              placeholder="自定义任务名称，例如: memory_summary"
+            />
+            <button
+              className="px-3 py-2 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 whitespace-nowrap"
+              onClick={handleAddRoute}
+            >
+              添加任务
+            </button>
+          </div>
+        </div>
+        
+        <h2 className="text-xl font-semibold mt-8 mb-4">采样预设</h2>
+        <div className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          预设中留空的参数沿用全局配置，任务路由中填写的温度优先于预设。
+        </div>
+        
+        <div className="space-y-4">
+          {Object.entries(llmConfig.samplerPresets || {}).map(([id, preset]) => (
+            <div key={id} className="p-3 border border-gray-200 dark:border-gray-700 rounded space-y-2">
+              <div className="flex justify-between items-center gap-2">
+                <input
+                  type="text"
+                  value={preset.name || ''}
+                  onChange={(e) => handlePresetChange(id, 'name', e.target.value)}
+                  className="flex-1 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700 font-medium"
+                />
+                <button
+                  className="text-sm text-red-500 hover:text-red-600"
+                  onClick={() => handleRemovePreset(id)}
+                >
+                  删除
+                </button>
+              </div>
+              {renderSamplerFields(preset, (name, value) => handlePresetChange(id, name, value))}
+            </div>
+          ))}
+          
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newPresetName}
+              onChange={(e) => setNewPresetName(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+              placeholder="预设名称"
+            />
+            <button
+              className="px-3 py-2 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 whitespace-nowrap"
+              onClick={handleAddPreset}
+            >
+              添加预设
+            </button>
+            <button
+              className="px-3 py-2 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 whitespace-nowrap"
+              onClick={handleResetPresets}
+            >
+              恢复内置预设
+            </button>
+          </div>
+        </div>
+        
+        <h2 className="text-xl font-semibold mt-8 mb-4">备用提供商</h2>
+        <div className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          主提供商失败（重试后）时按顺序尝试备用提供商，全部失败时使用内置的离线模板响应。
+          连续失败的提供商会被暂时熔断并跳过。
+        </div>
+        
+        <div className="space-y-4">
+          {(llmConfig.fallbacks || []).map((fallback, index) => (
+            <div key={fallback.id || index} className="p-3 border border-gray-200 dark:border-gray-700 rounded">
+              <div className="flex justify-between items-center mb-2">
+                <div className="font-medium">备用 {index + 1}</div>
+                <div className="space-x-2 text-sm">
+                  <button
+                    className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 disabled:opacity-30"
+                    onClick={() => handleMoveFallback(index, -1)}
+                    disabled={index === 0}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 disabled:opacity-30"
+                    onClick={() => handleMoveFallback(index, 1)}
+                    disabled={index === llmConfig.fallbacks.length - 1}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className="text-red-500 hover:text-red-600"
+                    onClick={() => handleRemoveFallback(index)}
+                  >
+                    删除
+                  </button>
+                </div>
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                <select
+                  name="provider"
+                  value={fallback.provider || LLMProvider.LOCAL}
+                  onChange={(e) => handleFallbackChange(index, e)}
+                  className={inputClassName}
+                >
+                  <option value={LLMProvider.OPENAI}>OpenAI</option>
+                  <option value={LLMProvider.ANTHROPIC}>Anthropic</option>
+                  <option value={LLMProvider.LOCAL}>本地模型</option>
+                  <option value={LLMProvider.MOCK}>模拟模式</option>
+                </select>
+                <input
+                  type="text"
+                  name="model"
+                  value={fallback.model || ''}
+                  onChange={(e) => handleFallbackChange(index, e)}
+                  className={inputClassName}
+                  placeholder="模型"
+                />
+                {fallback.provider === LLMProvider.LOCAL && (
+                  <select
+                    name="localApiType"
+                    value={fallback.localApiType || LocalApiType.OPENAI_COMPATIBLE}
+                    onChange={(e) => handleFallbackChange(index, e)}
+                    className={inputClassName}
+                  >
+                    <option value={LocalApiType.OPENAI_COMPATIBLE}>OpenAI兼容</option>
+                    <option value={LocalApiType.OLLAMA}>Ollama</option>
+                  </select>
+                )}
+                {(fallback.provider === LLMProvider.OPENAI || fallback.provider === LLMProvider.ANTHROPIC) && (
+                  <input
+                    type="password"
+                    name="apiKey"
+                    value={fallback.apiKey || ''}
+                    onChange={(e) => handleFallbackChange(index, e)}
+                    className={inputClassName}
+                    placeholder="API密钥"
+                  />
+                )}
+                <input
+                  type="text"
+                  name="apiEndpoint"
+                  value={fallback.apiEndpoint || ''}
+                  onChange={(e) => handleFallbackChange(index, e)}
+                  className={inputClassName}
+                  placeholder="API端点 (可选)"
+                />
+              </div>
+            </div>
+          ))}
+          
+          <button
+            className="px-3 py-2 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500"
+            onClick={handleAddFallback}
+          >
+            添加备用提供商
+          </button>
+          
+          {Object.keys(circuitStates).length > 0 && (
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <div className="font-medium">熔断状态</div>
+                <button
+                  className="text-sm text-indigo-500 hover:text-indigo-600"
+                  onClick={handleResetCircuits}
+                >
+                  重置
+                </button>
+              </div>
+              <ul className="text-sm space-y-1">
+                {Object.entries(circuitStates).map(([key, circuit]) => (
+                  <li key={key} className="flex justify-between">
+                    <span className="text-gray-600 dark:text-gray-400 break-all">{key}</span>
+                    <span className={circuit.state === CircuitState.CLOSED ? 'text-green-500' : 'text-red-500'}>
+                      {circuit.state === CircuitState.OPEN ? '熔断中' : 
+                        (circuit.state === CircuitState.HALF_OPEN ? '试探中' : '正常')}
+                      （失败{circuit.failures}次）
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+        
+        <h2 className="text-xl font-semibold mt-8 mb-4">请求调度</h2>
+        <div className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          所有LLM和嵌入请求都经过调度队列。玩家等待中的请求优先于后台请求，后台请求等待超过设定时间后同样优先。
+          每分钟请求数和令牌数为0表示不限制。
+        </div>
+        
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+            <label className="text-sm">
+              最大并发数
+              <input
+                type="number"
+                name="maxConcurrent"
+                min="1"
+                max="16"
+                value={scheduler.maxConcurrent}
+                onChange={handleSchedulerChange}
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-sm">
+              为交互请求保留的并发数
+              <input
+                type="number"
+                name="interactiveReserve"
+                min="0"
+                max="16"
+                value={scheduler.interactiveReserve}
+                onChange={handleSchedulerChange}
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-sm">
+              后台请求提升优先级前的等待（秒）
+              <input
+                type="number"
+                name="starvationTimeout"
+                min="0"
+                value={scheduler.starvationTimeout / 1000}
+                onChange={handleSchedulerChange}
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-sm">
+              每分钟请求数
+              <input
+                type="number"
+                name="requestsPerMinute"
+                min="0"
+                value={scheduler.requestsPerMinute}
+                onChange={handleSchedulerChange}
+                className={inputClassName}
+              />
+            </label>
+            <label className="text-sm">
+              每分钟令牌数
+              <input
+                type="number"
+                name="tokensPerMinute"
+                min="0"
+                step="1000"
+                value={scheduler.tokensPerMinute}
+                onChange={handleSchedulerChange}
+                className={inputClassName}
+              />
+            </label>
+          </div>
+          
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            进行中 {queueStats.running} · 排队 {queueStats.queued}（交互 {queueStats.queuedInteractive}，后台 {queueStats.queuedBackground}）
+            · 平均等待 {(queueStats.averageWait / 1000).toFixed(1)}秒
+            · 最近一分钟 {queueStats.requestsLastMinute} 次请求、{queueStats.tokensLastMinute} 令牌
+          </div>
+          
+          <button
+            className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600"
+            onClick={handleSaveLLMConfig}
+          >
+            保存配置
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // 格式化费用
+  const formatCost = (cost) => `$${cost.toFixed(4)}`;
+
+  // 渲染用量汇总表格
+  const renderUsageTable = (title, groups, getLabel) => {
+    const rows = Object.entries(groups || {});
+    
+    if (rows.length === 0) return null;
+    
+    return (
+      <div>
+        <h3 className="font-medium mb-2">{title}</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-1">名称</th>
+              <th className="py-1 text-right">请求</th>
+              <th className="py-1 text-right">提示令牌</th>
+              <th className="py-1 text-right">生成令牌</th>
+              <th className="py-1 text-right">费用</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([key, totals]) => (
+              <tr key={key} className="border-t border-gray-200 dark:border-gray-700">
+                <td className="py-1">{getLabel(key)}</td>
+                <td className="py-1 text-right">{totals.requests}</td>
+                <td className="py-1 text-right">{totals.promptTokens}</td>
+                <td className="py-1 text-right">{totals.completionTokens}</td>
+                <td className="py-1 text-right">{formatCost(totals.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  // 渲染用量标签页
+  const renderUsageTab = () => {
+    const { session, today } = usageSummary;
+    const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700';
+    const budgetStep = usageSettings.budgetUnit === BudgetUnit.TOKENS ? '1000' : '0.01';
+    
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">用量与预算</h2>
+        
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+          {[['当前会话', session], ['今天', today]].map(([title, summary]) => (
+            <div key={title} className="p-4 bg-gray-100 dark:bg-gray-700 rounded-lg">
+              <h3 className="font-medium mb-2">{title}</h3>
+              {summary && (
+                <div className="text-sm space-y-1">
+                  <div>请求次数: {summary.totals.requests}</div>
+                  <div>令牌: {summary.totals.promptTokens} 提示 + {summary.totals.completionTokens} 生成</div>
+                  <div>费用: {formatCost(summary.totals.cost)}</div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+        
+        {session && (
+          <div className="space-y-4 mb-6">
+            {renderUsageTable('按角色', session.byAgent, key => agentRegistry.getAgent(key)?.name || key)}
+            {renderUsageTable('按提示类型', session.byPromptType, key => PROMPT_TYPE_LABELS[key] || key)}
+            {renderUsageTable('按模型', session.byModel, key => key)}
+          </div>
+        )}
+        
+        <div className="space-y-4">
+          <h3 className="font-medium">预算</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-gray-700 dark:text-gray-300 mb-1">预算单位</label>
+              <select
+                name="budgetUnit"
+                value={usageSettings.budgetUnit}
+                onChange={handleUsageSettingChange}
+                className={inputClassName}
+              >
+                <option value={BudgetUnit.COST}>费用（美元）</option>
+                <option value={BudgetUnit.TOKENS}>令牌数</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-700 dark:text-gray-300 mb-1">超出预算时</label>
+              <select
+                name="budgetAction"
+                value={usageSettings.budgetAction}
+                onChange={handleUsageSettingChange}
+                className={inputClassName}
+              >
+                <option value={BudgetAction.WARN}>仅提示</option>
+                <option value={BudgetAction.BLOCK}>停止使用LLM（改用离线模板）</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-700 dark:text-gray-300 mb-1">会话预算（0为不限）</label>
+              <input
+                type="number"
+                name="sessionBudget"
+                value={usageSettings.sessionBudget}
+                onChange={handleUsageSettingChange}
+                min="0"
+                step={budgetStep}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-700 dark:text-gray-300 mb-1">每日预算（0为不限）</label>
+              <input
+                type="number"
+                name="dailyBudget"
+                value={usageSettings.dailyBudget}
+                onChange={handleUsageSettingChange}
+                min="0"
+                step={budgetStep}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+          
+          <h3 className="font-medium">模型价格（美元 / 百万令牌）</h3>
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            按模型名前缀匹配，未列出的模型（如本地模型）不计费用。
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="py-1">模型</th>
+                <th className="py-1">提示</th>
+                <th className="py-1">生成</th>
+                <th className="py-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(usageSettings.prices || {}).map(([model, price]) => (
+                <tr key={model} className="border-t border-gray-200 dark:border-gray-700">
+                  <td className="py-1 pr-2 break-all">{model}</td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      value={price.prompt}
+                      onChange={(e) => handlePriceChange(model, 'prompt', e.target.value)}
+                      min="0"
+                      step="0.01"
+                      className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                    />
+                  </td>
+                  <td className="py-1 pr-2">
+                    <input
+                      type="number"
+                      value={price.completion}
+                      onChange={(e) => handlePriceChange(model, 'completion', e.target.value)}
+                      min="0"
+                      step="0.01"
+                      className="w-24 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                    />
+                  </td>
+                  <td className="py-1 text-right">
+                    <button
+                      className="text-red-500 hover:text-red-600"
+                      onClick={() => handleRemovePrice(model)}
+                    >
+                      删除
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex space-x-2">
+            <input
+              type="text"
+              value={newPriceModel}
+              onChange={(e) => setNewPriceModel(e.target.value)}
+              className="flex-grow px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+              placeholder="模型名或前缀"
+            />
+            <button
+              className="px-3 py-2 bg-gray-200 dark:bg-gray-600 rounded hover:bg-gray-300 dark:hover:bg-gray-500 whitespace-nowrap"
+              onClick={handleAddPrice}
+            >
+              添加价格
+            </button>
+          </div>
+          
+          <div className="flex space-x-2">
+            <button
+              className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600"
+              onClick={handleSaveUsageSettings}
+            >
+              保存设置
+            </button>
+            <button
+              className="px-4 py-2 bg-red-500 text-white rounded hover:bg-red-600"
+              onClick={handleClearUsage}
+            >
+              清空用量记录
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // 渲染游戏设置标签页
   const renderGameTab = () => {
     return (
@@ -366,7 +2142,48 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
               <span className="text-gray-700 dark:text-gray-300">调试模式</span>
             </label>
             <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
-              启用额外的日志和调试信息
+              显示"调试"标签页，记录最近的LLM请求（消息、参数、原始响应、耗时和令牌），可以对比和重新发送
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              提示语言
+            </label>
+            <select
+              name="promptLanguage"
+              value={gameConfig.promptLanguage || LANGUAGE_AUTO}
+              onChange={handleGameConfigChange}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            >
+              <option value={LANGUAGE_AUTO}>自动（跟随玩家输入）</option>
+              {Object.entries(PROMPT_LANGUAGE_LABELS).map(([language, label]) => (
+                <option key={language} value={language}>{label}</option>
+              ))}
+            </select>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              发送给模型的提示模板使用的语言，每种语言的模板可以在"模板"标签页分别修改
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              回复语言
+            </label>
+            <select
+              name="responseLanguage"
+              value={gameConfig.responseLanguage || LANGUAGE_AUTO}
+              onChange={handleGameConfigChange}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            >
+              <option value={LANGUAGE_AUTO}>自动（跟随玩家输入）</option>
+              {Object.entries(PROMPT_LANGUAGE_LABELS).map(([language, label]) => (
+                <option key={language} value={language}>{label}</option>
+              ))}
+            </select>
+            <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              提示末尾会要求模型使用该语言回复。
+              当前检测到的玩家语言：{PROMPT_LANGUAGE_LABELS[promptBuilder.detectPlayerLanguage()] || '无法判断（使用提示语言）'}
             </div>
           </div>
           
@@ -556,6 +2373,29 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
             >
               LLM设置
             </button>
+            <button
+              className={`px-4 py-2 ${
+                activeTab === 'routing' 
+                  ? 'border-b-2 border-indigo-500 text-indigo-500' 
+                  : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+              }`}
+              onClick={() => setActiveTab('routing')}
+            >
+              路由与备用
+            </button>
+            <button
+              className={`px-4 py-2 ${
+                activeTab === 'usage' 
+                  ? 'border-b-2 border-indigo-500 text-indigo-500' 
+                  : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+              }`}
+              onClick={() => {
+                setActiveTab('usage');
+                loadUsage();
+              }}
+            >
+              用量
+            </button>
             <button
               className={`px-4 py-2 ${
                 activeTab === 'game' 
@@ -592,6 +2432,8 @@ const SettingsPanel = ({ onResetGame, onExportGame, onImportGame }) => {
         {/* 标签页内容 */}
         <div className="p-6">
           {activeTab === 'llm' && renderLLMTab()}
+          {activeTab === 'routing' && renderRoutingTab()}
+          {activeTab === 'usage' && renderUsageTab()}
           {activeTab === 'game' && renderGameTab()}
           {activeTab === 'interface' && renderInterfaceTab()}
           {activeTab === 'data' && renderDataTab()}
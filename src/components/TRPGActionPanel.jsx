@@ -9,8 +9,10 @@ import { ActionType, TargetType, parseActionInput } from '../modules/action_spac
  * @param {function} props.onSubmitAction - 提交行为的回调函数
  * @param {Array} props.availableTargets - 可选目标列表
  * @param {string} props.currentActorId - 当前角色ID
+ * @param {boolean} [props.isProcessing] - 是否正在生成响应
+ * @param {function} [props.onStop] - 停止生成的回调函数
  */
-const TRPGActionPanel = ({ onSubmitAction, availableTargets = [], currentActorId = 'player' }) => {
+const TRPGActionPanel = ({ onSubmitAction, availableTargets = [], currentActorId = 'player', isProcessing = false, onStop }) => {
   // 状态管理
   const [inputText, setInputText] = useState('');
   const [actionType, setActionType] = useState(ActionType.DIALOGUE);
@@ -81,7 +83,7 @@ const TRPGActionPanel = ({ onSubmitAction, availableTargets = [], currentActorId
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (!inputText.trim()) return;
+    if (!inputText.trim() || isProcessing) return;
     
     // 构建行为对象
     const action = {
@@ -352,13 +354,22 @@ const TRPGActionPanel = ({ onSubmitAction, availableTargets = [], currentActorId
         
         {renderAdvancedOptions()}
         
-        <div className="flex justify-end">
+        <div className="flex justify-end space-x-2">
+          {isProcessing && onStop && (
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={onStop}
+            >
+              ■ 停止生成
+            </button>
+          )}
           <button
             type="submit"
             className="btn btn-primary"
-            disabled={!inputText.trim()}
+            disabled={!inputText.trim() || isProcessing}
           >
-            发送
+            {isProcessing ? '生成中...' : '发送'}
           </button>
         </div>
       </form>
@@ -2,6 +2,11 @@ import React, { useState, useEffect } from 'react';
 import gameState from '../modules/game_state';
 import promptBuilder from '../modules/prompt_builder';
 import llmAdapter from '../modules/llm_adapter';
+import {
+  WORLDBOOK_INSERTION_ORDER_LABELS,
+  DEFAULT_ENTRY_ORDER,
+  getWorldbookSettings
+} from '../modules/worldbook_scanner';
 
 /**
  * 世界书编辑器组件
@@ -51,6 +56,9 @@ const WorldBookPanel = () => {
     setWorldBook(newWorldBook);
   };
 
+  // 触发设置
+  const triggerSettings = getWorldbookSettings(worldBook);
+
   // 获取选中的条目
   const selectedEntry = selectedEntryId 
     ? worldBook.entries.find(entry => entry.id === selectedEntryId) 
@@ -69,6 +77,7 @@ const WorldBookPanel = () => {
       return (
         (entry.name && entry.name.toLowerCase().includes(searchLower)) ||
         (entry.content && entry.content.toLowerCase().includes(searchLower)) ||
+        (entry.keys && entry.keys.some(key => key.toLowerCase().includes(searchLower))) ||
         (entry.category && entry.category.toLowerCase().includes(searchLower))
       );
     }
@@ -93,6 +102,7 @@ const WorldBookPanel = () => {
       content: '',
       category: '',
       tags: [],
+      keys: [],
       isActive: true
     });
   };
@@ -139,16 +149,44 @@ const WorldBookPanel = () => {
     });
   };
 
-  // 处理标签变更
-  const handleTagsChange = (e) => {
-    const tagsString = e.target.value;
-    const tagsArray = tagsString.split(',').map(tag => tag.trim()).filter(Boolean);
+  // 处理标签和触发关键词变更，空项保留到提交时再去掉，以便继续输入逗号
+  const handleListChange = (e) => {
+    const { name, value } = e.target;
+    const list = value.split(',').map(item => item.trim());
+    setFormData({
+      ...formData,
+      [name]: list
+    });
+  };
+
+  // 处理插入顺序变更，留空表示使用默认值
+  const handleOrderChange = (e) => {
+    const { value } = e.target;
     setFormData({
       ...formData,
-      tags: tagsArray
+      order: value === '' ? undefined : Number(value)
     });
   };
 
+  // 处理触发设置变更
+  const handleTriggerSettingChange = (e) => {
+    const { name, value, type } = e.target;
+    saveWorldBook({
+      ...worldBook,
+      settings: {
+        ...triggerSettings,
+        [name]: type === 'number' ? Number(value) : value
+      }
+    });
+  };
+
+  // 去掉标签和触发关键词中的空项
+  const cleanEntryForm = (data) => ({
+    ...data,
+    tags: (data.tags || []).filter(Boolean),
+    keys: (data.keys || []).filter(Boolean)
+  });
+
   // 处理表单提交
   const handleFormSubmit = (e) => {
     e.preventDefault();
@@ -163,7 +201,7 @@ const WorldBookPanel = () => {
       } else if (isCreating) {
         // 创建新条目
         const newEntry = {
-          ...formData,
+          ...cleanEntryForm(formData),
           id: `entry_${Date.now()}`,
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
@@ -182,7 +220,7 @@ const WorldBookPanel = () => {
         // 更新现有条目
         const updatedEntries = worldBook.entries.map(entry => 
           entry.id === selectedEntryId ? 
-            { ...entry, ...formData, updatedAt: new Date().toISOString() } : 
+            { ...entry, ...cleanEntryForm(formData), updatedAt: new Date().toISOString() } : 
             entry
         );
         
@@ -220,9 +258,9 @@ const WorldBookPanel = () => {
       });
       
       // 发送请求
+      // 温度和令牌数由世界构建任务的路由配置决定
       const response = await llmAdapter.sendRequest(prompt.text, {
-        temperature: 0.7,
-        maxTokens: 1000
+        task: prompt.type
       });
       
       // 更新主要设定
@@ -363,6 +401,22 @@ const WorldBookPanel = () => {
             </div>
           </div>
           
+          {selectedEntry.keys && selectedEntry.keys.length > 0 && (
+            <div className="mb-4">
+              <h3 className="text-lg font-semibold mb-2">触发关键词</h3>
+              <div className="flex flex-wrap gap-2">
+                {selectedEntry.keys.map((key, index) => (
+                  <span 
+                    key={index}
+                    className="px-2 py-1 bg-indigo-100 dark:bg-indigo-900 rounded-full text-sm"
+                  >
+                    {key}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+          
           {selectedEntry.tags && selectedEntry.tags.length > 0 && (
             <div className="mb-4">
               <h3 className="text-lg font-semibold mb-2">标签</h3>
@@ -380,6 +434,8 @@ const WorldBookPanel = () => {
           )}
           
           <div className="text-sm text-gray-500 dark:text-gray-400 mt-4">
+            {selectedEntry.isActive === false ? '已停用，不会注入提示' : `插入顺序: ${selectedEntry.order ?? DEFAULT_ENTRY_ORDER}`}
+            <br />
             创建时间: {new Date(selectedEntry.createdAt).toLocaleString()}
             <br />
             更新时间: {new Date(selectedEntry.updatedAt).toLocaleString()}
@@ -416,6 +472,65 @@ const WorldBookPanel = () => {
     );
   };
 
+  // 渲染触发设置
+  const renderTriggerSettings = () => {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow p-4 mb-4">
+        <h3 className="text-lg font-semibold mb-4">触发设置</h3>
+        
+        <div className="space-y-4">
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              扫描的历史记录条数
+            </label>
+            <input
+              type="number"
+              name="scanDepth"
+              value={triggerSettings.scanDepth}
+              onChange={handleTriggerSettingChange}
+              min="0"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            />
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              最多注入条目数
+            </label>
+            <input
+              type="number"
+              name="maxEntries"
+              value={triggerSettings.maxEntries}
+              onChange={handleTriggerSettingChange}
+              min="0"
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            />
+          </div>
+          
+          <div>
+            <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+              插入顺序
+            </label>
+            <select
+              name="insertionOrder"
+              value={triggerSettings.insertionOrder}
+              onChange={handleTriggerSettingChange}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+            >
+              {Object.entries(WORLDBOOK_INSERTION_ORDER_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            最近的行为和历史记录中出现条目的名称、标签或触发关键词时，条目会注入角色响应、GM叙述和故事进展的提示。最多注入条目数为0表示不限制。
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   // 渲染AI生成工具
   const renderGenerationTool = () => {
     return (
@@ -542,8 +657,37 @@ const WorldBookPanel = () => {
                 </label>
                 <input
                   type="text"
+                  name="tags"
                   value={formData.tags ? formData.tags.join(', ') : ''}
-                  onChange={handleTagsChange}
+                  onChange={handleListChange}
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                />
+              </div>
+              
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+                  触发关键词（用逗号分隔）
+                </label>
+                <input
+                  type="text"
+                  name="keys"
+                  value={formData.keys ? formData.keys.join(', ') : ''}
+                  onChange={handleListChange}
+                  placeholder="名称和标签也会触发此条目"
+                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
+                />
+              </div>
+              
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-300 font-medium mb-2">
+                  插入顺序（数字越小越靠前）
+                </label>
+                <input
+                  type="number"
+                  name="order"
+                  value={formData.order ?? ''}
+                  onChange={handleOrderChange}
+                  placeholder={String(DEFAULT_ENTRY_ORDER)}
                   className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md dark:bg-gray-700"
                 />
               </div>
@@ -599,6 +743,7 @@ const WorldBookPanel = () => {
           {/* 左侧：主要设定和生成工具 */}
           <div className="md:col-span-1">
             {renderMainSetting()}
+            {renderTriggerSettings()}
             {renderGenerationTool()}
           </div>
           
@@ -7,6 +7,10 @@ import agentRegistry, { AgentType, PersonalityTrait, EmotionalState } from './ag
 import trustMap, { RelationshipFactor } from './trust_map';
 import historyManager, { HistoryEntryType } from './history.js';
 import gameState from './game_state';
+import llmAdapter, { RequestCancelledError, LLMRequestError, ResponseTier, ModelType } from './llm_adapter';
+import promptBuilder, { PromptType, PromptFormat } from './prompt_builder';
+import { registerGameTools } from './game_tools';
+import { renderTemplate } from './template_engine';
 
 /**
  * 响应类型枚举
@@ -52,6 +56,9 @@ export const DecisionType = {
  */
 class AgentPolicy {
   constructor() {
+    // 注册GM可调用的游戏工具
+    registerGameTools();
+    
     // 响应模板
     this.responseTemplates = {
       [EmotionalState.HAPPY]: [
@@ -97,6 +104,10 @@ class AgentPolicy {
    * @param {string} agentId - 角色ID
    * @param {Object} action - 触发响应的行为
    * @param {Object} [options={}] - 响应选项
+   * @param {boolean} [options.useLLM=true] - 是否在LLM可用时使用LLM生成响应
+   * @param {boolean} [options.useTools=true] - 是否允许GM调用游戏工具
+   * @param {Function} [options.onToken] - 流式输出回调 (agentId, token, text)
+   * @param {AbortSignal} [options.signal] - 用于取消生成的信号，已生成的部分文本会保留为中断的响应
    * @returns {Promise<Object>} 响应对象
    */
   async generateResponse(agentId, action, options = {}) {
@@ -140,11 +151,18 @@ class AgentPolicy {
           throw new Error(`不支持的角色类型: ${agent.type}`);
       }
       
+      // 没有经过LLM的响应来自离线模板
+      if (!response.servedBy && !response.interrupted) {
+        response.servedBy = { tier: ResponseTier.OFFLINE };
+      }
+      
       // 记录响应到历史
       if (response.type === ResponseType.DIALOGUE) {
         historyManager.addNPCResponseEntry(agentId, response.content, {
           emotion: agent.currentEmotion,
-          intensity: agent.emotionIntensity
+          intensity: agent.emotionIntensity,
+          interrupted: response.interrupted || undefined,
+          servedBy: response.servedBy
         });
       }
       
@@ -159,6 +177,15 @@ class AgentPolicy {
       
       return response;
     } catch (error) {
+      // 取消且没有已生成的文本
+      if (error instanceof RequestCancelledError) {
+        return {
+          type: ResponseType.REJECTION,
+          content: '已取消',
+          cancelled: true
+        };
+      }
+      
       console.error('生成角色响应失败:', error);
       // 返回一个错误响应
       return {
@@ -294,8 +321,23 @@ class AgentPolicy {
    * @returns {Promise<Object>} 响应对象
    */
   async _generateNPCResponse(agent, context, options) {
-    // 在实际应用中，这里会调用LLM生成响应
-    // 现在使用模拟响应
+    // LLM可用时由LLM生成对话
+    if (this._shouldUseLLM(options, PromptType.AGENT_RESPONSE)) {
+      const response = await this._generateLLMResponse(agent, PromptType.AGENT_RESPONSE, {
+        agent: agent.id,
+        action: context.action
+      }, options);
+      
+      if (response) {
+        return {
+          ...response,
+          emotion: agent.currentEmotion,
+          emotionIntensity: this._calculateEmotionIntensity(agent, context)
+        };
+      }
+    }
+    
+    // 否则使用模板响应
     
     // 根据上下文决定响应类型
     const responseType = this._determineResponseType(context);
@@ -335,6 +377,21 @@ class AgentPolicy {
    */
   async _generateGMResponse(agent, context, options) {
     // GM响应通常是叙述性的，描述场景或结果
+    if (this._shouldUseLLM(options, PromptType.ACTION_RESULT)) {
+      const response = await this._generateLLMResponse(agent, PromptType.ACTION_RESULT, {
+        action: context.action,
+        actor: context.action.actorId
+      }, options, options.useTools !== false);
+      
+      if (response) {
+        return {
+          ...response,
+          emotion: EmotionalState.NEUTRAL,
+          emotionIntensity: 50
+        };
+      }
+    }
+    
     return {
       type: ResponseType.DIALOGUE,
       content: this._generateNarrativeDescription(context),
@@ -353,6 +410,19 @@ class AgentPolicy {
    */
   async _generateEnvironmentResponse(agent, context, options) {
     // 环境响应通常是描述性的
+    if (this._shouldUseLLM(options, PromptType.ENVIRONMENT_DESCRIPTION)) {
+      const response = await this._generateLLMResponse(agent, PromptType.ENVIRONMENT_DESCRIPTION, {
+        locationId: context.environment.locationId
+      }, options);
+      
+      if (response) {
+        return {
+          ...response,
+          emotion: null
+        };
+      }
+    }
+    
     return {
       type: ResponseType.DIALOGUE,
       content: this._generateEnvironmentDescription(context),
@@ -360,6 +430,126 @@ class AgentPolicy {
     };
   }
 
+  /**
+   * 判断是否使用LLM生成响应
+   * @private
+   * @param {Object} options - 响应选项
+   * @param {string} [promptType] - 提示类型，用于检查该任务路由到的提供商
+   * @returns {boolean} 是否使用LLM
+   */
+  _shouldUseLLM(options, promptType) {
+    return options.useLLM !== false && llmAdapter.isConfigured(promptType);
+  }
+
+  /**
+   * 使用LLM生成响应
+   * @private
+   * @param {Object} agent - 角色对象
+   * @param {string} promptType - 提示类型
+   * @param {Object} promptContext - 提示上下文
+   * @param {Object} options - 响应选项
+   * @param {boolean} [withTools=false] - 是否允许调用游戏工具
+   * @returns {Promise<Object|null>} 响应对象，所有提供商都失败时返回null，由调用方使用离线模板
+   */
+  async _generateLLMResponse(agent, promptType, promptContext, options, withTools = false) {
+    // 按该任务路由到的模型计算上下文预算；补全模型使用单个字符串，工具调用只支持聊天格式
+    const routeConfig = llmAdapter.getRouteConfig(promptType);
+    const useText = !withTools && routeConfig.modelType === ModelType.COMPLETION;
+    const prompt = promptBuilder.buildPrompt(promptType, promptContext, {
+      format: useText ? PromptFormat.TEXT : PromptFormat.MESSAGES,
+      tokenBudget: routeConfig.contextTokenBudget,
+      tokenOptions: routeConfig
+    });
+    const { onToken } = options;
+    
+    const requestOptions = {
+      task: promptType,
+      agentId: agent.id,
+      stream: !!onToken,
+      onToken: onToken ? (token, text) => onToken(agent.id, token, text) : undefined,
+      signal: options.signal
+    };
+    
+    let result;
+    
+    try {
+      if (withTools) {
+        result = await llmAdapter.chatWithTools(this._withToolInstruction(prompt.messages), {
+          ...requestOptions,
+          toolContext: { agentId: agent.id }
+        });
+      } else if (useText) {
+        result = await llmAdapter.textCompletion(prompt.text, requestOptions);
+      } else {
+        result = await llmAdapter.chatCompletion(prompt.messages, requestOptions);
+      }
+    } catch (error) {
+      // 取消时保留已经流式输出的文本，标记为中断
+      if (error instanceof RequestCancelledError && error.partialText.trim()) {
+        return {
+          type: ResponseType.DIALOGUE,
+          content: error.partialText.trim(),
+          rawContent: error.partialText,
+          interrupted: true
+        };
+      }
+      
+      // 主提供商和备用提供商都失败，降级到离线模板
+      if (error instanceof LLMRequestError) {
+        console.warn('LLM不可用，使用离线模板响应:', error.message);
+        return null;
+      }
+      
+      throw error;
+    }
+    
+    return {
+      type: ResponseType.DIALOGUE,
+      content: result.text.trim(),
+      rawContent: result.text,
+      model: result.model,
+      provider: result.provider,
+      servedBy: result.servedBy,
+      toolInvocations: result.toolInvocations
+    };
+  }
+
+  /**
+   * 将工具说明加到系统消息前
+   * @private
+   * @param {Array<Object>} messages - 消息数组
+   * @returns {Array<Object>} 新的消息数组
+   */
+  _withToolInstruction(messages) {
+    const instruction = this._buildToolInstruction();
+    const [first, ...rest] = messages;
+    
+    if (first?.role === 'system') {
+      return [{ role: 'system', content: `${instruction}\n\n${first.content}` }, ...rest];
+    }
+    
+    return [{ role: 'system', content: instruction }, ...messages];
+  }
+
+  /**
+   * 构建GM使用工具的系统提示
+   * 列出工具参数中需要的位置ID和角色ID，文本使用当前提示语言的提示包
+   * @private
+   * @returns {string} 系统提示
+   */
+  _buildToolInstruction() {
+    const strings = promptBuilder.getPromptStrings();
+    const state = gameState.getState();
+    const toTarget = ({ id, name }) => renderTemplate(strings.toolTarget, { id, name });
+    
+    return renderTemplate(strings.toolInstruction, {
+      locations: Object.values(state.environment?.locations || {}).map(toTarget),
+      characters: agentRegistry.getAllAgents()
+        .filter(agent => agent.type !== AgentType.GM)
+        .map(toTarget)
+    });
+  }
+
   /**
    * 确定响应类型
    * @private
@@ -683,6 +873,11 @@ class AgentPolicy {
     const responses = [];
     
     for (const agentId of agentIds) {
+      // 取消后不再生成剩余角色的响应
+      if (options.signal?.aborted) {
+        break;
+      }
+      
       try {
         const response = await this.generateResponse(agentId, action, options);
         responses.push({
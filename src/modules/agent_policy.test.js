@@ -0,0 +1,127 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import agentPolicy from './agent_policy';
+import llmAdapter, { ModelType, LLMProvider, RequestCancelledError } from './llm_adapter';
+import { PromptType } from './prompt_builder';
+import gameState from './game_state';
+import agentRegistry, { AgentType } from './agent_registry';
+import { PromptLanguage } from './prompt_language';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('LLM请求格式', () => {
+  const agent = { id: 'agent_test', name: '测试角色', type: 'npc' };
+
+  it('补全模型发送提示文本', async () => {
+    vi.spyOn(llmAdapter, 'getRouteConfig').mockReturnValue({ ...llmAdapter.getConfig(), modelType: ModelType.COMPLETION });
+    const textCompletion = vi.spyOn(llmAdapter, 'textCompletion').mockResolvedValue({ text: '你好' });
+    const chatCompletion = vi.spyOn(llmAdapter, 'chatCompletion');
+    
+    const response = await agentPolicy._generateLLMResponse(agent, PromptType.ENVIRONMENT_DESCRIPTION, {}, {});
+    
+    expect(response.content).toBe('你好');
+    expect(typeof textCompletion.mock.calls[0][0]).toBe('string');
+    expect(chatCompletion).not.toHaveBeenCalled();
+  });
+
+  it('聊天模型发送消息数组', async () => {
+    vi.spyOn(llmAdapter, 'getRouteConfig').mockReturnValue({ ...llmAdapter.getConfig(), modelType: ModelType.CHAT });
+    const chatCompletion = vi.spyOn(llmAdapter, 'chatCompletion').mockResolvedValue({ text: '你好' });
+    
+    await agentPolicy._generateLLMResponse(agent, PromptType.ENVIRONMENT_DESCRIPTION, {}, {});
+    
+    expect(Array.isArray(chatCompletion.mock.calls[0][0])).toBe(true);
+  });
+});
+
+describe('停止生成', () => {
+  const agent = { id: 'agent_test', name: '测试角色', type: 'npc' };
+
+  /**
+   * 替换fetch，先输出给定文本的流式数据块，之后一直等待直到请求被取消
+   * @param {Array<string>} tokens - 取消前输出的文本片段
+   */
+  const mockHangingStream = (tokens) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => new Response(new ReadableStream({
+      start(controller) {
+        for (const content of tokens) {
+          const chunk = { id: 'c1', model: 'm', choices: [{ delta: { content } }] };
+          controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(chunk)}\n\n`));
+        }
+        init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+      }
+    })));
+  };
+
+  const useChatRoute = () => {
+    vi.spyOn(llmAdapter, 'getRouteConfig').mockReturnValue({
+      ...llmAdapter.getConfig(),
+      provider: LLMProvider.OPENAI,
+      apiKey: 'sk-test',
+      modelType: ModelType.CHAT,
+      retries: 0
+    });
+  };
+
+  it('生成途中停止时保留已输出的文本，标记为中断', async () => {
+    useChatRoute();
+    mockHangingStream(['我知道', '北门']);
+    const controller = new AbortController();
+    
+    const response = await agentPolicy._generateLLMResponse(agent, PromptType.ENVIRONMENT_DESCRIPTION, {}, {
+      signal: controller.signal,
+      onToken: (agentId, token, text) => {
+        if (text === '我知道北门') controller.abort();
+      }
+    });
+    
+    expect(response).toMatchObject({ content: '我知道北门', interrupted: true });
+  });
+
+  it('还没有输出文本时停止，请求以取消结束', async () => {
+    useChatRoute();
+    mockHangingStream([]);
+    
+    const request = agentPolicy._generateLLMResponse(agent, PromptType.ENVIRONMENT_DESCRIPTION, {}, { onToken: () => {} });
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    llmAdapter.cancelAll();
+    
+    await expect(request).rejects.toBeInstanceOf(RequestCancelledError);
+  });
+});
+
+describe('GM工具说明', () => {
+  const useLanguage = (prompt) => {
+    vi.spyOn(gameState, 'getLanguageSettings').mockReturnValue({ prompt, response: prompt });
+    vi.spyOn(gameState, 'getState').mockReturnValue({ environment: { locations: { tavern: { id: 'tavern', name: 'Tavern' } } } });
+    vi.spyOn(agentRegistry, 'getAllAgents').mockReturnValue([
+      { id: 'gm', name: 'GM', type: AgentType.GM },
+      { id: 'alice', name: 'Alice', type: AgentType.NPC }
+    ]);
+  };
+
+  it('使用当前提示语言的提示包', () => {
+    useLanguage(PromptLanguage.EN);
+    const english = agentPolicy._buildToolInstruction();
+    
+    expect(english).toContain('You are the game master');
+    expect(english).toContain('Available locations: tavern (Tavern)');
+    expect(english).toContain('Characters: alice (Alice)');
+    expect(english).not.toMatch(/[\u4e00-\u9fff]/);
+    
+    useLanguage(PromptLanguage.JA);
+    expect(agentPolicy._buildToolInstruction()).toContain('利用可能な場所：tavern（Tavern）');
+    
+    useLanguage(PromptLanguage.ZH_CN);
+    expect(agentPolicy._buildToolInstruction()).toContain('可用位置：tavern（Tavern）');
+  });
+
+  it('没有位置和角色时显示为无', () => {
+    useLanguage(PromptLanguage.EN);
+    vi.spyOn(gameState, 'getState').mockReturnValue({});
+    vi.spyOn(agentRegistry, 'getAllAgents').mockReturnValue([]);
+    
+    expect(agentPolicy._buildToolInstruction()).toContain('Available locations: None\nCharacters: None');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * context_packer.js
+ * 按令牌预算组装提示上下文
+ * 上下文分为若干槽位，按优先级依次分配预算，预算不足时先舍弃低优先级槽位的内容
+ */
+
+/**
+ * 可取舍的上下文槽位枚举，名称与模板变量相同
+ * 角色设定和场景优先级最高，写在模板中总是包含，计入固定部分
+ * @readonly
+ * @enum {string}
+ */
+export const ContextSlot = {
+  /** 相关的世界书条目 */
+  WORLDBOOK: 'worldbook',
+  /** 角色记忆 */
+  MEMORIES: 'memories',
+  /** 近期历史记录 */
+  HISTORY: 'history',
+  /** 更早历史的摘要 */
+  SUMMARY: 'summary'
+};
+
+/**
+ * 槽位的显示名称
+ * @type {Object}
+ */
+export const CONTEXT_SLOT_LABELS = {
+  [ContextSlot.WORLDBOOK]: '相关世界书',
+  [ContextSlot.MEMORIES]: '记忆',
+  [ContextSlot.HISTORY]: '近期历史',
+  [ContextSlot.SUMMARY]: '早期摘要'
+};
+
+/**
+ * 槽位的默认设置，priority 越小越先分配（角色设定和场景视为1和2）
+ * maxShare 为最多占用预算的比例（0表示不限），近期历史留出余量给早期摘要；contiguous 表示遇到放不下的内容后不再尝试后面的内容，保证历史连续
+ * @type {Object}
+ */
+export const DEFAULT_CONTEXT_SLOTS = {
+  [ContextSlot.WORLDBOOK]: { priority: 3, maxShare: 0.25, contiguous: false },
+  [ContextSlot.MEMORIES]: { priority: 4, maxShare: 0.2, contiguous: false },
+  [ContextSlot.HISTORY]: { priority: 5, maxShare: 0.45, contiguous: true },
+  [ContextSlot.SUMMARY]: { priority: 6, maxShare: 0.15, contiguous: true }
+};
+
+/**
+ * 报告中被舍弃内容的预览长度
+ * @type {number}
+ */
+const PREVIEW_LENGTH = 40;
+
+/**
+ * 按预算选择各槽位的内容
+ * @param {Object} params - 参数
+ * @param {number} [params.budget] - 令牌预算，0或未设置表示不限制
+ * @param {number} [params.fixedTokens=0] - 总是包含的内容（模板、角色设定、场景）占用的令牌数
+ * @param {Array<Object>} params.slots - 槽位 [{ name, priority, maxShare, contiguous, reverse, items }]；
+ *   items 为 [{ id, text, value }]，按偏好排列，reverse 为真时从末尾开始选择；
+ *   items 也可以是函数，参数为之前槽位已选的内容
+ * @param {Function} params.countTokens - 计算文本令牌数的函数
+ * @returns {Object} 结果 { selected: 槽位名到所选 value 数组的映射（保持 items 的顺序）, report }
+ */
+export function packContext({ budget, fixedTokens = 0, slots, countTokens }) {
+  const limited = budget > 0;
+  let remaining = (limited ? budget : Infinity) - fixedTokens;
+  const selected = {};
+  const slotReports = [];
+  const dropped = [];
+
+  for (const slot of [...slots].sort((a, b) => a.priority - b.priority)) {
+    const items = (typeof slot.items === 'function' ? slot.items(selected) : slot.items) || [];
+    const cap = limited && slot.maxShare > 0 ? Math.floor(budget * slot.maxShare) : Infinity;
+    const order = items.map((item, index) => index);
+    const chosen = new Set();
+    let used = 0;
+    let blockedReason = null;
+    
+    if (slot.reverse) {
+      order.reverse();
+    }
+    
+    for (const index of order) {
+      const item = items[index];
+      const tokens = countTokens(item.text);
+      const overSlot = used + tokens > cap;
+      
+      if (!blockedReason && tokens <= remaining && !overSlot) {
+        chosen.add(index);
+        used += tokens;
+        remaining -= tokens;
+        continue;
+      }
+      
+      // 连续的槽位中，之后的内容与第一条放不下的内容原因相同
+      const reason = blockedReason || (overSlot ? 'slot_limit' : 'budget');
+      dropped.push({
+        slot: slot.name,
+        id: item.id,
+        preview: item.text.slice(0, PREVIEW_LENGTH),
+        tokens,
+        reason
+      });
+      
+      if (slot.contiguous) {
+        blockedReason = reason;
+      }
+    }
+    
+    selected[slot.name] = items.filter((item, index) => chosen.has(index)).map(item => item.value);
+    slotReports.push({
+      name: slot.name,
+      label: CONTEXT_SLOT_LABELS[slot.name] || slot.name,
+      priority: slot.priority,
+      included: chosen.size,
+      dropped: items.length - chosen.size,
+      tokens: used,
+      limit: Number.isFinite(cap) ? cap : null
+    });
+  }
+
+  const usedTokens = fixedTokens + slotReports.reduce((sum, slot) => sum + slot.tokens, 0);
+
+  return {
+    selected,
+    report: {
+      budget: limited ? budget : null,
+      fixedTokens,
+      usedTokens,
+      overBudget: limited && fixedTokens > budget,
+      slots: slotReports,
+      dropped
+    }
+  };
+}
+
+export default {
+  ContextSlot,
+  CONTEXT_SLOT_LABELS,
+  DEFAULT_CONTEXT_SLOTS,
+  packContext
+};
@@ -0,0 +1,110 @@
+/**
+ * embeddings.js
+ * 文本向量的本地工具函数
+ * 哈希n-gram向量不依赖任何模型服务，结果只由文本决定，可作为嵌入接口不可用时的后备
+ */
+
+/**
+ * 哈希向量的默认维度
+ * @type {number}
+ */
+export const HASH_EMBEDDING_DIMENSIONS = 256;
+
+/**
+ * 哈希向量的模型名称，用于区分不同来源的向量
+ * @type {string}
+ */
+export const HASH_EMBEDDING_MODEL = 'hash-ngram';
+
+/**
+ * 32位FNV-1a哈希
+ * @param {string} text - 文本
+ * @returns {number} 无符号32位哈希
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * 提取文本特征
+ * 拉丁字母和数字按单词计，中日韩等文字按单字和相邻两字、三字计，兼顾中文不分词的情况
+ * @param {string} text - 文本
+ * @returns {Array<string>} 特征数组
+ */
+function extractFeatures(text) {
+  const normalized = (text || '').normalize('NFKC').toLowerCase();
+  const features = [];
+
+  for (const [word] of normalized.matchAll(/[\p{Script=Latin}\p{N}]+/gu)) {
+    features.push(`w:${word}`);
+  }
+
+  for (const [run] of normalized.matchAll(/[^\s\p{P}\p{S}\p{Script=Latin}\p{N}]+/gu)) {
+    const chars = Array.from(run);
+    
+    for (let n = 1; n <= 3; n++) {
+      for (let i = 0; i + n <= chars.length; i++) {
+        features.push(`${n}:${chars.slice(i, i + n).join('')}`);
+      }
+    }
+  }
+
+  return features;
+}
+
+/**
+ * 计算哈希n-gram向量
+ * 每个特征哈希到一个维度，符号由另一位哈希决定以抵消碰撞，最后做L2归一化
+ * @param {string} text - 文本
+ * @param {number} [dimensions=HASH_EMBEDDING_DIMENSIONS] - 向量维度
+ * @returns {Array<number>} 单位向量，空文本返回全零向量
+ */
+export function hashEmbedding(text, dimensions = HASH_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const feature of extractFeatures(text)) {
+    const hash = fnv1a(feature);
+    const sign = (hash & 0x80000000) ? -1 : 1;
+    vector[hash % dimensions] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * 计算两个向量的余弦相似度
+ * @param {Array<number>} a - 向量
+ * @param {Array<number>} b - 向量
+ * @returns {number} 相似度（-1到1），维度不同或任一为零向量时返回0
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+export default {
+  hashEmbedding,
+  cosineSimilarity,
+  HASH_EMBEDDING_DIMENSIONS,
+  HASH_EMBEDDING_MODEL
+};
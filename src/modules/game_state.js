@@ -4,6 +4,8 @@
  */
 
 import { ActionType, TargetType } from './action_space';
+import secretStore, { extractSecrets, stripSecrets } from './secret_store';
+import { PromptLanguage, DEFAULT_LANGUAGE_SETTINGS } from './prompt_language';
 
 /**
  * 游戏阶段枚举
@@ -120,6 +122,12 @@ class GameState {
       // 世界书和设定
       worldbook: [],
       
+      // 用户修改过的提示模板，按提示包语言分组，组内键为提示类型，未修改的使用默认模板
+      promptTemplates: {},
+      
+      // 会话语言：prompt 为提示包语言，response 为回复语言，auto 表示跟随玩家输入
+      language: { ...DEFAULT_LANGUAGE_SETTINGS },
+      
       // 游戏标志和变量
       flags: {},
       variables: {},
@@ -473,6 +481,82 @@ class GameState {
     return removed;
   }
 
+  /**
+   * 获取用户修改过的提示模板
+   * @param {string} promptType - 提示类型
+   * @param {string} [language='zh-CN'] - 提示包语言
+   * @returns {string|undefined} 模板文本，未修改时为undefined
+   */
+  getPromptTemplate(promptType, language = PromptLanguage.ZH_CN) {
+    return this.state.promptTemplates?.[language]?.[promptType];
+  }
+
+  /**
+   * 保存用户修改的提示模板
+   * @param {string} promptType - 提示类型
+   * @param {string} source - 模板文本
+   * @param {string} [language='zh-CN'] - 提示包语言
+   */
+  setPromptTemplate(promptType, source, language = PromptLanguage.ZH_CN) {
+    const templates = this.state.promptTemplates || {};
+    
+    this.state.promptTemplates = {
+      ...templates,
+      [language]: {
+        ...templates[language],
+        [promptType]: source
+      }
+    };
+    
+    this.state.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * 删除用户修改的提示模板，恢复为默认模板
+   * @param {string} promptType - 提示类型
+   * @param {string} [language='zh-CN'] - 提示包语言
+   * @returns {boolean} 是否修改过
+   */
+  resetPromptTemplate(promptType, language = PromptLanguage.ZH_CN) {
+    if (this.getPromptTemplate(promptType, language) === undefined) {
+      return false;
+    }
+    
+    const templates = this.state.promptTemplates || {};
+    const group = { ...templates[language] };
+    delete group[promptType];
+    
+    this.state.promptTemplates = {
+      ...templates,
+      [language]: group
+    };
+    this.state.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * 获取会话语言设置
+   * @returns {Object} 语言设置 { prompt, response }
+   */
+  getLanguageSettings() {
+    return { ...DEFAULT_LANGUAGE_SETTINGS, ...this.state.language };
+  }
+
+  /**
+   * 更新会话语言设置
+   * @param {Object} settings - 要更新的字段 { prompt, response }
+   * @returns {Object} 更新后的语言设置
+   */
+  updateLanguageSettings(settings) {
+    this.state.language = {
+      ...this.getLanguageSettings(),
+      ...settings
+    };
+    
+    this.state.updatedAt = new Date().toISOString();
+    return this.state.language;
+  }
+
   /**
    * 获取LLM配置
    * @returns {Object} LLM配置
@@ -503,7 +587,7 @@ class GameState {
    */
   saveToLocalStorage(key = 'ai_trpg_game_state') {
     try {
-      const serializedState = JSON.stringify(this.state);
+      const serializedState = JSON.stringify(this._getShareableState());
       localStorage.setItem(key, serializedState);
       return true;
     } catch (error) {
@@ -526,7 +610,16 @@ class GameState {
       }
       
       const loadedState = JSON.parse(serializedState);
-      this.state = loadedState;
+      
+      // 旧版本以明文保存的API密钥转交给加密存储，并立即覆盖本地明文
+      const { value: llmConfig, secrets } = extractSecrets(loadedState.llmConfig);
+      this.state = { ...loadedState, llmConfig };
+      
+      if (Object.keys(secrets).length > 0) {
+        secretStore.adoptLegacySecrets(secrets);
+        this.saveToLocalStorage(key);
+      }
+      
       return true;
     } catch (error) {
       console.error('加载游戏状态失败:', error);
@@ -535,22 +628,25 @@ class GameState {
   }
 
   /**
-   * 导出游戏状态为JSON字符串
+   * 导出游戏状态为JSON字符串，不包含API密钥
    * @returns {string} JSON字符串
    */
   exportState() {
-    return JSON.stringify(this.state, null, 2);
+    return JSON.stringify(this._getShareableState(), null, 2);
   }
 
   /**
-   * 从JSON字符串导入游戏状态
+   * 从JSON字符串导入游戏状态，其中的API密钥会被忽略
    * @param {string} jsonString - JSON字符串
    * @returns {boolean} 是否成功导入
    */
   importState(jsonString) {
     try {
       const importedState = JSON.parse(jsonString);
-      this.state = importedState;
+      this.state = {
+        ...importedState,
+        llmConfig: stripSecrets(importedState.llmConfig)
+      };
       return true;
     } catch (error) {
       console.error('导入游戏状态失败:', error);
@@ -558,6 +654,18 @@ class GameState {
     }
   }
 
+  /**
+   * 获取去掉API密钥的状态，用于保存和导出
+   * @private
+   * @returns {Object} 状态副本
+   */
+  _getShareableState() {
+    return {
+      ...this.state,
+      llmConfig: stripSecrets(this.state.llmConfig)
+    };
+  }
+
   /**
    * 生成唯一的游戏ID
    * @private
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import gameState from './game_state';
+
+describe('提示模板', () => {
+  it('按语言分别保存和恢复', () => {
+    gameState.setPromptTemplate('agent_response', '中文模板');
+    gameState.setPromptTemplate('agent_response', 'English template', 'en');
+    
+    expect(gameState.getPromptTemplate('agent_response')).toBe('中文模板');
+    expect(gameState.getPromptTemplate('agent_response', 'en')).toBe('English template');
+    expect(gameState.getPromptTemplate('agent_response', 'ja')).toBeUndefined();
+    
+    expect(gameState.resetPromptTemplate('agent_response', 'en')).toBe(true);
+    expect(gameState.resetPromptTemplate('agent_response', 'en')).toBe(false);
+    expect(gameState.getPromptTemplate('agent_response', 'en')).toBeUndefined();
+    expect(gameState.getPromptTemplate('agent_response')).toBe('中文模板');
+  });
+});
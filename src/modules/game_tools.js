@@ -0,0 +1,149 @@
+/**
+ * game_tools.js
+ * 定义可供LLM调用的游戏机制工具，并注册到LLM适配器
+ */
+
+import llmAdapter from './llm_adapter';
+import transition from './transition';
+import agentRegistry from './agent_registry';
+
+/**
+ * 内置游戏工具
+ * 每个工具包含说明、参数Schema和处理函数
+ * @type {Object}
+ */
+export const GAME_TOOLS = {
+  roll_dice: {
+    description: '掷骰子，用于判定行为是否成功或产生随机结果',
+    parameters: {
+      type: 'object',
+      properties: {
+        notation: {
+          type: 'string',
+          description: '骰子表达式，例如 "1d20"、"2d6+3"'
+        },
+        reason: {
+          type: 'string',
+          description: '掷骰的原因'
+        }
+      },
+      required: ['notation']
+    },
+    handler: ({ notation }) => transition.rollDice(notation)
+  },
+
+  move_character: {
+    description: '将角色移动到另一个位置，移动玩家时会切换当前场景',
+    parameters: {
+      type: 'object',
+      properties: {
+        characterId: {
+          type: 'string',
+          description: '角色ID，玩家为 "player"'
+        },
+        locationId: {
+          type: 'string',
+          description: '目标位置ID'
+        }
+      },
+      required: ['characterId', 'locationId']
+    },
+    handler: ({ characterId, locationId }) => {
+      const character = transition.moveCharacter(characterId, locationId);
+      return { characterId: character.id, location: character.location };
+    }
+  },
+
+  give_item: {
+    description: '把物品交给角色。指定fromId时从该角色背包转移，否则凭空给予新物品',
+    parameters: {
+      type: 'object',
+      properties: {
+        targetId: {
+          type: 'string',
+          description: '接收物品的角色ID，玩家为 "player"'
+        },
+        itemName: {
+          type: 'string',
+          description: '物品名称'
+        },
+        description: {
+          type: 'string',
+          description: '物品描述'
+        },
+        fromId: {
+          type: 'string',
+          description: '交出物品的角色ID（可选）'
+        }
+      },
+      required: ['targetId', 'itemName']
+    },
+    handler: ({ targetId, itemName, description, fromId }) => {
+      let item = null;
+
+      if (fromId) {
+        const source = agentRegistry.getAgent(fromId);
+
+        if (!source) {
+          throw new Error(`角色不存在: ${fromId}`);
+        }
+
+        item = (source.inventory || []).find(i => i.id === itemName || i.name === itemName);
+
+        if (!item) {
+          throw new Error(`${source.name} 没有物品: ${itemName}`);
+        }
+
+        agentRegistry.removeItemFromInventory(fromId, item.id);
+      } else {
+        item = {
+          id: `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          name: itemName,
+          description: description || ''
+        };
+      }
+
+      if (!agentRegistry.addItemToInventory(targetId, item)) {
+        throw new Error(`角色不存在: ${targetId}`);
+      }
+
+      return { targetId, item };
+    }
+  },
+
+  set_flag: {
+    description: '设置游戏标志，用于记录剧情进度或世界状态',
+    parameters: {
+      type: 'object',
+      properties: {
+        key: {
+          type: 'string',
+          description: '标志名称'
+        },
+        value: {
+          description: '标志值，可以是字符串、数字或布尔值'
+        }
+      },
+      required: ['key', 'value']
+    },
+    handler: ({ key, value }) => {
+      transition.setFlag(key, value);
+      return { key, value };
+    }
+  }
+};
+
+/**
+ * 将内置游戏工具注册到LLM适配器
+ * @param {Object} [adapter=llmAdapter] - LLM适配器实例
+ */
+export function registerGameTools(adapter = llmAdapter) {
+  for (const [name, tool] of Object.entries(GAME_TOOLS)) {
+    adapter.registerTool(name, tool);
+  }
+}
+
+export default {
+  GAME_TOOLS,
+  registerGameTools
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect, vi } from 'vitest';
+import { GAME_TOOLS, registerGameTools } from './game_tools';
+import gameState from './game_state';
+
+describe('游戏工具', () => {
+  it('注册全部内置工具', () => {
+    const adapter = { registerTool: vi.fn() };
+    
+    registerGameTools(adapter);
+    
+    expect(adapter.registerTool.mock.calls.map(([name]) => name)).toEqual(Object.keys(GAME_TOOLS));
+  });
+
+  it('set_flag 写入游戏标志', () => {
+    expect(GAME_TOOLS.set_flag.handler({ key: 'gate_open', value: true })).toEqual({ key: 'gate_open', value: true });
+    expect(gameState.getState().flags.gate_open).toBe(true);
+  });
+
+  it('give_item 从不存在的角色转移物品时报错', () => {
+    expect(() => GAME_TOOLS.give_item.handler({ targetId: 'player', itemName: '钥匙', fromId: 'nobody' })).toThrow('角色不存在: nobody');
+  });
+});
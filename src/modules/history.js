@@ -20,7 +20,9 @@ export const HistoryEntryType = {
   /** NPC响应 */
   NPC_RESPONSE: 'npc_response',
   /** 环境描述 */
-  ENVIRONMENT: 'environment'
+  ENVIRONMENT: 'environment',
+  /** 工具调用 */
+  TOOL_CALL: 'tool_call'
 };
 
 /**
@@ -139,6 +141,24 @@ class HistoryManager {
     });
   }
 
+  /**
+   * 添加工具调用历史记录
+   * @param {string} toolName - 工具名称
+   * @param {Object} args - 调用参数
+   * @param {*} [result] - 调用结果
+   * @param {string} [error] - 错误信息
+   * @returns {Object} 添加的历史记录条目
+   */
+  addToolCallEntry(toolName, args, result = null, error = null) {
+    return this.addEntry({
+      type: HistoryEntryType.TOOL_CALL,
+      toolName,
+      arguments: args,
+      result,
+      error
+    });
+  }
+
   /**
    * 获取完整历史记录
    * @returns {Array} 历史记录数组
@@ -330,6 +350,8 @@ class HistoryManager {
           return `[环境] ${entry.description}`;
         case HistoryEntryType.SYSTEM:
           return `[系统] ${entry.message}`;
+        case HistoryEntryType.TOOL_CALL:
+          return `[工具] ${entry.toolName}(${JSON.stringify(entry.arguments)})`;
         default:
           return null;
       }
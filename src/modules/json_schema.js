@@ -0,0 +1,178 @@
+/**
+ * json_schema.js
+ * JSON Schema校验和从模型输出中提取JSON的工具函数
+ */
+
+/**
+ * 获取值的JSON类型
+ * @param {*} value - 任意值
+ * @returns {string} JSON类型名称
+ */
+function getJSONType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * 判断值是否符合类型声明
+ * @param {*} value - 任意值
+ * @param {string} type - Schema中的类型
+ * @returns {boolean} 是否符合
+ */
+function matchesType(value, type) {
+  const actualType = getJSONType(value);
+
+  // integer 也是 number
+  if (type === 'number') {
+    return actualType === 'number' || actualType === 'integer';
+  }
+
+  return actualType === type;
+}
+
+/**
+ * 递归校验值
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 当前路径
+ * @param {Array<string>} errors - 错误收集数组
+ */
+function validateNode(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  // 类型
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: 应为 ${types.join('|')} 类型，实际为 ${getJSONType(value)}`);
+      return;
+    }
+  }
+
+  // 常量和枚举
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${path}: 应为 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push(`${path}: 应为以下值之一 ${JSON.stringify(schema.enum)}`);
+  }
+
+  // 数值范围
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: 不能小于 ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: 不能大于 ${schema.maximum}`);
+    }
+  }
+
+  // 字符串长度
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: 长度不能小于 ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: 长度不能大于 ${schema.maxLength}`);
+    }
+  }
+
+  // 数组
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: 元素数量不能少于 ${schema.minItems}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: 元素数量不能多于 ${schema.maxItems}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  // 对象
+  if (getJSONType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: 缺少必填字段`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(propertyValue, properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: 不允许的字段`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(propertyValue, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * 使用JSON Schema校验值
+ * 支持 type、enum、const、properties、required、additionalProperties、items
+ * 以及常用的数值、字符串和数组范围约束
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} 错误信息数组，为空表示校验通过
+ */
+export function validateJSONSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * 从模型输出中提取并解析JSON
+ * 兼容代码块包裹和前后多余文字的情况
+ * @param {string} text - 模型输出文本
+ * @returns {*} 解析后的值
+ * @throws {SyntaxError} 无法解析时抛出
+ */
+export function extractJSON(text) {
+  const trimmed = (text || '').trim();
+
+  // 直接解析
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // 继续尝试其他方式
+  }
+
+  // 代码块 ```json ... ```
+  const fenceMatch = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenceMatch) {
+    try {
+      return JSON.parse(fenceMatch[1].trim());
+    } catch (error) {
+      // 继续尝试其他方式
+    }
+  }
+
+  // 截取第一个 { 或 [ 到最后一个 } 或 ]
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+
+  if (start >= 0 && end > start) {
+    return JSON.parse(trimmed.slice(start, end + 1));
+  }
+
+  throw new SyntaxError('输出中没有找到JSON');
+}
+
+export default {
+  validateJSONSchema,
+  extractJSON
+};
@@ -4,6 +4,17 @@
  */
 
 import gameState from './game_state';
+import historyManager from './history';
+import { validateJSONSchema, extractJSON } from './json_schema';
+import usageLedger, { BudgetScope } from './usage_ledger';
+import responseCache from './response_cache';
+import fixtureStore, { ReplayMismatchError } from './llm_fixtures';
+import mockScript, { MockFault, DEFAULT_MOCK_SCRIPT } from './mock_script';
+import tokenizer from './tokenizer';
+import { hashEmbedding, HASH_EMBEDDING_DIMENSIONS, HASH_EMBEDDING_MODEL } from './embeddings';
+import secretStore, { extractSecrets, applySecrets, stripSecrets } from './secret_store';
+import requestScheduler, { RequestPriority, DEFAULT_SCHEDULER_SETTINGS } from './request_scheduler';
+import { SamplerDialect, DEFAULT_SAMPLER_PRESETS, pickSamplerParams, toProviderSamplerParams } from './sampler_params';
 
 /**
  * LLM提供商枚举
@@ -13,10 +24,16 @@ import gameState from './game_state';
 export const LLMProvider = {
   /** OpenAI API */
   OPENAI: 'openai',
+  /** Anthropic Messages API */
+  ANTHROPIC: 'anthropic',
   /** 本地模型 */
   LOCAL: 'local',
   /** 模拟模式（用于测试） */
-  MOCK: 'mock'
+  MOCK: 'mock',
+  /** 录制模式，转发给recordProvider并保存请求和响应 */
+  RECORD: 'record',
+  /** 回放模式，按请求指纹返回录制的响应 */
+  REPLAY: 'replay'
 };
 
 /**
@@ -33,6 +50,239 @@ export const ModelType = {
   EMBEDDING: 'embedding'
 };
 
+/**
+ * 本地模型接口类型枚举
+ * @readonly
+ * @enum {string}
+ */
+export const LocalApiType = {
+  /** OpenAI兼容接口（llama.cpp server、vLLM、LM Studio等） */
+  OPENAI_COMPATIBLE: 'openai_compatible',
+  /** Ollama原生接口 */
+  OLLAMA: 'ollama'
+};
+
+/**
+ * 本地模型的默认API地址
+ * @type {Object}
+ */
+const LOCAL_DEFAULT_ENDPOINTS = {
+  [LocalApiType.OPENAI_COMPATIBLE]: 'http://localhost:8080/v1',
+  [LocalApiType.OLLAMA]: 'http://localhost:11434'
+};
+
+/**
+ * JSON输出模式枚举
+ * @readonly
+ * @enum {string}
+ */
+export const JSONMode = {
+  /** 使用原生JSON Schema约束（response_format: json_schema / Ollama format） */
+  SCHEMA: 'json_schema',
+  /** 使用JSON模式（response_format: json_object / Ollama format: json），Schema仅通过提示约束 */
+  OBJECT: 'json_object',
+  /** 仅通过提示约束，适用于不支持JSON模式的服务器 */
+  PROMPT: 'prompt'
+};
+
+/**
+ * 结构化输出错误
+ * 模型输出在重试后仍无法解析或不符合Schema时抛出
+ */
+export class JSONOutputError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} details - 错误详情
+   * @param {Array<string>} details.errors - 最后一次校验的错误信息
+   * @param {string} details.rawText - 最后一次的模型输出
+   * @param {number} details.attempts - 尝试次数
+   */
+  constructor(message, { errors, rawText, attempts }) {
+    super(message);
+    this.name = 'JSONOutputError';
+    this.errors = errors;
+    this.rawText = rawText;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * 请求取消错误
+ * 通过AbortSignal或cancelAll取消请求时抛出，partialText为取消前已流式输出的文本
+ */
+export class RequestCancelledError extends Error {
+  /**
+   * @param {string} [partialText=''] - 取消前已生成的文本
+   */
+  constructor(partialText = '') {
+    super('请求已取消');
+    this.name = 'RequestCancelledError';
+    this.partialText = partialText;
+  }
+}
+
+/**
+ * 嵌入提供商枚举
+ * @readonly
+ * @enum {string}
+ */
+export const EmbeddingProvider = {
+  /** 跟随主提供商，主提供商没有嵌入接口时使用本地哈希向量 */
+  AUTO: 'auto',
+  /** OpenAI API */
+  OPENAI: 'openai',
+  /** 本地模型服务器 */
+  LOCAL: 'local',
+  /** 本地哈希n-gram向量，不需要模型服务 */
+  HASH: 'hash'
+};
+
+/**
+ * 未设置嵌入模型时各提供商使用的模型
+ * 本地模型服务器安装的模型各不相同，没有默认值，需要在设置中填写
+ * @type {Object}
+ */
+export const DEFAULT_EMBEDDING_MODELS = {
+  [EmbeddingProvider.OPENAI]: 'text-embedding-3-small'
+};
+
+/**
+ * LLM请求错误类型枚举
+ * @readonly
+ * @enum {string}
+ */
+export const LLMErrorType = {
+  /** 认证失败（401/403、缺少API密钥） */
+  AUTH: 'auth',
+  /** 请求频率或配额受限（429） */
+  RATE_LIMIT: 'rate_limit',
+  /** 服务器错误（5xx、服务过载） */
+  SERVER: 'server',
+  /** 请求超时 */
+  TIMEOUT: 'timeout',
+  /** 网络错误（无法连接、连接中断） */
+  NETWORK: 'network',
+  /** 请求参数错误（其他4xx） */
+  INVALID_REQUEST: 'invalid_request',
+  /** 超出用量预算 */
+  BUDGET: 'budget',
+  /** 回放时请求与录制记录不匹配 */
+  REPLAY_MISMATCH: 'replay_mismatch',
+  /** 未知错误 */
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * 可以重试的错误类型
+ * @type {Array<string>}
+ */
+const RETRYABLE_ERROR_TYPES = [
+  LLMErrorType.RATE_LIMIT,
+  LLMErrorType.SERVER,
+  LLMErrorType.TIMEOUT,
+  LLMErrorType.NETWORK
+];
+
+/**
+ * LLM请求错误
+ * 所有提供商的请求失败都会归类为此错误，type决定是否重试
+ */
+export class LLMRequestError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [details={}] - 错误详情
+   * @param {string} [details.type] - 错误类型，见LLMErrorType
+   * @param {number} [details.status] - HTTP状态码
+   * @param {number} [details.retryAfter] - 服务器要求的重试等待时间（毫秒）
+   * @param {string} [details.provider] - 提供商
+   * @param {Error} [details.cause] - 原始错误
+   */
+  constructor(message, { type = LLMErrorType.UNKNOWN, status = null, retryAfter = null, provider = null, cause = null } = {}) {
+    super(message);
+    this.name = 'LLMRequestError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+    this.cause = cause;
+  }
+
+  /**
+   * 是否可以重试
+   * @type {boolean}
+   */
+  get retryable() {
+    return RETRYABLE_ERROR_TYPES.includes(this.type);
+  }
+
+  /**
+   * 根据HTTP状态码判断错误类型
+   * @param {number} status - HTTP状态码
+   * @returns {string} 错误类型
+   */
+  static typeFromStatus(status) {
+    if (status === 401 || status === 403) return LLMErrorType.AUTH;
+    if (status === 429) return LLMErrorType.RATE_LIMIT;
+    if (status === 408) return LLMErrorType.TIMEOUT;
+    if (status >= 500) return LLMErrorType.SERVER;
+    if (status >= 400) return LLMErrorType.INVALID_REQUEST;
+    return LLMErrorType.UNKNOWN;
+  }
+}
+
+/**
+ * 响应来源层级枚举
+ * @readonly
+ * @enum {string}
+ */
+export const ResponseTier = {
+  /** 主提供商（全局配置或任务路由） */
+  PRIMARY: 'primary',
+  /** 备用提供商 */
+  FALLBACK: 'fallback',
+  /** 离线模板（不经过LLM） */
+  OFFLINE: 'offline'
+};
+
+/**
+ * 熔断器状态枚举
+ * @readonly
+ * @enum {string}
+ */
+export const CircuitState = {
+  /** 正常 */
+  CLOSED: 'closed',
+  /** 熔断中，跳过该提供商 */
+  OPEN: 'open',
+  /** 冷却结束，允许试探请求 */
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Anthropic API版本
+ * @type {string}
+ */
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic接受的最大temperature，其他提供商最大为2
+ * @type {number}
+ */
+const ANTHROPIC_MAX_TEMPERATURE = 1;
+
+/**
+ * Anthropic流式错误事件类型到错误类型的映射
+ * @type {Object}
+ */
+const ANTHROPIC_ERROR_TYPES = {
+  authentication_error: LLMErrorType.AUTH,
+  permission_error: LLMErrorType.AUTH,
+  rate_limit_error: LLMErrorType.RATE_LIMIT,
+  overloaded_error: LLMErrorType.SERVER,
+  api_error: LLMErrorType.SERVER,
+  invalid_request_error: LLMErrorType.INVALID_REQUEST
+};
+
 /**
  * 默认配置
  * @type {Object}
@@ -43,15 +293,69 @@ const DEFAULT_CONFIG = {
   modelType: ModelType.CHAT,
   temperature: 0.7,
   maxTokens: 1000,
+  contextTokenBudget: 3000,
+  samplerPreset: '',
+  samplerPresets: DEFAULT_SAMPLER_PRESETS,
   apiKey: '',
   apiEndpoint: '',
+  localApiType: LocalApiType.OPENAI_COMPATIBLE,
+  jsonMode: JSONMode.OBJECT,
+  jsonRetries: 2,
+  maxToolDepth: 5,
   useProxy: false,
   proxyUrl: '',
   timeout: 30000,
   retries: 3,
+  retryBaseDelay: 1000,
+  retryMaxDelay: 30000,
+  routes: {},
+  fallbacks: [],
+  circuitFailureThreshold: 2,
+  circuitCooldown: 60000,
+  cache: false,
+  cacheAllowTemperature: false,
+  cacheTTL: 24 * 60 * 60 * 1000,
+  cacheMaxEntries: 500,
+  cacheMaxSize: 5 * 1024 * 1024,
+  recordProvider: LLMProvider.OPENAI,
+  mockScript: DEFAULT_MOCK_SCRIPT,
+  tokenizer: 'auto',
+  embeddingProvider: EmbeddingProvider.AUTO,
+  embeddingModel: '',
+  embeddingEndpoint: '',
+  embeddingBatchSize: 64,
+  embeddingDimensions: HASH_EMBEDDING_DIMENSIONS,
+  debugBufferSize: 100,
+  scheduler: DEFAULT_SCHEDULER_SETTINGS,
+  connectionProfiles: {},
+  activeConnectionProfile: null,
   mockResponses: {}
 };
 
+/**
+ * 调试记录中原始请求和响应正文的最大长度
+ * @type {number}
+ */
+const TRAFFIC_BODY_LIMIT = 200 * 1024;
+
+/**
+ * 任务路由可以覆盖的配置字段
+ * @type {Array<string>}
+ */
+const ROUTE_FIELDS = ['provider', 'model', 'samplerPreset', 'temperature', 'maxTokens', 'apiKey', 'apiEndpoint', 'localApiType'];
+
+/**
+ * 与提供商绑定的配置字段，路由切换提供商时不继承全局值
+ * @type {Array<string>}
+ */
+const PROVIDER_SPECIFIC_FIELDS = ['apiKey', 'apiEndpoint', 'localApiType'];
+
+/**
+ * 连接配置保存的字段
+ * @type {Array<string>}
+ */
+const CONNECTION_PROFILE_FIELDS = ['provider', 'recordProvider', 'localApiType', 'apiEndpoint', 'apiKey', 'model', 'modelType', 'useProxy', 'proxyUrl'];
+
 /**
  * LLM适配器类
  * 提供与不同LLM API交互的统一接口
@@ -60,10 +364,11 @@ class LLMAdapter {
   constructor() {
     this.config = { ...DEFAULT_CONFIG };
     this.mockResponses = {};
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
-    this.rateLimitDelay = 1000; // 请求间隔（毫秒）
-    this.lastRequestTime = 0;
+    this.tools = new Map();
+    this.activeControllers = new Set();
+    this.circuits = new Map(); // 提供商 -> 熔断器状态
+    this.traffic = []; // 调试模式下记录的请求，最新的在前
+    this.trafficSequence = 0;
   }
 
   /**
@@ -86,11 +391,18 @@ class LLMAdapter {
       };
     }
     
+    // API密钥不在游戏状态中，从加密存储（本次会话已解锁或迁移的旧版明文）写回
+    this.config = applySecrets(this.config, secretStore.getSecrets());
+    this.config.fallbacks = this._withFallbackIds(this.config.fallbacks);
+    
     // 初始化模拟响应
     if (config.mockResponses) {
       this.mockResponses = config.mockResponses;
     }
     
+    this._preloadTokenizer();
+    requestScheduler.configure(this.config.scheduler);
+    
     console.log('LLM适配器已初始化，提供商:', this.config.provider);
   }
 
@@ -103,314 +415,3196 @@ class LLMAdapter {
       ...this.config,
       ...config
     };
+    this.config.fallbacks = this._withFallbackIds(this.config.fallbacks);
+    
+    // 当前连接配置跟随连接字段的修改
+    const activeProfile = this.config.connectionProfiles?.[this.config.activeConnectionProfile];
+    
+    if (activeProfile && CONNECTION_PROFILE_FIELDS.some(field => field in config)) {
+      this.config.connectionProfiles = {
+        ...this.config.connectionProfiles,
+        [activeProfile.id]: { ...activeProfile, ...this._pickConnectionFields(this.config) }
+      };
+    }
+    
+    // API密钥与其他配置分开保存
+    const { value, secrets } = extractSecrets(this.config);
     
-    // 更新游戏状态
     gameState.updateState({
-      llmConfig: this.config
+      llmConfig: value
+    });
+    
+    secretStore.setSecrets(secrets).catch(error => {
+      console.error('保存API密钥失败:', error);
     });
     
+    this._preloadTokenizer();
+    requestScheduler.configure(this.config.scheduler);
+    
     console.log('LLM适配器配置已更新');
   }
 
+  /**
+   * 在后台加载主模型和各路由模型的词表
+   * @private
+   */
+  _preloadTokenizer() {
+    const models = new Set([
+      this.config.model,
+      ...Object.values(this.config.routes || {}).map(route => route.model)
+    ].filter(Boolean));
+    
+    for (const model of models) {
+      tokenizer.ensureLoaded(model, this.config.tokenizer).catch(() => {});
+    }
+  }
+
   /**
    * 发送请求到LLM
    * @param {string|Array} prompt - 提示文本或消息数组
    * @param {Object} [options={}] - 请求选项
-   * @returns {Promise<Object>} 响应对象
+   * @param {Object} [options.jsonSchema] - 要求输出符合该JSON Schema的对象，结果放在响应的data字段
+   * @param {string} [options.jsonMode] - JSON输出模式，见 JSONMode
+   * @param {number} [options.jsonRetries] - 输出校验失败后的修复重试次数
+   * @param {AbortSignal} [options.signal] - 用于取消请求的信号
+   * @param {string} [options.task] - 任务名称（PromptType或自定义模板名），用于选择路由配置和记录用量
+   * @param {string} [options.agentId] - 发起请求的角色ID，用于记录用量
+   * @param {boolean} [options.fallback=true] - 失败时是否切换到备用提供商
+   * @param {boolean} [options.bypassCache=false] - 跳过响应缓存（既不读取也不写入）
+   * @param {boolean} [options.cacheAllowTemperature] - 允许缓存温度大于0的请求
+   * @param {number} [options.retries] - 可重试错误（限流、服务器错误、超时、网络错误）的最大重试次数，默认使用配置值
+   * @param {string} [options.priority=RequestPriority.INTERACTIVE] - 调度优先级，见 RequestPriority
+   * @param {string} [options.samplerPreset] - 采样预设ID，覆盖路由中选择的预设
+   * @returns {Promise<Object>} 响应对象，servedBy字段记录提供响应的层级、提供商和模型
+   * @throws {JSONOutputError} 指定jsonSchema且修复重试后仍不符合时抛出
+   * @throws {RequestCancelledError} 请求被取消时抛出
+   * @throws {LLMRequestError} 所有提供商都失败时抛出最后一个错误
    */
   async sendRequest(prompt, options = {}) {
+    const capture = this._startTrafficCapture(prompt, options);
+    
     try {
-      // 合并选项
-      const requestOptions = {
-        ...this.config,
-        ...options
-      };
-      
-      // 根据提供商选择不同的处理方法
-      switch (requestOptions.provider) {
-        case LLMProvider.OPENAI:
-          return await this._sendOpenAIRequest(prompt, requestOptions);
-        
-        case LLMProvider.LOCAL:
-          return await this._sendLocalRequest(prompt, requestOptions);
-        
-        case LLMProvider.MOCK:
-          return await this._sendMockRequest(prompt, requestOptions);
-        
-        default:
-          throw new Error(`不支持的LLM提供商: ${requestOptions.provider}`);
-      }
+      const response = await this._sendRequest(prompt, options, capture);
+      this._finishTrafficCapture(capture, { response });
+      return response;
     } catch (error) {
-      console.error('LLM请求失败:', error);
-      
-      // 重试逻辑
-      if (options.retries > 0) {
-        console.log(`重试请求，剩余重试次数: ${options.retries - 1}`);
-        
-        return this.sendRequest(prompt, {
-          ...options,
-          retries: options.retries - 1
-        });
-      }
-      
+      this._finishTrafficCapture(capture, { error });
       throw error;
     }
   }
 
   /**
-   * 将请求添加到队列
+   * 发送请求，依次尝试缓存、主提供商和备用提供商
+   * @private
    * @param {string|Array} prompt - 提示文本或消息数组
-   * @param {Object} [options={}] - 请求选项
+   * @param {Object} options - 请求选项
+   * @param {Object|null} capture - 调试记录，未开启调试模式时为null
    * @returns {Promise<Object>} 响应对象
    */
-  async queueRequest(prompt, options = {}) {
-    return new Promise((resolve, reject) => {
-      // 添加到队列
-      this.requestQueue.push({
-        prompt,
-        options,
-        resolve,
-        reject
-      });
-      
-      // 开始处理队列
-      this._processQueue();
-    });
-  }
-
-  /**
-   * 处理请求队列
-   * @private
-   */
-  async _processQueue() {
-    // 如果已经在处理队列，不重复处理
-    if (this.isProcessingQueue) {
-      return;
+  async _sendRequest(prompt, options, capture) {
+    // 每个请求使用独立的控制器，外部信号和cancelAll都可以取消它
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let partialText = '';
+    
+    if (options.signal?.aborted) {
+      throw new RequestCancelledError();
     }
     
-    this.isProcessingQueue = true;
+    options.signal?.addEventListener('abort', abort);
+    this.activeControllers.add(controller);
     
     try {
-      while (this.requestQueue.length > 0) {
-        // 获取下一个请求
-        const { prompt, options, resolve, reject } = this.requestQueue.shift();
+      const tiers = this._getRequestTiers(options);
+      const cacheKey = await this._getCacheKey(prompt, tiers[0]);
+      let lastError = null;
+      
+      // 命中缓存时不发送请求，也不计入用量
+      if (cacheKey) {
+        const cached = await this._readCache(cacheKey, tiers[0]);
         
-        // 计算需要等待的时间
-        const now = Date.now();
-        const timeToWait = Math.max(0, this.lastRequestTime + this.rateLimitDelay - now);
+        if (cached) {
+          options.onToken?.(cached.text, cached.text);
+          return {
+            ...cached,
+            cached: true,
+            servedBy: { ...cached.servedBy, cached: true }
+          };
+        }
+      }
+      
+      this._checkBudget();
+      
+      // 依次尝试主提供商和备用提供商
+      for (const [index, tierConfig] of tiers.entries()) {
+        const circuitKey = this._getCircuitKey(tierConfig);
+        const tier = index === 0 ? ResponseTier.PRIMARY : ResponseTier.FALLBACK;
         
-        if (timeToWait > 0) {
-          await new Promise(r => setTimeout(r, timeToWait));
+        if (!this._isCircuitAvailable(circuitKey, tierConfig)) {
+          console.warn(`提供商 ${circuitKey} 熔断中，跳过`);
+          continue;
         }
         
-        // 发送请求
+        const requestOptions = {
+          ...tierConfig,
+          signal: controller.signal,
+          debugCapture: capture,
+          onToken: options.onToken ? (token, text) => {
+            partialText = text;
+            options.onToken(token, text);
+          } : undefined
+        };
+        
         try {
-          const response = await this.sendRequest(prompt, options);
-          resolve(response);
+          const response = await this._sendWithRetries(prompt, requestOptions, () => {
+            // 重试会重新流式输出，丢弃失败尝试的部分文本
+            partialText = '';
+          });
+          
+          this._recordCircuitSuccess(circuitKey);
+          
+          const result = {
+            ...response,
+            servedBy: {
+              tier,
+              fallbackIndex: index > 0 ? index - 1 : undefined,
+              provider: requestOptions.provider,
+              model: response.model || requestOptions.model
+            }
+          };
+          
+          // 只缓存主提供商的响应，避免备用模型的结果顶替主模型
+          if (cacheKey && tier === ResponseTier.PRIMARY) {
+            await this._writeCache(cacheKey, result, tierConfig);
+          }
+          
+          return result;
         } catch (error) {
-          reject(error);
+          if (controller.signal.aborted) {
+            throw new RequestCancelledError(partialText || error.partialText);
+          }
+          
+          // 输出校验失败等非请求错误不切换提供商；认证、参数错误等不可重试的错误换提供商也无济于事，
+          // 直接交给调用方，也不计入熔断，以免配置错误让正常的提供商被熔断
+          if (!(error instanceof LLMRequestError) || !error.retryable) {
+            throw error;
+          }
+          
+          this._recordCircuitFailure(circuitKey, tierConfig);
+          lastError = error;
+          partialText = '';
+          
+          if (index < tiers.length - 1) {
+            this._emitRequestStatus('fallback', {
+              errorType: error.type,
+              message: error.message,
+              provider: requestOptions.provider,
+              fallbackIndex: index
+            });
+          }
         }
-        
-        // 更新最后请求时间
-        this.lastRequestTime = Date.now();
       }
+      
+      throw lastError || new LLMRequestError('所有提供商都处于熔断状态，暂时不可用', {
+        type: LLMErrorType.SERVER
+      });
     } finally {
-      this.isProcessingQueue = false;
+      options.signal?.removeEventListener('abort', abort);
+      this.activeControllers.delete(controller);
     }
   }
 
   /**
-   * 发送请求到OpenAI API
+   * 计算请求的缓存键
+   * 未启用缓存、调用方要求跳过、或温度大于0且未明确允许时返回null
+   * 录制模式下也返回null，命中缓存的请求不会被录制
    * @private
    * @param {string|Array} prompt - 提示文本或消息数组
-   * @param {Object} options - 请求选项
-   * @returns {Promise<Object>} 响应对象
+   * @param {Object} config - 主提供商的请求配置
+   * @returns {Promise<string|null>} 缓存键
    */
-  async _sendOpenAIRequest(prompt, options) {
-    // 检查API密钥
-    if (!options.apiKey) {
-      throw new Error('缺少OpenAI API密钥');
+  async _getCacheKey(prompt, config) {
+    if (!config.cache || config.bypassCache || config.provider === LLMProvider.RECORD) {
+      return null;
     }
     
-    // 确定API端点
-    const apiEndpoint = options.apiEndpoint || 'https://api.openai.com/v1';
-    const endpoint = options.modelType === ModelType.CHAT ? 
-      `${apiEndpoint}/chat/completions` : 
-      `${apiEndpoint}/completions`;
-    
-    // 准备请求体
-    let requestBody;
-    
-    if (options.modelType === ModelType.CHAT) {
-      // 处理聊天模型请求
-      const messages = Array.isArray(prompt) ? prompt : [
-        { role: 'system', content: '你是一个TRPG游戏中的AI助手。' },
-        { role: 'user', content: prompt }
-      ];
-      
-      requestBody = {
-        model: options.model,
-        messages,
-        temperature: options.temperature,
-        max_tokens: options.maxTokens,
-        top_p: options.topP || 1,
-        frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0
-      };
-    } else {
-      // 处理文本补全模型请求
-      requestBody = {
-        model: options.model,
-        prompt: Array.isArray(prompt) ? prompt.map(m => m.content).join('\n') : prompt,
-        temperature: options.temperature,
-        max_tokens: options.maxTokens,
-        top_p: options.topP || 1,
-        frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0
-      };
+    // 温度未设置时按提供商默认值处理，同样视为非确定性
+    if (!(config.temperature <= 0) && !config.cacheAllowTemperature) {
+      return null;
     }
     
-    // 发送请求
     try {
-      // 使用代理或直接请求
-      const fetchUrl = options.useProxy ? 
-        `${options.proxyUrl}${endpoint}` : endpoint;
-      
-      const response = await fetch(fetchUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${options.apiKey}`
-        },
-        body: JSON.stringify(requestBody),
-        signal: options.timeout ? AbortSignal.timeout(options.timeout) : undefined
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`OpenAI API请求失败: ${response.status} ${response.statusText}, ${JSON.stringify(errorData)}`);
-      }
-      
-      const data = await response.json();
-      
-      // 处理响应
-      let result;
-      
-      if (options.modelType === ModelType.CHAT) {
-        result = {
-          text: data.choices[0]?.message?.content || '',
-          role: data.choices[0]?.message?.role || 'assistant',
-          usage: data.usage,
-          model: data.model,
-          id: data.id,
-          provider: LLMProvider.OPENAI
-        };
-      } else {
-        result = {
-          text: data.choices[0]?.text || '',
-          usage: data.usage,
-          model: data.model,
-          id: data.id,
-          provider: LLMProvider.OPENAI
-        };
-      }
-      
-      return result;
+      return await responseCache.computeKey(this._toMessages(prompt), config);
     } catch (error) {
-      console.error('OpenAI API请求错误:', error);
-      throw error;
+      console.warn('计算缓存键失败:', error);
+      return null;
     }
   }
 
   /**
-   * 发送请求到本地模型
+   * 读取缓存的响应，缓存出错时视为未命中
    * @private
-   * @param {string|Array} prompt - 提示文本或消息数组
-   * @param {Object} options - 请求选项
-   * @returns {Promise<Object>} 响应对象
+   * @param {string} key - 缓存键
+   * @param {Object} config - 请求配置
+   * @returns {Promise<Object|null>} 缓存的响应
    */
-  async _sendLocalRequest(prompt, options) {
-    // 这里应该实现与本地模型的通信
-    // 由于本地模型的实现可能有很多种，这里只提供一个简单的示例
-    
-    console.log('发送请求到本地模型，这需要根据实际情况实现');
-    
-    // 模拟本地模型响应
-    return {
-      text: '这是本地模型的响应。实际实现需要根据你使用的本地模型来定制。',
-      model: options.model,
-      provider: LLMProvider.LOCAL
-    };
+  async _readCache(key, config) {
+    try {
+      return await responseCache.get(key, { ttl: config.cacheTTL });
+    } catch (error) {
+      console.warn('读取响应缓存失败:', error);
+      return null;
+    }
   }
 
   /**
-   * 发送模拟请求（用于测试）
+   * 写入响应缓存，缓存出错时不影响请求结果
    * @private
-   * @param {string|Array} prompt - 提示文本或消息数组
-   * @param {Object} options - 请求选项
-   * @returns {Promise<Object>} 响应对象
+   * @param {string} key - 缓存键
+   * @param {Object} response - 响应对象
+   * @param {Object} config - 请求配置
    */
-  async _sendMockRequest(prompt, options) {
-    console.log('发送模拟请求，用于测试');
-    
-    // 将提示转换为字符串
-    const promptString = Array.isArray(prompt) ? 
-      prompt.map(m => m.content).join('\n') : prompt;
-    
-    // 查找匹配的模拟响应
-    let responseText = '这是一个模拟响应。';
-    
-    // 尝试根据提示内容匹配模拟响应
-    for (const [key, value] of Object.entries(this.mockResponses)) {
-      if (promptString.includes(key)) {
-        responseText = value;
-        break;
-      }
+  async _writeCache(key, response, config) {
+    try {
+      await responseCache.set(key, response, {
+        ttl: config.cacheTTL,
+        maxEntries: config.cacheMaxEntries,
+        maxSize: config.cacheMaxSize
+      });
+    } catch (error) {
+      console.warn('写入响应缓存失败:', error);
     }
-    
-    // 模拟延迟
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
-    return {
-      text: responseText,
-      model: 'mock-model',
-      provider: LLMProvider.MOCK
-    };
   }
 
   /**
-   * 添加模拟响应
-   * @param {string} key - 关键词
+   * 清空响应缓存
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    await responseCache.clear();
+  }
+
+  /**
+   * 获取响应缓存统计
+   * @returns {Promise<Object>} 统计 { entries, size }
+   */
+  async getCacheStats() {
+    return responseCache.getStats();
+  }
+
+  /**
+   * 向单个提供商发送请求，可重试错误按退避策略重试
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} requestOptions - 合并后的请求选项
+   * @param {Function} onRetry - 每次重试前调用
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendWithRetries(prompt, requestOptions, onRetry) {
+    const maxRetries = requestOptions.retries || 0;
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if (requestOptions.jsonSchema) {
+          return await this._sendJSONRequest(prompt, requestOptions);
+        }
+        
+        return await this._sendToProvider(prompt, requestOptions);
+      } catch (error) {
+        if (requestOptions.signal.aborted || error instanceof RequestCancelledError) {
+          throw error;
+        }
+        
+        // 输出校验失败已经在内部修复重试过
+        if (error instanceof JSONOutputError) {
+          this._emitRequestStatus('failure', {
+            errorType: LLMErrorType.UNKNOWN,
+            message: error.message,
+            provider: requestOptions.provider,
+            attempt: attempt + 1
+          });
+          throw error;
+        }
+        
+        // 回放不匹配说明请求发生了变化，报告差异而不是重试或切换提供商
+        if (error instanceof ReplayMismatchError) {
+          console.error(`${error.message}\n${error.diff}`);
+          this._emitRequestStatus('failure', {
+            errorType: LLMErrorType.REPLAY_MISMATCH,
+            message: error.message,
+            diff: error.diff,
+            provider: requestOptions.provider,
+            attempt: attempt + 1
+          });
+          throw error;
+        }
+        
+        const requestError = this._classifyError(error, requestOptions.provider);
+        const delay = this._getRetryDelay(requestError, attempt, requestOptions);
+        
+        requestOptions.debugCapture?.attempts.push({
+          provider: requestOptions.provider,
+          model: requestOptions.model,
+          attempt: attempt + 1,
+          errorType: requestError.type,
+          status: requestError.status,
+          message: requestError.message
+        });
+        
+        if (requestError.retryable && attempt < maxRetries && delay !== null) {
+          console.warn(`LLM请求失败（${requestError.type}），${delay}毫秒后第${attempt + 1}/${maxRetries}次重试:`, requestError.message);
+          
+          this._emitRequestStatus('retry', {
+            errorType: requestError.type,
+            message: requestError.message,
+            provider: requestOptions.provider,
+            attempt: attempt + 1,
+            maxRetries,
+            delay
+          });
+          
+          await this._sleep(delay, requestOptions.signal);
+          onRetry();
+          continue;
+        }
+        
+        console.error('LLM请求失败:', requestError);
+        
+        this._emitRequestStatus('failure', {
+          errorType: requestError.type,
+          message: requestError.message,
+          provider: requestOptions.provider,
+          attempt: attempt + 1
+        });
+        
+        throw requestError;
+      }
+    }
+  }
+
+  /**
+   * 获取请求依次尝试的配置：主提供商在前，备用提供商按顺序在后
+   * 调用方显式指定provider或fallback为false时不使用备用提供商；
+   * 录制模式下也不使用，备用提供商的响应不会被录制，回放时会不匹配
+   * @private
+   * @param {Object} options - 请求选项
+   * @returns {Array<Object>} 配置数组
+   */
+  _getRequestTiers(options) {
+    const routeConfig = this.getRouteConfig(options.task, options.samplerPreset);
+    const tiers = [{ ...routeConfig, ...options }];
+    
+    if (options.fallback === false || options.provider || tiers[0].provider === LLMProvider.RECORD) {
+      return tiers;
+    }
+    
+    // 备用提供商保留调用方的采样参数，但使用自己的提供商、模型和连接设置
+    const samplingOptions = { ...options };
+    for (const field of ['provider', 'model', ...PROVIDER_SPECIFIC_FIELDS]) {
+      delete samplingOptions[field];
+    }
+    
+    for (const profile of this.config.fallbacks || []) {
+      if (profile?.provider) {
+        tiers.push({
+          ...this._applyProfile(routeConfig, profile),
+          ...samplingOptions
+        });
+      }
+    }
+    
+    return tiers;
+  }
+
+  /**
+   * 获取熔断器的键，同一提供商的不同端点分别熔断
+   * @private
+   * @param {Object} config - 提供商配置
+   * @returns {string} 键
+   */
+  _getCircuitKey(config) {
+    const endpoint = config.provider === LLMProvider.LOCAL ?
+      (config.apiEndpoint || `${config.localApiType || LocalApiType.OPENAI_COMPATIBLE}:default`) :
+      (config.apiEndpoint || 'default');
+    
+    return `${config.provider}@${endpoint}`;
+  }
+
+  /**
+   * 检查提供商是否可用，熔断冷却结束后进入半开状态允许试探请求
+   * @private
+   * @param {string} key - 熔断器键
+   * @param {Object} config - 提供商配置
+   * @returns {boolean} 是否可用
+   */
+  _isCircuitAvailable(key, config) {
+    const circuit = this.circuits.get(key);
+    
+    if (!circuit || circuit.state !== CircuitState.OPEN) {
+      return true;
+    }
+    
+    if (Date.now() - circuit.openedAt >= (config.circuitCooldown ?? DEFAULT_CONFIG.circuitCooldown)) {
+      circuit.state = CircuitState.HALF_OPEN;
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * 记录提供商请求成功，关闭熔断器
+   * @private
+   * @param {string} key - 熔断器键
+   */
+  _recordCircuitSuccess(key) {
+    if (this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: CircuitState.CLOSED,
+        failures: 0,
+        openedAt: null
+      });
+    }
+  }
+
+  /**
+   * 记录提供商请求失败，连续失败达到阈值或半开试探失败时熔断
+   * @private
+   * @param {string} key - 熔断器键
+   * @param {Object} config - 提供商配置
+   */
+  _recordCircuitFailure(key, config) {
+    const circuit = this.circuits.get(key) || {
+      state: CircuitState.CLOSED,
+      failures: 0,
+      openedAt: null
+    };
+    const threshold = config.circuitFailureThreshold ?? DEFAULT_CONFIG.circuitFailureThreshold;
+    
+    circuit.failures++;
+    
+    if (circuit.state === CircuitState.HALF_OPEN || circuit.failures >= threshold) {
+      if (circuit.state !== CircuitState.OPEN) {
+        console.warn(`提供商 ${key} 连续失败${circuit.failures}次，熔断${(config.circuitCooldown ?? DEFAULT_CONFIG.circuitCooldown) / 1000}秒`);
+      }
+      
+      circuit.state = CircuitState.OPEN;
+      circuit.openedAt = Date.now();
+    }
+    
+    this.circuits.set(key, circuit);
+  }
+
+  /**
+   * 获取所有提供商的熔断器状态
+   * @returns {Object} 熔断器键到状态的映射
+   */
+  getCircuitStates() {
+    const states = {};
+    
+    for (const [key, circuit] of this.circuits) {
+      states[key] = { ...circuit };
+    }
+    
+    return states;
+  }
+
+  /**
+   * 重置熔断器
+   * @param {string} [key] - 熔断器键，省略时重置全部
+   */
+  resetCircuits(key) {
+    if (key) {
+      this.circuits.delete(key);
+    } else {
+      this.circuits.clear();
+    }
+  }
+
+  /**
+   * 将任意错误归类为LLMRequestError
+   * @private
+   * @param {Error} error - 原始错误
+   * @param {string} provider - 提供商
+   * @returns {LLMRequestError} 归类后的错误
+   */
+  _classifyError(error, provider) {
+    if (error instanceof LLMRequestError) {
+      return error;
+    }
+    
+    // AbortSignal.timeout 触发时为 TimeoutError
+    if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+      return new LLMRequestError('请求超时', {
+        type: LLMErrorType.TIMEOUT,
+        provider,
+        cause: error
+      });
+    }
+    
+    // fetch 无法连接或连接中断时抛出 TypeError
+    if (error instanceof TypeError && /fetch|network|load failed|terminated|socket/i.test(error.message)) {
+      return new LLMRequestError(`网络错误: ${error.message}`, {
+        type: LLMErrorType.NETWORK,
+        provider,
+        cause: error
+      });
+    }
+    
+    return new LLMRequestError(error?.message || String(error), {
+      type: LLMErrorType.UNKNOWN,
+      provider,
+      cause: error
+    });
+  }
+
+  /**
+   * 计算重试等待时间
+   * 服务器给出Retry-After时按其等待，否则使用带抖动的指数退避
+   * @private
+   * @param {LLMRequestError} error - 请求错误
+   * @param {number} attempt - 已失败的次数（从0开始）
+   * @param {Object} options - 请求选项
+   * @returns {number|null} 等待毫秒数，Retry-After超过最大等待时间时返回null表示不再重试
+   */
+  _getRetryDelay(error, attempt, options) {
+    const maxDelay = options.retryMaxDelay ?? DEFAULT_CONFIG.retryMaxDelay;
+    
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= maxDelay ? error.retryAfter : null;
+    }
+    
+    const baseDelay = options.retryBaseDelay ?? DEFAULT_CONFIG.retryBaseDelay;
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    
+    // 抖动：在退避时间的50%~100%之间随机，避免多个请求同时重试
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * 根据失败的HTTP响应创建请求错误
+   * @private
+   * @param {Response} response - fetch响应
+   * @param {string} label - 错误信息前缀
+   * @param {string} [provider] - 提供商
+   * @returns {Promise<LLMRequestError>} 请求错误
+   */
+  async _createHTTPError(response, label, provider) {
+    const errorData = await response.json().catch(() => ({}));
+    
+    return new LLMRequestError(
+      `${label}: ${response.status} ${response.statusText}, ${JSON.stringify(errorData)}`,
+      {
+        type: LLMRequestError.typeFromStatus(response.status),
+        status: response.status,
+        retryAfter: this._parseRetryAfter(response.headers),
+        provider
+      }
+    );
+  }
+
+  /**
+   * 解析响应头中的重试等待时间
+   * 支持 retry-after-ms（毫秒）以及 Retry-After 的秒数和HTTP日期两种格式
+   * @private
+   * @param {Headers} headers - 响应头
+   * @returns {number|null} 等待毫秒数
+   */
+  _parseRetryAfter(headers) {
+    const retryAfterMs = parseFloat(headers?.get('retry-after-ms'));
+    
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(0, Math.round(retryAfterMs));
+    }
+    
+    const retryAfter = headers?.get('retry-after');
+    
+    if (!retryAfter) {
+      return null;
+    }
+    
+    const seconds = Number(retryAfter);
+    
+    if (!isNaN(seconds)) {
+      return Math.max(0, Math.round(seconds * 1000));
+    }
+    
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * 广播请求状态事件，供界面显示重试和失败信息
+   * 事件名为 llmRequestStatus，detail 包含 status（retry/failure）和错误详情
+   * @private
+   * @param {string} status - 状态
+   * @param {Object} detail - 事件详情
+   */
+  _emitRequestStatus(status, detail) {
+    if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') {
+      return;
+    }
+    
+    window.dispatchEvent(new CustomEvent('llmRequestStatus', {
+      detail: { status, ...detail, timestamp: Date.now() }
+    }));
+  }
+
+  /**
+   * 调试模式是否开启
+   * @returns {boolean} 是否开启
+   */
+  isDebugEnabled() {
+    return !!gameState.getState().debugMode;
+  }
+
+  /**
+   * 开始记录一次请求，未开启调试模式时返回null
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Object|null} 调试记录
+   */
+  _startTrafficCapture(prompt, options) {
+    if (!this.isDebugEnabled()) {
+      return null;
+    }
+    
+    const capture = {
+      id: `llm_${Date.now()}_${++this.trafficSequence}`,
+      timestamp: new Date().toISOString(),
+      status: 'pending',
+      task: options.task || null,
+      agentId: options.agentId || null,
+      provider: options.provider || this.getRouteConfig(options.task).provider,
+      model: options.model || this.getRouteConfig(options.task).model,
+      messages: this._cloneForTraffic(this._toMessages(prompt)),
+      prompt: typeof prompt === 'string' ? prompt : null,
+      options: this._sanitizeTrafficOptions(options),
+      resentFrom: options.resentFrom || null,
+      exchanges: [],
+      attempts: [],
+      response: null,
+      error: null,
+      usage: null,
+      latency: null,
+      startedAt: Date.now()
+    };
+    
+    this.traffic.unshift(capture);
+    this.traffic.length = Math.min(this.traffic.length, Math.max(1, this.config.debugBufferSize || DEFAULT_CONFIG.debugBufferSize));
+    this._emitTrafficUpdate();
+    
+    return capture;
+  }
+
+  /**
+   * 结束记录一次请求
+   * @private
+   * @param {Object|null} capture - 调试记录
+   * @param {Object} outcome - 结果 { response } 或 { error }
+   */
+  _finishTrafficCapture(capture, { response, error }) {
+    if (!capture) {
+      return;
+    }
+    
+    capture.latency = Date.now() - capture.startedAt;
+    
+    if (response) {
+      capture.status = 'success';
+      capture.response = this._cloneForTraffic({
+        text: response.text,
+        data: response.data,
+        model: response.model,
+        toolCalls: response.toolCalls,
+        servedBy: response.servedBy,
+        cached: response.cached
+      });
+      capture.usage = response.usage || null;
+    } else {
+      capture.status = error instanceof RequestCancelledError ? 'cancelled' : 'error';
+      capture.error = {
+        name: error?.name,
+        type: error?.type,
+        status: error?.status,
+        message: error?.message || String(error),
+        diff: error?.diff,
+        partialText: error?.partialText
+      };
+    }
+    
+    this._emitTrafficUpdate();
+  }
+
+  /**
+   * 复制请求选项用于调试记录，去掉函数、取消信号和密钥
+   * @private
+   * @param {Object} options - 请求选项
+   * @returns {Object} 可序列化的选项
+   */
+  _sanitizeTrafficOptions(options) {
+    const excluded = ['signal', 'onToken', 'debugCapture', 'toolContext', 'apiKey'];
+    
+    return this._cloneForTraffic(Object.fromEntries(
+      Object.entries(options).filter(([key, value]) => !excluded.includes(key) && typeof value !== 'function')
+    ));
+  }
+
+  /**
+   * 深拷贝可序列化的值
+   * @private
+   * @param {*} value - 任意值
+   * @returns {*} 拷贝，无法序列化时返回null
+   */
+  _cloneForTraffic(value) {
+    try {
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 广播调试记录变化
+   * @private
+   */
+  _emitTrafficUpdate() {
+    if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') {
+      return;
+    }
+    
+    window.dispatchEvent(new CustomEvent('llmTrafficUpdate', {
+      detail: { count: this.traffic.length }
+    }));
+  }
+
+  /**
+   * 获取调试记录
+   * @returns {Array<Object>} 记录数组，最新的在前
+   */
+  getTraffic() {
+    return [...this.traffic];
+  }
+
+  /**
+   * 清空调试记录
+   */
+  clearTraffic() {
+    this.traffic = [];
+    this._emitTrafficUpdate();
+  }
+
+  /**
+   * 重新发送记录中的请求
+   * 不使用缓存，新的请求同样会被记录
+   * @param {string} id - 记录ID
+   * @param {Object} [edits={}] - 修改内容
+   * @param {Array} [edits.messages] - 替换消息数组
+   * @param {Object} [edits.options] - 覆盖请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async resendTraffic(id, { messages, options = {} } = {}) {
+    const capture = this.traffic.find(entry => entry.id === id);
+    
+    if (!capture) {
+      throw new Error(`调试记录不存在: ${id}`);
+    }
+    
+    const prompt = messages || capture.prompt || capture.messages;
+    
+    return this.sendRequest(prompt, {
+      ...capture.options,
+      ...options,
+      bypassCache: true,
+      resentFrom: id
+    });
+  }
+
+  /**
+   * 取消所有排队中和进行中的请求
+   */
+  cancelAll() {
+    this.cancelQueuedRequests();
+    
+    for (const controller of this.activeControllers) {
+      controller.abort();
+    }
+    
+    this.activeControllers.clear();
+  }
+
+  /**
+   * 取消所有排队中的请求
+   */
+  cancelQueuedRequests() {
+    requestScheduler.cancelQueued(() => new RequestCancelledError());
+  }
+
+  /**
+   * 获取请求队列统计
+   * @returns {Object} 统计 { queued, queuedInteractive, queuedBackground, running, oldestWait, averageWait, requestsLastMinute, tokensLastMinute }
+   */
+  getQueueStats() {
+    return requestScheduler.getStats();
+  }
+
+  /**
+   * 请求结构化JSON输出
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} schema - JSON Schema
+   * @param {Object} [options={}] - 请求选项
+   * @returns {Promise<Object>} 符合Schema的对象
+   * @throws {JSONOutputError} 修复重试后仍不符合时抛出
+   */
+  async requestJSON(prompt, schema, options = {}) {
+    const response = await this.sendRequest(prompt, {
+      ...options,
+      jsonSchema: schema
+    });
+    
+    return response.data;
+  }
+
+  /**
+   * 发送要求JSON输出的请求，校验失败时附带修复提示重试
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象，data字段为解析后的对象
+   */
+  async _sendJSONRequest(prompt, options) {
+    const schema = options.jsonSchema;
+    const maxAttempts = 1 + Math.max(0, options.jsonRetries ?? 0);
+    let messages = this._withJSONInstruction(prompt, schema);
+    let errors = [];
+    let rawText = '';
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const response = await this._sendToProvider(messages, options);
+      rawText = response.text;
+      
+      try {
+        const data = extractJSON(rawText);
+        errors = validateJSONSchema(data, schema);
+        
+        if (errors.length === 0) {
+          return {
+            ...response,
+            data
+          };
+        }
+      } catch (error) {
+        errors = [`JSON解析失败: ${error.message}`];
+      }
+      
+      console.warn(`结构化输出校验失败（第${attempt}次）:`, errors);
+      
+      // 附带上次输出和错误信息，要求模型修复
+      messages = [
+        ...messages,
+        { role: 'assistant', content: rawText },
+        {
+          role: 'user',
+          content: `你上一次的输出没有通过校验：\n${errors.map(error => `- ${error}`).join('\n')}\n\n请修正后重新输出。只输出符合Schema的JSON，不要包含任何其他文字。`
+        }
+      ];
+    }
+    
+    throw new JSONOutputError('模型输出不符合要求的JSON格式', {
+      errors,
+      rawText,
+      attempts: maxAttempts
+    });
+  }
+
+  /**
+   * 在提示中加入JSON输出要求
+   * 合并进第一条system消息，没有时新增一条
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} schema - JSON Schema
+   * @returns {Array} 消息数组
+   */
+  _withJSONInstruction(prompt, schema) {
+    const instruction = `请只输出一个JSON值，不要包含任何解释或其他文字。输出必须符合以下JSON Schema：\n${JSON.stringify(schema, null, 2)}`;
+    const messages = this._toMessages(prompt).map(message => ({ ...message }));
+    const systemMessage = messages.find(message => message.role === 'system');
+    
+    if (systemMessage) {
+      systemMessage.content = `${systemMessage.content}\n\n${instruction}`;
+    } else {
+      messages.unshift({ role: 'system', content: instruction });
+    }
+    
+    return messages;
+  }
+
+  /**
+   * 根据提供商选择不同的处理方法
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} requestOptions - 合并后的请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendToProvider(prompt, requestOptions) {
+    switch (requestOptions.provider) {
+      case LLMProvider.RECORD: {
+        const recordOptions = { ...requestOptions, provider: requestOptions.recordProvider };
+        
+        if (recordOptions.provider === LLMProvider.RECORD || recordOptions.provider === LLMProvider.REPLAY) {
+          throw new LLMRequestError(`录制模式不能包装 ${recordOptions.provider} 提供商`, {
+            type: LLMErrorType.INVALID_REQUEST,
+            provider: LLMProvider.RECORD
+          });
+        }
+        
+        const response = await this._sendToProvider(prompt, recordOptions);
+        await fixtureStore.record(this._toMessages(prompt), requestOptions, response);
+        return response;
+      }
+      
+      case LLMProvider.REPLAY:
+        // 回放不产生真实调用，不记入用量
+        return this._sendReplayRequest(prompt, requestOptions);
+      
+      default: {
+        // 预计令牌数按提示加最大输出计算，完成后用实际用量修正
+        const response = await this._schedule(
+          () => this._callProvider(prompt, requestOptions),
+          requestOptions,
+          this.countTokens(prompt, requestOptions) + (Number(requestOptions.maxTokens) || 0),
+          result => result?.usage?.total_tokens
+        );
+        this._recordUsage(prompt, response, requestOptions);
+        return response;
+      }
+    }
+  }
+
+  /**
+   * 调用实际的提供商接口
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} requestOptions - 合并后的请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _callProvider(prompt, requestOptions) {
+    switch (requestOptions.provider) {
+      case LLMProvider.OPENAI:
+        return this._sendOpenAIRequest(prompt, requestOptions);
+      
+      case LLMProvider.ANTHROPIC:
+        return this._sendAnthropicRequest(prompt, requestOptions);
+      
+      case LLMProvider.LOCAL:
+        return this._sendLocalRequest(prompt, requestOptions);
+      
+      case LLMProvider.MOCK:
+        return this._sendMockRequest(prompt, requestOptions);
+      
+      default:
+        throw new Error(`不支持的LLM提供商: ${requestOptions.provider}`);
+    }
+  }
+
+  /**
+   * 从录制记录回放响应
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 录制的响应
+   * @throws {ReplayMismatchError} 没有匹配的录制记录时抛出
+   */
+  async _sendReplayRequest(prompt, options) {
+    const response = await fixtureStore.replay(this._toMessages(prompt), options);
+    
+    // 流式请求一次性输出全部文本
+    if (options.stream && options.onToken && response.text) {
+      options.onToken(response.text, response.text);
+    }
+    
+    return response;
+  }
+
+  /**
+   * 将一次调用的用量记入账本
+   * 提供商没有返回用量时按文本长度估算
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} response - 响应对象
+   * @param {Object} requestOptions - 合并后的请求选项
+   */
+  _recordUsage(prompt, response, requestOptions) {
+    try {
+      usageLedger.record({
+        sessionId: gameState.getState().sessionId,
+        agentId: requestOptions.agentId,
+        promptType: requestOptions.task,
+        provider: requestOptions.provider,
+        model: response.model || requestOptions.model,
+        usage: response.usage || this._estimateUsage(prompt, response.text, requestOptions)
+      });
+    } catch (error) {
+      console.warn('记录用量失败:', error);
+    }
+  }
+
+  /**
+   * 检查用量预算
+   * 超出预算时广播提示，预算设置为阻止时抛出错误
+   * @private
+   * @throws {LLMRequestError} 超出预算且设置为阻止时抛出
+   */
+  _checkBudget() {
+    const { exceeded, blocked } = usageLedger.checkBudget(gameState.getState().sessionId);
+    
+    if (exceeded.length === 0) {
+      return;
+    }
+    
+    const scopes = exceeded.map(({ scope }) => (scope === BudgetScope.SESSION ? '会话' : '每日')).join('、');
+    const message = `已超出${scopes}用量预算`;
+    
+    this._emitRequestStatus(blocked ? 'failure' : 'budget', {
+      errorType: LLMErrorType.BUDGET,
+      message,
+      exceeded
+    });
+    
+    if (blocked) {
+      throw new LLMRequestError(message, { type: LLMErrorType.BUDGET });
+    }
+  }
+
+  /**
+   * 以后台优先级发送请求
+   * 所有请求都经过调度器排队，这里只是把默认优先级设为后台，玩家等待中的请求会先执行
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} [options={}] - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async queueRequest(prompt, options = {}) {
+    return this.sendRequest(prompt, {
+      priority: RequestPriority.BACKGROUND,
+      ...options
+    });
+  }
+
+  /**
+   * 通过调度器执行一次提供商调用
+   * @private
+   * @param {Function} task - 返回Promise的调用函数
+   * @param {Object} requestOptions - 合并后的请求选项
+   * @param {number} tokens - 预计令牌数
+   * @param {Function} [measure] - 从结果中读取实际令牌数
+   * @returns {Promise<*>} 调用结果
+   */
+  _schedule(task, requestOptions, tokens, measure) {
+    return requestScheduler.schedule(task, {
+      priority: requestOptions.priority,
+      tokens,
+      measure,
+      signal: requestOptions.signal,
+      label: requestOptions.task || requestOptions.provider
+    });
+  }
+
+  /**
+   * 发送请求到OpenAI API
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendOpenAIRequest(prompt, options) {
+    // 检查API密钥
+    if (!options.apiKey) {
+      throw new LLMRequestError('缺少OpenAI API密钥', {
+        type: LLMErrorType.AUTH,
+        provider: LLMProvider.OPENAI
+      });
+    }
+    
+    return this._sendOpenAICompatibleRequest(prompt, options, {
+      apiEndpoint: options.apiEndpoint || 'https://api.openai.com/v1',
+      provider: LLMProvider.OPENAI
+    });
+  }
+
+  /**
+   * 发送请求到OpenAI兼容的API（OpenAI、llama.cpp server、vLLM等）
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @param {Object} target - 请求目标
+   * @param {string} target.apiEndpoint - API基础地址
+   * @param {string} target.provider - 响应中记录的提供商
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendOpenAICompatibleRequest(prompt, options, { apiEndpoint, provider }) {
+    const endpoint = options.modelType === ModelType.CHAT ? 
+      `${apiEndpoint}/chat/completions` : 
+      `${apiEndpoint}/completions`;
+    
+    // 准备请求体，OpenAI官方接口不支持top_k等扩展参数
+    const samplerParams = toProviderSamplerParams(options, provider === LLMProvider.OPENAI ?
+      SamplerDialect.OPENAI : SamplerDialect.OPENAI_COMPATIBLE);
+    let requestBody;
+    
+    if (options.modelType === ModelType.CHAT) {
+      // 处理聊天模型请求
+      requestBody = {
+        model: options.model,
+        messages: this._toMessages(prompt),
+        temperature: options.temperature,
+        max_tokens: options.maxTokens,
+        ...samplerParams
+      };
+    } else {
+      // 处理文本补全模型请求
+      requestBody = {
+        model: options.model,
+        prompt: this._toPromptString(prompt),
+        temperature: options.temperature,
+        max_tokens: options.maxTokens,
+        ...samplerParams
+      };
+    }
+    
+    // 工具调用（仅聊天模型）
+    if (options.toolDefinitions?.length && options.modelType === ModelType.CHAT) {
+      requestBody.tools = this._toOpenAITools(options.toolDefinitions);
+      requestBody.tool_choice = options.toolChoice || 'auto';
+    }
+    
+    // JSON输出（仅聊天模型支持response_format）
+    if (options.jsonSchema && options.modelType === ModelType.CHAT) {
+      if (options.jsonMode === JSONMode.SCHEMA) {
+        requestBody.response_format = {
+          type: 'json_schema',
+          json_schema: {
+            name: this._toSchemaName(options.jsonSchema.title),
+            schema: options.jsonSchema
+          }
+        };
+      } else if (options.jsonMode === JSONMode.OBJECT) {
+        requestBody.response_format = { type: 'json_object' };
+      }
+    }
+    
+    // 流式输出
+    if (options.stream) {
+      requestBody.stream = true;
+      requestBody.stream_options = { include_usage: true };
+    }
+    
+    // 发送请求
+    try {
+      const response = await this._fetch(endpoint, {
+        method: 'POST',
+        headers: this._buildHeaders(options),
+        body: JSON.stringify(requestBody)
+      }, options);
+      
+      if (!response.ok) {
+        throw await this._createHTTPError(response, `${provider} API请求失败`, provider);
+      }
+      
+      // 流式响应逐块读取
+      if (options.stream) {
+        return await this._readOpenAIStream(response, options, provider);
+      }
+      
+      const data = await response.json();
+      
+      // 处理响应
+      let result;
+      
+      if (options.modelType === ModelType.CHAT) {
+        const message = data.choices[0]?.message;
+        
+        result = {
+          text: message?.content || '',
+          role: message?.role || 'assistant',
+          usage: data.usage,
+          model: data.model,
+          id: data.id,
+          provider
+        };
+        
+        if (message?.tool_calls?.length) {
+          result.toolCalls = message.tool_calls.map(call => ({
+            id: call.id,
+            name: call.function?.name,
+            arguments: this._parseToolArguments(call.function?.arguments)
+          }));
+        }
+      } else {
+        result = {
+          text: data.choices[0]?.text || '',
+          usage: data.usage,
+          model: data.model,
+          id: data.id,
+          provider
+        };
+      }
+      
+      return result;
+    } catch (error) {
+      console.error(`${provider} API请求错误:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 读取OpenAI流式响应
+   * @private
+   * @param {Response} response - fetch响应对象
+   * @param {Object} options - 请求选项
+   * @param {Function} [options.onToken] - 每收到一段文本时调用 (token, text)
+   * @param {string} provider - 响应中记录的提供商
+   * @returns {Promise<Object>} 响应对象，格式与非流式响应相同
+   */
+  async _readOpenAIStream(response, options, provider) {
+    const isChat = options.modelType === ModelType.CHAT;
+    let text = '';
+    let role = 'assistant';
+    let usage;
+    let model;
+    let id;
+    const toolCallParts = [];
+    
+    for await (const data of this._readSSEEvents(response.body)) {
+      if (data === '[DONE]') {
+        break;
+      }
+      
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (error) {
+        console.warn('无法解析流式数据块:', data);
+        continue;
+      }
+      
+      model = chunk.model || model;
+      id = chunk.id || id;
+      usage = chunk.usage || usage;
+      
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+      
+      if (isChat && choice.delta?.role) {
+        role = choice.delta.role;
+      }
+      
+      // 工具调用的名称和参数分多块到达，按index拼接
+      if (isChat && choice.delta?.tool_calls) {
+        for (const part of choice.delta.tool_calls) {
+          const index = part.index ?? 0;
+          const slot = toolCallParts[index] || (toolCallParts[index] = { id: '', name: '', arguments: '' });
+          
+          if (part.id) slot.id = part.id;
+          if (part.function?.name) slot.name += part.function.name;
+          if (part.function?.arguments) slot.arguments += part.function.arguments;
+        }
+      }
+      
+      const token = isChat ? choice.delta?.content : choice.text;
+      
+      if (token) {
+        text += token;
+        if (options.onToken) {
+          options.onToken(token, text);
+        }
+      }
+    }
+    
+    const result = {
+      text,
+      usage,
+      model,
+      id,
+      provider
+    };
+    
+    if (isChat) {
+      result.role = role;
+    }
+    
+    if (toolCallParts.length > 0) {
+      result.toolCalls = toolCallParts.filter(Boolean).map(part => ({
+        id: part.id,
+        name: part.name,
+        arguments: this._parseToolArguments(part.arguments)
+      }));
+    }
+    
+    return result;
+  }
+
+  /**
+   * 解析SSE（Server-Sent Events）数据流
+   * @private
+   * @param {ReadableStream} body - 响应体
+   * @yields {string} 每个事件的data字段内容
+   */
+  async *_readSSEEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+        
+        // 事件之间以空行分隔
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : events.pop();
+        
+        for (const event of events) {
+          const data = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+          
+          if (data) {
+            yield data;
+          }
+        }
+        
+        if (done) break;
+      }
+    } finally {
+      // 提前停止读取（如收到 [DONE]）时取消响应体，释放连接并停止超时计时
+      reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * 逐行解析NDJSON数据流（Ollama流式响应格式）
+   * @private
+   * @param {ReadableStream} body - 响应体
+   * @yields {Object} 每行解析后的对象
+   */
+  async *_readNDJSONLines(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+        
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          
+          try {
+            yield JSON.parse(line);
+          } catch (error) {
+            console.warn('无法解析流式数据行:', line);
+          }
+        }
+        
+        if (done) break;
+      }
+    } finally {
+      // 提前停止读取（如收到 [DONE]）时取消响应体，释放连接并停止超时计时
+      reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * 发送请求到Anthropic Messages API
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendAnthropicRequest(prompt, options) {
+    // 检查API密钥
+    if (!options.apiKey) {
+      throw new LLMRequestError('缺少Anthropic API密钥', {
+        type: LLMErrorType.AUTH,
+        provider: LLMProvider.ANTHROPIC
+      });
+    }
+    
+    const endpoint = `${this._getAnthropicEndpoint(options)}/messages`;
+    
+    // 准备请求体，Messages API没有文本补全模式，统一按消息处理
+    const { system, messages } = this._toAnthropicMessages(prompt);
+    
+    const requestBody = {
+      model: options.model,
+      messages,
+      max_tokens: options.maxTokens || 1024,
+      // 超出范围会返回400，切换到Anthropic的配置可能沿用了更高的温度
+      temperature: typeof options.temperature === 'number' ?
+        Math.min(ANTHROPIC_MAX_TEMPERATURE, Math.max(0, options.temperature)) :
+        options.temperature
+    };
+    
+    if (system) {
+      requestBody.system = system;
+    }
+    
+    // 采样参数只在显式指定时传递，设置了temperature时不传top_p，不支持的惩罚项和种子被丢弃
+    Object.assign(requestBody, toProviderSamplerParams(options, SamplerDialect.ANTHROPIC));
+    
+    if (options.toolDefinitions?.length) {
+      requestBody.tools = options.toolDefinitions.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      requestBody.tool_choice = { type: options.toolChoice === 'none' ? 'none' : 'auto' };
+    }
+    
+    if (options.stream) {
+      requestBody.stream = true;
+    }
+    
+    try {
+      const response = await this._fetch(endpoint, {
+        method: 'POST',
+        headers: this._buildHeaders(options),
+        body: JSON.stringify(requestBody)
+      }, options);
+      
+      if (!response.ok) {
+        throw await this._createHTTPError(response, 'Anthropic API请求失败', LLMProvider.ANTHROPIC);
+      }
+      
+      if (options.stream) {
+        return await this._readAnthropicStream(response, options);
+      }
+      
+      const data = await response.json();
+      const content = data.content || [];
+      
+      const result = {
+        text: content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        role: data.role || 'assistant',
+        usage: this._normalizeAnthropicUsage(data.usage),
+        model: data.model,
+        id: data.id,
+        provider: LLMProvider.ANTHROPIC
+      };
+      
+      const toolUses = content.filter(block => block.type === 'tool_use');
+      
+      if (toolUses.length > 0) {
+        result.toolCalls = toolUses.map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input || {}
+        }));
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Anthropic API请求错误:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 读取Anthropic流式响应
+   * @private
+   * @param {Response} response - fetch响应对象
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象，格式与非流式响应相同
+   */
+  async _readAnthropicStream(response, options) {
+    let text = '';
+    let usage = {};
+    let model;
+    let id;
+    const toolUseParts = [];
+    
+    for await (const data of this._readSSEEvents(response.body)) {
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        console.warn('无法解析流式数据块:', data);
+        continue;
+      }
+      
+      switch (event.type) {
+        case 'message_start':
+          model = event.message?.model;
+          id = event.message?.id;
+          usage = { ...usage, ...event.message?.usage };
+          break;
+        
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            toolUseParts[event.index] = {
+              id: event.content_block.id,
+              name: event.content_block.name,
+              arguments: ''
+            };
+          }
+          break;
+        
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta' && event.delta.text) {
+            text += event.delta.text;
+            if (options.onToken) {
+              options.onToken(event.delta.text, text);
+            }
+          } else if (event.delta?.type === 'input_json_delta' && toolUseParts[event.index]) {
+            toolUseParts[event.index].arguments += event.delta.partial_json || '';
+          }
+          break;
+        
+        case 'message_delta':
+          usage = { ...usage, ...event.usage };
+          break;
+        
+        case 'error':
+          throw new LLMRequestError(`Anthropic API请求失败: ${JSON.stringify(event.error)}`, {
+            type: ANTHROPIC_ERROR_TYPES[event.error?.type] || LLMErrorType.SERVER,
+            provider: LLMProvider.ANTHROPIC
+          });
+        
+        default:
+          break;
+      }
+    }
+    
+    const result = {
+      text,
+      role: 'assistant',
+      usage: this._normalizeAnthropicUsage(usage),
+      model,
+      id,
+      provider: LLMProvider.ANTHROPIC
+    };
+    
+    if (toolUseParts.length > 0) {
+      result.toolCalls = toolUseParts.filter(Boolean).map(part => ({
+        id: part.id,
+        name: part.name,
+        arguments: this._parseToolArguments(part.arguments)
+      }));
+    }
+    
+    return result;
+  }
+
+  /**
+   * 将消息转换为Anthropic Messages API格式
+   * system消息移到顶层system字段，相邻的同角色消息合并，
+   * 工具调用和工具结果转换为tool_use和tool_result内容块
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @returns {{system: string, messages: Array}} 转换后的请求内容
+   */
+  _toAnthropicMessages(prompt) {
+    const systemParts = [];
+    const messages = [];
+    
+    for (const message of this._toMessages(prompt)) {
+      if (message.role === 'system') {
+        systemParts.push(message.content);
+        continue;
+      }
+      
+      // Messages API只接受user和assistant两种角色
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      let content = message.content || '';
+      
+      if (message.role === 'tool') {
+        content = [{
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: message.content
+        }];
+      } else if (message.tool_calls?.length) {
+        content = [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: this._parseToolArguments(call.function.arguments)
+          }))
+        ];
+      }
+      
+      const last = messages[messages.length - 1];
+      
+      if (last && last.role === role) {
+        last.content = this._mergeAnthropicContent(last.content, content);
+      } else {
+        messages.push({ role, content });
+      }
+    }
+    
+    // 第一条消息必须来自user
+    if (messages.length === 0 || messages[0].role !== 'user') {
+      messages.unshift({ role: 'user', content: '请继续。' });
+    }
+    
+    return {
+      system: systemParts.join('\n\n'),
+      messages
+    };
+  }
+
+  /**
+   * 合并两段Anthropic消息内容
+   * 都是文本时拼接字符串，否则转换为内容块数组后拼接
+   * @private
+   * @param {string|Array} first - 前一段内容
+   * @param {string|Array} second - 后一段内容
+   * @returns {string|Array} 合并后的内容
+   */
+  _mergeAnthropicContent(first, second) {
+    if (typeof first === 'string' && typeof second === 'string') {
+      return `${first}\n\n${second}`;
+    }
+    
+    const toBlocks = content => (typeof content === 'string' ?
+      (content ? [{ type: 'text', text: content }] : []) : content);
+    
+    return [...toBlocks(first), ...toBlocks(second)];
+  }
+
+  /**
+   * 将Anthropic的用量字段转换为OpenAI格式
+   * @private
+   * @param {Object} usage - Anthropic用量对象
+   * @returns {Object|undefined} 用量对象
+   */
+  _normalizeAnthropicUsage(usage) {
+    if (!usage || (usage.input_tokens === undefined && usage.output_tokens === undefined)) {
+      return undefined;
+    }
+    
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+    
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * 获取Anthropic的API地址
+   * @private
+   * @param {Object} options - 请求选项
+   * @returns {string} 不带末尾斜杠的API地址
+   */
+  _getAnthropicEndpoint(options) {
+    return (options.apiEndpoint || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+  }
+
+  /**
+   * 发送请求到本地模型
+   * 支持OpenAI兼容接口（llama.cpp server等）和Ollama原生接口
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendLocalRequest(prompt, options) {
+    let result;
+    
+    if (options.localApiType === LocalApiType.OLLAMA) {
+      result = await this._sendOllamaRequest(prompt, options);
+    } else {
+      result = await this._sendOpenAICompatibleRequest(prompt, options, {
+        apiEndpoint: this._getLocalEndpoint(options),
+        provider: LLMProvider.LOCAL
+      });
+    }
+    
+    // 部分本地服务器不返回用量，按估算补齐
+    if (!result.usage) {
+      result.usage = this._estimateUsage(prompt, result.text, options);
+    }
+    
+    return result;
+  }
+
+  /**
+   * 发送请求到Ollama原生接口
+   * 聊天模型使用 /api/chat，文本补全模型使用 /api/generate
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendOllamaRequest(prompt, options) {
+    const isChat = options.modelType === ModelType.CHAT;
+    const apiEndpoint = this._getLocalEndpoint(options);
+    const endpoint = isChat ? `${apiEndpoint}/api/chat` : `${apiEndpoint}/api/generate`;
+    
+    // 准备请求体
+    const requestBody = {
+      model: options.model,
+      stream: !!options.stream,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens,
+        ...toProviderSamplerParams(options, SamplerDialect.OLLAMA)
+      }
+    };
+    
+    if (isChat) {
+      // Ollama的工具调用参数是对象而不是JSON字符串
+      requestBody.messages = this._toMessages(prompt).map(message => (message.tool_calls ? {
+        ...message,
+        tool_calls: message.tool_calls.map(call => ({
+          function: {
+            name: call.function.name,
+            arguments: this._parseToolArguments(call.function.arguments)
+          }
+        }))
+      } : message));
+      
+      if (options.toolDefinitions?.length && options.toolChoice !== 'none') {
+        requestBody.tools = this._toOpenAITools(options.toolDefinitions);
+      }
+    } else {
+      requestBody.prompt = this._toPromptString(prompt);
+    }
+    
+    // JSON输出，Ollama的format字段可以直接接受Schema
+    if (options.jsonSchema) {
+      if (options.jsonMode === JSONMode.SCHEMA) {
+        requestBody.format = options.jsonSchema;
+      } else if (options.jsonMode === JSONMode.OBJECT) {
+        requestBody.format = 'json';
+      }
+    }
+    
+    try {
+      const response = await this._fetch(endpoint, {
+        method: 'POST',
+        headers: this._buildHeaders(options),
+        body: JSON.stringify(requestBody)
+      }, options);
+      
+      if (!response.ok) {
+        throw await this._createHTTPError(response, 'Ollama API请求失败', LLMProvider.LOCAL);
+      }
+      
+      let text = '';
+      let data = {};
+      const toolCalls = [];
+      
+      if (options.stream) {
+        // 流式响应为NDJSON，最后一行带有 done: true 和用量统计
+        for await (const chunk of this._readNDJSONLines(response.body)) {
+          if (chunk.error) {
+            throw new LLMRequestError(`Ollama API请求失败: ${chunk.error}`, {
+              type: LLMErrorType.SERVER,
+              provider: LLMProvider.LOCAL
+            });
+          }
+          
+          const token = isChat ? chunk.message?.content : chunk.response;
+          
+          if (chunk.message?.tool_calls) {
+            toolCalls.push(...chunk.message.tool_calls);
+          }
+          
+          if (token) {
+            text += token;
+            if (options.onToken) {
+              options.onToken(token, text);
+            }
+          }
+          
+          if (chunk.done) {
+            data = chunk;
+          }
+        }
+      } else {
+        data = await response.json();
+        text = (isChat ? data.message?.content : data.response) || '';
+        toolCalls.push(...(data.message?.tool_calls || []));
+      }
+      
+      const result = {
+        text,
+        usage: this._normalizeOllamaUsage(data),
+        model: data.model || options.model,
+        provider: LLMProvider.LOCAL
+      };
+      
+      if (isChat) {
+        result.role = data.message?.role || 'assistant';
+      }
+      
+      // Ollama不返回工具调用ID，按顺序生成
+      if (toolCalls.length > 0) {
+        result.toolCalls = toolCalls.map((call, index) => ({
+          id: call.id || `call_${index}`,
+          name: call.function?.name,
+          arguments: this._parseToolArguments(call.function?.arguments)
+        }));
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Ollama API请求错误:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 将Ollama的用量字段转换为OpenAI格式
+   * @private
+   * @param {Object} data - Ollama响应数据
+   * @returns {Object|undefined} 用量对象
+   */
+  _normalizeOllamaUsage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+      return undefined;
+    }
+    
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+    
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * 估算请求用量（用于不返回用量的提供商）
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {string} text - 响应文本
+   * @param {Object} [options] - 请求选项，用于选择分词器
+   * @returns {Object} 用量对象，带有 estimated 标记
+   */
+  _estimateUsage(prompt, text, options = this.config) {
+    const promptTokens = this.countTokens(prompt, options);
+    const completionTokens = this.estimateTokens(text || '', options);
+    
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      estimated: true
+    };
+  }
+
+  /**
+   * 获取本地模型的API地址
+   * @private
+   * @param {Object} options - 请求选项
+   * @returns {string} 不带末尾斜杠的API地址
+   */
+  _getLocalEndpoint(options) {
+    const apiEndpoint = options.apiEndpoint || LOCAL_DEFAULT_ENDPOINTS[options.localApiType] ||
+      LOCAL_DEFAULT_ENDPOINTS[LocalApiType.OPENAI_COMPATIBLE];
+    
+    return apiEndpoint.replace(/\/+$/, '');
+  }
+
+  /**
+   * 将提示转换为消息数组
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @returns {Array} 消息数组
+   */
+  _toMessages(prompt) {
+    return Array.isArray(prompt) ? prompt : [
+      { role: 'system', content: '你是一个TRPG游戏中的AI助手。' },
+      { role: 'user', content: prompt }
+    ];
+  }
+
+  /**
+   * 将提示转换为单个字符串
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @returns {string} 提示文本
+   */
+  _toPromptString(prompt) {
+    return Array.isArray(prompt) ? prompt.map(m => m.content).join('\n') : prompt;
+  }
+
+  /**
+   * 构建请求头
+   * @private
+   * @param {Object} options - 请求选项
+   * @returns {Object} 请求头
+   */
+  _buildHeaders(options) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    
+    if (options.provider === LLMProvider.ANTHROPIC) {
+      headers['x-api-key'] = options.apiKey;
+      headers['anthropic-version'] = ANTHROPIC_API_VERSION;
+      // 允许浏览器直接调用
+      headers['anthropic-dangerous-direct-browser-access'] = 'true';
+      return headers;
+    }
+    
+    // 本地服务器的密钥是可选的
+    if (options.apiKey) {
+      headers['Authorization'] = `Bearer ${options.apiKey}`;
+    }
+    
+    return headers;
+  }
+
+  /**
+   * 发送HTTP请求，处理代理和超时
+   * 流式请求的超时按两次收到数据之间的间隔计算，回复较长时不会在中途被中断
+   * @private
+   * @param {string} url - 请求地址
+   * @param {Object} init - fetch参数
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Response>} fetch响应对象
+   */
+  async _fetch(url, init, options) {
+    // 使用代理或直接请求
+    const fetchUrl = options.useProxy ? 
+      `${options.proxyUrl}${url}` : url;
+    
+    const idleTimeout = options.stream && options.timeout ? this._createIdleTimeout(options.timeout) : null;
+    const timeoutSignal = options.timeout && !idleTimeout ? AbortSignal.timeout(options.timeout) : idleTimeout?.signal;
+    const signals = [options.signal, timeoutSignal].filter(Boolean);
+    const fetchInit = {
+      ...init,
+      signal: signals.length > 1 ? this._anySignal(signals) : signals[0]
+    };
+    
+    let response;
+    
+    try {
+      response = options.debugCapture ?
+        await this._fetchWithCapture(fetchUrl, fetchInit, options.debugCapture) :
+        await fetch(fetchUrl, fetchInit);
+    } catch (error) {
+      idleTimeout?.clear();
+      throw error;
+    }
+    
+    return idleTimeout ? this._withIdleTimeout(response, idleTimeout) : response;
+  }
+
+  /**
+   * 发送HTTP请求并记录到调试记录
+   * 记录原始请求和响应正文，不记录请求头以免泄露密钥
+   * @private
+   * @param {string} fetchUrl - 请求地址
+   * @param {Object} fetchInit - fetch参数
+   * @param {Object} debugCapture - 调试记录
+   * @returns {Promise<Response>} fetch响应对象
+   */
+  async _fetchWithCapture(fetchUrl, fetchInit, debugCapture) {
+    const exchange = {
+      url: fetchUrl,
+      method: fetchInit.method,
+      requestBody: typeof fetchInit.body === 'string' ? fetchInit.body.slice(0, TRAFFIC_BODY_LIMIT) : null,
+      status: null,
+      responseBody: null,
+      startedAt: Date.now(),
+      latency: null
+    };
+    debugCapture.exchanges.push(exchange);
+    
+    try {
+      const response = await fetch(fetchUrl, fetchInit);
+      
+      exchange.status = response.status;
+      exchange.latency = Date.now() - exchange.startedAt;
+      
+      // 复制一份读取正文，流式响应在读完后才有完整内容
+      response.clone().text()
+        .then(text => {
+          exchange.responseBody = text.slice(0, TRAFFIC_BODY_LIMIT);
+          this._emitTrafficUpdate();
+        })
+        .catch(error => {
+          exchange.responseBody = `<读取失败: ${error.message}>`;
+        });
+      
+      return response;
+    } catch (error) {
+      exchange.latency = Date.now() - exchange.startedAt;
+      exchange.error = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * 创建空闲超时，超过指定时间没有重置时取消请求
+   * @private
+   * @param {number} ms - 超时毫秒数
+   * @returns {Object} { signal, reset, clear }
+   */
+  _createIdleTimeout(ms) {
+    const controller = new AbortController();
+    let timer = null;
+    
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        controller.abort(new DOMException('流式响应超时', 'TimeoutError'));
+      }, ms);
+    };
+    
+    reset();
+    
+    return {
+      signal: controller.signal,
+      reset,
+      clear: () => clearTimeout(timer)
+    };
+  }
+
+  /**
+   * 包装响应体，每收到一块数据时重置空闲超时，读完或取消时停止计时
+   * @private
+   * @param {Response} response - fetch响应对象
+   * @param {Object} idleTimeout - 空闲超时，见 _createIdleTimeout
+   * @returns {Response} 包装后的响应对象
+   */
+  _withIdleTimeout(response, idleTimeout) {
+    if (!response.body) {
+      idleTimeout.clear();
+      return response;
+    }
+    
+    const reader = response.body.getReader();
+    const body = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await reader.read();
+          
+          if (done) {
+            idleTimeout.clear();
+            controller.close();
+            return;
+          }
+          
+          idleTimeout.reset();
+          controller.enqueue(value);
+        } catch (error) {
+          idleTimeout.clear();
+          controller.error(error);
+        }
+      },
+      cancel(reason) {
+        idleTimeout.clear();
+        return reader.cancel(reason);
+      }
+    });
+    
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  /**
+   * 合并多个AbortSignal，任意一个取消时取消
+   * @private
+   * @param {Array<AbortSignal>} signals - 信号数组
+   * @returns {AbortSignal} 合并后的信号
+   */
+  _anySignal(signals) {
+    if (typeof AbortSignal.any === 'function') {
+      return AbortSignal.any(signals);
+    }
+    
+    const controller = new AbortController();
+    
+    for (const signal of signals) {
+      if (signal.aborted) {
+        controller.abort(signal.reason);
+        break;
+      }
+      
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    
+    return controller.signal;
+  }
+
+  /**
+   * 等待指定时间，可以被取消
+   * @private
+   * @param {number} ms - 等待毫秒数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new RequestCancelledError());
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new RequestCancelledError());
+      };
+      
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * 发送模拟请求（用于测试）
+   * 按 config.mockScript 的规则生成响应或注入故障，见 mock_script.js
+   * @private
+   * @param {string|Array} prompt - 提示文本或消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async _sendMockRequest(prompt, options) {
+    const script = options.mockScript || DEFAULT_MOCK_SCRIPT;
+    const result = mockScript.resolve(this._toMessages(prompt), options, script, this.mockResponses);
+    
+    console.log(`发送模拟请求，用于测试${result.rule ? `（规则: ${result.rule}）` : ''}`);
+    
+    // 超时故障等到请求超时时间再失败
+    if (result.fault === MockFault.TIMEOUT) {
+      await this._sleep(options.timeout || DEFAULT_CONFIG.timeout, options.signal);
+      throw new LLMRequestError('模拟请求超时', {
+        type: LLMErrorType.TIMEOUT,
+        provider: LLMProvider.MOCK
+      });
+    }
+    
+    // 模拟延迟
+    await this._sleep(result.latency, options.signal);
+    
+    if (result.fault && result.fault !== MockFault.MALFORMED_JSON) {
+      throw this._createMockFault(result);
+    }
+    
+    // 截断的JSON，用于测试结构化输出的修复重试
+    const responseText = result.fault === MockFault.MALFORMED_JSON ?
+      (result.text ?? '{"type": "dialogue", "content": "模拟响应被截') :
+      result.text;
+    
+    // 模拟流式输出，每次输出几个字符
+    if (options.stream && options.onToken) {
+      const chars = Array.from(responseText);
+      let text = '';
+      
+      for (let i = 0; i < chars.length; i += 4) {
+        const token = chars.slice(i, i + 4).join('');
+        text += token;
+        options.onToken(token, text);
+        await this._sleep(result.streamDelay ?? 50, options.signal);
+      }
+    }
+    
+    const response = {
+      text: responseText,
+      usage: this._estimateUsage(prompt, responseText, options),
+      model: 'mock-model',
+      provider: LLMProvider.MOCK
+    };
+    
+    if (result.toolCalls?.length) {
+      response.toolCalls = result.toolCalls.map((call, index) => ({
+        id: call.id || `mock_call_${index}`,
+        name: call.name,
+        arguments: call.arguments || {}
+      }));
+    }
+    
+    return response;
+  }
+
+  /**
+   * 创建模拟故障对应的错误
+   * @private
+   * @param {Object} result - 模拟结果 { fault, status, retryAfter }
+   * @returns {Error} 错误
+   */
+  _createMockFault({ fault, status, retryAfter }) {
+    switch (fault) {
+      case MockFault.RATE_LIMIT:
+        return new LLMRequestError(`模拟错误 (${status || 429}): 请求过于频繁`, {
+          type: LLMErrorType.RATE_LIMIT,
+          status: status || 429,
+          retryAfter: retryAfter !== undefined ? retryAfter * 1000 : null,
+          provider: LLMProvider.MOCK
+        });
+      
+      case MockFault.SERVER:
+        return new LLMRequestError(`模拟错误 (${status || 500}): 服务器内部错误`, {
+          type: LLMErrorType.SERVER,
+          status: status || 500,
+          provider: LLMProvider.MOCK
+        });
+      
+      case MockFault.AUTH:
+        return new LLMRequestError(`模拟错误 (${status || 401}): API密钥无效`, {
+          type: LLMErrorType.AUTH,
+          status: status || 401,
+          provider: LLMProvider.MOCK
+        });
+      
+      case MockFault.NETWORK:
+        // 与fetch无法连接时相同，由 _classifyError 归类
+        return new TypeError('Failed to fetch (模拟网络错误)');
+      
+      default:
+        return new Error(`未知的模拟故障: ${fault}`);
+    }
+  }
+
+  /**
+   * 添加模拟响应
+   * @param {string} key - 关键词
    * @param {string} response - 响应文本
    */
-  addMockResponse(key, response) {
-    this.mockResponses[key] = response;
+  addMockResponse(key, response) {
+    this.mockResponses[key] = response;
+  }
+
+  /**
+   * 添加模拟规则，追加到脚本末尾
+   * @param {Object} rule - 规则，格式见 mock_script.js
+   */
+  addMockRule(rule) {
+    const script = this.getMockScript();
+    this.setMockScript({ ...script, rules: [...script.rules, rule] });
+  }
+
+  /**
+   * 获取模拟脚本
+   * @returns {Object} 脚本
+   */
+  getMockScript() {
+    return { ...DEFAULT_MOCK_SCRIPT, ...this.config.mockScript };
+  }
+
+  /**
+   * 设置模拟脚本并重置序列进度
+   * @param {Object} script - 脚本，格式见 mock_script.js
+   * @throws {Error} 脚本格式无效时抛出
+   */
+  setMockScript(script) {
+    const errors = mockScript.validate(script);
+    
+    if (errors.length > 0) {
+      throw new Error(`模拟脚本无效: ${errors.join('; ')}`);
+    }
+    
+    mockScript.reset();
+    this.updateConfig({ mockScript: { ...DEFAULT_MOCK_SCRIPT, ...script } });
+  }
+
+  /**
+   * 重置模拟规则的序列进度
+   */
+  resetMockScript() {
+    mockScript.reset();
+  }
+
+  /**
+   * 生成聊天完成
+   * @param {string|Array} messages - 消息数组或提示文本
+   * @param {Object} [options={}] - 请求选项
+   * @param {boolean} [options.stream=false] - 是否使用流式输出
+   * @param {Function} [options.onToken] - 流式输出时每收到一段文本调用 (token, text)
+   * @returns {Promise<Object>} 响应对象
+   */
+  async chatCompletion(messages, options = {}) {
+    return this.sendRequest(messages, {
+      ...options,
+      modelType: ModelType.CHAT
+    });
+  }
+
+  /**
+   * 以异步迭代器形式生成聊天完成
+   * 逐段产出文本，迭代结束时返回完整的响应对象
+   * @param {string|Array} messages - 消息数组或提示文本
+   * @param {Object} [options={}] - 请求选项
+   * @yields {string} 新生成的文本片段
+   * @returns {AsyncGenerator<string, Object>} 文本片段迭代器
+   */
+  async *streamChatCompletion(messages, options = {}) {
+    const tokens = [];
+    let notify = null;
+    let finished = false;
+    let failure = null;
+    let result = null;
+    
+    this.chatCompletion(messages, {
+      ...options,
+      stream: true,
+      onToken: (token, text) => {
+        tokens.push(token);
+        if (options.onToken) {
+          options.onToken(token, text);
+        }
+        if (notify) notify();
+      }
+    })
+      .then(response => { result = response; })
+      .catch(error => { failure = error; })
+      .finally(() => {
+        finished = true;
+        if (notify) notify();
+      });
+    
+    while (true) {
+      if (tokens.length > 0) {
+        yield tokens.shift();
+        continue;
+      }
+      
+      if (finished) break;
+      
+      // 等待下一段文本或请求结束
+      await new Promise(resolve => { notify = resolve; });
+      notify = null;
+    }
+    
+    if (failure) {
+      throw failure;
+    }
+    
+    return result;
+  }
+
+  /**
+   * 计算文本向量
+   * 按 embeddingBatchSize 分批请求OpenAI兼容或Ollama的嵌入接口
+   * 没有可用的嵌入接口或请求失败时，全部文本改用本地哈希向量，保证同一次结果的向量可以互相比较
+   * @param {string|Array<string>} texts - 文本或文本数组
+   * @param {Object} [options={}] - 请求选项，覆盖当前配置
+   * @param {boolean} [options.fallback=true] - 请求失败时是否使用本地哈希向量，为false时抛出错误
+   * @returns {Promise<Object>} 结果 { embeddings, model, provider, dimensions, usage, fallback }
+   */
+  async embed(texts, options = {}) {
+    const inputs = (Array.isArray(texts) ? texts : [texts]).map(text => String(text ?? ''));
+    const requestOptions = this._getEmbeddingOptions(options);
+    
+    if (inputs.length === 0) {
+      return { embeddings: [], model: requestOptions.model, provider: requestOptions.provider, dimensions: 0, usage: null, fallback: false };
+    }
+    
+    if (requestOptions.provider !== EmbeddingProvider.HASH) {
+      try {
+        this._checkBudget();
+        
+        const batchSize = Math.max(1, requestOptions.embeddingBatchSize || DEFAULT_CONFIG.embeddingBatchSize);
+        const embeddings = [];
+        let promptTokens = 0;
+        let model = requestOptions.model;
+        
+        for (let i = 0; i < inputs.length; i += batchSize) {
+          const batch = await this._sendEmbeddingBatch(inputs.slice(i, i + batchSize), requestOptions);
+          embeddings.push(...batch.embeddings);
+          promptTokens += batch.promptTokens;
+          model = batch.model || model;
+        }
+        
+        const usage = { prompt_tokens: promptTokens, completion_tokens: 0, total_tokens: promptTokens };
+        this._recordUsage(inputs.join('\n'), { model, usage }, requestOptions);
+        
+        return {
+          embeddings,
+          model,
+          provider: requestOptions.provider,
+          dimensions: embeddings[0]?.length || 0,
+          usage,
+          fallback: false
+        };
+      } catch (error) {
+        if (options.fallback === false || error instanceof RequestCancelledError || requestOptions.signal?.aborted) {
+          throw error;
+        }
+        
+        console.warn('嵌入请求失败，使用本地哈希向量:', error.message);
+      }
+    }
+    
+    const dimensions = requestOptions.embeddingDimensions || HASH_EMBEDDING_DIMENSIONS;
+    
+    return {
+      embeddings: inputs.map(text => hashEmbedding(text, dimensions)),
+      model: `${HASH_EMBEDDING_MODEL}-${dimensions}`,
+      provider: EmbeddingProvider.HASH,
+      dimensions,
+      usage: null,
+      fallback: requestOptions.provider !== EmbeddingProvider.HASH
+    };
+  }
+
+  /**
+   * 合并嵌入请求选项并确定实际使用的提供商
+   * @private
+   * @param {Object} options - 请求选项
+   * @returns {Object} 请求选项，provider为 EmbeddingProvider 中的值
+   */
+  _getEmbeddingOptions(options) {
+    const merged = { ...this.config, ...options };
+    let provider = merged.embeddingProvider || EmbeddingProvider.AUTO;
+    
+    if (provider === EmbeddingProvider.AUTO) {
+      const mainProvider = merged.provider === LLMProvider.RECORD ? merged.recordProvider : merged.provider;
+      
+      // Anthropic、模拟和回放模式没有嵌入接口
+      provider = mainProvider === LLMProvider.OPENAI || mainProvider === LLMProvider.LOCAL ?
+        mainProvider :
+        EmbeddingProvider.HASH;
+    }
+    
+    // OpenAI没有密钥时无法请求
+    if (provider === EmbeddingProvider.OPENAI && !merged.apiKey) {
+      provider = EmbeddingProvider.HASH;
+    }
+    
+    const model = options.model || merged.embeddingModel || DEFAULT_EMBEDDING_MODELS[provider];
+    
+    // 本地模型服务器没有填写嵌入模型时无法请求
+    if (provider === EmbeddingProvider.LOCAL && !model) {
+      provider = EmbeddingProvider.HASH;
+    }
+    
+    return {
+      ...merged,
+      provider,
+      model,
+      modelType: ModelType.EMBEDDING,
+      apiEndpoint: merged.embeddingEndpoint || merged.apiEndpoint,
+      task: options.task || 'embedding',
+      retries: options.retries ?? merged.retries
+    };
+  }
+
+  /**
+   * 请求一批文本的向量，可重试的错误按重试设置重试
+   * @private
+   * @param {Array<string>} batch - 文本数组
+   * @param {Object} options - 嵌入请求选项
+   * @returns {Promise<Object>} 结果 { embeddings, promptTokens, model }
+   */
+  async _sendEmbeddingBatch(batch, options) {
+    const maxRetries = options.retries || 0;
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._schedule(
+          () => this._requestEmbeddings(batch, options),
+          { priority: RequestPriority.BACKGROUND, ...options },
+          batch.reduce((sum, text) => sum + this.estimateTokens(text, options), 0),
+          result => result?.promptTokens
+        );
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw new RequestCancelledError();
+        }
+        
+        const requestError = this._classifyError(error, options.provider);
+        const delay = this._getRetryDelay(requestError, attempt, options);
+        
+        if (!requestError.retryable || attempt >= maxRetries || delay === null) {
+          throw requestError;
+        }
+        
+        console.warn(`嵌入请求失败（${requestError.type}），${delay}毫秒后第${attempt + 1}/${maxRetries}次重试:`, requestError.message);
+        await this._sleep(delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * 发送嵌入请求
+   * OpenAI兼容接口为 POST /embeddings，Ollama为 POST /api/embed
+   * @private
+   * @param {Array<string>} batch - 文本数组
+   * @param {Object} options - 嵌入请求选项
+   * @returns {Promise<Object>} 结果 { embeddings, promptTokens, model }
+   */
+  async _requestEmbeddings(batch, options) {
+    const isOllama = options.provider === LLMProvider.LOCAL && options.localApiType === LocalApiType.OLLAMA;
+    let endpoint;
+    
+    if (options.provider === LLMProvider.OPENAI) {
+      endpoint = `${(options.apiEndpoint || 'https://api.openai.com/v1').replace(/\/+$/, '')}/embeddings`;
+    } else {
+      endpoint = `${this._getLocalEndpoint(options)}${isOllama ? '/api/embed' : '/embeddings'}`;
+    }
+    
+    const response = await this._fetch(endpoint, {
+      method: 'POST',
+      headers: this._buildHeaders(options),
+      body: JSON.stringify({ model: options.model, input: batch })
+    }, options);
+    
+    if (!response.ok) {
+      throw await this._createHTTPError(response, '嵌入请求失败', options.provider);
+    }
+    
+    const data = await response.json();
+    
+    // OpenAI按index返回，不保证顺序
+    const embeddings = isOllama ?
+      (data.embeddings || []) :
+      [...(data.data || [])].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    
+    if (embeddings.length !== batch.length) {
+      throw new LLMRequestError(`嵌入接口返回了 ${embeddings.length} 个向量，预期 ${batch.length} 个`, {
+        type: LLMErrorType.SERVER,
+        provider: options.provider
+      });
+    }
+    
+    return {
+      embeddings,
+      promptTokens: (isOllama ? data.prompt_eval_count : data.usage?.prompt_tokens) || 0,
+      model: data.model
+    };
+  }
+
+  /**
+   * 注册可供模型调用的工具
+   * @param {string} name - 工具名称
+   * @param {Object} tool - 工具定义
+   * @param {string} tool.description - 工具说明
+   * @param {Object} tool.parameters - 参数的JSON Schema
+   * @param {Function} tool.handler - 处理函数 (args, context) => result，可以返回Promise
+   */
+  registerTool(name, { description, parameters, handler }) {
+    if (typeof handler !== 'function') {
+      throw new Error('工具处理函数必须是一个函数');
+    }
+    
+    this.tools.set(name, {
+      name,
+      description: description || '',
+      parameters: parameters || { type: 'object', properties: {} },
+      handler
+    });
+  }
+
+  /**
+   * 注销工具
+   * @param {string} name - 工具名称
+   * @returns {boolean} 是否成功注销
+   */
+  unregisterTool(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * 获取已注册的工具定义（不含处理函数）
+   * @returns {Array} 工具定义数组
+   */
+  getTools() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  /**
+   * 生成聊天完成，允许模型多轮调用已注册的工具
+   * 模型请求工具时执行对应处理函数并把结果返回给模型，直到模型给出最终回复或达到最大深度
+   * @param {string|Array} messages - 消息数组或提示文本
+   * @param {Object} [options={}] - 请求选项
+   * @param {Array<string>} [options.tools] - 允许使用的工具名称，默认全部已注册工具
+   * @param {number} [options.maxToolDepth] - 最多进行几轮工具调用
+   * @param {Object} [options.toolContext] - 传给工具处理函数的上下文
+   * @returns {Promise<Object>} 最终响应对象，toolInvocations字段记录所有工具调用
+   */
+  async chatWithTools(messages, options = {}) {
+    const toolNames = options.tools || Array.from(this.tools.keys());
+    const toolDefinitions = this.getTools().filter(tool => toolNames.includes(tool.name));
+    const maxDepth = options.maxToolDepth ?? this.config.maxToolDepth;
+    const conversation = this._toMessages(messages).map(message => ({ ...message }));
+    const toolInvocations = [];
+    
+    for (let depth = 0; ; depth++) {
+      // 达到最大深度后禁止继续调用工具，要求模型直接回复
+      const reachedLimit = depth >= maxDepth;
+      
+      const response = await this.chatCompletion(conversation, {
+        ...options,
+        tools: undefined,
+        toolDefinitions,
+        toolChoice: reachedLimit ? 'none' : (options.toolChoice || 'auto')
+      });
+      
+      if (!response.toolCalls?.length || reachedLimit) {
+        if (reachedLimit && response.toolCalls?.length) {
+          console.warn(`工具调用达到最大深度 ${maxDepth}，忽略后续调用`);
+        }
+        
+        return {
+          ...response,
+          toolInvocations
+        };
+      }
+      
+      conversation.push({
+        role: 'assistant',
+        content: response.text || null,
+        tool_calls: response.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments)
+          }
+        }))
+      });
+      
+      for (const call of response.toolCalls) {
+        // 取消后不再执行剩余的工具
+        if (options.signal?.aborted) {
+          throw new RequestCancelledError(response.text);
+        }
+        
+        const invocation = await this._invokeTool(call, options.toolContext);
+        toolInvocations.push(invocation);
+        
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(invocation.error ? { error: invocation.error } : invocation.result ?? null)
+        });
+      }
+    }
+  }
+
+  /**
+   * 执行一次工具调用并记录到历史
+   * @private
+   * @param {Object} call - 工具调用 {id, name, arguments}
+   * @param {Object} [context] - 传给处理函数的上下文
+   * @returns {Promise<Object>} 调用记录 {id, name, arguments, result, error}
+   */
+  async _invokeTool(call, context) {
+    const invocation = {
+      id: call.id,
+      name: call.name,
+      arguments: call.arguments
+    };
+    
+    const tool = this.tools.get(call.name);
+    
+    try {
+      if (!tool) {
+        throw new Error(`未知的工具: ${call.name}`);
+      }
+      
+      invocation.result = await tool.handler(call.arguments || {}, context);
+    } catch (error) {
+      console.error(`工具调用失败: ${call.name}`, error);
+      invocation.error = error.message;
+    }
+    
+    historyManager.addToolCallEntry(invocation.name, invocation.arguments, invocation.result, invocation.error);
+    
+    return invocation;
+  }
+
+  /**
+   * 将JSON Schema的标题转为OpenAI接受的名称
+   * 名称只能包含字母、数字、下划线和连字符，最长64个字符
+   * @private
+   * @param {string} [title] - Schema标题
+   * @returns {string} 名称，标题为空或不含有效字符时为 response
+   */
+  _toSchemaName(title) {
+    const name = String(title || '')
+      .replace(/[^a-zA-Z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 64);
+    
+    return name || 'response';
+  }
+
+  /**
+   * 将工具定义转换为OpenAI格式
+   * @private
+   * @param {Array} toolDefinitions - 工具定义数组
+   * @returns {Array} OpenAI tools数组
+   */
+  _toOpenAITools(toolDefinitions) {
+    return toolDefinitions.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * 解析工具调用参数
+   * @private
+   * @param {string|Object} raw - JSON字符串或已解析的对象
+   * @returns {Object} 参数对象
+   */
+  _parseToolArguments(raw) {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn('无法解析工具调用参数:', raw);
+      return {};
+    }
+  }
+
+  /**
+   * 生成文本完成
+   * @param {string} prompt - 提示文本
+   * @param {Object} [options={}] - 请求选项
+   * @returns {Promise<Object>} 响应对象
+   */
+  async textCompletion(prompt, options = {}) {
+    return this.sendRequest(prompt, {
+      ...options,
+      modelType: ModelType.COMPLETION
+    });
+  }
+
+  /**
+   * 获取任务使用的配置
+   * 依次叠加全局配置、采样预设和路由；路由中未填写的字段继承前者，路由切换了提供商时，密钥、地址等字段不继承
+   * @param {string} [task] - 任务名称（PromptType或自定义模板名）
+   * @param {string} [samplerPreset] - 采样预设ID，默认使用路由或全局配置中选择的预设
+   * @returns {Object} 合并后的配置
+   */
+  getRouteConfig(task, samplerPreset) {
+    const route = task ? this.config.routes?.[task] : null;
+    const base = this._applySamplerPreset(this.config, samplerPreset || route?.samplerPreset || this.config.samplerPreset);
+    return route ? this._applyProfile(base, route) : base;
+  }
+
+  /**
+   * 将采样预设覆盖到配置上，预设中未设置的参数保留配置的值
+   * @private
+   * @param {Object} config - 配置
+   * @param {string} [presetId] - 预设ID
+   * @returns {Object} 合并后的配置
+   */
+  _applySamplerPreset(config, presetId) {
+    const preset = presetId ? config.samplerPresets?.[presetId] : null;
+    return preset ? { ...config, ...pickSamplerParams(preset), samplerPreset: presetId } : { ...config };
+  }
+
+  /**
+   * 将提供商配置覆盖到基础配置上
+   * 空字段继承基础配置；切换了提供商时，密钥、地址等字段不继承
+   * @private
+   * @param {Object} baseConfig - 基础配置
+   * @param {Object} profile - 提供商配置
+   * @returns {Object} 合并后的配置
+   */
+  _applyProfile(baseConfig, profile) {
+    const overrides = {};
+    
+    for (const field of ROUTE_FIELDS) {
+      if (profile[field] !== undefined && profile[field] !== null && profile[field] !== '') {
+        overrides[field] = profile[field];
+      }
+    }
+    
+    const config = { ...baseConfig, ...overrides };
+    
+    if (overrides.provider && overrides.provider !== baseConfig.provider) {
+      for (const field of PROVIDER_SPECIFIC_FIELDS) {
+        if (overrides[field] === undefined) {
+          config[field] = DEFAULT_CONFIG[field];
+        }
+      }
+    }
+    
+    return config;
+  }
+
+  /**
+   * 设置任务路由
+   * @param {string} task - 任务名称（PromptType或自定义模板名）
+   * @param {Object} route - 路由配置，可包含 provider、model、temperature、maxTokens、apiKey、apiEndpoint、localApiType
+   */
+  setRoute(task, route) {
+    this.updateConfig({
+      routes: {
+        ...this.config.routes,
+        [task]: route
+      }
+    });
   }
 
   /**
-   * 生成聊天完成
-   * @param {Array} messages - 消息数组
-   * @param {Object} [options={}] - 请求选项
-   * @returns {Promise<Object>} 响应对象
+   * 移除任务路由，该任务恢复使用全局配置
+   * @param {string} task - 任务名称
    */
-  async chatCompletion(messages, options = {}) {
-    return this.sendRequest(messages, {
-      ...options,
-      modelType: ModelType.CHAT
+  removeRoute(task) {
+    const routes = { ...this.config.routes };
+    delete routes[task];
+    this.updateConfig({ routes });
+  }
+
+  /**
+   * 获取所有任务路由
+   * @returns {Object} 任务名称到路由配置的映射
+   */
+  getRoutes() {
+    return { ...this.config.routes };
+  }
+
+  /**
+   * 获取所有采样预设
+   * @returns {Object} 预设ID到预设的映射，预设包含name和采样参数
+   */
+  getSamplerPresets() {
+    return { ...this.config.samplerPresets };
+  }
+
+  /**
+   * 添加或更新采样预设
+   * @param {string} id - 预设ID
+   * @param {Object} preset - 预设 { name, temperature, topP, topK, minP, frequencyPenalty, presencePenalty, repetitionPenalty, seed, stop, logitBias }
+   */
+  setSamplerPreset(id, preset) {
+    this.updateConfig({
+      samplerPresets: {
+        ...this.config.samplerPresets,
+        [id]: { name: preset.name || id, ...pickSamplerParams(preset) }
+      }
     });
   }
 
   /**
-   * 生成文本完成
-   * @param {string} prompt - 提示文本
-   * @param {Object} [options={}] - 请求选项
-   * @returns {Promise<Object>} 响应对象
+   * 删除采样预设，引用它的路由回退到全局参数
+   * @param {string} id - 预设ID
    */
-  async textCompletion(prompt, options = {}) {
-    return this.sendRequest(prompt, {
-      ...options,
-      modelType: ModelType.COMPLETION
+  removeSamplerPreset(id) {
+    const samplerPresets = { ...this.config.samplerPresets };
+    delete samplerPresets[id];
+    this.updateConfig({ samplerPresets });
+  }
+
+  /**
+   * 恢复内置的采样预设，自定义预设保留
+   */
+  resetSamplerPresets() {
+    this.updateConfig({
+      samplerPresets: { ...this.config.samplerPresets, ...DEFAULT_SAMPLER_PRESETS }
+    });
+  }
+
+  /**
+   * 获取所有连接配置，按创建时间排序
+   * @returns {Array<Object>} 连接配置数组
+   */
+  getConnectionProfiles() {
+    return Object.values(this.config.connectionProfiles || {})
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  }
+
+  /**
+   * 获取当前使用的连接配置
+   * @returns {Object|null} 连接配置
+   */
+  getActiveConnectionProfile() {
+    return this.config.connectionProfiles?.[this.config.activeConnectionProfile] || null;
+  }
+
+  /**
+   * 创建连接配置，并设为当前配置
+   * 连接设置取自fields，未提供的字段使用当前的连接设置；原来的当前配置不受影响
+   * @param {string} name - 名称
+   * @param {Object} [fields={}] - 连接设置，如设置面板中填写但尚未保存的值
+   * @returns {Object} 新的连接配置
+   */
+  createConnectionProfile(name, fields = {}) {
+    const connection = this._pickConnectionFields({ ...this.config, ...fields });
+    const profile = {
+      ...connection,
+      id: this._generateConnectionProfileId(),
+      name: name || connection.model || '未命名配置',
+      createdAt: new Date().toISOString(),
+      lastSuccessAt: null
+    };
+    
+    this.updateConfig({
+      ...connection,
+      connectionProfiles: { ...this.config.connectionProfiles, [profile.id]: profile },
+      activeConnectionProfile: profile.id
+    });
+    this._emitConnectionProfileChange();
+    
+    return profile;
+  }
+
+  /**
+   * 复制连接配置
+   * @param {string} id - 连接配置ID
+   * @returns {Object|null} 新的连接配置，原配置不存在时返回null
+   */
+  duplicateConnectionProfile(id) {
+    const source = this.config.connectionProfiles?.[id];
+    
+    if (!source) {
+      return null;
+    }
+    
+    const profile = {
+      ...source,
+      id: this._generateConnectionProfileId(),
+      name: `${source.name} 副本`,
+      createdAt: new Date().toISOString(),
+      lastSuccessAt: null
+    };
+    
+    this.updateConfig({
+      connectionProfiles: { ...this.config.connectionProfiles, [profile.id]: profile }
+    });
+    this._emitConnectionProfileChange();
+    
+    return profile;
+  }
+
+  /**
+   * 重命名连接配置
+   * @param {string} id - 连接配置ID
+   * @param {string} name - 新名称
+   */
+  renameConnectionProfile(id, name) {
+    const profile = this.config.connectionProfiles?.[id];
+    
+    if (!profile || !name) return;
+    
+    this.updateConfig({
+      connectionProfiles: { ...this.config.connectionProfiles, [id]: { ...profile, name } }
+    });
+    this._emitConnectionProfileChange();
+  }
+
+  /**
+   * 删除连接配置，当前连接设置保持不变
+   * @param {string} id - 连接配置ID
+   */
+  deleteConnectionProfile(id) {
+    const { [id]: removed, ...connectionProfiles } = this.config.connectionProfiles || {};
+    
+    if (!removed) return;
+    
+    this.updateConfig({
+      connectionProfiles,
+      activeConnectionProfile: this.config.activeConnectionProfile === id ? null : this.config.activeConnectionProfile
     });
+    this._emitConnectionProfileChange();
+  }
+
+  /**
+   * 切换到连接配置
+   * 配置中缺少的字段使用默认值，避免沿用上一个配置的地址和密钥
+   * @param {string} id - 连接配置ID
+   * @returns {boolean} 是否切换成功
+   */
+  activateConnectionProfile(id) {
+    const profile = this.config.connectionProfiles?.[id];
+    
+    if (!profile) {
+      return false;
+    }
+    
+    const fields = {};
+    
+    for (const field of CONNECTION_PROFILE_FIELDS) {
+      fields[field] = profile[field] ?? DEFAULT_CONFIG[field];
+    }
+    
+    this.updateConfig({ ...fields, activeConnectionProfile: id });
+    this._emitConnectionProfileChange();
+    return true;
+  }
+
+  /**
+   * 导出连接配置，不包含API密钥
+   * @param {Array<string>} [ids] - 要导出的连接配置ID，默认全部
+   * @returns {string} JSON字符串
+   */
+  exportConnectionProfiles(ids) {
+    const profiles = this.getConnectionProfiles()
+      .filter(profile => !ids || ids.includes(profile.id))
+      .map(profile => stripSecrets(profile));
+    
+    return JSON.stringify({ version: 1, profiles }, null, 2);
+  }
+
+  /**
+   * 导入连接配置，导入的配置使用新的ID，其中的API密钥会被忽略
+   * @param {string} jsonString - JSON字符串
+   * @returns {number} 导入的数量，格式无效时为0
+   */
+  importConnectionProfiles(jsonString) {
+    try {
+      const data = JSON.parse(jsonString);
+      const profiles = Array.isArray(data) ? data : data.profiles;
+      
+      if (!Array.isArray(profiles)) {
+        throw new Error('连接配置文件格式无效');
+      }
+      
+      const connectionProfiles = { ...this.config.connectionProfiles };
+      let count = 0;
+      
+      for (const item of profiles) {
+        if (!item || typeof item !== 'object' || !item.provider) continue;
+        
+        const profile = {
+          ...stripSecrets(this._pickConnectionFields(item)),
+          id: this._generateConnectionProfileId(),
+          name: item.name || item.model || '导入的配置',
+          createdAt: new Date().toISOString(),
+          lastSuccessAt: item.lastSuccessAt || null
+        };
+        
+        connectionProfiles[profile.id] = profile;
+        count++;
+      }
+      
+      this.updateConfig({ connectionProfiles });
+      this._emitConnectionProfileChange();
+      return count;
+    } catch (error) {
+      console.error('导入连接配置失败:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * 提取连接字段
+   * @private
+   * @param {Object} source - 配置
+   * @returns {Object} 连接字段
+   */
+  _pickConnectionFields(source) {
+    const fields = {};
+    
+    for (const field of CONNECTION_PROFILE_FIELDS) {
+      if (source[field] !== undefined) {
+        fields[field] = source[field];
+      }
+    }
+    
+    return fields;
+  }
+
+  /**
+   * 广播连接配置变化
+   * @private
+   */
+  _emitConnectionProfileChange() {
+    if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') {
+      return;
+    }
+    
+    window.dispatchEvent(new CustomEvent('llmConnectionProfileChange', {
+      detail: { activeId: this.config.activeConnectionProfile }
+    }));
+  }
+
+  /**
+   * 生成连接配置ID
+   * @private
+   * @returns {string} 连接配置ID
+   */
+  _generateConnectionProfileId() {
+    return `profile_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * 为没有ID的备用提供商生成ID
+   * 加密保存的API密钥按ID对应备用提供商，删除或调整顺序后不会错位
+   * @private
+   * @param {Array<Object>} [fallbacks] - 备用提供商
+   * @returns {Array<Object>} 备用提供商
+   */
+  _withFallbackIds(fallbacks) {
+    return (fallbacks || []).map(fallback => (fallback.id ? fallback : {
+      ...fallback,
+      id: `fallback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    }));
+  }
+
+  /**
+   * 检查提供商是否已具备发送请求的条件
+   * 主提供商或任一备用提供商可用即视为已配置
+   * @param {string} [task] - 任务名称，指定时检查该任务路由到的提供商
+   * @returns {boolean} 是否已配置
+   */
+  isConfigured(task) {
+    return this._getRequestTiers({ task }).some(config => this._isProviderConfigured(config));
+  }
+
+  /**
+   * 检查单个提供商配置是否完整
+   * @private
+   * @param {Object} config - 提供商配置
+   * @returns {boolean} 是否完整
+   */
+  _isProviderConfigured(config) {
+    switch (config.provider) {
+      case LLMProvider.OPENAI:
+      case LLMProvider.ANTHROPIC:
+        return !!config.apiKey;
+      
+      case LLMProvider.LOCAL:
+      case LLMProvider.MOCK:
+      case LLMProvider.REPLAY:
+        return true;
+      
+      case LLMProvider.RECORD:
+        return config.recordProvider !== LLMProvider.RECORD &&
+          config.recordProvider !== LLMProvider.REPLAY &&
+          this._isProviderConfigured({ ...config, provider: config.recordProvider });
+      
+      default:
+        return false;
+    }
   }
 
   /**
@@ -421,16 +3615,173 @@ class LLMAdapter {
     return { ...this.config };
   }
 
+  /**
+   * 获取API密钥加密存储的状态
+   * @returns {Object} 状态 { supported, locked, persistent, count }
+   */
+  getSecretStatus() {
+    return secretStore.getStatus();
+  }
+
+  /**
+   * 用口令解锁已加密保存的API密钥，并写回当前配置
+   * @param {string} passphrase - 口令
+   * @returns {Promise<void>}
+   * @throws {Error} 口令错误时抛出
+   */
+  async unlockSecrets(passphrase) {
+    const secrets = await secretStore.unlock(passphrase);
+    this.config = applySecrets(this.config, secrets);
+  }
+
+  /**
+   * 设置或修改口令，之后对API密钥的修改会加密保存
+   * @param {string} passphrase - 新口令
+   * @returns {Promise<void>}
+   */
+  async setSecretPassphrase(passphrase) {
+    await secretStore.setSecrets(extractSecrets(this.config).secrets);
+    await secretStore.setPassphrase(passphrase);
+  }
+
+  /**
+   * 锁定API密钥，从内存和当前配置中清除明文
+   */
+  lockSecrets() {
+    secretStore.lock();
+    this.config = stripSecrets(this.config);
+  }
+
+  /**
+   * 删除已加密保存的API密钥
+   */
+  forgetSecrets() {
+    secretStore.forget();
+    this.config = stripSecrets(this.config);
+  }
+
+  /**
+   * 获取可用的模型列表
+   * @param {Object} [options={}] - 请求选项，覆盖当前配置
+   * @returns {Promise<Array<string>>} 模型名称数组
+   */
+  async listModels(options = {}) {
+    const requestOptions = {
+      ...this.config,
+      ...options
+    };
+    
+    switch (requestOptions.provider) {
+      case LLMProvider.OPENAI: {
+        const apiEndpoint = (requestOptions.apiEndpoint || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const data = await this._getJSON(`${apiEndpoint}/models`, requestOptions);
+        return (data.data || []).map(model => model.id);
+      }
+      
+      case LLMProvider.ANTHROPIC: {
+        const data = await this._getJSON(`${this._getAnthropicEndpoint(requestOptions)}/models`, requestOptions);
+        return (data.data || []).map(model => model.id);
+      }
+      
+      case LLMProvider.LOCAL: {
+        const apiEndpoint = this._getLocalEndpoint(requestOptions);
+        
+        if (requestOptions.localApiType === LocalApiType.OLLAMA) {
+          const data = await this._getJSON(`${apiEndpoint}/api/tags`, requestOptions);
+          return (data.models || []).map(model => model.name);
+        }
+        
+        const data = await this._getJSON(`${apiEndpoint}/models`, requestOptions);
+        return (data.data || []).map(model => model.id);
+      }
+      
+      case LLMProvider.MOCK:
+        return ['mock-model'];
+      
+      case LLMProvider.RECORD:
+        return this.listModels({ ...options, provider: requestOptions.recordProvider });
+      
+      case LLMProvider.REPLAY:
+        return ['replay'];
+      
+      default:
+        throw new Error(`不支持的LLM提供商: ${requestOptions.provider}`);
+    }
+  }
+
+  /**
+   * 发送GET请求并解析JSON
+   * @private
+   * @param {string} url - 请求地址
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 响应数据
+   */
+  async _getJSON(url, options) {
+    const response = await this._fetch(url, {
+      method: 'GET',
+      headers: this._buildHeaders(options)
+    }, options);
+    
+    if (!response.ok) {
+      throw await this._createHTTPError(response, '请求失败', options.provider);
+    }
+    
+    return response.json();
+  }
+
   /**
    * 检查API连接
+   * 成功时记录到当前连接配置的lastSuccessAt
    * @returns {Promise<boolean>} 是否连接成功
    */
   async checkConnection() {
+    const connected = await this._testConnection();
+    const profile = this.getActiveConnectionProfile();
+    
+    if (connected && profile) {
+      this.updateConfig({
+        connectionProfiles: {
+          ...this.config.connectionProfiles,
+          [profile.id]: { ...profile, lastSuccessAt: new Date().toISOString() }
+        }
+      });
+      this._emitConnectionProfileChange();
+    }
+    
+    return connected;
+  }
+
+  /**
+   * 测试API连接
+   * 本地模型通过模型列表接口做健康检查，不消耗生成
+   * @private
+   * @returns {Promise<boolean>} 是否连接成功
+   */
+  async _testConnection() {
     try {
-      // 发送一个简单的请求来检查连接
+      // 回放不发送请求，有录制记录即可使用
+      if (this.config.provider === LLMProvider.REPLAY) {
+        return fixtureStore.getCount() > 0;
+      }
+      
+      if (this.config.provider === LLMProvider.LOCAL) {
+        const models = await this.listModels();
+        
+        if (this.config.model && !models.includes(this.config.model)) {
+          console.warn(`本地服务器上没有找到模型: ${this.config.model}，可用模型:`, models);
+        }
+        
+        return true;
+      }
+      
+      // 发送一个简单的请求来检查连接，不切换到备用提供商也不重试
+      // 录制模式直接测试被包装的提供商，避免把测试请求写入录制记录
       const response = await this.sendRequest('测试连接', {
         maxTokens: 5,
-        temperature: 0.1
+        temperature: 0.1,
+        fallback: false,
+        retries: 0,
+        ...(this.config.provider === LLMProvider.RECORD ? { provider: this.config.recordProvider } : {})
       });
       
       return !!response;
@@ -441,26 +3792,91 @@ class LLMAdapter {
   }
 
   /**
-   * 估计令牌数量
+   * 获取录制记录数量
+   * @returns {number} 数量
+   */
+  getFixtureCount() {
+    return fixtureStore.getCount();
+  }
+
+  /**
+   * 导出录制文件
+   * @returns {string} JSON字符串
+   */
+  exportFixtures() {
+    return fixtureStore.exportFixtures();
+  }
+
+  /**
+   * 导入录制文件，替换现有记录
+   * @param {string} jsonString - JSON字符串
+   * @returns {boolean} 是否成功导入
+   */
+  importFixtures(jsonString) {
+    return fixtureStore.importFixtures(jsonString);
+  }
+
+  /**
+   * 清空录制记录
+   */
+  clearFixtures() {
+    fixtureStore.clear();
+  }
+
+  /**
+   * 从头开始回放
+   */
+  resetReplay() {
+    fixtureStore.resetReplay();
+  }
+
+  /**
+   * 计算文本的令牌数量
+   * 模型有本地词表时精确计算，否则按字符类型估算
    * @param {string} text - 文本
-   * @returns {number} 估计的令牌数量
+   * @param {Object} [options={}] - 请求选项，可指定model和tokenizer
+   * @returns {number} 令牌数量
    */
-  estimateTokens(text) {
-    // 这是一个非常粗略的估计，实际令牌数量取决于模型的分词器
-    // 对于英文，大约每4个字符为1个令牌
-    // 对于中文，大约每1-2个字符为1个令牌
-    
-    // 检测文本是否主要是中文
-    const chineseChars = text.match(/[\u4e00-\u9fa5]/g) || [];
-    const chineseRatio = chineseChars.length / text.length;
+  estimateTokens(text, options = {}) {
+    const { model, tokenizer: encoding } = { ...this.config, ...options };
+    return tokenizer.countText(text || '', model, encoding);
+  }
+
+  /**
+   * 计算提示的令牌数量，包含聊天格式的固定开销
+   * @param {string|Array} messages - 消息数组或提示文本
+   * @param {Object} [options={}] - 请求选项，可指定model和tokenizer
+   * @returns {number} 令牌数量
+   */
+  countTokens(messages, options = {}) {
+    const { model, modelType, tokenizer: encoding } = { ...this.config, ...options };
     
-    if (chineseRatio > 0.5) {
-      // 主要是中文，按1.5个字符1个令牌估计
-      return Math.ceil(text.length / 1.5);
-    } else {
-      // 主要是英文，按4个字符1个令牌估计
-      return Math.ceil(text.length / 4);
+    // 补全模型发送的是拼接后的纯文本
+    if (modelType === ModelType.COMPLETION) {
+      return tokenizer.countText(this._toPromptString(messages), model, encoding);
     }
+    
+    return tokenizer.countMessages(this._toMessages(messages), model, encoding);
+  }
+
+  /**
+   * 令牌数是否为精确计算
+   * @param {Object} [options={}] - 请求选项，可指定model和tokenizer
+   * @returns {boolean} 模型的词表已加载时为true
+   */
+  isTokenCountExact(options = {}) {
+    const { model, tokenizer: encoding } = { ...this.config, ...options };
+    return tokenizer.isExact(model, encoding);
+  }
+
+  /**
+   * 加载模型的词表，之后的令牌计算为精确值
+   * @param {Object} [options={}] - 请求选项，可指定model和tokenizer
+   * @returns {Promise<boolean>} 是否可以精确计算
+   */
+  async loadTokenizer(options = {}) {
+    const { model, tokenizer: encoding } = { ...this.config, ...options };
+    return tokenizer.ensureLoaded(model, encoding);
   }
 }
 
@@ -0,0 +1,788 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import tokenizer from './tokenizer';
+import historyManager, { HistoryEntryType } from './history';
+import { PromptType } from './prompt_builder';
+import gameState from './game_state';
+import llmAdapter, {
+  ModelType,
+  LLMProvider,
+  LocalApiType,
+  EmbeddingProvider,
+  LLMErrorType,
+  LLMRequestError,
+  RequestCancelledError,
+  ResponseTier,
+  CircuitState
+} from './llm_adapter';
+
+/**
+ * 构建按给定分块输出的响应体，模拟SSE服务器
+ * @param {Array<string>} chunks - 每次读取返回的文本
+ * @returns {ReadableStream} 响应体
+ */
+function streamOf(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+/**
+ * 收集异步迭代器的所有值
+ * @param {AsyncIterable} iterable - 异步迭代器
+ * @returns {Promise<Array>} 值数组
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * 用给定的处理函数替换fetch，记录每次请求的地址、请求头和请求体
+ * @param {Function} handler - (call, index) => Response
+ * @returns {Array<Object>} 请求记录
+ */
+function mockFetch(handler) {
+  const calls = [];
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+    const call = { url, headers: init.headers, body: JSON.parse(init.body) };
+    calls.push(call);
+    return handler(call, calls.length - 1);
+  });
+  return calls;
+}
+
+/**
+ * 构建JSON响应
+ * @param {Object} data - 响应数据
+ * @param {Object} [init] - 响应参数 { status, headers }
+ * @returns {Response} 响应对象
+ */
+function jsonResponse(data, init = {}) {
+  return new Response(JSON.stringify(data), {
+    status: init.status || 200,
+    headers: { 'Content-Type': 'application/json', ...init.headers }
+  });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('SSE解析', () => {
+  it('拼接跨分块边界的事件', async () => {
+    const events = await collect(llmAdapter._readSSEEvents(streamOf([
+      'data: {"a":',
+      '1}\n',
+      '\ndata: sec',
+      'ond\r\n\r\n: 注释\ndata: 第一行\ndata: 第二行\n\n'
+    ])));
+    
+    expect(events).toEqual(['{"a":1}', 'second', '第一行\n第二行']);
+  });
+
+  it('解码跨分块边界的多字节字符', async () => {
+    const bytes = new TextEncoder().encode('data: 你好\n\n');
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 8));
+        controller.enqueue(bytes.slice(8));
+        controller.close();
+      }
+    });
+    
+    expect(await collect(llmAdapter._readSSEEvents(body))).toEqual(['你好']);
+  });
+
+  it('流结束时输出没有空行结尾的最后一个事件', async () => {
+    expect(await collect(llmAdapter._readSSEEvents(streamOf(['data: a\n\ndata: b'])))).toEqual(['a', 'b']);
+  });
+});
+
+describe('OpenAI流式响应', () => {
+  it('逐段回调文本，遇到 [DONE] 后停止读取', async () => {
+    const chunk = (content) => `data: ${JSON.stringify({ id: 'c1', model: 'm', choices: [{ delta: { content } }] })}\n\n`;
+    const body = streamOf([
+      chunk('你'),
+      chunk('好').slice(0, 10),
+      chunk('好').slice(10),
+      'data: [DONE]\n\n',
+      chunk('不应出现')
+    ]);
+    const tokens = [];
+    
+    const result = await llmAdapter._readOpenAIStream({ body }, {
+      modelType: ModelType.CHAT,
+      onToken: (token, text) => tokens.push([token, text])
+    }, 'openai');
+    
+    expect(tokens).toEqual([['你', '你'], ['好', '你好']]);
+    expect(result.text).toBe('你好');
+  });
+});
+
+describe('本地SSE服务器', () => {
+  let server;
+  let baseUrl;
+
+  // 每个请求按路径决定输出方式：/steady 每100毫秒一段共10段，总时长超过超时时间，/stall 输出一段后不再响应
+  beforeAll(async () => {
+    // 适配器在后台加载词表，解析词表时会阻塞事件循环，先等它完成以免影响计时
+    await tokenizer.ensureLoaded(llmAdapter.getConfig().model);
+    
+    server = createServer((request, response) => {
+      const chunk = (content) => `data: ${JSON.stringify({ id: 'c1', model: 'm', choices: [{ delta: { content } }] })}\n\n`;
+      response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      response.write(chunk('一'));
+      
+      if (request.url.startsWith('/stall')) {
+        return;
+      }
+      
+      let count = 1;
+      const timer = setInterval(() => {
+        if (count === 10) {
+          clearInterval(timer);
+          response.end('data: [DONE]\n\n');
+          return;
+        }
+        response.write(chunk('二三四五六七八九十'[count - 1]));
+        count++;
+      }, 100);
+      response.on('close', () => clearInterval(timer));
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const send = (path, options = {}) => llmAdapter.sendRequest('你好', {
+    provider: LLMProvider.OPENAI,
+    apiKey: 'sk-test',
+    apiEndpoint: `${baseUrl}${path}`,
+    modelType: ModelType.CHAT,
+    stream: true,
+    retries: 0,
+    cache: false,
+    timeout: 600,
+    ...options
+  });
+
+  it('持续输出的回复总时长超过超时时间也能完成', async () => {
+    const tokens = [];
+    const response = await send('/steady', { onToken: token => tokens.push(token) });
+    
+    expect(response.text).toBe('一二三四五六七八九十');
+    expect(tokens).toHaveLength(10);
+  });
+
+  it('超过超时时间没有收到数据时按超时失败', async () => {
+    const error = await send('/stall').catch(error => error);
+    
+    expect(error).toBeInstanceOf(LLMRequestError);
+    expect(error.type).toBe(LLMErrorType.TIMEOUT);
+  });
+
+  it('取消时停止读取并保留已输出的文本', async () => {
+    const controller = new AbortController();
+    const request = send('/steady', {
+      signal: controller.signal,
+      timeout: 5000,
+      onToken: (token, text) => {
+        if (text.length === 2) controller.abort();
+      }
+    });
+    
+    const error = await request.catch(error => error);
+    
+    expect(error).toBeInstanceOf(RequestCancelledError);
+    expect(error.partialText).toBe('一二');
+  });
+});
+
+describe('本地模型', () => {
+  const local = {
+    provider: LLMProvider.LOCAL,
+    model: 'llama3',
+    modelType: ModelType.CHAT,
+    temperature: 0.5,
+    maxTokens: 100,
+    retries: 0
+  };
+
+  it('Ollama聊天请求发送到 /api/chat，参数放在options中', async () => {
+    const calls = mockFetch(() => jsonResponse({
+      model: 'llama3',
+      message: { role: 'assistant', content: '你好' },
+      prompt_eval_count: 12,
+      eval_count: 3,
+      done: true
+    }));
+    
+    const response = await llmAdapter.sendRequest([{ role: 'user', content: '你好' }], {
+      ...local,
+      localApiType: LocalApiType.OLLAMA,
+      apiEndpoint: 'http://localhost:11434/'
+    });
+    
+    expect(calls[0].url).toBe('http://localhost:11434/api/chat');
+    expect(calls[0].headers).not.toHaveProperty('Authorization');
+    expect(calls[0].body).toMatchObject({
+      model: 'llama3',
+      stream: false,
+      messages: [{ role: 'user', content: '你好' }],
+      options: { temperature: 0.5, num_predict: 100 }
+    });
+    expect(response.text).toBe('你好');
+    expect(response.usage).toEqual({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+  });
+
+  it('Ollama补全请求发送到 /api/generate', async () => {
+    const calls = mockFetch(() => jsonResponse({ model: 'llama3', response: '从前', done: true }));
+    
+    const response = await llmAdapter.sendRequest('讲个故事', {
+      ...local,
+      modelType: ModelType.COMPLETION,
+      localApiType: LocalApiType.OLLAMA,
+      apiEndpoint: ''
+    });
+    
+    expect(calls[0].url).toBe('http://localhost:11434/api/generate');
+    expect(calls[0].body).toMatchObject({ prompt: '讲个故事' });
+    expect(calls[0].body).not.toHaveProperty('messages');
+    expect(response.text).toBe('从前');
+    // 没有返回用量时按估算补齐
+    expect(response.usage.estimated).toBe(true);
+  });
+
+  it('OpenAI兼容服务器使用 /chat/completions，有密钥时才发送Authorization', async () => {
+    const calls = mockFetch(() => jsonResponse({
+      id: 'c1',
+      model: 'llama3',
+      choices: [{ message: { role: 'assistant', content: '好的' } }]
+    }));
+    
+    await llmAdapter.sendRequest('你好', { ...local, localApiType: LocalApiType.OPENAI_COMPATIBLE, apiEndpoint: '' });
+    await llmAdapter.sendRequest('你好', {
+      ...local,
+      localApiType: LocalApiType.OPENAI_COMPATIBLE,
+      apiEndpoint: 'http://127.0.0.1:8000/v1/',
+      apiKey: 'sk-local'
+    });
+    
+    expect(calls[0].url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(calls[0].headers).not.toHaveProperty('Authorization');
+    expect(calls[0].body).toMatchObject({ model: 'llama3', temperature: 0.5, max_tokens: 100 });
+    expect(calls[1].url).toBe('http://127.0.0.1:8000/v1/chat/completions');
+    expect(calls[1].headers.Authorization).toBe('Bearer sk-local');
+  });
+});
+
+describe('任务路由', () => {
+  it('按PromptType选择提供商和模型，切换提供商时不继承密钥', async () => {
+    const { provider, model, apiKey, apiEndpoint, routes } = llmAdapter.getConfig();
+    llmAdapter.updateConfig({ provider: LLMProvider.OPENAI, model: 'gpt-4o', apiKey: 'sk-main', apiEndpoint: '' });
+    llmAdapter.setRoute(PromptType.WORLD_BUILDING, {
+      provider: LLMProvider.LOCAL,
+      model: 'llama3',
+      localApiType: LocalApiType.OLLAMA
+    });
+    llmAdapter.setRoute(PromptType.STORY_PROGRESSION, { model: 'gpt-4o-mini', temperature: 0.2 });
+    
+    const calls = mockFetch(call => (call.url.includes('/api/chat') ?
+      jsonResponse({ model: 'llama3', message: { role: 'assistant', content: '世界' }, done: true }) :
+      jsonResponse({ id: 'c1', model: call.body.model, choices: [{ message: { role: 'assistant', content: '好' } }] })));
+    
+    try {
+      await llmAdapter.sendRequest('你好', { task: PromptType.WORLD_BUILDING, retries: 0 });
+      await llmAdapter.sendRequest('你好', { task: PromptType.STORY_PROGRESSION, retries: 0 });
+      await llmAdapter.sendRequest('你好', { task: PromptType.AGENT_RESPONSE, retries: 0 });
+      
+      llmAdapter.removeRoute(PromptType.STORY_PROGRESSION);
+      await llmAdapter.sendRequest('你好', { task: PromptType.STORY_PROGRESSION, retries: 0 });
+    } finally {
+      llmAdapter.updateConfig({ provider, model, apiKey, apiEndpoint, routes });
+    }
+    
+    expect(calls[0].url).toBe('http://localhost:11434/api/chat');
+    expect(calls[0].body.model).toBe('llama3');
+    expect(calls[0].headers).not.toHaveProperty('Authorization');
+    
+    expect(calls[1].url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(calls[1].body).toMatchObject({ model: 'gpt-4o-mini', temperature: 0.2 });
+    expect(calls[1].headers.Authorization).toBe('Bearer sk-main');
+    
+    expect(calls[2].body.model).toBe('gpt-4o');
+    expect(calls[3].body.model).toBe('gpt-4o');
+  });
+});
+
+describe('备用提供商与熔断', () => {
+  const OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+  const OLLAMA_URL = 'http://localhost:11434/api/chat';
+  const CIRCUIT_KEY = `${LLMProvider.OPENAI}@default`;
+  let saved;
+
+  /**
+   * 替换fetch，OpenAI按给定状态码响应，Ollama总是成功
+   * @param {Function} openaiStatus - (index) => 状态码，index为OpenAI的第几次请求
+   * @returns {Array<Object>} 请求记录
+   */
+  const mockProviders = (openaiStatus) => {
+    let openaiCount = 0;
+    
+    return mockFetch(call => {
+      if (call.url === OLLAMA_URL) {
+        return jsonResponse({ model: 'llama3', message: { role: 'assistant', content: '备用' }, done: true });
+      }
+      
+      const status = openaiStatus(openaiCount++);
+      return status === 200 ?
+        jsonResponse({ id: 'c1', model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: '主要' } }] }) :
+        jsonResponse({ error: '失败' }, { status });
+    });
+  };
+
+  beforeAll(() => {
+    const { provider, model, apiKey, apiEndpoint, fallbacks, retries, circuitFailureThreshold, circuitCooldown } = llmAdapter.getConfig();
+    saved = { provider, model, apiKey, apiEndpoint, fallbacks, retries, circuitFailureThreshold, circuitCooldown };
+    
+    llmAdapter.updateConfig({
+      provider: LLMProvider.OPENAI,
+      model: 'gpt-4o',
+      apiKey: 'sk-main',
+      apiEndpoint: '',
+      fallbacks: [{ provider: LLMProvider.LOCAL, model: 'llama3', localApiType: LocalApiType.OLLAMA }],
+      retries: 0,
+      circuitFailureThreshold: 2,
+      circuitCooldown: 60000
+    });
+  });
+
+  afterAll(() => {
+    llmAdapter.updateConfig(saved);
+  });
+
+  afterEach(() => {
+    llmAdapter.resetCircuits();
+    vi.useRealTimers();
+  });
+
+  it('主提供商出现可重试错误时切换到下一个提供商', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockProviders(() => 503);
+    
+    const response = await llmAdapter.sendRequest('你好');
+    
+    expect(calls.map(call => call.url)).toEqual([OPENAI_URL, OLLAMA_URL]);
+    expect(response.text).toBe('备用');
+    expect(response.servedBy).toMatchObject({ tier: ResponseTier.FALLBACK, fallbackIndex: 0, provider: LLMProvider.LOCAL });
+  });
+
+  it('连续失败后熔断，冷却结束后半开试探，成功后关闭', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const calls = mockProviders(index => (index < 2 ? 503 : 200));
+    
+    await llmAdapter.sendRequest('你好');
+    await llmAdapter.sendRequest('你好');
+    expect(llmAdapter.getCircuitStates()[CIRCUIT_KEY].state).toBe(CircuitState.OPEN);
+    
+    // 熔断期间直接使用备用提供商
+    calls.length = 0;
+    await llmAdapter.sendRequest('你好');
+    expect(calls.map(call => call.url)).toEqual([OLLAMA_URL]);
+    
+    vi.advanceTimersByTime(60000);
+    calls.length = 0;
+    const response = await llmAdapter.sendRequest('你好');
+    
+    expect(calls.map(call => call.url)).toEqual([OPENAI_URL]);
+    expect(response.servedBy.tier).toBe(ResponseTier.PRIMARY);
+    expect(llmAdapter.getCircuitStates()[CIRCUIT_KEY]).toMatchObject({ state: CircuitState.CLOSED, failures: 0 });
+  });
+
+  it('半开试探失败时重新熔断', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    mockProviders(() => 503);
+    
+    await llmAdapter.sendRequest('你好');
+    await llmAdapter.sendRequest('你好');
+    const { openedAt } = llmAdapter.getCircuitStates()[CIRCUIT_KEY];
+    
+    vi.advanceTimersByTime(60000);
+    await llmAdapter.sendRequest('你好');
+    
+    expect(llmAdapter.getCircuitStates()[CIRCUIT_KEY]).toMatchObject({ state: CircuitState.OPEN, openedAt: openedAt + 60000 });
+  });
+
+  it('不可重试的400错误不切换提供商，也不计入熔断', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockProviders(() => 400);
+    
+    for (let i = 0; i < 3; i++) {
+      await expect(llmAdapter.sendRequest('你好')).rejects.toMatchObject({ type: LLMErrorType.INVALID_REQUEST });
+    }
+    
+    expect(calls.map(call => call.url)).toEqual([OPENAI_URL, OPENAI_URL, OPENAI_URL]);
+    expect(llmAdapter.getCircuitStates()).not.toHaveProperty(CIRCUIT_KEY);
+  });
+});
+
+describe('Anthropic', () => {
+  it('temperature限制在0~1之间', async () => {
+    const calls = mockFetch(() => jsonResponse({
+      id: 'msg_1',
+      model: 'claude-3-5-sonnet',
+      role: 'assistant',
+      content: [{ type: 'text', text: '你好' }],
+      usage: { input_tokens: 5, output_tokens: 2 }
+    }));
+    const options = {
+      provider: LLMProvider.ANTHROPIC,
+      apiKey: 'sk-ant',
+      model: 'claude-3-5-sonnet',
+      retries: 0
+    };
+    
+    await llmAdapter.sendRequest('你好', { ...options, temperature: 1.6 });
+    await llmAdapter.sendRequest('你好', { ...options, temperature: 0.4 });
+    
+    expect(calls[0].body.temperature).toBe(1);
+    expect(calls[1].body.temperature).toBe(0.4);
+  });
+});
+
+describe('错误分类与重试', () => {
+  const options = {
+    provider: LLMProvider.OPENAI,
+    apiKey: 'sk-test',
+    model: 'gpt-4o',
+    retries: 3,
+    retryBaseDelay: 1000,
+    retryMaxDelay: 30000
+  };
+  const ok = () => jsonResponse({ id: 'c1', model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: '好' } }] });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('按HTTP状态码和异常类型分类', () => {
+    expect(LLMRequestError.typeFromStatus(401)).toBe(LLMErrorType.AUTH);
+    expect(LLMRequestError.typeFromStatus(403)).toBe(LLMErrorType.AUTH);
+    expect(LLMRequestError.typeFromStatus(429)).toBe(LLMErrorType.RATE_LIMIT);
+    expect(LLMRequestError.typeFromStatus(408)).toBe(LLMErrorType.TIMEOUT);
+    expect(LLMRequestError.typeFromStatus(503)).toBe(LLMErrorType.SERVER);
+    expect(LLMRequestError.typeFromStatus(400)).toBe(LLMErrorType.INVALID_REQUEST);
+    
+    const network = llmAdapter._classifyError(new TypeError('fetch failed'), LLMProvider.OPENAI);
+    const timeout = llmAdapter._classifyError(new DOMException('超时', 'TimeoutError'), LLMProvider.OPENAI);
+    const unknown = llmAdapter._classifyError(new Error('其他'), LLMProvider.OPENAI);
+    
+    expect([network.type, network.retryable]).toEqual([LLMErrorType.NETWORK, true]);
+    expect([timeout.type, timeout.retryable]).toEqual([LLMErrorType.TIMEOUT, true]);
+    expect([unknown.type, unknown.retryable]).toEqual([LLMErrorType.UNKNOWN, false]);
+  });
+
+  it('指数退避，抖动在50%~100%之间，不超过最大等待时间', () => {
+    const error = new LLMRequestError('服务器错误', { type: LLMErrorType.SERVER });
+    
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect([0, 1, 2].map(attempt => llmAdapter._getRetryDelay(error, attempt, options))).toEqual([500, 1000, 2000]);
+    
+    Math.random.mockReturnValue(0.999999);
+    expect([0, 1, 2].map(attempt => llmAdapter._getRetryDelay(error, attempt, options))).toEqual([1000, 2000, 4000]);
+    expect(llmAdapter._getRetryDelay(error, 10, options)).toBe(30000);
+  });
+
+  it('解析秒数和HTTP日期格式的Retry-After', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    
+    expect(llmAdapter._parseRetryAfter(new Headers({ 'retry-after': '3' }))).toBe(3000);
+    expect(llmAdapter._parseRetryAfter(new Headers({ 'retry-after': 'Thu, 01 Jan 2026 00:00:05 GMT' }))).toBe(5000);
+    expect(llmAdapter._parseRetryAfter(new Headers({ 'retry-after': 'Wed, 31 Dec 2025 23:59:00 GMT' }))).toBe(0);
+    expect(llmAdapter._parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'retry-after': '3' }))).toBe(250);
+    expect(llmAdapter._parseRetryAfter(new Headers({ 'retry-after': 'soon' }))).toBeNull();
+    expect(llmAdapter._parseRetryAfter(new Headers())).toBeNull();
+    
+    // 服务器要求的等待超过最大等待时间时不再重试
+    const error = new LLMRequestError('限流', { type: LLMErrorType.RATE_LIMIT, retryAfter: 60000 });
+    expect(llmAdapter._getRetryDelay(error, 0, options)).toBeNull();
+  });
+
+  it('按Retry-After等待后重试', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockFetch((call, index) => (index === 0 ?
+      jsonResponse({ error: '限流' }, { status: 429, headers: { 'Retry-After': '2' } }) :
+      ok()));
+    
+    const request = llmAdapter.sendRequest('你好', options);
+    
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(calls).toHaveLength(1);
+    
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(request).resolves.toMatchObject({ text: '好' });
+    expect(calls).toHaveLength(2);
+  });
+
+  it('不可重试的错误不重试', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockFetch(() => jsonResponse({ error: '参数错误' }, { status: 400 }));
+    
+    await expect(llmAdapter.sendRequest('你好', options)).rejects.toMatchObject({ type: LLMErrorType.INVALID_REQUEST, status: 400 });
+    expect(calls).toHaveLength(1);
+  });
+
+  it('取消时停止等待中的重试', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const calls = mockFetch(() => jsonResponse({ error: '过载' }, { status: 503 }));
+    const controller = new AbortController();
+    
+    const request = llmAdapter.sendRequest('你好', { ...options, signal: controller.signal });
+    const settled = request.catch(error => error);
+    
+    await vi.advanceTimersByTimeAsync(100);
+    expect(calls).toHaveLength(1);
+    
+    controller.abort();
+    expect(await settled).toBeInstanceOf(RequestCancelledError);
+    
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(calls).toHaveLength(1);
+  });
+});
+
+describe('工具调用循环', () => {
+  const options = {
+    provider: LLMProvider.OPENAI,
+    apiKey: 'sk-test',
+    model: 'gpt-4o',
+    retries: 0
+  };
+
+  /**
+   * 构建OpenAI聊天响应
+   * @param {Array<Object>} [toolCalls] - 工具调用 {id, name, arguments}
+   * @param {string} [content] - 回复文本
+   * @returns {Response} 响应对象
+   */
+  const chatResponse = (toolCalls, content = null) => jsonResponse({
+    id: 'c1',
+    model: 'gpt-4o',
+    choices: [{
+      message: {
+        role: 'assistant',
+        content,
+        tool_calls: toolCalls?.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      }
+    }]
+  });
+
+  afterEach(() => {
+    llmAdapter.unregisterTool('echo');
+    llmAdapter.unregisterTool('broken');
+  });
+
+  it('执行工具并把结果返回给模型，写入历史记录', async () => {
+    const handler = vi.fn(args => ({ echoed: args.text }));
+    llmAdapter.registerTool('echo', { description: '原样返回', handler });
+    historyManager.clearHistory();
+    
+    const calls = mockFetch((call, index) => (index === 0 ?
+      chatResponse([{ id: 'call_1', name: 'echo', arguments: { text: '你好' } }]) :
+      chatResponse(null, '完成')));
+    
+    const response = await llmAdapter.chatWithTools('测试', { ...options, toolContext: { agentId: 'gm' } });
+    
+    expect(handler).toHaveBeenCalledWith({ text: '你好' }, { agentId: 'gm' });
+    expect(response.text).toBe('完成');
+    expect(response.toolInvocations).toEqual([
+      { id: 'call_1', name: 'echo', arguments: { text: '你好' }, result: { echoed: '你好' } }
+    ]);
+    expect(calls[0].body.tool_choice).toBe('auto');
+    expect(calls[1].body.messages.slice(-2)).toEqual([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'echo', arguments: '{"text":"你好"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"echoed":"你好"}' }
+    ]);
+    expect(historyManager.getHistoryByType(HistoryEntryType.TOOL_CALL)).toEqual([
+      expect.objectContaining({
+        toolName: 'echo',
+        arguments: { text: '你好' },
+        result: { echoed: '你好' },
+        error: null
+      })
+    ]);
+  });
+
+  it('工具出错时把错误返回给模型，循环继续', async () => {
+    llmAdapter.registerTool('broken', {
+      handler: () => {
+        throw new Error('坏掉了');
+      }
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    historyManager.clearHistory();
+    
+    const calls = mockFetch((call, index) => (index === 0 ?
+      chatResponse([{ id: 'call_1', name: 'broken', arguments: {} }]) :
+      chatResponse(null, '工具不可用')));
+    
+    const response = await llmAdapter.chatWithTools('测试', options);
+    
+    expect(response.text).toBe('工具不可用');
+    expect(response.toolInvocations[0]).toMatchObject({ name: 'broken', error: '坏掉了' });
+    expect(calls[1].body.messages.at(-1)).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"error":"坏掉了"}' });
+    expect(historyManager.getHistoryByType(HistoryEntryType.TOOL_CALL)[0]).toMatchObject({ toolName: 'broken', error: '坏掉了' });
+  });
+
+  it('达到最大深度后最后一轮禁止调用工具', async () => {
+    llmAdapter.registerTool('echo', { handler: args => args });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    const calls = mockFetch(() => chatResponse([{ id: 'call_1', name: 'echo', arguments: { text: '再来' } }], '停下'));
+    
+    const response = await llmAdapter.chatWithTools('测试', { ...options, maxToolDepth: 2 });
+    
+    expect(calls.map(call => call.body.tool_choice)).toEqual(['auto', 'auto', 'none']);
+    expect(response.toolInvocations).toHaveLength(2);
+    expect(response.text).toBe('停下');
+  });
+});
+
+describe('调试记录', () => {
+  afterEach(() => {
+    gameState.updateState({ debugMode: false });
+    llmAdapter.updateConfig({ debugBufferSize: 100 });
+    llmAdapter.clearTraffic();
+  });
+
+  it('只保留最近的记录，不记录密钥和请求头', async () => {
+    gameState.updateState({ debugMode: true });
+    llmAdapter.updateConfig({ debugBufferSize: 3 });
+    mockFetch(call => jsonResponse({ id: 'c1', model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: call.body.messages.at(-1).content } }] }));
+    
+    for (let i = 1; i <= 5; i++) {
+      await llmAdapter.sendRequest(`第${i}次`, { provider: LLMProvider.OPENAI, apiKey: 'sk-secret', model: 'gpt-4o', retries: 0 });
+    }
+    
+    const traffic = llmAdapter.getTraffic();
+    
+    expect(traffic.map(capture => capture.messages.at(-1).content)).toEqual(['第5次', '第4次', '第3次']);
+    expect(traffic[0]).toMatchObject({ status: 'success', provider: LLMProvider.OPENAI, response: { text: '第5次' } });
+    expect(traffic[0].exchanges[0]).toMatchObject({ url: 'https://api.openai.com/v1/chat/completions', method: 'POST', status: 200 });
+    expect(traffic[0].exchanges[0]).not.toHaveProperty('headers');
+    await vi.waitFor(() => expect(traffic[0].exchanges[0].responseBody).toContain('第5次'));
+    expect(JSON.stringify(traffic)).not.toContain('sk-secret');
+  });
+
+  it('未开启调试模式时不记录', async () => {
+    mockFetch(() => jsonResponse({ id: 'c1', model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: '好' } }] }));
+    
+    await llmAdapter.sendRequest('你好', { provider: LLMProvider.OPENAI, apiKey: 'sk-secret', retries: 0 });
+    
+    expect(llmAdapter.getTraffic()).toEqual([]);
+  });
+});
+
+describe('JSON Schema名称', () => {
+  it('替换OpenAI不接受的字符并截断到64个字符', () => {
+    expect(llmAdapter._toSchemaName('NPC response 角色响应')).toBe('NPC_response');
+    expect(llmAdapter._toSchemaName('角色响应')).toBe('response');
+    expect(llmAdapter._toSchemaName(undefined)).toBe('response');
+    expect(llmAdapter._toSchemaName('a'.repeat(80))).toHaveLength(64);
+  });
+});
+
+describe('录制模式', () => {
+  it('不使用备用提供商', () => {
+    const { provider, fallbacks } = llmAdapter.config;
+    llmAdapter.config.fallbacks = [{ provider: LLMProvider.MOCK }];
+    
+    try {
+      llmAdapter.config.provider = LLMProvider.MOCK;
+      expect(llmAdapter._getRequestTiers({})).toHaveLength(2);
+      
+      llmAdapter.config.provider = LLMProvider.RECORD;
+      expect(llmAdapter._getRequestTiers({})).toHaveLength(1);
+    } finally {
+      Object.assign(llmAdapter.config, { provider, fallbacks });
+    }
+  });
+
+  it('不使用响应缓存', async () => {
+    const config = { cache: true, temperature: 0 };
+    
+    expect(await llmAdapter._getCacheKey('你好', { ...config, provider: LLMProvider.MOCK })).not.toBeNull();
+    expect(await llmAdapter._getCacheKey('你好', { ...config, provider: LLMProvider.RECORD })).toBeNull();
+  });
+});
+
+describe('嵌入模型', () => {
+  it('OpenAI未设置模型时使用默认模型', () => {
+    const options = llmAdapter._getEmbeddingOptions({ embeddingProvider: EmbeddingProvider.OPENAI, apiKey: 'sk-test', embeddingModel: '' });
+    
+    expect(options.provider).toBe(EmbeddingProvider.OPENAI);
+    expect(options.model).toBe('text-embedding-3-small');
+  });
+
+  it('本地模型未设置模型时使用哈希向量，不发送OpenAI的模型名', () => {
+    const unset = llmAdapter._getEmbeddingOptions({ embeddingProvider: EmbeddingProvider.LOCAL, embeddingModel: '' });
+    const set = llmAdapter._getEmbeddingOptions({ embeddingProvider: EmbeddingProvider.LOCAL, embeddingModel: 'nomic-embed-text' });
+    
+    expect(unset.provider).toBe(EmbeddingProvider.HASH);
+    expect(set.provider).toBe(EmbeddingProvider.LOCAL);
+    expect(set.model).toBe('nomic-embed-text');
+  });
+});
+
+describe('连接配置', () => {
+  it('用填写的连接设置新建配置，不修改原来的当前配置', () => {
+    llmAdapter.updateConfig({ provider: LLMProvider.OPENAI, model: 'gpt-4o', apiEndpoint: 'https://a.example/v1' });
+    const original = llmAdapter.createConnectionProfile('原配置');
+    
+    const created = llmAdapter.createConnectionProfile('新配置', {
+      provider: LLMProvider.LOCAL,
+      model: 'llama3',
+      apiEndpoint: 'http://localhost:11434'
+    });
+    
+    expect(llmAdapter.getConnectionProfiles().find(profile => profile.id === original.id)).toMatchObject({
+      provider: LLMProvider.OPENAI,
+      model: 'gpt-4o',
+      apiEndpoint: 'https://a.example/v1'
+    });
+    expect(created).toMatchObject({ provider: LLMProvider.LOCAL, model: 'llama3' });
+    expect(llmAdapter.getActiveConnectionProfile().id).toBe(created.id);
+    expect(llmAdapter.getConfig().model).toBe('llama3');
+  });
+});
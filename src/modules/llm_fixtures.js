@@ -0,0 +1,318 @@
+/**
+ * llm_fixtures.js
+ * 录制和回放LLM请求，用于离线会话和回归测试
+ */
+
+import { stableStringify, hashString, normalizeRequest } from './response_cache';
+
+/**
+ * 录制文件格式版本
+ * @type {number}
+ */
+const FIXTURE_VERSION = 1;
+
+/**
+ * 参与请求指纹计算的参数
+ * 不包含提供商、模型和地址，录制的会话可以在任意配置下回放
+ * @type {Array<string>}
+ */
+const FINGERPRINT_OPTIONS = [
+  'temperature',
+  'maxTokens',
+  'topP',
+  'topK',
+  'minP',
+  'frequencyPenalty',
+  'presencePenalty',
+  'repetitionPenalty',
+  'seed',
+  'stop',
+  'logitBias',
+  'jsonSchema',
+  'toolDefinitions',
+  'toolChoice'
+];
+
+/**
+ * 请求中的易变内容，计算指纹前替换为占位符
+ * 历史记录的时间戳和随机生成的ID在每次运行时都不同，不屏蔽会导致整段会话无法回放
+ * @type {Array<Array>}
+ */
+const VOLATILE_PATTERNS = [
+  // ISO时间
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z?/g, '<时间>'],
+  // 历史记录中的本地时间，如 [下午3:04:05] 或 [3:04:05 PM]
+  [/\[[^\]\n]{0,6}\d{1,2}:\d{2}(:\d{2})?[^\]\n]{0,6}\]/g, '[<时间>]'],
+  // Date.now() 加随机串生成的ID，如 item_1700000000000_abc123def
+  [/\b([a-z]+)_\d{13}_[a-z0-9]{9}\b/g, '$1_<ID>']
+];
+
+/**
+ * 屏蔽文本中的易变内容
+ * @param {string} text - 文本
+ * @returns {string} 屏蔽后的文本
+ */
+function maskVolatile(text) {
+  return VOLATILE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * 回放不匹配错误
+ * 回放时找不到与请求指纹相同的录制记录时抛出，diff为与预期请求的差异
+ */
+export class ReplayMismatchError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} details - 错误详情
+   * @param {string} details.fingerprint - 实际请求的指纹
+   * @param {string} details.diff - 预期请求与实际请求的差异（统一diff格式）
+   * @param {Object} [details.expected] - 预期的录制记录
+   */
+  constructor(message, { fingerprint, diff, expected = null }) {
+    super(message);
+    this.name = 'ReplayMismatchError';
+    this.fingerprint = fingerprint;
+    this.diff = diff;
+    this.expected = expected;
+  }
+}
+
+/**
+ * 逐行比较两段文本
+ * @param {string} expected - 预期文本
+ * @param {string} actual - 实际文本
+ * @returns {string} 差异，"-" 开头为预期中有而实际没有的行，"+" 开头反之
+ */
+export function diffLines(expected, actual) {
+  const a = expected.split('\n');
+  const b = actual.split('\n');
+
+  // 最长公共子序列
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+
+  while (i < a.length) lines.push(`- ${a[i++]}`);
+  while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * 录制记录仓库
+ * 同一指纹可以有多条记录，回放时按录制顺序依次返回，用完后重复最后一条
+ */
+class FixtureStore {
+  constructor() {
+    this.fixtures = [];
+    this.consumed = new Set(); // 已回放的记录下标
+    this.loadFromLocalStorage();
+  }
+
+  /**
+   * 标准化请求用于指纹计算和差异比较，并屏蔽时间戳和随机ID
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Object} 标准化后的请求
+   */
+  normalize(messages, options) {
+    const request = normalizeRequest(messages, options, FINGERPRINT_OPTIONS);
+    return JSON.parse(maskVolatile(JSON.stringify(request)));
+  }
+
+  /**
+   * 计算请求指纹
+   * @param {Object} request - 标准化后的请求
+   * @returns {Promise<string>} 指纹
+   */
+  async fingerprint(request) {
+    return hashString(stableStringify(request));
+  }
+
+  /**
+   * 录制一次请求和响应
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求选项
+   * @param {Object} response - 响应对象
+   * @returns {Promise<Object>} 录制记录
+   */
+  async record(messages, options, response) {
+    const request = this.normalize(messages, options);
+    
+    const fixture = {
+      fingerprint: await this.fingerprint(request),
+      request,
+      response: JSON.parse(JSON.stringify({
+        text: response.text,
+        model: response.model,
+        usage: response.usage,
+        toolCalls: response.toolCalls
+      })),
+      recordedAt: new Date().toISOString()
+    };
+    
+    this.fixtures.push(fixture);
+    this.saveToLocalStorage();
+    return fixture;
+  }
+
+  /**
+   * 回放请求
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<Object>} 录制的响应
+   * @throws {ReplayMismatchError} 没有匹配的录制记录时抛出
+   */
+  async replay(messages, options) {
+    const request = this.normalize(messages, options);
+    const fingerprint = await this.fingerprint(request);
+    
+    const matches = this.fixtures
+      .map((fixture, index) => ({ fixture, index }))
+      .filter(({ fixture }) => fixture.fingerprint === fingerprint);
+    
+    if (matches.length > 0) {
+      const next = matches.find(({ index }) => !this.consumed.has(index)) || matches[matches.length - 1];
+      this.consumed.add(next.index);
+      return { ...next.fixture.response };
+    }
+    
+    // 与下一条未回放的记录比较；都已回放时与最后一条比较
+    const expectedIndex = this.fixtures.findIndex((fixture, index) => !this.consumed.has(index));
+    const expected = this.fixtures[expectedIndex >= 0 ? expectedIndex : this.fixtures.length - 1] || null;
+    const actualText = JSON.stringify(request, null, 2);
+    const diff = expected ?
+      diffLines(JSON.stringify(expected.request, null, 2), actualText) :
+      diffLines('', actualText);
+    
+    throw new ReplayMismatchError(
+      expected ? '回放不匹配：请求与录制记录不同' : '回放不匹配：没有录制记录',
+      { fingerprint, diff, expected }
+    );
+  }
+
+  /**
+   * 获取录制记录数量
+   * @returns {number} 数量
+   */
+  getCount() {
+    return this.fixtures.length;
+  }
+
+  /**
+   * 重置回放进度
+   */
+  resetReplay() {
+    this.consumed.clear();
+  }
+
+  /**
+   * 清空录制记录
+   */
+  clear() {
+    this.fixtures = [];
+    this.consumed.clear();
+    this.saveToLocalStorage();
+  }
+
+  /**
+   * 导出录制文件
+   * @returns {string} JSON字符串
+   */
+  exportFixtures() {
+    return JSON.stringify({
+      version: FIXTURE_VERSION,
+      exportedAt: new Date().toISOString(),
+      fixtures: this.fixtures
+    }, null, 2);
+  }
+
+  /**
+   * 导入录制文件，替换现有记录
+   * @param {string} jsonString - JSON字符串
+   * @returns {boolean} 是否成功导入
+   */
+  importFixtures(jsonString) {
+    try {
+      const data = JSON.parse(jsonString);
+      
+      if (!Array.isArray(data.fixtures)) {
+        throw new Error('录制文件格式无效');
+      }
+      
+      this.fixtures = data.fixtures;
+      this.consumed.clear();
+      this.saveToLocalStorage();
+      return true;
+    } catch (error) {
+      console.error('导入录制文件失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 保存录制记录到本地存储
+   * @param {string} [key='ai_trpg_llm_fixtures'] - 存储键名
+   * @returns {boolean} 是否成功保存
+   */
+  saveToLocalStorage(key = 'ai_trpg_llm_fixtures') {
+    try {
+      localStorage.setItem(key, JSON.stringify(this.fixtures));
+      return true;
+    } catch (error) {
+      console.error('保存录制记录失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 从本地存储加载录制记录
+   * @param {string} [key='ai_trpg_llm_fixtures'] - 存储键名
+   * @returns {boolean} 是否成功加载
+   */
+  loadFromLocalStorage(key = 'ai_trpg_llm_fixtures') {
+    try {
+      if (typeof localStorage === 'undefined') {
+        return false;
+      }
+      
+      const serialized = localStorage.getItem(key);
+      
+      if (!serialized) {
+        return false;
+      }
+      
+      this.fixtures = JSON.parse(serialized);
+      this.consumed.clear();
+      return true;
+    } catch (error) {
+      console.error('加载录制记录失败:', error);
+      return false;
+    }
+  }
+}
+
+// 创建单例实例
+const fixtureStore = new FixtureStore();
+
+export default fixtureStore;
@@ -0,0 +1,368 @@
+/**
+ * mock_script.js
+ * 可编写脚本的模拟提供商：按规则匹配请求，返回文本、JSON或注入故障
+ * 用于在没有真实API的情况下测试重试、备用提供商和结构化输出流程
+ */
+
+import { renderTemplate, parseTemplate } from './template_engine';
+
+/**
+ * 可注入的故障类型枚举
+ * @readonly
+ * @enum {string}
+ */
+export const MockFault = {
+  /** 429 请求过于频繁，可带 retryAfter（秒） */
+  RATE_LIMIT: 'rate_limit',
+  /** 500 服务器错误 */
+  SERVER: 'server',
+  /** 401 认证失败 */
+  AUTH: 'auth',
+  /** 等待到请求超时 */
+  TIMEOUT: 'timeout',
+  /** 网络连接失败 */
+  NETWORK: 'network',
+  /** 返回无法解析的JSON */
+  MALFORMED_JSON: 'malformed_json'
+};
+
+/**
+ * 响应序列用完后的处理方式枚举
+ * @readonly
+ * @enum {string}
+ */
+export const MockSequenceMode = {
+  /** 重复最后一条 */
+  LAST: 'last',
+  /** 从头循环 */
+  LOOP: 'loop',
+  /** 每次随机选一条 */
+  RANDOM: 'random'
+};
+
+/**
+ * 默认脚本
+ * latency为固定毫秒数或 { min, max } 范围；faultRate为随机注入故障的概率（0-1）
+ * @type {Object}
+ */
+export const DEFAULT_MOCK_SCRIPT = {
+  latency: 500,
+  streamDelay: 50,
+  faultRate: 0,
+  faultTypes: [MockFault.RATE_LIMIT, MockFault.SERVER],
+  rules: []
+};
+
+/**
+ * 没有规则匹配时的响应文本
+ * @type {string}
+ */
+const DEFAULT_RESPONSE = '这是一个模拟响应。';
+
+/**
+ * 递归渲染对象中所有字符串值
+ * @param {*} value - 任意值
+ * @param {Object} variables - 变量
+ * @returns {*} 渲染后的值
+ */
+function renderValue(value, variables) {
+  if (typeof value === 'string') {
+    return renderTemplate(value, variables);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderValue(item, variables));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderValue(item, variables)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * 模拟脚本类
+ * 规则格式：
+ * {
+ *   pattern: '关键词或正则',
+ *   regex: false,                // pattern是否为正则
+ *   flags: 'i',                  // 正则标志
+ *   target: 'prompt',            // 匹配范围：prompt 全部消息，last 最后一条用户消息，system 系统消息
+ *   task: 'agent_response',      // 只匹配该任务（可选）
+ *   responses: [...],            // 按顺序返回
+ *   sequence: 'last',            // 序列用完后的处理方式，见 MockSequenceMode
+ *   latency: 500                 // 覆盖全局延迟（可选）
+ * }
+ * responses 中每一项可以是：
+ * - 字符串：文本模板，语法与提示模板相同（见 template_engine.js），
+ *   可用变量 {{lastUser}}、{{system}}、{{prompt}}、{{task}}、{{agentId}}、{{model}}、{{count}}、{{match.N}}
+ * - { json: 对象 }：对象中的字符串同样按模板渲染后序列化为JSON
+ * - { fault: MockFault, retryAfter, status }：注入故障
+ * - { text, toolCalls }：带工具调用的响应
+ */
+class MockScript {
+  constructor() {
+    this.counters = new Map(); // 规则下标 -> 已匹配次数
+  }
+
+  /**
+   * 为请求选择模拟结果
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求选项
+   * @param {Object} [script] - 脚本，缺省字段使用默认值
+   * @param {Object} [keywordResponses={}] - 旧版关键词到响应文本的映射，在规则之后匹配
+   * @returns {Object} 结果 { text, toolCalls, fault, retryAfter, status, latency, streamDelay, rule }
+   */
+  resolve(messages, options, script = {}, keywordResponses = {}) {
+    const settings = { ...DEFAULT_MOCK_SCRIPT, ...script };
+    const variables = this._getVariables(messages, options);
+    const base = {
+      latency: this._pickLatency(settings.latency),
+      streamDelay: settings.streamDelay
+    };
+    
+    // 随机故障优先于规则，用于测试重试和备用提供商
+    if (settings.faultRate > 0 && settings.faultTypes?.length && Math.random() < settings.faultRate) {
+      const fault = settings.faultTypes[Math.floor(Math.random() * settings.faultTypes.length)];
+      return { ...base, fault, rule: null };
+    }
+    
+    const rules = settings.rules || [];
+    
+    for (let index = 0; index < rules.length; index++) {
+      const rule = rules[index];
+      const match = this._matchRule(rule, variables, options);
+      
+      if (!match) {
+        continue;
+      }
+      
+      const count = (this.counters.get(index) || 0) + 1;
+      this.counters.set(index, count);
+      
+      const item = this._pickResponse(rule, count);
+      const result = this._renderResponse(item, { ...variables, match, count });
+      
+      return {
+        ...base,
+        ...(rule.latency !== undefined ? { latency: this._pickLatency(rule.latency) } : {}),
+        ...result,
+        rule: rule.name || rule.pattern || `#${index + 1}`
+      };
+    }
+    
+    for (const [key, value] of Object.entries(keywordResponses)) {
+      if (variables.prompt.includes(key)) {
+        return { ...base, text: value, rule: key };
+      }
+    }
+    
+    return { ...base, text: DEFAULT_RESPONSE, rule: null };
+  }
+
+  /**
+   * 校验脚本格式
+   * @param {Object} script - 脚本
+   * @returns {Array<string>} 错误信息数组，为空表示有效
+   */
+  validate(script) {
+    const errors = [];
+    
+    if (!script || typeof script !== 'object') {
+      return ['脚本必须是对象'];
+    }
+    
+    if (script.rules !== undefined && !Array.isArray(script.rules)) {
+      errors.push('rules 必须是数组');
+    }
+    
+    (Array.isArray(script.rules) ? script.rules : []).forEach((rule, index) => {
+      const label = `规则 ${index + 1}`;
+      
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label}: 必须是对象`);
+        return;
+      }
+      
+      if (rule.regex) {
+        try {
+          new RegExp(rule.pattern || '', rule.flags || '');
+        } catch (error) {
+          errors.push(`${label}: 正则无效 (${error.message})`);
+        }
+      }
+      
+      if (!Array.isArray(rule.responses) || rule.responses.length === 0) {
+        errors.push(`${label}: responses 必须是非空数组`);
+        return;
+      }
+      
+      rule.responses.forEach((item, itemIndex) => {
+        if (item?.fault && !Object.values(MockFault).includes(item.fault)) {
+          errors.push(`${label} 响应 ${itemIndex + 1}: 未知的故障类型 ${item.fault}`);
+        }
+        
+        const text = typeof item === 'string' ? item : item?.text;
+        
+        if (typeof text === 'string') {
+          try {
+            parseTemplate(text);
+          } catch (error) {
+            errors.push(`${label} 响应 ${itemIndex + 1}: ${error.message}`);
+          }
+        }
+      });
+    });
+    
+    for (const fault of script.faultTypes || []) {
+      if (!Object.values(MockFault).includes(fault)) {
+        errors.push(`未知的故障类型: ${fault}`);
+      }
+    }
+    
+    return errors;
+  }
+
+  /**
+   * 重置所有规则的序列进度
+   */
+  reset() {
+    this.counters.clear();
+  }
+
+  /**
+   * 提取模板变量和匹配用的文本
+   * @private
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Object} 变量
+   */
+  _getVariables(messages, options) {
+    const contentOf = message => (typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? ''));
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    
+    return {
+      prompt: messages.map(contentOf).join('\n'),
+      lastUser: lastUser ? contentOf(lastUser) : '',
+      system: messages.filter(message => message.role === 'system').map(contentOf).join('\n'),
+      task: options.task || '',
+      agentId: options.agentId || '',
+      model: options.model || ''
+    };
+  }
+
+  /**
+   * 检查规则是否匹配
+   * @private
+   * @param {Object} rule - 规则
+   * @param {Object} variables - 变量
+   * @param {Object} options - 请求选项
+   * @returns {Array|null} 匹配结果，关键词匹配时为 [关键词]，不匹配时为null
+   */
+  _matchRule(rule, variables, options) {
+    if (rule.task && rule.task !== options.task) {
+      return null;
+    }
+    
+    const targets = {
+      prompt: variables.prompt,
+      last: variables.lastUser,
+      system: variables.system
+    };
+    const text = targets[rule.target] ?? variables.prompt;
+    const pattern = rule.pattern || '';
+    
+    if (rule.regex) {
+      try {
+        const match = text.match(new RegExp(pattern, rule.flags || ''));
+        return match ? Array.from(match) : null;
+      } catch (error) {
+        console.warn(`模拟规则的正则无效: ${pattern}`, error);
+        return null;
+      }
+    }
+    
+    return text.includes(pattern) ? [pattern] : null;
+  }
+
+  /**
+   * 按序列模式选择本次的响应
+   * @private
+   * @param {Object} rule - 规则
+   * @param {number} count - 本规则第几次匹配（从1开始）
+   * @returns {*} 响应项
+   */
+  _pickResponse(rule, count) {
+    const responses = rule.responses?.length ? rule.responses : [DEFAULT_RESPONSE];
+    
+    switch (rule.sequence) {
+      case MockSequenceMode.LOOP:
+        return responses[(count - 1) % responses.length];
+      
+      case MockSequenceMode.RANDOM:
+        return responses[Math.floor(Math.random() * responses.length)];
+      
+      default:
+        return responses[Math.min(count, responses.length) - 1];
+    }
+  }
+
+  /**
+   * 渲染响应项
+   * @private
+   * @param {*} item - 响应项
+   * @param {Object} variables - 变量
+   * @returns {Object} 结果 { text, toolCalls, fault, retryAfter, status }
+   */
+  _renderResponse(item, variables) {
+    if (typeof item === 'string') {
+      return { text: renderTemplate(item, variables) };
+    }
+    
+    if (!item || typeof item !== 'object') {
+      return { text: String(item ?? '') };
+    }
+    
+    if (item.fault) {
+      return {
+        fault: item.fault,
+        retryAfter: item.retryAfter,
+        status: item.status,
+        text: item.text !== undefined ? renderTemplate(String(item.text), variables) : undefined
+      };
+    }
+    
+    if (item.json !== undefined) {
+      return { text: JSON.stringify(renderValue(item.json, variables)) };
+    }
+    
+    return {
+      text: renderTemplate(String(item.text ?? ''), variables),
+      toolCalls: item.toolCalls ? renderValue(item.toolCalls, variables) : undefined
+    };
+  }
+
+  /**
+   * 计算本次延迟
+   * @private
+   * @param {number|Object} latency - 固定毫秒数或 { min, max }
+   * @returns {number} 毫秒数
+   */
+  _pickLatency(latency) {
+    if (latency && typeof latency === 'object') {
+      const min = Number(latency.min) || 0;
+      const max = Math.max(min, Number(latency.max) || 0);
+      return Math.round(min + Math.random() * (max - min));
+    }
+    
+    return Math.max(0, Number(latency) || 0);
+  }
+}
+
+// 创建单例实例
+const mockScript = new MockScript();
+
+export default mockScript;
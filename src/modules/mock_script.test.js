@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import mockScript from './mock_script';
+
+describe('模拟脚本模板', () => {
+  const messages = [{ role: 'user', content: '我要去北门' }];
+
+  it('响应文本使用提示模板的语法渲染', () => {
+    const result = mockScript.resolve(messages, { task: 'agent_response' }, {
+      latency: 0,
+      rules: [{
+        pattern: '去(.+)',
+        regex: true,
+        responses: ['{{#if task}}[{{task}}] {{/if}}前往{{match.1}}，第{{count}}次{{missing | default "。"}}']
+      }]
+    });
+    
+    expect(result.text).toBe('[agent_response] 前往北门，第1次。');
+  });
+
+  it('校验时报告模板语法错误', () => {
+    const errors = mockScript.validate({ rules: [{ pattern: '北门', responses: ['{{#if task}}没有结束'] }] });
+    
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain('规则 1 响应 1');
+  });
+});
@@ -7,6 +7,13 @@ import gameState from './game_state';
 import historyManager from './history';
 import agentRegistry, { AgentType } from './agent_registry';
 import trustMap from './trust_map';
+import llmAdapter from './llm_adapter';
+import memoryManager from './memory_manager';
+import { packContext, ContextSlot, DEFAULT_CONTEXT_SLOTS } from './context_packer';
+import { scanWorldbook, getWorldbookSettings } from './worldbook_scanner';
+import { renderTemplate, parseTemplate, TemplateSyntaxError } from './template_engine';
+import { PROMPT_PACKS } from './prompt_templates';
+import { detectLanguage, resolveLanguages, FALLBACK_LANGUAGE } from './prompt_language';
 
 /**
  * 提示类型枚举
@@ -30,67 +37,599 @@ export const PromptType = {
   CHARACTER_CREATION: 'character_creation'
 };
 
+/**
+ * 提示格式枚举
+ * @readonly
+ * @enum {string}
+ */
+export const PromptFormat = {
+  /** 单个字符串，用于补全模型 */
+  TEXT: 'text',
+  /** 按角色划分的消息数组，用于聊天模型 */
+  MESSAGES: 'messages'
+};
+
+/**
+ * 检测玩家语言时读取的最近输入条数
+ * @type {number}
+ */
+const LANGUAGE_DETECTION_INPUTS = 3;
+
+/**
+ * 设置了令牌预算时候选的历史记录条数，放不进近期历史的部分压缩为早期摘要
+ * @type {number}
+ */
+const BUDGETED_HISTORY_CANDIDATES = 50;
+
+/**
+ * 早期摘要中每条记录保留的字符数
+ * @type {number}
+ */
+const SUMMARY_ENTRY_LENGTH = 60;
+
+/**
+ * 按预算取舍上下文的最多次数
+ * 槽位标题、列表符号和换行不计入各条内容，渲染后仍超出预算时预留超出部分重新取舍
+ * @type {number}
+ */
+const MAX_PACK_PASSES = 4;
+
+/**
+ * 候选记忆的数量
+ * @type {number}
+ */
+const MEMORY_CANDIDATES = 20;
+
 /**
  * 提示模板类
  * 负责构建各种提示模板
+ * 内置模板的文本使用模板语言编写，可由用户修改并保存在游戏状态中；这里只负责准备模板变量
  */
 class PromptBuilder {
   constructor() {
-    // 基础模板
-    this.templates = {
-      [PromptType.AGENT_RESPONSE]: this._agentResponseTemplate,
-      [PromptType.ENVIRONMENT_DESCRIPTION]: this._environmentDescriptionTemplate,
-      [PromptType.STORY_PROGRESSION]: this._storyProgressionTemplate,
-      [PromptType.DIALOGUE_GENERATION]: this._dialogueGenerationTemplate,
-      [PromptType.ACTION_RESULT]: this._actionResultTemplate,
-      [PromptType.WORLD_BUILDING]: this._worldBuildingTemplate,
-      [PromptType.CHARACTER_CREATION]: this._characterCreationTemplate
+    // 内置模板的变量构建函数
+    this.templateData = {
+      [PromptType.AGENT_RESPONSE]: this._agentResponseData,
+      [PromptType.ENVIRONMENT_DESCRIPTION]: this._environmentDescriptionData,
+      [PromptType.STORY_PROGRESSION]: this._storyProgressionData,
+      [PromptType.DIALOGUE_GENERATION]: this._dialogueGenerationData,
+      [PromptType.ACTION_RESULT]: this._actionResultData,
+      [PromptType.WORLD_BUILDING]: this._worldBuildingData,
+      [PromptType.CHARACTER_CREATION]: this._characterCreationData
+    };
+    
+    // 按令牌预算取舍的上下文槽位
+    this.contextSlots = {
+      [PromptType.AGENT_RESPONSE]: this._agentResponseSlots,
+      [PromptType.STORY_PROGRESSION]: this._storyProgressionSlots,
+      [PromptType.ACTION_RESULT]: this._actionResultSlots
+    };
+    
+    // 以代码注册的自定义模板，优先于内置模板
+    this.templates = {};
+    
+    // 消息模板，未列出的类型将提示文本作为单条用户消息
+    this.messageTemplates = {
+      [PromptType.AGENT_RESPONSE]: this._agentResponseMessages
     };
+    
+    // 以代码注册的消息模板，优先于内置消息模板
+    this.customMessageTemplates = {};
   }
 
   /**
    * 构建提示
    * @param {string} promptType - 提示类型
    * @param {Object} context - 上下文对象
-   * @returns {Object} 提示对象，包含提示文本和元数据
+   * @param {Object} [options={}] - 构建选项
+   * @param {string} [options.format=PromptFormat.TEXT] - 提示格式，见 PromptFormat；为 MESSAGES 时额外返回 messages
+   * @param {number} [options.tokenBudget] - 上下文令牌预算，超出时按优先级舍弃世界书、记忆和历史，0或未设置表示不限制
+   * @param {Object} [options.tokenOptions] - 计算令牌数使用的请求选项（model、tokenizer），默认使用全局配置
+   * @param {string} [options.promptLanguage] - 使用的提示包语言，默认按会话语言设置
+   * @returns {Object} 提示对象，包含提示文本、消息数组（按需）、上下文报告（内置模板）、使用的语言和元数据
    */
-  buildPrompt(promptType, context) {
+  buildPrompt(promptType, context, options = {}) {
     const templateFn = this.templates[promptType];
+    const dataFn = this.templateData[promptType];
     
-    if (!templateFn) {
+    if (!templateFn && !dataFn) {
       throw new Error(`未知的提示类型: ${promptType}`);
     }
     
+    // 构建基础上下文
+    const baseContext = this._buildBaseContext(context, options);
+    const { strings } = baseContext;
+    
+    // 调用模板函数或渲染内置模板生成提示
+    const source = templateFn ? null : this._getUsableTemplateSource(promptType, baseContext.languages.prompt);
+    let prompt;
+    let data = null;
+    let contextReport = null;
+    
+    if (templateFn) {
+      prompt = templateFn.call(this, baseContext);
+    } else {
+      ({ data, report: contextReport } = this._buildTemplateData(promptType, source, baseContext, options));
+      prompt = this._withLanguageDirective(renderTemplate(source, data), baseContext);
+    }
+    
+    // 聊天模型使用按角色划分的消息，文本形式始终保留给补全模型
+    let messages;
+    if (options.format === PromptFormat.MESSAGES) {
+      const customMessagesFn = this.customMessageTemplates[promptType];
+      const messagesFn = this.messageTemplates[promptType];
+      
+      if (customMessagesFn) {
+        messages = customMessagesFn.call(this, baseContext, source, data);
+      } else if (messagesFn && templateFn) {
+        // 以代码注册的模板只替换系统消息，对话轮次仍按内置模板的数据生成
+        const builtinSource = this._getUsableTemplateSource(promptType, baseContext.languages.prompt);
+        const { data: builtinData } = this._buildTemplateData(promptType, builtinSource, baseContext, options);
+        const system = templateFn.call(this, { ...baseContext, chat: true });
+        messages = messagesFn.call(this, baseContext, builtinSource, builtinData, system);
+      } else if (messagesFn) {
+        messages = messagesFn.call(this, baseContext, source, data);
+      } else {
+        messages = [
+          { role: 'system', content: strings.systemPrompt },
+          { role: 'user', content: prompt }
+        ];
+      }
+    }
+    
+    // 添加元数据
+    return {
+      text: prompt,
+      messages,
+      contextReport,
+      language: baseContext.languages,
+      type: promptType,
+      timestamp: new Date().toISOString(),
+      context: baseContext
+    };
+  }
+
+  /**
+   * 获取可编辑的内置模板类型
+   * @returns {Array<string>} 提示类型数组
+   */
+  getEditableTemplateTypes() {
+    return Object.keys(this.templateData);
+  }
+
+  /**
+   * 获取内置模板当前使用的文本
+   * @param {string} promptType - 提示类型
+   * @param {string} [language] - 提示包语言，默认为会话当前使用的语言
+   * @returns {string} 模板文本，用户修改过时为修改后的文本
+   */
+  getTemplateSource(promptType, language = this.resolveLanguages().prompt) {
+    return gameState.getPromptTemplate(promptType, language) ?? this.getDefaultTemplateSource(promptType, language);
+  }
+
+  /**
+   * 获取内置模板的默认文本
+   * @param {string} promptType - 提示类型
+   * @param {string} [language] - 提示包语言，默认为会话当前使用的语言
+   * @returns {string} 模板文本
+   */
+  getDefaultTemplateSource(promptType, language = this.resolveLanguages().prompt) {
+    return this._getPromptPack(language).templates[promptType] || '';
+  }
+
+  /**
+   * 获取提示包的固定文本
+   * @param {string} [language] - 提示包语言，默认为会话当前使用的语言
+   * @returns {Object} 固定文本，见 ZH_CN_PROMPT_STRINGS
+   */
+  getPromptStrings(language = this.resolveLanguages().prompt) {
+    return this._getPromptPack(language).strings;
+  }
+
+  /**
+   * 内置模板是否被用户修改过
+   * @param {string} promptType - 提示类型
+   * @param {string} [language] - 提示包语言，默认为会话当前使用的语言
+   * @returns {boolean} 是否修改过
+   */
+  isTemplateCustomized(promptType, language = this.resolveLanguages().prompt) {
+    return gameState.getPromptTemplate(promptType, language) !== undefined;
+  }
+
+  /**
+   * 保存用户修改的模板文本
+   * 与默认文本相同时视为恢复默认
+   * @param {string} promptType - 提示类型
+   * @param {string} source - 模板文本
+   * @param {string} [language] - 提示包语言，默认为会话当前使用的语言
+   * @throws {TemplateSyntaxError} 模板有语法错误时抛出
+   * @throws {Error} 不是内置模板时抛出
+   */
+  setTemplateSource(promptType, source, language = this.resolveLanguages().prompt) {
+    if (!this.templateData[promptType]) {
+      throw new Error(`不是可编辑的提示类型: ${promptType}`);
+    }
+    
+    parseTemplate(source);
+    
+    if (source === this.getDefaultTemplateSource(promptType, language)) {
+      gameState.resetPromptTemplate(promptType, language);
+    } else {
+      gameState.setPromptTemplate(promptType, source, language);
+    }
+  }
+
+  /**
+   * 将模板恢复为默认文本
+   * @param {string} promptType - 提示类型
+   * @param {string} [language] - 提示包语言，默认为会话当前使用的语言
+   */
+  resetTemplateSource(promptType, language = this.resolveLanguages().prompt) {
+    gameState.resetPromptTemplate(promptType, language);
+  }
+
+  /**
+   * 解析会话实际使用的提示包语言和回复语言
+   * 设置为自动时跟随玩家最近输入的语言
+   * @param {Object} [context={}] - 上下文对象，其中玩家的行为参与语言检测
+   * @returns {Object} { prompt, response, detected }
+   */
+  resolveLanguages(context = {}) {
+    return resolveLanguages(gameState.getLanguageSettings(), this.detectPlayerLanguage(context));
+  }
+
+  /**
+   * 检测玩家最近输入的语言
+   * @param {Object} [context={}] - 上下文对象，其中玩家的行为视为最新的输入
+   * @returns {string|null} 语言，无法判断时为null
+   */
+  detectPlayerLanguage(context = {}) {
+    const playerId = gameState.getState().player?.id;
+    const inputs = historyManager.getHistoryByActor(playerId, LANGUAGE_DETECTION_INPUTS)
+      .filter(entry => entry.type === 'action')
+      .map(entry => entry.content);
+    
+    // 当前行为通常已经写入历史记录，不重复计入
+    const { action } = context;
+    if (action && action.actorId === playerId && inputs[inputs.length - 1] !== action.content) {
+      inputs.push(action.content);
+    }
+    
+    // 最新的输入能判断时以它为准，否则合并最近几条一起判断
+    return detectLanguage(inputs[inputs.length - 1]) || detectLanguage(inputs.join('\n'));
+  }
+
+  /**
+   * 用当前游戏状态预览模板
+   * 没有合适的角色或行为时使用示例数据
+   * @param {string} promptType - 提示类型
+   * @param {string} [source] - 模板文本，默认为当前使用的文本
+   * @param {Object} [options={}] - 构建选项，见 buildPrompt；promptLanguage 决定示例数据和回复指令的语言
+   * @returns {Object} 预览结果 { text, messages, contextReport, error }
+   */
+  previewTemplate(promptType, source, options = {}) {
+    if (!this.templateData[promptType]) {
+      return { text: '', messages: null, contextReport: null, error: `不是可编辑的提示类型: ${promptType}` };
+    }
+    
+    try {
+      const language = options.promptLanguage || this.resolveLanguages().prompt;
+      const templateSource = source ?? this.getTemplateSource(promptType, language);
+      const baseContext = this._buildBaseContext(this._getPreviewContext(language), { ...options, promptLanguage: language });
+      const { data, report } = this._buildTemplateData(promptType, templateSource, baseContext, options);
+      const messagesFn = this.messageTemplates[promptType];
+      
+      return {
+        text: this._withLanguageDirective(renderTemplate(templateSource, data), baseContext),
+        messages: messagesFn ? messagesFn.call(this, baseContext, templateSource, data) : null,
+        contextReport: report,
+        error: null
+      };
+    } catch (error) {
+      return { text: '', messages: null, contextReport: null, error: error.message };
+    }
+  }
+
+  /**
+   * 构建基础上下文
+   * @private
+   * @param {Object} context - 上下文对象
+   * @param {Object} [options={}] - 构建选项，见 buildPrompt
+   * @returns {Object} 加入游戏状态、使用的语言和提示包固定文本的上下文
+   */
+  _buildBaseContext(context, options = {}) {
     // 获取游戏状态
     const state = gameState.getState();
+    const resolved = this.resolveLanguages(context);
+    const languages = options.promptLanguage ?
+      { ...resolved, prompt: options.promptLanguage } :
+      resolved;
     
-    // 构建基础上下文
-    const baseContext = {
+    return {
       ...context,
       gameState: state,
       currentTurn: state.turn,
-      currentPhase: state.phase
+      currentPhase: state.phase,
+      languages,
+      strings: this._getPromptPack(languages.prompt).strings
+    };
+  }
+
+  /**
+   * 获取提示包，不支持的语言使用默认语言
+   * @private
+   * @param {string} language - 语言
+   * @returns {Object} 提示包 { templates, strings }
+   */
+  _getPromptPack(language) {
+    return PROMPT_PACKS[language] || PROMPT_PACKS[FALLBACK_LANGUAGE];
+  }
+
+  /**
+   * 在提示末尾加上以回复语言作答的指令
+   * @private
+   * @param {string} text - 提示文本
+   * @param {Object} context - 基础上下文
+   * @returns {string} 加上指令后的文本
+   */
+  _withLanguageDirective(text, context) {
+    const directive = context.strings.respondIn[context.languages.response];
+    return directive ? `${text}\n\n${directive}` : text;
+  }
+
+  /**
+   * 构建内置模板的变量，有上下文槽位的模板按令牌预算取舍内容
+   * 模板在槽位全部为空时的长度计为固定部分（模板、角色设定和场景）；
+   * 取舍后按渲染结果的实际长度检查，超出预算时减去超出部分重新取舍
+   * @private
+   * @param {string} promptType - 提示类型
+   * @param {string} source - 模板文本
+   * @param {Object} context - 基础上下文
+   * @param {Object} [options={}] - 构建选项，见 buildPrompt
+   * @returns {Object} { data: 模板变量, report: 上下文报告，没有槽位时为null }
+   */
+  _buildTemplateData(promptType, source, context, options = {}) {
+    const data = this.templateData[promptType].call(this, context, options);
+    const slotsFn = this.contextSlots[promptType];
+    
+    if (!slotsFn) {
+      return { data, report: null };
+    }
+    
+    const countTokens = text => llmAdapter.estimateTokens(text, options.tokenOptions);
+    const measure = values => countTokens(this._withLanguageDirective(renderTemplate(source, values), context));
+    const slots = slotsFn.call(this, data);
+    const emptySlots = Object.fromEntries(slots.map(slot => [slot.name, []]));
+    const fixedTokens = measure({ ...data, ...emptySlots });
+    let reserved = 0;
+    let packed;
+    let usedTokens;
+    
+    for (let pass = 0; pass < MAX_PACK_PASSES; pass++) {
+      packed = packContext({
+        budget: options.tokenBudget,
+        fixedTokens: fixedTokens + reserved,
+        slots,
+        countTokens
+      });
+      usedTokens = measure({ ...data, ...packed.selected });
+      
+      const overflow = usedTokens - options.tokenBudget;
+      const hasContent = Object.values(packed.selected).some(values => values.length > 0);
+      
+      if (!(options.tokenBudget > 0) || overflow <= 0 || !hasContent) {
+        break;
+      }
+      
+      reserved += overflow;
+    }
+    
+    return {
+      data: { ...data, ...packed.selected },
+      report: {
+        ...packed.report,
+        fixedTokens,
+        usedTokens,
+        overBudget: options.tokenBudget > 0 && fixedTokens > options.tokenBudget
+      }
     };
+  }
+
+  /**
+   * 获取可以渲染的模板文本
+   * 保存的模板有语法错误时（如导入的存档）使用默认模板
+   * @private
+   * @param {string} promptType - 提示类型
+   * @param {string} language - 提示包语言
+   * @returns {string} 模板文本
+   */
+  _getUsableTemplateSource(promptType, language) {
+    const source = this.getTemplateSource(promptType, language);
+    
+    try {
+      parseTemplate(source);
+      return source;
+    } catch (error) {
+      if (!(error instanceof TemplateSyntaxError)) {
+        throw error;
+      }
+      
+      console.error(`提示模板 ${promptType} 有语法错误，使用默认模板:`, error.message);
+      return this.getDefaultTemplateSource(promptType, language);
+    }
+  }
+
+  /**
+   * 构建预览用的上下文
+   * @private
+   * @param {string} language - 示例数据使用的语言
+   * @returns {Object} 上下文对象
+   */
+  _getPreviewContext(language) {
+    const state = gameState.getState();
+    const { strings } = this._getPromptPack(language);
+    const agents = agentRegistry.getAllAgents();
+    const agent = agents.find(item => item.type === AgentType.NPC) || agents[0] ||
+      { id: 'preview_agent', name: strings.sampleAgentName, type: AgentType.NPC };
     
-    // 调用模板函数生成提示
-    const prompt = templateFn.call(this, baseContext);
+    // 使用最近一次行为，没有时使用示例行为
+    const lastAction = [...historyManager.getRecentHistory(20)]
+      .reverse()
+      .find(entry => entry.type === 'action' && entry.action);
+    const action = lastAction?.action || {
+      type: 'dialogue',
+      actorId: state.player?.id || 'player',
+      actorName: state.player?.name || strings.samplePlayerName,
+      content: strings.sampleGreeting,
+      targetId: agent.id
+    };
     
-    // 添加元数据
     return {
-      text: prompt,
-      type: promptType,
-      timestamp: new Date().toISOString(),
-      context: baseContext
+      agent,
+      action,
+      actor: action.actorId,
+      characters: agents.slice(0, 2).map(item => item.id)
     };
   }
 
   /**
-   * 角色响应提示模板
+   * 所有模板共用的变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _agentResponseTemplate(context) {
+  _buildCommonData(context) {
+    const state = context.gameState || gameState.getState();
+    
+    return {
+      turn: state.turn,
+      phase: state.phase,
+      player: {
+        name: state.player?.name || '',
+        description: state.player?.description || ''
+      },
+      agents: agentRegistry.getAllAgents().map(agent => ({
+        id: agent.id,
+        name: agent.name,
+        type: agent.type,
+        description: agent.description,
+        location: agent.location
+      })),
+      world: {
+        mainSetting: state.worldBook?.mainSetting || ''
+      }
+    };
+  }
+
+  /**
+   * 角色响应模板变量
+   * worldbook、memories、history 为全部候选内容，由 _buildTemplateData 按预算取舍
+   * @private
+   * @param {Object} context - 上下文对象
+   * @param {Object} [options={}] - 构建选项
+   * @returns {Object} 模板变量
+   */
+  _agentResponseData(context, options = {}) {
+    const historyLimit = options.tokenBudget > 0 ? BUDGETED_HISTORY_CANDIDATES : 10;
+    const { agentInfo, action, historyContext, relationship } = this._prepareAgentResponse(context, historyLimit);
+    
+    return {
+      ...this._buildCommonData(context),
+      agent: agentInfo,
+      scene: this._buildSceneData(context),
+      worldbook: this._findTriggeredWorldbookEntries(context, [action?.content], historyContext),
+      memories: this._getRelevantMemories(agentInfo.id, action?.content),
+      history: this._buildHistoryData(context, historyContext, agentInfo.id),
+      summary: [],
+      action: action ? {
+        type: action.type,
+        actor: action.actorName || action.actorId || context.strings.unknown,
+        content: action.content,
+        targetsYou: action.targetId === agentInfo.id
+      } : null,
+      relationship: relationship ? {
+        type: relationship.type,
+        trust: relationship.factors?.trust || 50,
+        intimacy: relationship.factors?.intimacy || 0,
+        respect: relationship.factors?.respect || 50
+      } : null,
+      chat: false
+    };
+  }
+
+  /**
+   * 角色响应的上下文槽位
+   * @private
+   * @param {Object} data - 模板变量
+   * @returns {Array<Object>} 槽位数组
+   */
+  _agentResponseSlots(data) {
+    return [
+      this._buildWorldbookSlot(data.worldbook),
+      {
+        name: ContextSlot.MEMORIES,
+        ...DEFAULT_CONTEXT_SLOTS[ContextSlot.MEMORIES],
+        items: data.memories.map(memory => ({ id: memory.id, text: memory.content, value: memory }))
+      },
+      ...this._buildHistorySlots(data.history)
+    ];
+  }
+
+  /**
+   * 角色响应消息模板
+   * 系统消息为 chat 变量为真时渲染的模板，包含角色设定和规则；历史记录从该角色的视角转为对话轮次，
+   * 角色自己的发言为 assistant，其他事件为 user；最近的行为作为最后一条用户消息
+   * @private
+   * @param {Object} context - 上下文对象
+   * @param {string} source - 模板文本
+   * @param {Object} data - 按预算取舍后的模板变量
+   * @param {string} [system] - 系统消息，省略时渲染模板
+   * @returns {Array<Object>} 消息数组
+   */
+  _agentResponseMessages(context, source, data, system) {
+    const { strings } = context;
+    const systemContent = system ?? this._withLanguageDirective(renderTemplate(source, { ...data, chat: true }), context);
+    const { action } = data;
+    
+    const turns = data.history.map(item => (
+      item.own ?
+        { role: 'assistant', content: item.content } :
+        { role: 'user', content: item.text }
+    ));
+    
+    turns.push({
+      role: 'user',
+      content: action ?
+        `${renderTemplate(strings.actionTurn, action)}${action.targetsYou ? `\n${strings.targetsYou}` : ''}` :
+        strings.respondToScene
+    });
+    
+    // 对话需以用户消息开始，连续的同角色消息合并为一条
+    if (turns[0].role !== 'user') {
+      turns.unshift({ role: 'user', content: strings.sceneStart });
+    }
+    
+    const merged = [];
+    for (const turn of turns) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === turn.role) {
+        previous.content += `\n${turn.content}`;
+      } else {
+        merged.push({ ...turn });
+      }
+    }
+    
+    return [{ role: 'system', content: systemContent }, ...merged];
+  }
+
+  /**
+   * 准备角色响应模板需要的信息
+   * @private
+   * @param {Object} context - 上下文对象
+   * @param {number} [historyLimit=10] - 未指定历史记录时读取的条数
+   * @returns {Object} { agentInfo, action, historyContext, relationship }
+   */
+  _prepareAgentResponse(context, historyLimit = 10) {
     const { agent, action, history } = context;
     
     if (!agent) {
@@ -111,140 +650,107 @@ class PromptBuilder {
       relationship = trustMap.getRelationship(agentInfo.id, action.actorId);
     }
     
-    // 构建历史上下文
-    const historyContext = history || historyManager.getRecentHistory(10);
-    const formattedHistory = this._formatHistoryForPrompt(historyContext);
-    
-    // 构建角色卡信息
-    const characterCard = this._buildCharacterCardPrompt(agentInfo);
-    
-    // 构建当前场景信息
-    const sceneInfo = this._buildSceneInfoPrompt(context);
+    // 最近的行为通常已经写入历史记录，单独列出，避免重复
+    const historyContext = [...(history || historyManager.getRecentHistory(historyLimit))];
+    const last = historyContext[historyContext.length - 1];
+    if (action && last?.type === 'action' &&
+      (last.action === action || (last.actorId === action.actorId && last.content === action.content))) {
+      historyContext.pop();
+    }
     
-    // 构建提示文本
-    return `你是一个角色扮演AI，现在你将扮演以下角色：
-
-${characterCard}
-
-当前场景：
-${sceneInfo}
-
-历史记录：
-${formattedHistory}
-
-${action ? `最近的行为：
-类型：${action.type}
-执行者：${action.actorName || action.actorId || '未知'}
-内容：${action.content}
-${action.targetId === agentInfo.id ? '这个行为直接针对你。' : ''}` : ''}
-
-${relationship ? `与行为执行者的关系：
-类型：${relationship.type}
-信任度：${relationship.factors?.trust || 50}/100
-亲密度：${relationship.factors?.intimacy || 0}/100
-尊重度：${relationship.factors?.respect || 50}/100` : ''}
-
-请根据你的角色设定、当前情绪状态、与其他角色的关系以及场景上下文，生成一个合适的响应。
-响应应该反映你的性格特点、当前情绪和对事件的态度。
-
-请用第一人称回应，不要在回应中包含旁白或动作描述。`;
+    return {
+      agentInfo,
+      action,
+      historyContext,
+      relationship
+    };
   }
 
   /**
-   * 环境描述提示模板
+   * 环境描述模板变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _environmentDescriptionTemplate(context) {
+  _environmentDescriptionData(context) {
     const { locationId, details } = context;
     const state = gameState.getState();
+    const targetLocationId = locationId || state.environment?.currentLocation;
     
     // 获取位置信息
-    const location = locationId ? 
-      state.environment?.locations?.[locationId] : 
-      state.environment?.locations?.[state.environment?.currentLocation];
+    const location = state.environment?.locations?.[targetLocationId];
     
     if (!location) {
-      throw new Error(`位置不存在: ${locationId || state.environment?.currentLocation}`);
+      throw new Error(`位置不存在: ${targetLocationId}`);
     }
     
-    // 获取位置中的角色
-    const charactersInLocation = agentRegistry.getAllAgents()
-      .filter(agent => agent.location === (locationId || state.environment?.currentLocation))
-      .map(agent => ({
-        id: agent.id,
-        name: agent.name,
-        type: agent.type,
-        description: agent.description
-      }));
-    
-    // 构建提示文本
-    return `请为以下游戏场景生成一段详细的环境描述：
-
-位置名称：${location.name}
-基本描述：${location.description || '无描述'}
-时间：${state.environment?.currentTime || '未知'}
-天气：${state.environment?.currentWeather || '未知'}
-
-${details ? `额外细节：${details}` : ''}
-
-该位置的角色：
-${charactersInLocation.length > 0 ? 
-  charactersInLocation.map(char => `- ${char.name}：${char.description || '无描述'}`).join('\n') : 
-  '没有角色在此位置'}
-
-请生成一段生动、详细的环境描述，包括视觉、听觉、嗅觉等感官细节，以及环境的氛围和情绪。
-描述应该有助于玩家想象自己身处其中的感觉。
-不要包含角色的对话或行动，只描述环境本身。`;
+    return {
+      ...this._buildCommonData(context),
+      location: {
+        name: location.name,
+        description: location.description
+      },
+      time: state.environment?.currentTime,
+      weather: state.environment?.currentWeather,
+      details,
+      // 获取位置中的角色
+      characters: agentRegistry.getAllAgents()
+        .filter(agent => agent.location === targetLocationId)
+        .map(agent => ({
+          id: agent.id,
+          name: agent.name,
+          type: agent.type,
+          description: agent.description
+        }))
+    };
   }
 
   /**
-   * 故事进展提示模板
+   * 故事进展模板变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _storyProgressionTemplate(context) {
+  _storyProgressionData(context, options = {}) {
     const { currentPlot, direction, intensity } = context;
     const state = gameState.getState();
+    const plot = currentPlot || state.storyInfo?.currentPlot;
     
     // 获取最近的历史记录
-    const recentHistory = historyManager.getRecentHistory(15);
-    const formattedHistory = this._formatHistoryForPrompt(recentHistory);
+    const historyLimit = options.tokenBudget > 0 ? BUDGETED_HISTORY_CANDIDATES : 15;
+    const recentHistory = historyManager.getRecentHistory(historyLimit);
     
-    // 构建提示文本
-    return `作为游戏主持人，请根据当前故事情况，生成下一步的故事发展：
-
-当前故事概要：
-${currentPlot || state.storyInfo?.currentPlot || '无具体情节'}
-
-世界背景：
-${state.worldBook?.mainSetting || '无具体背景'}
-
-最近的事件：
-${formattedHistory}
-
-${direction ? `期望的发展方向：${direction}` : ''}
-${intensity ? `事件强度（1-10）：${intensity}` : ''}
-
-请生成接下来的故事发展，包括：
-1. 新的事件或转折
-2. 可能出现的冲突或挑战
-3. NPC的可能反应
-4. 环境或场景的变化
+    return {
+      ...this._buildCommonData(context),
+      plot,
+      worldbook: this._findTriggeredWorldbookEntries(context, [direction], recentHistory),
+      history: this._buildHistoryData(context, recentHistory),
+      summary: [],
+      direction,
+      intensity
+    };
+  }
 
-故事发展应该符合当前的情境和角色设定，并为玩家提供有趣的互动机会。
-请避免直接解决所有问题或创造无法克服的障碍。`;
+  /**
+   * 故事进展的上下文槽位
+   * @private
+   * @param {Object} data - 模板变量
+   * @returns {Array<Object>} 槽位数组
+   */
+  _storyProgressionSlots(data) {
+    return [
+      this._buildWorldbookSlot(data.worldbook),
+      ...this._buildHistorySlots(data.history)
+    ];
   }
 
   /**
-   * 对话生成提示模板
+   * 对话生成模板变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _dialogueGenerationTemplate(context) {
+  _dialogueGenerationData(context) {
     const { characters, topic, tone, length } = context;
     
     // 获取角色信息
@@ -283,38 +789,23 @@ ${intensity ? `事件强度（1-10）：${intensity}` : ''}
       }
     }
     
-    // 构建提示文本
-    return `请为以下角色生成一段对话：
-
-参与角色：
-${characterInfos.map(char => 
-  `- ${char.name}：${char.description || '无描述'}
-   对话风格：${char.dialogueStyle || '无特定风格'}`
-).join('\n')}
-
-${relationships.length > 0 ? `角色关系：
-${relationships.map(rel => 
-  `- ${rel.character1} 和 ${rel.character2}：${rel.type}关系，信任度 ${rel.trust}/100`
-).join('\n')}` : ''}
-
-对话主题：${topic || '自由发挥'}
-对话语气：${tone || '根据角色性格决定'}
-对话长度：${length || '适中'}
-
-请根据角色的性格特点和彼此的关系，生成一段自然、符合人物设定的对话。
-对话应该展现角色的个性和他们之间的关系动态。
-请使用以下格式：
-
-角色名：对话内容`;
+    return {
+      ...this._buildCommonData(context),
+      characters: characterInfos,
+      relationships,
+      topic,
+      tone,
+      length
+    };
   }
 
   /**
-   * 行为结果提示模板
+   * 行为结果模板变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _actionResultTemplate(context) {
+  _actionResultData(context) {
     const { action, actor, difficulty, randomFactor } = context;
     
     if (!action) {
@@ -326,254 +817,262 @@ ${relationships.map(rel =>
       (typeof actor === 'string' ? agentRegistry.getAgent(actor) : actor) : 
       null;
     
-    // 构建提示文本
-    return `请为以下游戏行为生成一个结果描述：
-
-行为类型：${action.type}
-行为内容：${action.content}
-执行者：${actorInfo ? actorInfo.name : action.actorName || action.actorId || '未知'}
-${action.targetId ? `目标：${action.targetName || action.targetId}` : ''}
-
-${actorInfo ? `执行者信息：
-- 描述：${actorInfo.description || '无描述'}
-- 相关技能：${JSON.stringify(actorInfo.skills || {})}` : ''}
-
-${difficulty ? `难度等级（1-10）：${difficulty}` : ''}
-${randomFactor ? `随机因素（1-10）：${randomFactor}` : ''}
-
-请生成这个行为的结果描述，包括：
-1. 行为的直接效果
-2. 可能的副作用或意外情况
-3. 对周围环境或角色的影响
+    return {
+      ...this._buildCommonData(context),
+      action: {
+        type: action.type,
+        content: action.content,
+        actor: actorInfo ? actorInfo.name : action.actorName || action.actorId || context.strings.unknown,
+        target: action.targetId ? action.targetName || action.targetId : ''
+      },
+      actor: actorInfo ? {
+        name: actorInfo.name,
+        description: actorInfo.description,
+        skills: actorInfo.skills || {}
+      } : null,
+      worldbook: this._findTriggeredWorldbookEntries(context, [action.content]),
+      difficulty,
+      randomFactor
+    };
+  }
 
-结果应该符合逻辑，并考虑角色的能力和行为的难度。
-如果有随机因素，请适当引入一些不确定性。
-描述应该生动具体，避免模糊或过于概括的表述。`;
+  /**
+   * 行为结果的上下文槽位
+   * @private
+   * @param {Object} data - 模板变量
+   * @returns {Array<Object>} 槽位数组
+   */
+  _actionResultSlots(data) {
+    return [this._buildWorldbookSlot(data.worldbook)];
   }
 
   /**
-   * 世界构建提示模板
+   * 世界构建模板变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _worldBuildingTemplate(context) {
+  _worldBuildingData(context) {
     const { theme, elements, tone, detail } = context;
-    const state = gameState.getState();
-    
-    // 获取现有世界设定
-    const existingWorld = state.worldBook || {};
     
-    // 构建提示文本
-    return `请为一个TRPG游戏创建或扩展以下世界设定：
-
-${existingWorld.mainSetting ? `现有世界背景：
-${existingWorld.mainSetting}` : ''}
-
-主题：${theme || '未指定'}
-${elements ? `需要包含的元素：${elements}` : ''}
-语调：${tone || '适中'}
-细节程度：${detail || '中等'}
-
-请创建以下内容：
-
-1. 世界概述
-   - 基本设定和背景
-   - 世界历史的关键事件
-   - 当前世界状态
-
-2. 地理环境
-   - 主要地区或位置描述
-   - 特殊地标或重要场所
-   - 环境特征和气候
-
-3. 社会结构
-   - 主要种族或群体
-   - 政治体系和权力结构
-   - 经济系统和贸易
-
-4. 文化与信仰
-   - 主要宗教或信仰系统
-   - 文化习俗和传统
-   - 艺术、音乐和文学
-
-5. 魔法或科技系统
-   - 基本原理和限制
-   - 常见应用和影响
-   - 特殊能力或装置
-
-请确保设定具有内部一致性，并为玩家提供足够的探索和互动空间。
-避免过于复杂或难以理解的设定，保持可玩性和趣味性。`;
+    return {
+      ...this._buildCommonData(context),
+      theme,
+      elements,
+      tone,
+      detail
+    };
   }
 
   /**
-   * 角色创建提示模板
+   * 角色创建模板变量
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 提示文本
+   * @returns {Object} 模板变量
    */
-  _characterCreationTemplate(context) {
+  _characterCreationData(context) {
     const { type, role, traits, background } = context;
-    const state = gameState.getState();
     
-    // 获取世界设定
-    const worldSetting = state.worldBook?.mainSetting || '无特定世界设定';
-    
-    // 构建提示文本
-    return `请为TRPG游戏创建一个详细的角色设定：
-
-角色类型：${type || AgentType.NPC}
-角色角色：${role || '未指定'}
-${traits ? `性格特点：${traits}` : ''}
-${background ? `背景要素：${background}` : ''}
-
-世界设定：
-${worldSetting}
-
-请创建以下内容：
-
-1. 基本信息
-   - 姓名
-   - 年龄
-   - 性别
-   - 外貌描述
-
-2. 背景故事
-   - 成长经历
-   - 关键事件
-   - 动机和目标
-
-3. 性格特质
-   - 主要性格特点
-   - 优点和缺点
-   - 恐惧和喜好
-
-4. 关系网络
-   - 家人和朋友
-   - 盟友和敌人
-   - 社会地位
-
-5. 能力和技能
-   - 专长领域
-   - 特殊能力
-   - 弱点和限制
-
-6. 对话风格
-   - 说话方式
-   - 常用语和口头禅
-   - 表达习惯
+    return {
+      ...this._buildCommonData(context),
+      type: type || AgentType.NPC,
+      role,
+      traits,
+      background
+    };
+  }
 
-请确保角色设定符合世界背景，并具有深度和复杂性。
-角色应该有明确的动机和目标，以及足够的冲突点和发展空间。
-避免创建完美无缺或单一维度的角色，应该有明显的优点和缺点。`;
+  /**
+   * 世界书槽位
+   * @private
+   * @param {Array<Object>} entries - 按相关性排列的条目
+   * @returns {Object} 槽位
+   */
+  _buildWorldbookSlot(entries) {
+    return {
+      name: ContextSlot.WORLDBOOK,
+      ...DEFAULT_CONTEXT_SLOTS[ContextSlot.WORLDBOOK],
+      items: entries.map(entry => ({ id: entry.id, text: `${entry.name}：${entry.content}`, value: entry }))
+    };
   }
 
   /**
-   * 格式化历史记录用于提示
+   * 近期历史和早期摘要槽位
+   * 近期历史从最新的记录开始选择，放不下的较早记录截短后进入早期摘要
    * @private
-   * @param {Array} history - 历史记录
-   * @returns {string} 格式化的历史记录
+   * @param {Array<Object>} history - 按时间排列的历史记录变量
+   * @returns {Array<Object>} 槽位数组
    */
-  _formatHistoryForPrompt(history) {
-    if (!history || history.length === 0) {
-      return '无历史记录';
-    }
-    
-    return history.map(entry => {
-      const timestamp = entry.timestamp ? 
-        new Date(entry.timestamp).toLocaleTimeString() : '';
-      
-      switch (entry.type) {
-        case 'action':
-          return `[${timestamp}] ${entry.actorName || entry.actorId}: ${entry.content}`;
-        
-        case 'npc_response':
-          return `[${timestamp}] ${entry.npcId}: ${entry.content}`;
-        
-        case 'environment':
-          return `[${timestamp}] 环境: ${entry.description}`;
-        
-        case 'system':
-          return `[${timestamp}] 系统: ${entry.message}`;
-        
-        default:
-          return `[${timestamp}] ${JSON.stringify(entry)}`;
+  _buildHistorySlots(history) {
+    return [
+      {
+        name: ContextSlot.HISTORY,
+        ...DEFAULT_CONTEXT_SLOTS[ContextSlot.HISTORY],
+        reverse: true,
+        items: history.map(item => ({ id: item.id, text: `[${item.time}] ${item.text}`, value: item }))
+      },
+      {
+        name: ContextSlot.SUMMARY,
+        ...DEFAULT_CONTEXT_SLOTS[ContextSlot.SUMMARY],
+        reverse: true,
+        items: selected => history
+          .filter(item => !selected[ContextSlot.HISTORY]?.includes(item))
+          .map(item => {
+            const text = item.text.length > SUMMARY_ENTRY_LENGTH ? `${item.text.slice(0, SUMMARY_ENTRY_LENGTH)}…` : item.text;
+            return { id: item.id, text: `[${item.time}] ${text}`, value: { time: item.time, text } };
+          })
       }
-    }).join('\n');
+    ];
   }
 
   /**
-   * 构建角色卡提示
+   * 查找被触发的世界书条目
+   * 扫描给定的文本和最近的若干条历史记录（条数、顺序和数量上限见世界书的触发设置）
    * @private
-   * @param {Object} agent - 角色对象
-   * @returns {string} 角色卡提示
+   * @param {Object} context - 基础上下文
+   * @param {Array<string>} texts - 总是扫描的文本，如最近的行为
+   * @param {Array<Object>} [history] - 历史记录，默认读取最近的记录
+   * @returns {Array<Object>} [{ id, name, category, content, keywords }]
    */
-  _buildCharacterCardPrompt(agent) {
-    if (!agent) {
-      return '无角色信息';
+  _findTriggeredWorldbookEntries(context, texts, history) {
+    const worldBook = gameState.getState().worldBook;
+    const settings = getWorldbookSettings(worldBook);
+    
+    if (!worldBook?.entries?.length) {
+      return [];
     }
     
-    return `角色名称：${agent.name}
-角色类型：${agent.type}
-描述：${agent.description || '无描述'}
-背景：${agent.background || '无背景'}
-外貌：${agent.appearance || '无外貌描述'}
+    const recent = settings.scanDepth > 0 ?
+      (history || historyManager.getRecentHistory(settings.scanDepth)).slice(-settings.scanDepth) :
+      [];
+    
+    return scanWorldbook(worldBook.entries, [...texts, ...recent.map(entry => this._describeHistoryEntry(entry, context.strings))], settings)
+      .map(({ entry, keywords }) => ({
+        id: entry.id,
+        name: entry.name,
+        category: entry.category,
+        content: entry.content,
+        keywords
+      }));
+  }
 
-性格特质：
-- 开放性：${agent.personality?.openness || 50}/100
-- 尽责性：${agent.personality?.conscientiousness || 50}/100
-- 外向性：${agent.personality?.extraversion || 50}/100
-- 亲和性：${agent.personality?.agreeableness || 50}/100
-- 神经质：${agent.personality?.neuroticism || 50}/100
+  /**
+   * 获取角色相关的记忆，不包含属于其他角色的记忆
+   * @private
+   * @param {string} agentId - 角色ID
+   * @param {string} [query] - 查询文本
+   * @returns {Array<Object>} [{ id, type, content }]
+   */
+  _getRelevantMemories(agentId, query) {
+    return memoryManager.getRelevantMemories({ agentId, query }, MEMORY_CANDIDATES)
+      .filter(memory => !memory.agentId || memory.agentId === agentId)
+      .map(memory => ({
+        id: memory.id,
+        type: memory.type,
+        content: memory.content
+      }));
+  }
 
-目标：${Array.isArray(agent.goals) ? agent.goals.join(', ') : agent.goals || '无特定目标'}
-动机：${Array.isArray(agent.motivations) ? agent.motivations.join(', ') : agent.motivations || '无特定动机'}
-恐惧：${Array.isArray(agent.fears) ? agent.fears.join(', ') : agent.fears || '无特定恐惧'}
+  /**
+   * 将历史记录转为模板变量
+   * @private
+   * @param {Object} context - 基础上下文
+   * @param {Array} history - 历史记录
+   * @param {string} [agentId] - 扮演的角色ID，用于标记角色自己的发言
+   * @returns {Array<Object>} [{ id, time, type, content, text, own }]
+   */
+  _buildHistoryData(context, history, agentId) {
+    return (history || []).map(entry => ({
+      id: entry.id,
+      time: entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString() : '',
+      type: entry.type,
+      content: entry.content,
+      text: this._describeHistoryEntry(entry, context.strings),
+      own: !!agentId && entry.type === 'npc_response' && entry.npcId === agentId
+    }));
+  }
 
-当前情绪：${agent.currentEmotion || '中性'}（强度：${agent.emotionIntensity || 50}/100）
-对话风格：${agent.dialogueStyle || '无特定风格'}`;
+  /**
+   * 描述单条历史记录，不含时间
+   * @private
+   * @param {Object} entry - 历史记录条目
+   * @param {Object} strings - 提示包的固定文本
+   * @returns {string} 描述文本
+   */
+  _describeHistoryEntry(entry, strings) {
+    switch (entry.type) {
+      case 'action':
+        return `${entry.actorName || entry.actorId}: ${entry.content}`;
+      
+      case 'npc_response':
+        return `${entry.npcId}: ${entry.content}`;
+      
+      case 'environment':
+        return `${strings.historyEnvironment}: ${entry.description}`;
+      
+      case 'system':
+        return `${strings.historySystem}: ${entry.message}`;
+      
+      case 'tool_call':
+        return `${strings.historyTool}: ${entry.toolName} ${JSON.stringify(entry.arguments)} => ${entry.error ? `${strings.historyError}: ${entry.error}` : JSON.stringify(entry.result)}`;
+      
+      default:
+        return JSON.stringify(entry);
+    }
   }
 
   /**
-   * 构建场景信息提示
+   * 构建场景信息
    * @private
    * @param {Object} context - 上下文对象
-   * @returns {string} 场景信息提示
+   * @returns {Object} 场景 { locationName, locationDescription, time, weather, otherCharacters }
    */
-  _buildSceneInfoPrompt(context) {
+  _buildSceneData(context) {
     const state = gameState.getState();
     
     // 获取当前位置
     const currentLocation = state.environment?.currentLocation || 'unknown';
     const location = state.environment?.locations?.[currentLocation] || { 
-      name: '未知位置', 
-      description: '无描述' 
+      name: context.strings.unknownLocation, 
+      description: context.strings.noDescription 
     };
     
     // 获取当前位置的其他角色
-    const charactersInLocation = agentRegistry.getAllAgents()
-      .filter(agent => agent.location === currentLocation && agent.id !== context.agent?.id)
-      .map(agent => agent.name)
-      .join(', ');
+    const agentId = typeof context.agent === 'string' ? context.agent : context.agent?.id;
+    const otherCharacters = agentRegistry.getAllAgents()
+      .filter(agent => agent.location === currentLocation && agent.id !== agentId)
+      .map(agent => agent.name);
     
-    return `位置：${location.name}
-描述：${location.description}
-时间：${state.environment?.currentTime || '未知'}
-天气：${state.environment?.currentWeather || '未知'}
-其他在场角色：${charactersInLocation || '无'}`;
+    return {
+      locationName: location.name,
+      locationDescription: location.description,
+      time: state.environment?.currentTime,
+      weather: state.environment?.currentWeather,
+      otherCharacters
+    };
   }
 
   /**
    * 自定义提示模板
+   * 以代码注册的模板优先于同名的内置模板；模板函数的参数为基础上下文，其中 languages 为使用的语言，strings 为提示包的固定文本
+   * 内置类型有消息模板时（如角色响应），省略消息模板函数只替换系统消息：模板函数以 chat 为真再调用一次，结果作为系统消息，
+   * 历史记录和行为仍按内置模板转为对话轮次
    * @param {string} templateName - 模板名称
    * @param {Function} templateFunction - 模板函数
+   * @param {Function} [messagesFunction] - 消息模板函数，返回消息数组；省略时使用内置消息模板，没有内置消息模板的类型将提示文本作为单条用户消息
    */
-  registerCustomTemplate(templateName, templateFunction) {
+  registerCustomTemplate(templateName, templateFunction, messagesFunction) {
     if (typeof templateFunction !== 'function') {
       throw new Error('模板必须是一个函数');
     }
     
     this.templates[templateName] = templateFunction;
+    
+    if (typeof messagesFunction === 'function') {
+      this.customMessageTemplates[templateName] = messagesFunction;
+    } else {
+      delete this.customMessageTemplates[templateName];
+    }
   }
 
   /**
@@ -581,7 +1080,7 @@ ${worldSetting}
    * @returns {Array} 提示类型数组
    */
   getAvailablePromptTypes() {
-    return Object.keys(this.templates);
+    return [...new Set([...Object.keys(this.templateData), ...Object.keys(this.templates)])];
   }
 }
 
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import promptBuilder, { PromptType, PromptFormat } from './prompt_builder';
+import historyManager from './history.js';
+import llmAdapter from './llm_adapter';
+
+describe('上下文预算', () => {
+  it('渲染后的提示不超过预算，槽位标题和每条内容的格式也计入', () => {
+    historyManager.clearHistory();
+    for (let i = 0; i < 40; i++) {
+      historyManager.addSystemEntry('test', `第${i + 1}件事：旅人在北门附近打听消息，守卫说城里最近不太平`);
+    }
+    
+    const tokenOptions = { model: 'claude-3-5-sonnet' };
+    const { fixedTokens } = promptBuilder.buildPrompt(PromptType.STORY_PROGRESSION, {}, {
+      tokenBudget: 100000,
+      tokenOptions
+    }).contextReport;
+    
+    // 固定部分之外只剩少量预算时，各条内容之外的格式最容易让提示超出预算
+    for (const tokenBudget of [fixedTokens + 100, fixedTokens + 200, fixedTokens + 400]) {
+      const prompt = promptBuilder.buildPrompt(PromptType.STORY_PROGRESSION, {}, { tokenBudget, tokenOptions });
+      const tokens = llmAdapter.estimateTokens(prompt.text, tokenOptions);
+      
+      expect(tokens).toBeLessThanOrEqual(tokenBudget);
+      expect(prompt.contextReport.usedTokens).toBe(tokens);
+      expect(prompt.contextReport.slots.find(slot => slot.name === 'history').included).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('自定义模板', () => {
+  const agent = { id: 'npc_guard', name: '守卫', type: 'npc', personality: [], goals: [] };
+  const history = [
+    { id: 'h1', type: 'action', actorId: 'player', content: '你好' },
+    { id: 'h2', type: 'npc_response', npcId: 'npc_guard', content: '站住' }
+  ];
+  const action = { actorId: 'player', type: 'speak', content: '我只是路过' };
+
+  it('重新注册内置类型时保留对话轮次，模板结果作为系统消息', () => {
+    promptBuilder.registerCustomTemplate(PromptType.AGENT_RESPONSE, context => (context.chat ? '自定义设定' : '自定义完整提示'));
+    
+    try {
+      const prompt = promptBuilder.buildPrompt(PromptType.AGENT_RESPONSE, { agent, action, history }, { format: PromptFormat.MESSAGES });
+      
+      expect(prompt.text).toBe('自定义完整提示');
+      expect(prompt.messages[0]).toEqual({ role: 'system', content: '自定义设定' });
+      expect(prompt.messages.slice(1).map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+      expect(prompt.messages[2].content).toBe('站住');
+    } finally {
+      delete promptBuilder.templates[PromptType.AGENT_RESPONSE];
+    }
+  });
+
+  it('省略消息模板时只移除以代码注册的消息模板', () => {
+    const messagesFn = () => [{ role: 'user', content: '自定义消息' }];
+    
+    try {
+      promptBuilder.registerCustomTemplate(PromptType.AGENT_RESPONSE, () => '提示', messagesFn);
+      expect(promptBuilder.buildPrompt(PromptType.AGENT_RESPONSE, { agent, action, history }, { format: PromptFormat.MESSAGES }).messages)
+        .toEqual([{ role: 'user', content: '自定义消息' }]);
+      
+      promptBuilder.registerCustomTemplate(PromptType.AGENT_RESPONSE, () => '提示');
+      expect(promptBuilder.buildPrompt(PromptType.AGENT_RESPONSE, { agent, action, history }, { format: PromptFormat.MESSAGES }).messages)
+        .toHaveLength(4);
+    } finally {
+      delete promptBuilder.templates[PromptType.AGENT_RESPONSE];
+    }
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * prompt_language.js
+ * 提示语言和回复语言的设置与检测
+ * 提示包决定发给模型的提示使用哪种语言，回复语言决定要求模型用哪种语言回复；
+ * 两者都可以设为自动，跟随玩家最近输入的语言
+ */
+
+/**
+ * 支持的语言枚举
+ * @readonly
+ * @enum {string}
+ */
+export const PromptLanguage = {
+  /** 简体中文 */
+  ZH_CN: 'zh-CN',
+  /** 英语 */
+  EN: 'en',
+  /** 日语 */
+  JA: 'ja'
+};
+
+/**
+ * 表示跟随玩家输入语言的设置值
+ * @type {string}
+ */
+export const LANGUAGE_AUTO = 'auto';
+
+/**
+ * 语言的显示名称，使用该语言本身书写
+ * @type {Object}
+ */
+export const PROMPT_LANGUAGE_LABELS = {
+  [PromptLanguage.ZH_CN]: '简体中文',
+  [PromptLanguage.EN]: 'English',
+  [PromptLanguage.JA]: '日本語'
+};
+
+/**
+ * 无法检测玩家语言时使用的语言
+ * @type {string}
+ */
+export const FALLBACK_LANGUAGE = PromptLanguage.ZH_CN;
+
+/**
+ * 默认的会话语言设置
+ * prompt 为提示包语言，response 为回复语言，均可为 LANGUAGE_AUTO
+ * @type {Object}
+ */
+export const DEFAULT_LANGUAGE_SETTINGS = {
+  prompt: PromptLanguage.ZH_CN,
+  response: LANGUAGE_AUTO
+};
+
+/**
+ * 检测文本的语言
+ * 含假名视为日语；汉字较多视为中文；拉丁字母较多视为英语（包括其他拉丁字母语言）
+ * @param {string} text - 文本
+ * @returns {string|null} 语言，见 PromptLanguage；文本太短或无法判断时为null
+ */
+export function detectLanguage(text) {
+  const source = (text || '').replace(/https?:\/\/\S+/g, '');
+  const kana = (source.match(/[\u3040-\u30ff\u31f0-\u31ff\uff66-\uff9f]/g) || []).length;
+  const han = (source.match(/[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g) || []).length;
+  const latin = (source.match(/[a-zA-Z\u00c0-\u024f]/g) || []).length;
+
+  if (kana >= 2) {
+    return PromptLanguage.JA;
+  }
+
+  // 一个汉字的信息量大致相当于一个英文单词
+  if (han >= 2 && han * 4 >= latin) {
+    return PromptLanguage.ZH_CN;
+  }
+
+  if (latin >= 3) {
+    return PromptLanguage.EN;
+  }
+
+  return null;
+}
+
+/**
+ * 获取会话的语言设置，缺少或无效的字段使用默认值
+ * @param {Object} [settings] - 保存在游戏状态中的设置
+ * @returns {Object} 设置 { prompt, response }
+ */
+export function getLanguageSettings(settings) {
+  const valid = value => value === LANGUAGE_AUTO || Object.values(PromptLanguage).includes(value);
+
+  return {
+    prompt: valid(settings?.prompt) ? settings.prompt : DEFAULT_LANGUAGE_SETTINGS.prompt,
+    response: valid(settings?.response) ? settings.response : DEFAULT_LANGUAGE_SETTINGS.response
+  };
+}
+
+/**
+ * 将设置解析为实际使用的语言
+ * 提示包为自动时使用检测到的语言；回复语言为自动时使用检测到的语言，仍无法确定时与提示包相同
+ * @param {Object} settings - 语言设置 { prompt, response }
+ * @param {string|null} detected - 检测到的玩家语言
+ * @returns {Object} { prompt, response, detected }
+ */
+export function resolveLanguages(settings, detected) {
+  const { prompt, response } = getLanguageSettings(settings);
+  const promptLanguage = prompt === LANGUAGE_AUTO ? detected || FALLBACK_LANGUAGE : prompt;
+
+  return {
+    prompt: promptLanguage,
+    response: response === LANGUAGE_AUTO ? detected || promptLanguage : response,
+    detected: detected || null
+  };
+}
+
+export default {
+  PromptLanguage,
+  LANGUAGE_AUTO,
+  PROMPT_LANGUAGE_LABELS,
+  FALLBACK_LANGUAGE,
+  DEFAULT_LANGUAGE_SETTINGS,
+  detectLanguage,
+  getLanguageSettings,
+  resolveLanguages
+};
@@ -0,0 +1,472 @@
+/**
+ * prompt_templates.js
+ * 内置提示模板的默认文本和可用变量说明
+ * 模板语法见 template_engine.js，用户修改后的模板保存在游戏状态中
+ * 键为 PromptType 的值，这里不引用 prompt_builder 以避免循环依赖
+ * 本文件为中文提示包，其他语言的提示包见 prompt_templates_en.js、prompt_templates_ja.js
+ */
+
+import { PromptLanguage } from './prompt_language';
+import { EN_PROMPT_STRINGS, EN_PROMPT_TEMPLATES } from './prompt_templates_en';
+import { JA_PROMPT_STRINGS, JA_PROMPT_TEMPLATES } from './prompt_templates_ja';
+
+/**
+ * 所有模板都可以使用的变量
+ * @type {Array<Object>}
+ */
+export const COMMON_TEMPLATE_VARIABLES = [
+  { name: 'turn', description: '当前回合' },
+  { name: 'phase', description: '当前阶段' },
+  { name: 'player', description: '玩家 { name, description }' },
+  { name: 'agents', description: '所有角色 [{ id, name, type, description, location }]' },
+  { name: 'world.mainSetting', description: '世界背景' }
+];
+
+/**
+ * 内置模板的名称和专用变量
+ * @type {Object}
+ */
+export const PROMPT_TEMPLATE_INFO = {
+  agent_response: {
+    name: '角色响应',
+    variables: [
+      { name: 'agent', description: '扮演的角色 { name, type, description, background, appearance, personality, goals, motivations, fears, currentEmotion, emotionIntensity, dialogueStyle }' },
+      { name: 'scene', description: '当前场景 { locationName, locationDescription, time, weather, otherCharacters }' },
+      { name: 'worldbook', description: '被最近的行为和历史触发的世界书条目 [{ name, category, content, keywords }]' },
+      { name: 'memories', description: '角色的相关记忆 [{ type, content }]' },
+      { name: 'history', description: '历史记录 [{ time, type, content, text, own }]，own 表示角色自己的发言' },
+      { name: 'summary', description: '超出预算的更早历史，截短后的摘要 [{ time, text }]' },
+      { name: 'action', description: '最近的行为 { type, actor, content, targetsYou }' },
+      { name: 'relationship', description: '与行为执行者的关系 { type, trust, intimacy, respect }' },
+      { name: 'chat', description: '为聊天模型生成系统消息时为真，此时历史记录和最近的行为以对话消息发送' }
+    ]
+  },
+  environment_description: {
+    name: '环境描述',
+    variables: [
+      { name: 'location', description: '位置 { name, description }' },
+      { name: 'time', description: '时间' },
+      { name: 'weather', description: '天气' },
+      { name: 'details', description: '额外细节' },
+      { name: 'characters', description: '该位置的角色 [{ name, description }]' }
+    ]
+  },
+  story_progression: {
+    name: '故事进展',
+    variables: [
+      { name: 'plot', description: '当前故事概要' },
+      { name: 'worldbook', description: '被最近事件触发的世界书条目 [{ name, category, content, keywords }]' },
+      { name: 'history', description: '最近的事件 [{ time, type, text }]' },
+      { name: 'summary', description: '超出预算的更早事件，截短后的摘要 [{ time, text }]' },
+      { name: 'direction', description: '期望的发展方向' },
+      { name: 'intensity', description: '事件强度（1-10）' }
+    ]
+  },
+  dialogue_generation: {
+    name: '对话生成',
+    variables: [
+      { name: 'characters', description: '参与角色 [{ name, description, dialogueStyle }]' },
+      { name: 'relationships', description: '角色关系 [{ character1, character2, type, trust }]' },
+      { name: 'topic', description: '对话主题' },
+      { name: 'tone', description: '对话语气' },
+      { name: 'length', description: '对话长度' }
+    ]
+  },
+  action_result: {
+    name: '行为结果',
+    variables: [
+      { name: 'action', description: '行为 { type, content, actor, target }' },
+      { name: 'actor', description: '执行者 { name, description, skills }，未知时为空' },
+      { name: 'worldbook', description: '被行为和最近历史触发的世界书条目 [{ name, category, content, keywords }]' },
+      { name: 'difficulty', description: '难度等级（1-10）' },
+      { name: 'randomFactor', description: '随机因素（1-10）' }
+    ]
+  },
+  world_building: {
+    name: '世界构建',
+    variables: [
+      { name: 'theme', description: '主题' },
+      { name: 'elements', description: '需要包含的元素' },
+      { name: 'tone', description: '语调' },
+      { name: 'detail', description: '细节程度' }
+    ]
+  },
+  character_creation: {
+    name: '角色创建',
+    variables: [
+      { name: 'type', description: '角色类型' },
+      { name: 'role', description: '角色定位' },
+      { name: 'traits', description: '性格特点' },
+      { name: 'background', description: '背景要素' }
+    ]
+  }
+};
+
+/**
+ * 构建提示时使用的固定文本
+ * actionTurn 使用模板语法，变量为 actor、type、content；respondIn 为要求以各语言回复的指令
+ * toolInstruction 为GM使用工具的系统提示，变量为 locations、characters；toolTarget 为其中每一项的文本，变量为 id、name
+ * @type {Object}
+ */
+export const ZH_CN_PROMPT_STRINGS = {
+  systemPrompt: '你是一个TRPG游戏中的AI助手。',
+  sceneStart: '（场景开始）',
+  respondToScene: '请对当前场景做出回应。',
+  actionTurn: '{{actor}}（{{type}}）: {{content}}',
+  targetsYou: '这个行为直接针对你。',
+  unknown: '未知',
+  unknownLocation: '未知位置',
+  noDescription: '无描述',
+  historyEnvironment: '环境',
+  historySystem: '系统',
+  historyTool: '工具',
+  historyError: '错误',
+  sampleAgentName: '示例角色',
+  samplePlayerName: '玩家',
+  sampleGreeting: '你好',
+  toolInstruction: `你是TRPG游戏的主持人。需要掷骰判定、移动角色、给予物品或记录剧情进度时，请调用相应的工具，而不是只在叙述中描述。
+工具执行后，根据工具结果叙述行为的结果。
+
+可用位置：{{locations | join "、" | default "无"}}
+角色：{{characters | join "、" | default "无"}}`,
+  toolTarget: '{{id}}（{{name}}）',
+  respondIn: {
+    'zh-CN': '请使用简体中文回复。',
+    en: '请使用英语回复。',
+    ja: '请使用日语回复。'
+  }
+};
+
+/**
+ * 内置模板的默认文本
+ * @type {Object}
+ */
+export const DEFAULT_PROMPT_TEMPLATES = {
+  agent_response: `你是一个角色扮演AI，现在你将扮演以下角色：
+
+角色名称：{{agent.name}}
+角色类型：{{agent.type}}
+描述：{{agent.description | default "无描述"}}
+背景：{{agent.background | default "无背景"}}
+外貌：{{agent.appearance | default "无外貌描述"}}
+
+性格特质：
+- 开放性：{{agent.personality.openness | default 50}}/100
+- 尽责性：{{agent.personality.conscientiousness | default 50}}/100
+- 外向性：{{agent.personality.extraversion | default 50}}/100
+- 亲和性：{{agent.personality.agreeableness | default 50}}/100
+- 神经质：{{agent.personality.neuroticism | default 50}}/100
+
+目标：{{agent.goals | join ", " | default "无特定目标"}}
+动机：{{agent.motivations | join ", " | default "无特定动机"}}
+恐惧：{{agent.fears | join ", " | default "无特定恐惧"}}
+
+当前情绪：{{agent.currentEmotion | default "中性"}}（强度：{{agent.emotionIntensity | default 50}}/100）
+对话风格：{{agent.dialogueStyle | default "无特定风格"}}
+
+当前场景：
+位置：{{scene.locationName}}
+描述：{{scene.locationDescription}}
+时间：{{scene.time | default "未知"}}
+天气：{{scene.weather | default "未知"}}
+其他在场角色：{{scene.otherCharacters | join ", " | default "无"}}
+{{#if worldbook}}
+
+相关设定：
+{{#each worldbook}}
+- {{name}}：{{content}}
+{{/each}}
+{{/if}}
+{{#if memories}}
+
+你的记忆：
+{{#each memories}}
+- {{content}}
+{{/each}}
+{{/if}}
+{{#if summary}}
+
+更早的事件摘要：
+{{#each summary}}
+[{{time}}] {{text}}
+{{/each}}
+{{/if}}
+{{#unless chat}}
+
+历史记录：
+{{#each history}}
+[{{time}}] {{text}}
+{{else}}
+无历史记录
+{{/each}}
+{{#if action}}
+
+最近的行为：
+类型：{{action.type}}
+执行者：{{action.actor}}
+内容：{{action.content}}
+{{#if action.targetsYou}}
+这个行为直接针对你。
+{{/if}}
+{{/if}}
+{{/unless}}
+{{#if relationship}}
+
+与行为执行者的关系：
+类型：{{relationship.type}}
+信任度：{{relationship.trust}}/100
+亲密度：{{relationship.intimacy}}/100
+尊重度：{{relationship.respect}}/100
+{{/if}}
+
+{{#if chat}}
+对话记录中，你说过的话是助手消息，其他角色的行为和场景事件是用户消息，并标明了来源。
+{{/if}}
+请根据你的角色设定、当前情绪状态、与其他角色的关系以及场景上下文，生成一个合适的响应。
+响应应该反映你的性格特点、当前情绪和对事件的态度。
+
+请用第一人称回应，不要在回应中包含旁白或动作描述。`,
+
+  environment_description: `请为以下游戏场景生成一段详细的环境描述：
+
+位置名称：{{location.name}}
+基本描述：{{location.description | default "无描述"}}
+时间：{{time | default "未知"}}
+天气：{{weather | default "未知"}}
+{{#if details}}
+
+额外细节：{{details}}
+{{/if}}
+
+该位置的角色：
+{{#each characters}}
+- {{name}}：{{description | default "无描述"}}
+{{else}}
+没有角色在此位置
+{{/each}}
+
+请生成一段生动、详细的环境描述，包括视觉、听觉、嗅觉等感官细节，以及环境的氛围和情绪。
+描述应该有助于玩家想象自己身处其中的感觉。
+不要包含角色的对话或行动，只描述环境本身。`,
+
+  story_progression: `作为游戏主持人，请根据当前故事情况，生成下一步的故事发展：
+
+当前故事概要：
+{{plot | default "无具体情节"}}
+
+世界背景：
+{{world.mainSetting | default "无具体背景"}}
+{{#if worldbook}}
+
+相关设定：
+{{#each worldbook}}
+- {{name}}：{{content}}
+{{/each}}
+{{/if}}
+{{#if summary}}
+
+更早的事件摘要：
+{{#each summary}}
+[{{time}}] {{text}}
+{{/each}}
+{{/if}}
+
+最近的事件：
+{{#each history}}
+[{{time}}] {{text}}
+{{else}}
+无历史记录
+{{/each}}
+{{#if direction}}
+
+期望的发展方向：{{direction}}
+{{/if}}
+{{#if intensity}}
+事件强度（1-10）：{{intensity}}
+{{/if}}
+
+请生成接下来的故事发展，包括：
+1. 新的事件或转折
+2. 可能出现的冲突或挑战
+3. NPC的可能反应
+4. 环境或场景的变化
+
+故事发展应该符合当前的情境和角色设定，并为玩家提供有趣的互动机会。
+请避免直接解决所有问题或创造无法克服的障碍。`,
+
+  dialogue_generation: `请为以下角色生成一段对话：
+
+参与角色：
+{{#each characters}}
+- {{name}}：{{description | default "无描述"}}
+   对话风格：{{dialogueStyle | default "无特定风格"}}
+{{/each}}
+{{#if relationships}}
+
+角色关系：
+{{#each relationships}}
+- {{character1}} 和 {{character2}}：{{type}}关系，信任度 {{trust}}/100
+{{/each}}
+{{/if}}
+
+对话主题：{{topic | default "自由发挥"}}
+对话语气：{{tone | default "根据角色性格决定"}}
+对话长度：{{length | default "适中"}}
+
+请根据角色的性格特点和彼此的关系，生成一段自然、符合人物设定的对话。
+对话应该展现角色的个性和他们之间的关系动态。
+请使用以下格式：
+
+角色名：对话内容`,
+
+  action_result: `请为以下游戏行为生成一个结果描述：
+
+行为类型：{{action.type}}
+行为内容：{{action.content}}
+执行者：{{action.actor}}
+{{#if action.target}}
+目标：{{action.target}}
+{{/if}}
+{{#if actor}}
+
+执行者信息：
+- 描述：{{actor.description | default "无描述"}}
+- 相关技能：{{actor.skills | json}}
+{{/if}}
+{{#if worldbook}}
+
+相关设定：
+{{#each worldbook}}
+- {{name}}：{{content}}
+{{/each}}
+{{/if}}
+{{#if difficulty}}
+
+难度等级（1-10）：{{difficulty}}
+{{/if}}
+{{#if randomFactor}}
+随机因素（1-10）：{{randomFactor}}
+{{/if}}
+
+请生成这个行为的结果描述，包括：
+1. 行为的直接效果
+2. 可能的副作用或意外情况
+3. 对周围环境或角色的影响
+
+结果应该符合逻辑，并考虑角色的能力和行为的难度。
+如果有随机因素，请适当引入一些不确定性。
+描述应该生动具体，避免模糊或过于概括的表述。`,
+
+  world_building: `请为一个TRPG游戏创建或扩展以下世界设定：
+{{#if world.mainSetting}}
+
+现有世界背景：
+{{world.mainSetting}}
+{{/if}}
+
+主题：{{theme | default "未指定"}}
+{{#if elements}}
+需要包含的元素：{{elements}}
+{{/if}}
+语调：{{tone | default "适中"}}
+细节程度：{{detail | default "中等"}}
+
+请创建以下内容：
+
+1. 世界概述
+   - 基本设定和背景
+   - 世界历史的关键事件
+   - 当前世界状态
+
+2. 地理环境
+   - 主要地区或位置描述
+   - 特殊地标或重要场所
+   - 环境特征和气候
+
+3. 社会结构
+   - 主要种族或群体
+   - 政治体系和权力结构
+   - 经济系统和贸易
+
+4. 文化与信仰
+   - 主要宗教或信仰系统
+   - 文化习俗和传统
+   - 艺术、音乐和文学
+
+5. 魔法或科技系统
+   - 基本原理和限制
+   - 常见应用和影响
+   - 特殊能力或装置
+
+请确保设定具有内部一致性，并为玩家提供足够的探索和互动空间。
+避免过于复杂或难以理解的设定，保持可玩性和趣味性。`,
+
+  character_creation: `请为TRPG游戏创建一个详细的角色设定：
+
+角色类型：{{type}}
+角色角色：{{role | default "未指定"}}
+{{#if traits}}
+性格特点：{{traits}}
+{{/if}}
+{{#if background}}
+背景要素：{{background}}
+{{/if}}
+
+世界设定：
+{{world.mainSetting | default "无特定世界设定"}}
+
+请创建以下内容：
+
+1. 基本信息
+   - 姓名
+   - 年龄
+   - 性别
+   - 外貌描述
+
+2. 背景故事
+   - 成长经历
+   - 关键事件
+   - 动机和目标
+
+3. 性格特质
+   - 主要性格特点
+   - 优点和缺点
+   - 恐惧和喜好
+
+4. 关系网络
+   - 家人和朋友
+   - 盟友和敌人
+   - 社会地位
+
+5. 能力和技能
+   - 专长领域
+   - 特殊能力
+   - 弱点和限制
+
+6. 对话风格
+   - 说话方式
+   - 常用语和口头禅
+   - 表达习惯
+
+请确保角色设定符合世界背景，并具有深度和复杂性。
+角色应该有明确的动机和目标，以及足够的冲突点和发展空间。
+避免创建完美无缺或单一维度的角色，应该有明显的优点和缺点。`
+};
+
+/**
+ * 各语言的提示包 { templates, strings }
+ * @type {Object}
+ */
+export const PROMPT_PACKS = {
+  [PromptLanguage.ZH_CN]: { templates: DEFAULT_PROMPT_TEMPLATES, strings: ZH_CN_PROMPT_STRINGS },
+  [PromptLanguage.EN]: { templates: EN_PROMPT_TEMPLATES, strings: EN_PROMPT_STRINGS },
+  [PromptLanguage.JA]: { templates: JA_PROMPT_TEMPLATES, strings: JA_PROMPT_STRINGS }
+};
+
+export default {
+  COMMON_TEMPLATE_VARIABLES,
+  PROMPT_TEMPLATE_INFO,
+  ZH_CN_PROMPT_STRINGS,
+  DEFAULT_PROMPT_TEMPLATES,
+  PROMPT_PACKS
+};
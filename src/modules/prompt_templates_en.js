@@ -0,0 +1,359 @@
+/**
+ * prompt_templates_en.js
+ * 英语提示包：内置模板的默认文本和构建提示时使用的固定文本
+ * 模板变量与中文提示包相同，见 prompt_templates.js
+ */
+
+/**
+ * 构建提示时使用的固定文本
+ * @type {Object}
+ */
+export const EN_PROMPT_STRINGS = {
+  systemPrompt: 'You are an AI assistant in a tabletop role-playing game.',
+  sceneStart: '(The scene begins)',
+  respondToScene: 'Please respond to the current scene.',
+  actionTurn: '{{actor}} ({{type}}): {{content}}',
+  targetsYou: 'This action is directed at you.',
+  unknown: 'Unknown',
+  unknownLocation: 'Unknown location',
+  noDescription: 'No description',
+  historyEnvironment: 'Environment',
+  historySystem: 'System',
+  historyTool: 'Tool',
+  historyError: 'Error',
+  sampleAgentName: 'Sample character',
+  samplePlayerName: 'Player',
+  sampleGreeting: 'Hello',
+  toolInstruction: `You are the game master of a tabletop role-playing game. When a dice check, moving a character, giving an item or recording plot progress is needed, call the matching tool instead of only describing it in the narration.
+After a tool runs, narrate the outcome of the action based on the tool result.
+
+Available locations: {{locations | join ", " | default "None"}}
+Characters: {{characters | join ", " | default "None"}}`,
+  toolTarget: '{{id}} ({{name}})',
+  respondIn: {
+    'zh-CN': 'Respond in Simplified Chinese.',
+    en: 'Respond in English.',
+    ja: 'Respond in Japanese.'
+  }
+};
+
+/**
+ * 内置模板的默认文本
+ * @type {Object}
+ */
+export const EN_PROMPT_TEMPLATES = {
+  agent_response: `You are a role-playing AI. You will now play the following character:
+
+Name: {{agent.name}}
+Type: {{agent.type}}
+Description: {{agent.description | default "No description"}}
+Background: {{agent.background | default "No background"}}
+Appearance: {{agent.appearance | default "No appearance details"}}
+
+Personality traits:
+- Openness: {{agent.personality.openness | default 50}}/100
+- Conscientiousness: {{agent.personality.conscientiousness | default 50}}/100
+- Extraversion: {{agent.personality.extraversion | default 50}}/100
+- Agreeableness: {{agent.personality.agreeableness | default 50}}/100
+- Neuroticism: {{agent.personality.neuroticism | default 50}}/100
+
+Goals: {{agent.goals | join ", " | default "No specific goals"}}
+Motivations: {{agent.motivations | join ", " | default "No specific motivations"}}
+Fears: {{agent.fears | join ", " | default "No specific fears"}}
+
+Current emotion: {{agent.currentEmotion | default "neutral"}} (intensity: {{agent.emotionIntensity | default 50}}/100)
+Speaking style: {{agent.dialogueStyle | default "No particular style"}}
+
+Current scene:
+Location: {{scene.locationName}}
+Description: {{scene.locationDescription}}
+Time: {{scene.time | default "Unknown"}}
+Weather: {{scene.weather | default "Unknown"}}
+Other characters present: {{scene.otherCharacters | join ", " | default "None"}}
+{{#if worldbook}}
+
+Relevant lore:
+{{#each worldbook}}
+- {{name}}: {{content}}
+{{/each}}
+{{/if}}
+{{#if memories}}
+
+Your memories:
+{{#each memories}}
+- {{content}}
+{{/each}}
+{{/if}}
+{{#if summary}}
+
+Summary of earlier events:
+{{#each summary}}
+[{{time}}] {{text}}
+{{/each}}
+{{/if}}
+{{#unless chat}}
+
+History:
+{{#each history}}
+[{{time}}] {{text}}
+{{else}}
+No history yet
+{{/each}}
+{{#if action}}
+
+Latest action:
+Type: {{action.type}}
+Actor: {{action.actor}}
+Content: {{action.content}}
+{{#if action.targetsYou}}
+This action is directed at you.
+{{/if}}
+{{/if}}
+{{/unless}}
+{{#if relationship}}
+
+Relationship with the actor:
+Type: {{relationship.type}}
+Trust: {{relationship.trust}}/100
+Intimacy: {{relationship.intimacy}}/100
+Respect: {{relationship.respect}}/100
+{{/if}}
+
+{{#if chat}}
+In the conversation, your own lines are assistant messages; other characters' actions and scene events are user messages labelled with their source.
+{{/if}}
+Based on your character profile, current emotional state, relationships with other characters and the scene context, write a fitting response.
+The response should reflect your personality, your current emotion and your attitude toward the events.
+
+Respond in the first person, without narration or descriptions of actions.`,
+
+  environment_description: `Write a detailed description of the following game location:
+
+Location name: {{location.name}}
+Basic description: {{location.description | default "No description"}}
+Time: {{time | default "Unknown"}}
+Weather: {{weather | default "Unknown"}}
+{{#if details}}
+
+Additional details: {{details}}
+{{/if}}
+
+Characters at this location:
+{{#each characters}}
+- {{name}}: {{description | default "No description"}}
+{{else}}
+No characters are here
+{{/each}}
+
+Write a vivid, detailed description of the environment, including sensory details such as sights, sounds and smells, as well as the atmosphere and mood of the place.
+The description should help players imagine being there.
+Do not include dialogue or actions of characters; describe only the environment itself.`,
+
+  story_progression: `As the game master, write the next development of the story based on the current situation:
+
+Current plot summary:
+{{plot | default "No specific plot"}}
+
+World background:
+{{world.mainSetting | default "No specific background"}}
+{{#if worldbook}}
+
+Relevant lore:
+{{#each worldbook}}
+- {{name}}: {{content}}
+{{/each}}
+{{/if}}
+{{#if summary}}
+
+Summary of earlier events:
+{{#each summary}}
+[{{time}}] {{text}}
+{{/each}}
+{{/if}}
+
+Recent events:
+{{#each history}}
+[{{time}}] {{text}}
+{{else}}
+No history yet
+{{/each}}
+{{#if direction}}
+
+Desired direction: {{direction}}
+{{/if}}
+{{#if intensity}}
+Event intensity (1-10): {{intensity}}
+{{/if}}
+
+Write the next story development, including:
+1. New events or twists
+2. Possible conflicts or challenges
+3. Likely reactions of NPCs
+4. Changes to the environment or scene
+
+The development should fit the current situation and character profiles, and give players interesting opportunities to interact.
+Avoid resolving every problem outright or creating obstacles that cannot be overcome.`,
+
+  dialogue_generation: `Write a dialogue between the following characters:
+
+Characters:
+{{#each characters}}
+- {{name}}: {{description | default "No description"}}
+   Speaking style: {{dialogueStyle | default "No particular style"}}
+{{/each}}
+{{#if relationships}}
+
+Relationships:
+{{#each relationships}}
+- {{character1}} and {{character2}}: {{type}} relationship, trust {{trust}}/100
+{{/each}}
+{{/if}}
+
+Topic: {{topic | default "Free choice"}}
+Tone: {{tone | default "Based on the characters' personalities"}}
+Length: {{length | default "Moderate"}}
+
+Based on the characters' personalities and their relationships, write a natural dialogue that stays true to each character.
+The dialogue should show each character's individuality and the dynamics between them.
+Use the following format:
+
+Character name: line`,
+
+  action_result: `Describe the outcome of the following game action:
+
+Action type: {{action.type}}
+Action: {{action.content}}
+Actor: {{action.actor}}
+{{#if action.target}}
+Target: {{action.target}}
+{{/if}}
+{{#if actor}}
+
+About the actor:
+- Description: {{actor.description | default "No description"}}
+- Relevant skills: {{actor.skills | json}}
+{{/if}}
+{{#if worldbook}}
+
+Relevant lore:
+{{#each worldbook}}
+- {{name}}: {{content}}
+{{/each}}
+{{/if}}
+{{#if difficulty}}
+
+Difficulty (1-10): {{difficulty}}
+{{/if}}
+{{#if randomFactor}}
+Random factor (1-10): {{randomFactor}}
+{{/if}}
+
+Describe the outcome of this action, including:
+1. The direct effect of the action
+2. Possible side effects or surprises
+3. The impact on the surroundings or other characters
+
+The outcome should be logical and take the actor's abilities and the difficulty of the action into account.
+If there is a random factor, introduce an appropriate amount of uncertainty.
+Be vivid and specific; avoid vague or overly general statements.`,
+
+  world_building: `Create or expand the following setting for a tabletop role-playing game:
+{{#if world.mainSetting}}
+
+Existing world background:
+{{world.mainSetting}}
+{{/if}}
+
+Theme: {{theme | default "Unspecified"}}
+{{#if elements}}
+Elements to include: {{elements}}
+{{/if}}
+Tone: {{tone | default "Balanced"}}
+Level of detail: {{detail | default "Medium"}}
+
+Please create the following:
+
+1. World overview
+   - Basic premise and background
+   - Key events in the world's history
+   - The current state of the world
+
+2. Geography
+   - Major regions or locations
+   - Notable landmarks or important places
+   - Environmental features and climate
+
+3. Society
+   - Major races or groups
+   - Political systems and power structures
+   - Economy and trade
+
+4. Culture and beliefs
+   - Major religions or belief systems
+   - Customs and traditions
+   - Art, music and literature
+
+5. Magic or technology
+   - Basic principles and limitations
+   - Common applications and their impact
+   - Special abilities or devices
+
+Make sure the setting is internally consistent and leaves players enough room to explore and interact.
+Avoid overly complex or hard-to-follow settings; keep it playable and fun.`,
+
+  character_creation: `Create a detailed character for a tabletop role-playing game:
+
+Character type: {{type}}
+Role: {{role | default "Unspecified"}}
+{{#if traits}}
+Personality traits: {{traits}}
+{{/if}}
+{{#if background}}
+Background elements: {{background}}
+{{/if}}
+
+World setting:
+{{world.mainSetting | default "No specific setting"}}
+
+Please create the following:
+
+1. Basic information
+   - Name
+   - Age
+   - Gender
+   - Appearance
+
+2. Backstory
+   - Upbringing
+   - Key events
+   - Motivations and goals
+
+3. Personality
+   - Main traits
+   - Strengths and flaws
+   - Fears and likes
+
+4. Relationships
+   - Family and friends
+   - Allies and enemies
+   - Social standing
+
+5. Abilities and skills
+   - Areas of expertise
+   - Special abilities
+   - Weaknesses and limitations
+
+6. Speaking style
+   - Manner of speech
+   - Catchphrases and verbal habits
+   - Ways of expressing themselves
+
+Make sure the character fits the world setting and has depth and complexity.
+The character should have clear motivations and goals, with enough points of conflict and room to grow.
+Avoid flawless or one-dimensional characters; give them clear strengths and weaknesses.`
+};
+
+export default {
+  EN_PROMPT_STRINGS,
+  EN_PROMPT_TEMPLATES
+};
@@ -0,0 +1,359 @@
+/**
+ * prompt_templates_ja.js
+ * 日语提示包：内置模板的默认文本和构建提示时使用的固定文本
+ * 模板变量与中文提示包相同，见 prompt_templates.js
+ */
+
+/**
+ * 构建提示时使用的固定文本
+ * @type {Object}
+ */
+export const JA_PROMPT_STRINGS = {
+  systemPrompt: 'あなたはTRPGのAIアシスタントです。',
+  sceneStart: '（シーン開始）',
+  respondToScene: '現在のシーンに応答してください。',
+  actionTurn: '{{actor}}（{{type}}）: {{content}}',
+  targetsYou: 'この行動はあなたに向けられています。',
+  unknown: '不明',
+  unknownLocation: '不明な場所',
+  noDescription: '説明なし',
+  historyEnvironment: '環境',
+  historySystem: 'システム',
+  historyTool: 'ツール',
+  historyError: 'エラー',
+  sampleAgentName: 'サンプルキャラクター',
+  samplePlayerName: 'プレイヤー',
+  sampleGreeting: 'こんにちは',
+  toolInstruction: `あなたはTRPGのゲームマスターです。ダイス判定、キャラクターの移動、アイテムの受け渡し、シナリオ進行の記録が必要なときは、語りの中で描写するだけでなく、対応するツールを呼び出してください。
+ツールの実行後、ツールの結果に基づいて行動の結果を語ってください。
+
+利用可能な場所：{{locations | join "、" | default "なし"}}
+キャラクター：{{characters | join "、" | default "なし"}}`,
+  toolTarget: '{{id}}（{{name}}）',
+  respondIn: {
+    'zh-CN': '簡体字中国語で応答してください。',
+    en: '英語で応答してください。',
+    ja: '日本語で応答してください。'
+  }
+};
+
+/**
+ * 内置模板的默认文本
+ * @type {Object}
+ */
+export const JA_PROMPT_TEMPLATES = {
+  agent_response: `あなたはロールプレイAIです。これから次のキャラクターを演じてください：
+
+名前：{{agent.name}}
+種類：{{agent.type}}
+説明：{{agent.description | default "説明なし"}}
+背景：{{agent.background | default "背景なし"}}
+外見：{{agent.appearance | default "外見の説明なし"}}
+
+性格特性：
+- 開放性：{{agent.personality.openness | default 50}}/100
+- 誠実性：{{agent.personality.conscientiousness | default 50}}/100
+- 外向性：{{agent.personality.extraversion | default 50}}/100
+- 協調性：{{agent.personality.agreeableness | default 50}}/100
+- 神経症傾向：{{agent.personality.neuroticism | default 50}}/100
+
+目標：{{agent.goals | join "、" | default "特になし"}}
+動機：{{agent.motivations | join "、" | default "特になし"}}
+恐れ：{{agent.fears | join "、" | default "特になし"}}
+
+現在の感情：{{agent.currentEmotion | default "平常"}}（強さ：{{agent.emotionIntensity | default 50}}/100）
+話し方：{{agent.dialogueStyle | default "特になし"}}
+
+現在のシーン：
+場所：{{scene.locationName}}
+説明：{{scene.locationDescription}}
+時間：{{scene.time | default "不明"}}
+天気：{{scene.weather | default "不明"}}
+その場にいる他のキャラクター：{{scene.otherCharacters | join "、" | default "なし"}}
+{{#if worldbook}}
+
+関連設定：
+{{#each worldbook}}
+- {{name}}：{{content}}
+{{/each}}
+{{/if}}
+{{#if memories}}
+
+あなたの記憶：
+{{#each memories}}
+- {{content}}
+{{/each}}
+{{/if}}
+{{#if summary}}
+
+これまでの出来事の要約：
+{{#each summary}}
+[{{time}}] {{text}}
+{{/each}}
+{{/if}}
+{{#unless chat}}
+
+履歴：
+{{#each history}}
+[{{time}}] {{text}}
+{{else}}
+履歴なし
+{{/each}}
+{{#if action}}
+
+直近の行動：
+種類：{{action.type}}
+行動者：{{action.actor}}
+内容：{{action.content}}
+{{#if action.targetsYou}}
+この行動はあなたに向けられています。
+{{/if}}
+{{/if}}
+{{/unless}}
+{{#if relationship}}
+
+行動者との関係：
+種類：{{relationship.type}}
+信頼度：{{relationship.trust}}/100
+親密度：{{relationship.intimacy}}/100
+尊敬度：{{relationship.respect}}/100
+{{/if}}
+
+{{#if chat}}
+会話記録では、あなた自身の発言はアシスタントメッセージ、他のキャラクターの行動やシーンの出来事は発信元を明記したユーザーメッセージです。
+{{/if}}
+キャラクター設定、現在の感情、他のキャラクターとの関係、シーンの状況に基づいて、ふさわしい応答を生成してください。
+応答にはあなたの性格、現在の感情、出来事に対する態度が表れている必要があります。
+
+一人称で応答し、ナレーションや動作の描写は含めないでください。`,
+
+  environment_description: `次のゲームの場所について、詳細な環境描写を生成してください：
+
+場所の名前：{{location.name}}
+基本的な説明：{{location.description | default "説明なし"}}
+時間：{{time | default "不明"}}
+天気：{{weather | default "不明"}}
+{{#if details}}
+
+追加の詳細：{{details}}
+{{/if}}
+
+この場所にいるキャラクター：
+{{#each characters}}
+- {{name}}：{{description | default "説明なし"}}
+{{else}}
+この場所にはキャラクターがいません
+{{/each}}
+
+視覚、聴覚、嗅覚などの感覚的な細部や、場所の雰囲気と情緒を含む、生き生きとした詳細な環境描写を生成してください。
+プレイヤーが自分がその場にいるように想像できる描写にしてください。
+キャラクターの会話や行動は含めず、環境そのものだけを描写してください。`,
+
+  story_progression: `ゲームマスターとして、現在の状況に基づいて物語の次の展開を生成してください：
+
+現在のあらすじ：
+{{plot | default "特定の筋書きなし"}}
+
+世界の背景：
+{{world.mainSetting | default "特定の背景なし"}}
+{{#if worldbook}}
+
+関連設定：
+{{#each worldbook}}
+- {{name}}：{{content}}
+{{/each}}
+{{/if}}
+{{#if summary}}
+
+これまでの出来事の要約：
+{{#each summary}}
+[{{time}}] {{text}}
+{{/each}}
+{{/if}}
+
+最近の出来事：
+{{#each history}}
+[{{time}}] {{text}}
+{{else}}
+履歴なし
+{{/each}}
+{{#if direction}}
+
+望ましい展開の方向：{{direction}}
+{{/if}}
+{{#if intensity}}
+出来事の強度（1-10）：{{intensity}}
+{{/if}}
+
+次の物語の展開として、以下を含めてください：
+1. 新しい出来事や転機
+2. 起こりうる対立や試練
+3. NPCの予想される反応
+4. 環境やシーンの変化
+
+展開は現在の状況とキャラクター設定に沿い、プレイヤーに面白い関わりの機会を与えるものにしてください。
+すべての問題を一度に解決したり、乗り越えられない障害を作ったりしないでください。`,
+
+  dialogue_generation: `次のキャラクターたちの会話を生成してください：
+
+登場キャラクター：
+{{#each characters}}
+- {{name}}：{{description | default "説明なし"}}
+   話し方：{{dialogueStyle | default "特になし"}}
+{{/each}}
+{{#if relationships}}
+
+キャラクターの関係：
+{{#each relationships}}
+- {{character1}} と {{character2}}：{{type}}の関係、信頼度 {{trust}}/100
+{{/each}}
+{{/if}}
+
+話題：{{topic | default "自由"}}
+口調：{{tone | default "キャラクターの性格に合わせる"}}
+長さ：{{length | default "普通"}}
+
+キャラクターの性格と互いの関係に基づいて、設定に忠実で自然な会話を生成してください。
+会話ではそれぞれの個性とキャラクター同士の関係性を表現してください。
+次の形式を使ってください：
+
+キャラクター名：セリフ`,
+
+  action_result: `次のゲーム内の行動について、結果の描写を生成してください：
+
+行動の種類：{{action.type}}
+行動の内容：{{action.content}}
+行動者：{{action.actor}}
+{{#if action.target}}
+対象：{{action.target}}
+{{/if}}
+{{#if actor}}
+
+行動者の情報：
+- 説明：{{actor.description | default "説明なし"}}
+- 関連スキル：{{actor.skills | json}}
+{{/if}}
+{{#if worldbook}}
+
+関連設定：
+{{#each worldbook}}
+- {{name}}：{{content}}
+{{/each}}
+{{/if}}
+{{#if difficulty}}
+
+難易度（1-10）：{{difficulty}}
+{{/if}}
+{{#if randomFactor}}
+ランダム要素（1-10）：{{randomFactor}}
+{{/if}}
+
+この行動の結果として、以下を描写してください：
+1. 行動の直接的な効果
+2. 起こりうる副作用や予想外の出来事
+3. 周囲の環境やキャラクターへの影響
+
+結果は論理的で、行動者の能力と行動の難易度を考慮したものにしてください。
+ランダム要素がある場合は、適度な不確実性を取り入れてください。
+曖昧すぎる表現や大雑把な表現は避け、生き生きと具体的に描写してください。`,
+
+  world_building: `TRPGのために、次の世界設定を作成または拡張してください：
+{{#if world.mainSetting}}
+
+既存の世界の背景：
+{{world.mainSetting}}
+{{/if}}
+
+テーマ：{{theme | default "未指定"}}
+{{#if elements}}
+含めるべき要素：{{elements}}
+{{/if}}
+トーン：{{tone | default "標準"}}
+詳細さ：{{detail | default "中程度"}}
+
+以下の内容を作成してください：
+
+1. 世界の概要
+   - 基本設定と背景
+   - 世界の歴史における重要な出来事
+   - 現在の世界の状況
+
+2. 地理
+   - 主な地域や場所
+   - 特別な名所や重要な場所
+   - 環境の特徴と気候
+
+3. 社会構造
+   - 主な種族や集団
+   - 政治体制と権力構造
+   - 経済と交易
+
+4. 文化と信仰
+   - 主な宗教や信仰体系
+   - 文化的な習慣と伝統
+   - 芸術、音楽、文学
+
+5. 魔法または技術
+   - 基本原理と制約
+   - 一般的な用途と影響
+   - 特殊な能力や装置
+
+設定に内部的な一貫性を持たせ、プレイヤーが探索し関わる余地を十分に残してください。
+複雑すぎる設定や分かりにくい設定は避け、遊びやすさと面白さを保ってください。`,
+
+  character_creation: `TRPGのために、詳細なキャラクター設定を作成してください：
+
+キャラクターの種類：{{type}}
+役割：{{role | default "未指定"}}
+{{#if traits}}
+性格の特徴：{{traits}}
+{{/if}}
+{{#if background}}
+背景の要素：{{background}}
+{{/if}}
+
+世界設定：
+{{world.mainSetting | default "特定の世界設定なし"}}
+
+以下の内容を作成してください：
+
+1. 基本情報
+   - 名前
+   - 年齢
+   - 性別
+   - 外見
+
+2. 経歴
+   - 生い立ち
+   - 重要な出来事
+   - 動機と目標
+
+3. 性格
+   - 主な性格の特徴
+   - 長所と短所
+   - 恐れているものと好きなもの
+
+4. 人間関係
+   - 家族と友人
+   - 味方と敵
+   - 社会的地位
+
+5. 能力とスキル
+   - 得意分野
+   - 特殊能力
+   - 弱点と制約
+
+6. 話し方
+   - 話し方の特徴
+   - 口癖
+   - 表現の癖
+
+キャラクターが世界設定に合い、深みと複雑さを持つようにしてください。
+明確な動機と目標、そして十分な葛藤と成長の余地を持たせてください。
+完璧すぎるキャラクターや一面的なキャラクターは避け、はっきりした長所と短所を持たせてください。`
+};
+
+export default {
+  JA_PROMPT_STRINGS,
+  JA_PROMPT_TEMPLATES
+};
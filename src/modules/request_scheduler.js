@@ -0,0 +1,352 @@
+/**
+ * request_scheduler.js
+ * LLM请求调度器：限制并发数、每分钟请求数和每分钟令牌数
+ * 玩家等待中的交互请求优先于后台请求，后台请求等待过久时提升为优先，避免饿死
+ */
+
+/**
+ * 请求优先级枚举
+ * @readonly
+ * @enum {string}
+ */
+export const RequestPriority = {
+  /** 玩家正在等待的请求，如NPC回复、GM叙述 */
+  INTERACTIVE: 'interactive',
+  /** 后台请求，如嵌入、摘要、预生成 */
+  BACKGROUND: 'background'
+};
+
+/**
+ * 默认调度设置
+ * requestsPerMinute、tokensPerMinute 为0表示不限制；starvationTimeout 为0表示后台请求不提升优先级
+ * @type {Object}
+ */
+export const DEFAULT_SCHEDULER_SETTINGS = {
+  maxConcurrent: 2,
+  requestsPerMinute: 60,
+  tokensPerMinute: 0,
+  interactiveReserve: 1,
+  starvationTimeout: 15000
+};
+
+/**
+ * 速率限制的统计窗口（毫秒）
+ * @type {number}
+ */
+const RATE_WINDOW = 60 * 1000;
+
+/**
+ * 计算平均等待时间时保留的样本数
+ * @type {number}
+ */
+const WAIT_SAMPLE_SIZE = 50;
+
+/**
+ * 请求调度器类
+ */
+class RequestScheduler {
+  constructor() {
+    this.settings = { ...DEFAULT_SCHEDULER_SETTINGS };
+    this.queue = []; // 按入队顺序排列
+    this.running = {
+      [RequestPriority.INTERACTIVE]: 0,
+      [RequestPriority.BACKGROUND]: 0
+    };
+    this.started = []; // 统计窗口内开始的请求 { time, tokens }
+    this.waits = []; // 最近的排队时间（毫秒）
+    this.timer = null;
+    this.sequence = 0;
+  }
+
+  /**
+   * 更新调度设置
+   * @param {Object} settings - 设置，缺省字段保持不变
+   */
+  configure(settings = {}) {
+    this.settings = { ...this.settings, ...settings };
+    this._pump();
+  }
+
+  /**
+   * 获取调度设置
+   * @returns {Object} 设置
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * 将任务加入队列，轮到时执行
+   * @param {Function} task - 返回Promise的任务函数
+   * @param {Object} [options={}] - 调度选项
+   * @param {string} [options.priority=RequestPriority.INTERACTIVE] - 优先级，见 RequestPriority
+   * @param {number} [options.tokens=0] - 预计消耗的令牌数，用于每分钟令牌数限制
+   * @param {Function} [options.measure] - 从任务结果中读取实际令牌数，用于修正统计
+   * @param {AbortSignal} [options.signal] - 排队期间取消的信号
+   * @param {string} [options.label] - 显示用的名称
+   * @returns {Promise<*>} 任务结果
+   */
+  schedule(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      const { signal } = options;
+      
+      if (signal?.aborted) {
+        reject(this._createAbortError());
+        return;
+      }
+      
+      const item = {
+        id: ++this.sequence,
+        task,
+        priority: options.priority === RequestPriority.BACKGROUND ? RequestPriority.BACKGROUND : RequestPriority.INTERACTIVE,
+        tokens: Math.max(0, Number(options.tokens) || 0),
+        measure: options.measure,
+        label: options.label,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      };
+      
+      // 排队期间被取消时移出队列，已开始的任务由调用方自己取消
+      const onAbort = () => {
+        if (this._remove(item)) {
+          reject(this._createAbortError());
+          this._emitUpdate();
+          this._pump();
+        }
+      };
+      
+      item.removeAbortListener = () => signal?.removeEventListener('abort', onAbort);
+      signal?.addEventListener('abort', onAbort);
+      
+      this.queue.push(item);
+      this._emitUpdate();
+      this._pump();
+    });
+  }
+
+  /**
+   * 取消所有排队中的任务
+   * @param {Function} [createError] - 创建拒绝原因的函数
+   * @returns {number} 取消的数量
+   */
+  cancelQueued(createError = () => this._createAbortError()) {
+    const queued = this.queue.splice(0);
+    
+    for (const item of queued) {
+      item.removeAbortListener();
+      item.reject(createError());
+    }
+    
+    if (queued.length > 0) {
+      this._emitUpdate();
+    }
+    
+    return queued.length;
+  }
+
+  /**
+   * 获取队列统计
+   * @returns {Object} 统计 { queued, queuedInteractive, queuedBackground, running, oldestWait, averageWait, requestsLastMinute, tokensLastMinute }
+   */
+  getStats() {
+    const now = Date.now();
+    const recent = this.started.filter(entry => now - entry.time < RATE_WINDOW);
+    const queuedBackground = this.queue.filter(item => item.priority === RequestPriority.BACKGROUND).length;
+    
+    return {
+      queued: this.queue.length,
+      queuedInteractive: this.queue.length - queuedBackground,
+      queuedBackground,
+      running: this.running[RequestPriority.INTERACTIVE] + this.running[RequestPriority.BACKGROUND],
+      oldestWait: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0,
+      averageWait: this.waits.length > 0 ? Math.round(this.waits.reduce((sum, wait) => sum + wait, 0) / this.waits.length) : 0,
+      requestsLastMinute: recent.length,
+      tokensLastMinute: recent.reduce((sum, entry) => sum + entry.tokens, 0)
+    };
+  }
+
+  /**
+   * 启动所有可以开始的任务，受速率限制时定时重试
+   * @private
+   */
+  _pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    while (this.queue.length > 0) {
+      const item = this._pickNext();
+      
+      if (!item) {
+        return;
+      }
+      
+      const delay = this._getRateDelay(item.tokens);
+      
+      if (delay > 0) {
+        this.timer = setTimeout(() => this._pump(), delay);
+        return;
+      }
+      
+      this._start(item);
+    }
+  }
+
+  /**
+   * 选择下一个要执行的任务
+   * 交互请求和等待超过 starvationTimeout 的后台请求优先，同级按入队顺序；
+   * 后台请求不占用为交互请求保留的并发数
+   * @private
+   * @returns {Object|null} 任务，没有空闲并发时为null
+   */
+  _pickNext() {
+    const { maxConcurrent, interactiveReserve, starvationTimeout } = this.settings;
+    const limit = Math.max(1, Number(maxConcurrent) || 1);
+    const running = this.running[RequestPriority.INTERACTIVE] + this.running[RequestPriority.BACKGROUND];
+    
+    if (running >= limit) {
+      return null;
+    }
+    
+    const now = Date.now();
+    const isUrgent = item => item.priority === RequestPriority.INTERACTIVE ||
+      (starvationTimeout > 0 && now - item.enqueuedAt >= starvationTimeout);
+    const next = this.queue.find(isUrgent) || this.queue[0];
+    
+    if (!isUrgent(next)) {
+      const backgroundLimit = Math.max(1, limit - (Number(interactiveReserve) || 0));
+      
+      if (this.running[RequestPriority.BACKGROUND] >= backgroundLimit) {
+        return null;
+      }
+    }
+    
+    return next;
+  }
+
+  /**
+   * 计算满足速率限制需要等待的时间
+   * 单个请求超过每分钟令牌数时，等统计窗口清空后放行
+   * @private
+   * @param {number} tokens - 预计令牌数
+   * @returns {number} 等待毫秒数，0表示可以立即开始
+   */
+  _getRateDelay(tokens) {
+    const { requestsPerMinute, tokensPerMinute } = this.settings;
+    const now = Date.now();
+    let delay = 0;
+    
+    this.started = this.started.filter(entry => now - entry.time < RATE_WINDOW);
+    
+    if (requestsPerMinute > 0 && this.started.length >= requestsPerMinute) {
+      const entry = this.started[this.started.length - requestsPerMinute];
+      delay = Math.max(delay, entry.time + RATE_WINDOW - now);
+    }
+    
+    if (tokensPerMinute > 0) {
+      let used = this.started.reduce((sum, entry) => sum + entry.tokens, 0);
+      
+      for (const entry of this.started) {
+        if (used + tokens <= tokensPerMinute) {
+          break;
+        }
+        
+        used -= entry.tokens;
+        delay = Math.max(delay, entry.time + RATE_WINDOW - now);
+      }
+    }
+    
+    return delay > 0 ? Math.ceil(delay) + 1 : 0;
+  }
+
+  /**
+   * 开始执行任务
+   * @private
+   * @param {Object} item - 任务
+   */
+  _start(item) {
+    const startedAt = Date.now();
+    const entry = { time: startedAt, tokens: item.tokens };
+    
+    this._remove(item);
+    item.removeAbortListener();
+    this.started.push(entry);
+    this.running[item.priority]++;
+    
+    this.waits.push(startedAt - item.enqueuedAt);
+    if (this.waits.length > WAIT_SAMPLE_SIZE) {
+      this.waits.shift();
+    }
+    
+    this._emitUpdate();
+    
+    Promise.resolve()
+      .then(() => item.task())
+      .then(result => {
+        // 统计实际用量失败时保留预计令牌数，不影响请求结果
+        try {
+          const tokens = item.measure?.(result);
+          
+          if (tokens > 0) {
+            entry.tokens = tokens;
+          }
+        } catch (error) {
+          console.warn('统计请求令牌数失败:', error);
+        }
+        
+        item.resolve(result);
+      }, item.reject)
+      .finally(() => {
+        this.running[item.priority]--;
+        this._emitUpdate();
+        this._pump();
+      });
+  }
+
+  /**
+   * 从队列中移除任务
+   * @private
+   * @param {Object} item - 任务
+   * @returns {boolean} 是否在队列中
+   */
+  _remove(item) {
+    const index = this.queue.indexOf(item);
+    
+    if (index < 0) {
+      return false;
+    }
+    
+    this.queue.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * 创建取消错误
+   * @private
+   * @returns {Error} 错误
+   */
+  _createAbortError() {
+    const error = new Error('请求已取消');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * 广播队列变化
+   * @private
+   */
+  _emitUpdate() {
+    if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') {
+      return;
+    }
+    
+    window.dispatchEvent(new CustomEvent('llmQueueUpdate', {
+      detail: this.getStats()
+    }));
+  }
+}
+
+// 创建单例实例
+const requestScheduler = new RequestScheduler();
+
+export default requestScheduler;
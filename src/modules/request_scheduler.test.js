@@ -0,0 +1,21 @@
+import { describe, it, expect, vi } from 'vitest';
+import requestScheduler from './request_scheduler';
+
+describe('请求调度', () => {
+  it('统计令牌数出错时仍返回任务结果，并继续执行后面的任务', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    try {
+      const result = requestScheduler.schedule(() => Promise.resolve({ text: '你好' }), {
+        tokens: 10,
+        measure: response => response.usage.total_tokens
+      });
+      
+      await expect(result).resolves.toEqual({ text: '你好' });
+      await expect(requestScheduler.schedule(() => Promise.resolve('下一个'))).resolves.toBe('下一个');
+      expect(warn).toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
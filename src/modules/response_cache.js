@@ -0,0 +1,372 @@
+/**
+ * response_cache.js
+ * LLM响应缓存，按请求哈希保存到IndexedDB
+ * 不支持IndexedDB的环境中退化为内存缓存
+ */
+
+/**
+ * IndexedDB数据库名称
+ * @type {string}
+ */
+const DB_NAME = 'ai_trpg_llm_cache';
+
+/**
+ * IndexedDB对象仓库名称
+ * @type {string}
+ */
+const STORE_NAME = 'responses';
+
+/**
+ * 默认缓存限制
+ * @type {Object}
+ */
+const DEFAULT_LIMITS = {
+  ttl: 24 * 60 * 60 * 1000,
+  maxEntries: 500,
+  maxSize: 5 * 1024 * 1024
+};
+
+/**
+ * 参与缓存键计算的请求参数
+ * @type {Array<string>}
+ */
+const KEY_OPTIONS = [
+  'provider',
+  'model',
+  'modelType',
+  'apiEndpoint',
+  'localApiType',
+  'temperature',
+  'maxTokens',
+  'topP',
+  'topK',
+  'minP',
+  'frequencyPenalty',
+  'presencePenalty',
+  'repetitionPenalty',
+  'seed',
+  'stop',
+  'logitBias',
+  'jsonSchema',
+  'jsonMode',
+  'toolDefinitions',
+  'toolChoice'
+];
+
+/**
+ * 按键排序序列化，保证相同内容得到相同字符串
+ * @param {*} value - 任意值
+ * @returns {string} JSON字符串
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * 计算字符串的哈希
+ * 优先使用WebCrypto的SHA-256，不可用时（非安全上下文）使用FNV-1a
+ * @param {string} text - 文本
+ * @returns {Promise<string>} 十六进制哈希
+ */
+export async function hashString(text) {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  // 两个不同种子的32位FNV-1a拼接，降低碰撞概率
+  let h1 = 0x811c9dc5;
+  let h2 = 0x01000193 ^ text.length;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+  }
+
+  return `fnv${(h1 >>> 0).toString(16).padStart(8, '0')}${(h2 >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * 标准化请求，只保留影响输出的消息字段和指定的参数
+ * @param {Array} messages - 消息数组
+ * @param {Object} options - 请求选项
+ * @param {Array<string>} [fields] - 参与比较的参数，默认为缓存键使用的参数
+ * @returns {Object} 标准化后的请求 { messages, params }
+ */
+export function normalizeRequest(messages, options, fields = KEY_OPTIONS) {
+  const normalizedMessages = messages.map(message => ({
+    role: message.role,
+    content: typeof message.content === 'string' ?
+      message.content.replace(/\r\n/g, '\n').trim() :
+      message.content,
+    name: message.name,
+    tool_calls: message.tool_calls,
+    tool_call_id: message.tool_call_id
+  }));
+
+  const params = {};
+  for (const key of fields) {
+    if (options[key] !== undefined && options[key] !== null && options[key] !== '') {
+      params[key] = options[key];
+    }
+  }
+
+  return { messages: normalizedMessages, params };
+}
+
+/**
+ * 响应缓存类
+ */
+class ResponseCache {
+  constructor() {
+    this.dbPromise = null;
+    this.memoryStore = new Map(); // 不支持IndexedDB时使用
+  }
+
+  /**
+   * 计算请求的缓存键
+   * @param {Array} messages - 标准化前的消息数组
+   * @param {Object} options - 请求选项
+   * @returns {Promise<string>} 缓存键
+   */
+  async computeKey(messages, options) {
+    return hashString(stableStringify(normalizeRequest(messages, options)));
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} key - 缓存键
+   * @param {Object} [limits={}] - 缓存限制 { ttl }
+   * @returns {Promise<Object|null>} 缓存的响应，不存在或已过期时返回null
+   */
+  async get(key, limits = {}) {
+    const ttl = limits.ttl ?? DEFAULT_LIMITS.ttl;
+    const record = await this._read(key);
+
+    if (!record) {
+      return null;
+    }
+
+    if (Date.now() - record.createdAt > ttl) {
+      await this.delete(key);
+      return null;
+    }
+
+    return record.response;
+  }
+
+  /**
+   * 写入缓存并按限制清理
+   * @param {string} key - 缓存键
+   * @param {Object} response - 响应对象
+   * @param {Object} [limits={}] - 缓存限制 { ttl, maxEntries, maxSize }
+   * @returns {Promise<boolean>} 是否写入
+   */
+  async set(key, response, limits = {}) {
+    const serialized = JSON.stringify(response);
+    const maxSize = limits.maxSize ?? DEFAULT_LIMITS.maxSize;
+
+    // 单条超过总大小限制时不缓存
+    if (serialized.length > maxSize) {
+      return false;
+    }
+
+    await this._write({
+      key,
+      response: JSON.parse(serialized),
+      size: serialized.length,
+      createdAt: Date.now()
+    });
+
+    await this.prune(limits);
+    return true;
+  }
+
+  /**
+   * 删除缓存
+   * @param {string} key - 缓存键
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const db = await this._openDB();
+
+    if (!db) {
+      this.memoryStore.delete(key);
+      return;
+    }
+
+    await this._transaction(db, 'readwrite', store => store.delete(key));
+  }
+
+  /**
+   * 清空缓存
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this._openDB();
+
+    if (!db) {
+      this.memoryStore.clear();
+      return;
+    }
+
+    await this._transaction(db, 'readwrite', store => store.clear());
+  }
+
+  /**
+   * 清理过期条目，并从最旧的开始删除超出数量和大小限制的条目
+   * @param {Object} [limits={}] - 缓存限制 { ttl, maxEntries, maxSize }
+   * @returns {Promise<number>} 删除的条目数
+   */
+  async prune(limits = {}) {
+    const { ttl, maxEntries, maxSize } = { ...DEFAULT_LIMITS, ...limits };
+    const now = Date.now();
+    const records = (await this._readAll()).sort((a, b) => a.createdAt - b.createdAt);
+    const expired = [];
+
+    let totalSize = records.reduce((sum, record) => sum + record.size, 0);
+    let count = records.length;
+
+    for (const record of records) {
+      if (now - record.createdAt > ttl || count > maxEntries || totalSize > maxSize) {
+        expired.push(record.key);
+        totalSize -= record.size;
+        count--;
+      }
+    }
+
+    for (const key of expired) {
+      await this.delete(key);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Promise<Object>} 统计 { entries, size }
+   */
+  async getStats() {
+    const records = await this._readAll();
+
+    return {
+      entries: records.length,
+      size: records.reduce((sum, record) => sum + record.size, 0)
+    };
+  }
+
+  /**
+   * 打开IndexedDB数据库
+   * @private
+   * @returns {Promise<IDBDatabase|null>} 数据库，不支持时返回null
+   */
+  _openDB() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise(resolve => {
+        const request = indexedDB.open(DB_NAME, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('无法打开响应缓存数据库，使用内存缓存:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * 执行IndexedDB事务
+   * @private
+   * @param {IDBDatabase} db - 数据库
+   * @param {string} mode - 事务模式
+   * @param {Function} operation - 接收对象仓库并返回IDBRequest的函数
+   * @returns {Promise<*>} 请求结果
+   */
+  _transaction(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 读取单条记录
+   * @private
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|undefined>} 记录
+   */
+  async _read(key) {
+    const db = await this._openDB();
+
+    if (!db) {
+      return this.memoryStore.get(key);
+    }
+
+    return this._transaction(db, 'readonly', store => store.get(key));
+  }
+
+  /**
+   * 读取所有记录
+   * @private
+   * @returns {Promise<Array<Object>>} 记录数组
+   */
+  async _readAll() {
+    const db = await this._openDB();
+
+    if (!db) {
+      return Array.from(this.memoryStore.values());
+    }
+
+    return this._transaction(db, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * 写入记录
+   * @private
+   * @param {Object} record - 记录
+   * @returns {Promise<void>}
+   */
+  async _write(record) {
+    const db = await this._openDB();
+
+    if (!db) {
+      this.memoryStore.set(record.key, record);
+      return;
+    }
+
+    await this._transaction(db, 'readwrite', store => store.put(record));
+  }
+}
+
+// 创建单例实例
+const responseCache = new ResponseCache();
+
+export default responseCache;
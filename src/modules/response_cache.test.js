@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import responseCache from './response_cache';
+
+describe('缓存键', () => {
+  const messages = [{ role: 'user', content: '你好' }];
+  const options = { provider: 'openai', model: 'gpt-4o', temperature: 0 };
+
+  it('只有惩罚参数不同的请求使用不同的键', async () => {
+    const key = await responseCache.computeKey(messages, options);
+    
+    expect(await responseCache.computeKey(messages, { ...options, frequencyPenalty: 0.5 })).not.toBe(key);
+    expect(await responseCache.computeKey(messages, { ...options, presencePenalty: 0.5 })).not.toBe(key);
+  });
+
+  it('与请求无关的选项不影响键', async () => {
+    const key = await responseCache.computeKey(messages, options);
+    
+    expect(await responseCache.computeKey(messages, { ...options, agentId: 'npc_1', cacheTTL: 1000 })).toBe(key);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * sampler_params.js
+ * 采样参数的预设和各提供商请求字段的映射
+ * 选项中统一使用驼峰命名，发送前按提供商转换字段名，不支持的参数直接丢弃
+ */
+
+/**
+ * 采样参数字段
+ * @type {Array<string>}
+ */
+export const SAMPLER_FIELDS = [
+  'temperature',
+  'topP',
+  'topK',
+  'minP',
+  'frequencyPenalty',
+  'presencePenalty',
+  'repetitionPenalty',
+  'seed',
+  'stop',
+  'logitBias'
+];
+
+/**
+ * 请求字段的格式枚举
+ * @readonly
+ * @enum {string}
+ */
+export const SamplerDialect = {
+  /** OpenAI官方接口 */
+  OPENAI: 'openai',
+  /** OpenAI兼容的本地服务器（llama.cpp server、vLLM等），额外支持top_k、min_p和repetition_penalty */
+  OPENAI_COMPATIBLE: 'openai_compatible',
+  /** Anthropic Messages API */
+  ANTHROPIC: 'anthropic',
+  /** Ollama原生接口的options字段 */
+  OLLAMA: 'ollama'
+};
+
+/**
+ * 各格式支持的参数及对应的字段名
+ * temperature 由各请求方法单独处理，这里不包含
+ * @type {Object}
+ */
+const DIALECT_FIELDS = {
+  [SamplerDialect.OPENAI]: {
+    topP: 'top_p',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    seed: 'seed',
+    stop: 'stop',
+    logitBias: 'logit_bias'
+  },
+  [SamplerDialect.OPENAI_COMPATIBLE]: {
+    topP: 'top_p',
+    topK: 'top_k',
+    minP: 'min_p',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    repetitionPenalty: 'repetition_penalty',
+    seed: 'seed',
+    stop: 'stop',
+    logitBias: 'logit_bias'
+  },
+  [SamplerDialect.ANTHROPIC]: {
+    topP: 'top_p',
+    topK: 'top_k',
+    stop: 'stop_sequences'
+  },
+  [SamplerDialect.OLLAMA]: {
+    topP: 'top_p',
+    topK: 'top_k',
+    minP: 'min_p',
+    frequencyPenalty: 'frequency_penalty',
+    presencePenalty: 'presence_penalty',
+    repetitionPenalty: 'repeat_penalty',
+    seed: 'seed',
+    stop: 'stop'
+  }
+};
+
+/**
+ * OpenAI官方接口最多接受的停止序列数
+ * @type {number}
+ */
+const OPENAI_MAX_STOP = 4;
+
+/**
+ * 内置的采样预设
+ * @type {Object}
+ */
+export const DEFAULT_SAMPLER_PRESETS = {
+  creative_narration: {
+    name: '创意叙述',
+    temperature: 0.9,
+    topP: 0.95,
+    minP: 0.05,
+    presencePenalty: 0.3,
+    frequencyPenalty: 0.3,
+    repetitionPenalty: 1.1
+  },
+  balanced: {
+    name: '平衡',
+    temperature: 0.7,
+    topP: 0.9
+  },
+  strict_json: {
+    name: '严格JSON',
+    temperature: 0,
+    topP: 1,
+    seed: 42
+  }
+};
+
+/**
+ * 规范化停止序列
+ * @param {string|Array<string>} stop - 停止序列
+ * @returns {Array<string>} 去掉空串后的数组
+ */
+export function normalizeStop(stop) {
+  return (Array.isArray(stop) ? stop : [stop]).filter(item => typeof item === 'string' && item !== '');
+}
+
+/**
+ * 解析 "令牌ID:偏置" 格式的文本，以逗号或换行分隔
+ * @param {string} text - 文本，如 "50256:-100, 1234:5"
+ * @returns {Object} 令牌ID到偏置的映射，无效项被忽略
+ */
+export function parseLogitBias(text) {
+  const bias = {};
+
+  for (const part of (text || '').split(/[,\n]/)) {
+    const match = part.trim().match(/^(\d+)\s*:\s*(-?\d+(\.\d+)?)$/);
+    
+    if (match) {
+      bias[match[1]] = Math.max(-100, Math.min(100, Number(match[2])));
+    }
+  }
+
+  return bias;
+}
+
+/**
+ * 将令牌偏置转为 "令牌ID:偏置" 格式的文本
+ * @param {Object} bias - 令牌ID到偏置的映射
+ * @returns {string} 文本
+ */
+export function formatLogitBias(bias) {
+  return Object.entries(bias || {}).map(([token, value]) => `${token}:${value}`).join(', ');
+}
+
+/**
+ * 从配置中提取已设置的采样参数
+ * @param {Object} source - 配置或预设
+ * @returns {Object} 采样参数
+ */
+export function pickSamplerParams(source) {
+  const params = {};
+
+  for (const field of SAMPLER_FIELDS) {
+    const value = source?.[field];
+    
+    if (value !== undefined && value !== null && value !== '') {
+      params[field] = value;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * 将采样参数转为提供商的请求字段
+ * 未设置的参数不发送，使用提供商的默认值；提供商不支持的参数被丢弃
+ * Anthropic格式在设置了temperature时不发送top_p
+ * @param {Object} options - 请求选项
+ * @param {string} dialect - 请求格式，见 SamplerDialect
+ * @returns {Object} 请求字段
+ */
+export function toProviderSamplerParams(options, dialect) {
+  const fields = DIALECT_FIELDS[dialect] || {};
+  const params = pickSamplerParams(options);
+  const result = {};
+
+  for (const [field, name] of Object.entries(fields)) {
+    let value = params[field];
+    
+    if (value === undefined) {
+      continue;
+    }
+    
+    if (field === 'stop') {
+      value = normalizeStop(value);
+      
+      if (dialect === SamplerDialect.OPENAI) {
+        value = value.slice(0, OPENAI_MAX_STOP);
+      }
+      
+      if (value.length === 0) {
+        continue;
+      }
+    } else if (field === 'logitBias') {
+      if (typeof value !== 'object' || Object.keys(value).length === 0) {
+        continue;
+      }
+    } else {
+      value = Number(value);
+      
+      if (!Number.isFinite(value)) {
+        continue;
+      }
+      
+      if (field === 'seed' || field === 'topK') {
+        value = Math.round(value);
+      }
+    }
+    
+    result[name] = value;
+  }
+
+  // Anthropic的部分模型不允许同时设置temperature和top_p，设置了temperature时只保留temperature
+  if (dialect === SamplerDialect.ANTHROPIC && 'top_p' in result && options.temperature !== undefined && options.temperature !== null) {
+    delete result.top_p;
+  }
+
+  return result;
+}
+
+export default {
+  SAMPLER_FIELDS,
+  SamplerDialect,
+  DEFAULT_SAMPLER_PRESETS,
+  normalizeStop,
+  parseLogitBias,
+  formatLogitBias,
+  pickSamplerParams,
+  toProviderSamplerParams
+};
@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { SamplerDialect, DEFAULT_SAMPLER_PRESETS, toProviderSamplerParams } from './sampler_params';
+
+describe('提供商采样参数', () => {
+  it('Anthropic设置了temperature时不发送top_p', () => {
+    expect(toProviderSamplerParams({ temperature: 0.7, topP: 0.9, topK: 40 }, SamplerDialect.ANTHROPIC)).toEqual({ top_k: 40 });
+    expect(toProviderSamplerParams({ topP: 0.9 }, SamplerDialect.ANTHROPIC)).toEqual({ top_p: 0.9 });
+  });
+
+  it('预设同时设置temperature和topP时，Anthropic只保留temperature', () => {
+    for (const preset of Object.values(DEFAULT_SAMPLER_PRESETS)) {
+      expect(toProviderSamplerParams(preset, SamplerDialect.ANTHROPIC)).not.toHaveProperty('top_p');
+    }
+  });
+
+  it('其他格式同时发送temperature和top_p', () => {
+    expect(toProviderSamplerParams({ temperature: 0.7, topP: 0.9 }, SamplerDialect.OPENAI)).toEqual({ top_p: 0.9 });
+  });
+});
@@ -0,0 +1,416 @@
+/**
+ * secret_store.js
+ * API密钥等敏感配置的加密存储
+ * 密钥与游戏状态分开保存，使用用户口令经PBKDF2派生的AES-GCM密钥加密
+ * 解锁后的明文只保存在内存中，每次打开页面需要重新解锁
+ */
+
+/**
+ * 视为敏感信息的配置字段
+ * @type {Array<string>}
+ */
+export const SECRET_FIELDS = ['apiKey'];
+
+/**
+ * 加密数据的存储键名
+ * @type {string}
+ */
+const STORAGE_KEY = 'ai_trpg_secrets';
+
+/**
+ * PBKDF2迭代次数
+ * @type {number}
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * 路径中按ID指向数组元素的前缀
+ * @type {string}
+ */
+const ID_SEGMENT_PREFIX = '#';
+
+/**
+ * 获取数组元素在路径中的片段
+ * 有ID的元素按ID记录，如 "fallbacks.#fallback_xxx.apiKey"，删除或调整顺序后密钥仍对应原来的元素
+ * @param {*} item - 数组元素
+ * @param {number} index - 元素序号
+ * @returns {string} 路径片段
+ */
+function getItemSegment(item, index) {
+  return item && typeof item === 'object' && item.id ? `${ID_SEGMENT_PREFIX}${item.id}` : String(index);
+}
+
+/**
+ * 按路径片段获取子节点
+ * @param {*} node - 当前节点
+ * @param {string} segment - 路径片段
+ * @returns {*} 子节点，不存在时为undefined
+ */
+function getChild(node, segment) {
+  if (!node || typeof node !== 'object') {
+    return undefined;
+  }
+
+  if (Array.isArray(node) && segment.startsWith(ID_SEGMENT_PREFIX)) {
+    const id = segment.slice(ID_SEGMENT_PREFIX.length);
+    return node.find(item => item && typeof item === 'object' && item.id === id);
+  }
+
+  return node[segment];
+}
+
+/**
+ * 从配置中分离敏感字段
+ * 递归处理嵌套的对象和数组（如任务路由和备用提供商），敏感字段按路径记录，如 "routes.agent_response.apiKey"
+ * @param {*} value - 配置
+ * @param {string} [path=''] - 当前路径
+ * @param {Object} [secrets={}] - 收集到的敏感字段
+ * @returns {Object} 结果 { value: 去掉敏感字段的副本, secrets: 路径到值的映射 }
+ */
+export function extractSecrets(value, path = '', secrets = {}) {
+  if (Array.isArray(value)) {
+    return {
+      value: value.map((item, index) => extractSecrets(item, `${path}${getItemSegment(item, index)}.`, secrets).value),
+      secrets
+    };
+  }
+
+  if (!value || typeof value !== 'object') {
+    return { value, secrets };
+  }
+
+  const stripped = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_FIELDS.includes(key)) {
+      if (item) {
+        secrets[`${path}${key}`] = item;
+      }
+      continue;
+    }
+    
+    stripped[key] = extractSecrets(item, `${path}${key}.`, secrets).value;
+  }
+
+  return { value: stripped, secrets };
+}
+
+/**
+ * 去掉配置中的敏感字段
+ * @param {*} value - 配置
+ * @returns {*} 去掉敏感字段的副本
+ */
+export function stripSecrets(value) {
+  return extractSecrets(value).value;
+}
+
+/**
+ * 将敏感字段按路径写回配置
+ * 路径指向的对象已不存在时（如备用提供商被删除）忽略该字段
+ * ID不含 "." 时路径才能正确拆分，各处生成的ID均满足
+ * @param {Object} config - 配置
+ * @param {Object} secrets - 路径到值的映射
+ * @returns {Object} 写回后的副本
+ */
+export function applySecrets(config, secrets) {
+  const result = JSON.parse(JSON.stringify(config || {}));
+
+  for (const [path, secret] of Object.entries(secrets || {})) {
+    const keys = path.split('.');
+    const field = keys.pop();
+    const target = keys.reduce(getChild, result);
+    
+    if (target && typeof target === 'object') {
+      target[field] = secret;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 字节数组转Base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64字符串
+ */
+function toBase64(bytes) {
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Base64转字节数组
+ * @param {string} base64 - Base64字符串
+ * @returns {Uint8Array} 字节数组
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * 加密存储类
+ */
+class SecretStore {
+  constructor() {
+    this.secrets = {}; // 路径 -> 明文
+    this.cryptoKey = null; // 解锁后的AES密钥
+    this.salt = null;
+    this.iterations = null; // 派生密钥使用的PBKDF2迭代次数
+  }
+
+  /**
+   * 当前环境是否支持WebCrypto（需要HTTPS或localhost）
+   * @returns {boolean} 是否支持
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * 是否有已加密保存的数据
+   * @returns {boolean} 是否存在
+   */
+  hasStoredSecrets() {
+    try {
+      return typeof localStorage !== 'undefined' && !!localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 是否处于锁定状态（有加密数据但本次会话尚未解锁）
+   * @returns {boolean} 是否锁定
+   */
+  isLocked() {
+    return this.hasStoredSecrets() && !this.cryptoKey;
+  }
+
+  /**
+   * 修改是否会加密保存（已设置口令并解锁）
+   * @returns {boolean} 是否持久保存
+   */
+  isPersistent() {
+    return !!this.cryptoKey;
+  }
+
+  /**
+   * 获取状态
+   * @returns {Object} 状态 { supported, locked, persistent, count }
+   */
+  getStatus() {
+    return {
+      supported: this.isSupported(),
+      locked: this.isLocked(),
+      persistent: this.isPersistent(),
+      count: Object.keys(this.secrets).length
+    };
+  }
+
+  /**
+   * 获取内存中的明文
+   * @returns {Object} 路径到值的映射
+   */
+  getSecrets() {
+    return { ...this.secrets };
+  }
+
+  /**
+   * 替换内存中的明文，已解锁时同时加密保存
+   * @param {Object} secrets - 路径到值的映射
+   * @returns {Promise<void>}
+   */
+  async setSecrets(secrets) {
+    this.secrets = { ...secrets };
+    
+    if (this.cryptoKey) {
+      await this._persist();
+    }
+  }
+
+  /**
+   * 合并旧版本以明文保存的密钥，设置口令或解锁后会被加密保存
+   * @param {Object} secrets - 路径到值的映射
+   */
+  adoptLegacySecrets(secrets) {
+    this.secrets = { ...secrets, ...this.secrets };
+  }
+
+  /**
+   * 用口令解锁已保存的密钥
+   * 解锁前在内存中修改过的密钥优先保留
+   * @param {string} passphrase - 口令
+   * @returns {Promise<Object>} 解锁后的全部密钥
+   * @throws {Error} 没有保存的数据、环境不支持或口令错误时抛出
+   */
+  async unlock(passphrase) {
+    const stored = this._readStored();
+    
+    if (!stored) {
+      throw new Error('没有已加密保存的密钥');
+    }
+    
+    this._assertSupported();
+    
+    const salt = fromBase64(stored.salt);
+    const cryptoKey = await this._deriveKey(passphrase, salt, stored.iterations);
+    let plaintext;
+    
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+        cryptoKey,
+        fromBase64(stored.data)
+      );
+    } catch (error) {
+      throw new Error('口令错误');
+    }
+    
+    const current = this.secrets;
+    this.cryptoKey = cryptoKey;
+    this.salt = salt;
+    this.iterations = stored.iterations;
+    this.secrets = { ...JSON.parse(new TextDecoder().decode(plaintext)), ...current };
+    
+    // 合并了未保存的修改或旧版明文时重新保存
+    if (Object.keys(current).length > 0) {
+      await this._persist();
+    }
+    
+    return this.getSecrets();
+  }
+
+  /**
+   * 设置或修改口令，并用新口令加密保存当前密钥
+   * @param {string} passphrase - 新口令
+   * @returns {Promise<void>}
+   * @throws {Error} 锁定状态下、口令为空或环境不支持时抛出
+   */
+  async setPassphrase(passphrase) {
+    if (this.isLocked()) {
+      throw new Error('请先用原口令解锁');
+    }
+    
+    if (!passphrase) {
+      throw new Error('口令不能为空');
+    }
+    
+    this._assertSupported();
+    
+    this.salt = crypto.getRandomValues(new Uint8Array(16));
+    this.iterations = PBKDF2_ITERATIONS;
+    this.cryptoKey = await this._deriveKey(passphrase, this.salt, this.iterations);
+    await this._persist();
+  }
+
+  /**
+   * 锁定，清除内存中的明文和密钥
+   */
+  lock() {
+    this.secrets = {};
+    this.cryptoKey = null;
+    this.salt = null;
+    this.iterations = null;
+  }
+
+  /**
+   * 删除已保存的加密数据和内存中的明文
+   */
+  forget() {
+    this.lock();
+    
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('删除加密密钥失败:', error);
+    }
+  }
+
+  /**
+   * 检查WebCrypto是否可用
+   * @private
+   * @throws {Error} 不可用时抛出
+   */
+  _assertSupported() {
+    if (!this.isSupported()) {
+      throw new Error('当前环境不支持加密，请通过HTTPS或localhost访问');
+    }
+  }
+
+  /**
+   * 从口令派生AES密钥
+   * @private
+   * @param {string} passphrase - 口令
+   * @param {Uint8Array} salt - 盐
+   * @param {number} iterations - 迭代次数
+   * @returns {Promise<CryptoKey>} AES-GCM密钥
+   */
+  async _deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      baseKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 读取加密数据
+   * @private
+   * @returns {Object|null} { version, salt, iv, iterations, data }
+   */
+  _readStored() {
+    try {
+      const serialized = localStorage.getItem(STORAGE_KEY);
+      return serialized ? JSON.parse(serialized) : null;
+    } catch (error) {
+      console.error('读取加密密钥失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 加密并保存内存中的密钥
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _persist() {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.cryptoKey,
+      new TextEncoder().encode(JSON.stringify(this.secrets))
+    );
+    
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: 1,
+        salt: toBase64(this.salt),
+        iv: toBase64(iv),
+        iterations: this.iterations,
+        data: toBase64(new Uint8Array(ciphertext))
+      }));
+    } catch (error) {
+      console.error('保存加密密钥失败:', error);
+    }
+  }
+}
+
+// 创建单例实例
+const secretStore = new SecretStore();
+
+export default secretStore;
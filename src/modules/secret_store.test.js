@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import secretStore, { extractSecrets, applySecrets } from './secret_store';
+
+describe('敏感字段路径', () => {
+  it('有ID的数组元素按ID记录，删除前面的元素后密钥不错位', () => {
+    const config = {
+      apiKey: 'sk-main',
+      fallbacks: [
+        { id: 'fallback_a', provider: 'openai', apiKey: 'sk-a' },
+        { id: 'fallback_b', provider: 'anthropic', apiKey: 'sk-b' }
+      ]
+    };
+    const { value, secrets } = extractSecrets(config);
+    
+    expect(secrets).toEqual({
+      apiKey: 'sk-main',
+      'fallbacks.#fallback_a.apiKey': 'sk-a',
+      'fallbacks.#fallback_b.apiKey': 'sk-b'
+    });
+    
+    value.fallbacks.shift();
+    const restored = applySecrets(value, secrets);
+    
+    expect(restored.fallbacks).toEqual([{ id: 'fallback_b', provider: 'anthropic', apiKey: 'sk-b' }]);
+  });
+
+  it('没有ID的数组元素按序号记录', () => {
+    const { value, secrets } = extractSecrets({ fallbacks: [{ provider: 'openai', apiKey: 'sk-a' }] });
+    
+    expect(secrets).toEqual({ 'fallbacks.0.apiKey': 'sk-a' });
+    expect(applySecrets(value, secrets).fallbacks[0].apiKey).toBe('sk-a');
+  });
+});
+
+describe('加密保存', () => {
+  it('保存解锁时使用的迭代次数', async () => {
+    await secretStore.setPassphrase('口令');
+    
+    // 模拟用较少迭代次数加密的旧数据
+    const stored = JSON.parse(localStorage.getItem('ai_trpg_secrets'));
+    secretStore.lock();
+    secretStore.salt = Uint8Array.from(atob(stored.salt), char => char.charCodeAt(0));
+    secretStore.iterations = 1000;
+    secretStore.cryptoKey = await secretStore._deriveKey('口令', secretStore.salt, 1000);
+    await secretStore.setSecrets({ apiKey: 'sk-old' });
+    secretStore.lock();
+    
+    await secretStore.unlock('口令');
+    await secretStore.setSecrets({ apiKey: 'sk-new' });
+    secretStore.lock();
+    
+    expect(JSON.parse(localStorage.getItem('ai_trpg_secrets')).iterations).toBe(1000);
+    expect(await secretStore.unlock('口令')).toEqual({ apiKey: 'sk-new' });
+  });
+});
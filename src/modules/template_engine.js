@@ -0,0 +1,529 @@
+/**
+ * template_engine.js
+ * 提示模板的模板语言
+ * 只支持变量、条件和循环，不能执行代码，用户编辑的模板可以安全地渲染
+ *
+ * 语法：
+ * - {{agent.name}}：输出变量，点号访问属性
+ * - {{agent.goals | join "、" | default "无"}}：过滤器，见 TEMPLATE_FILTERS
+ * - {{#if action}}...{{else}}...{{/if}}：条件，空数组视为假；{{#unless chat}}...{{/unless}} 为反向条件
+ * - {{#each history}}...{{else}}...{{/each}}：循环，循环体内可直接访问元素的属性，
+ *   {{this}} 为元素本身，{{@index}} 为从0开始的序号，{{@number}} 为从1开始的序号，{{@first}}、{{@last}} 为首尾标记
+ * - {{! 注释 }}
+ * 独占一行的块标签和注释连同换行一起去掉，方便排版
+ */
+
+/**
+ * 模板语法错误
+ */
+export class TemplateSyntaxError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {number} line - 出错的行号（从1开始）
+   */
+  constructor(message, line) {
+    super(`第${line}行：${message}`);
+    this.name = 'TemplateSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * 过滤器
+ * 第一个参数为变量的值，其余为模板中给出的参数
+ * @type {Object}
+ */
+const FILTERS = {
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : value),
+  json: value => (value === undefined ? '' : JSON.stringify(value)),
+  time: value => (isEmpty(value) ? '' : new Date(value).toLocaleTimeString()),
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase()
+};
+
+/**
+ * 可用的过滤器及说明，用于编辑器提示
+ * @type {Array<Object>}
+ */
+export const TEMPLATE_FILTERS = [
+  { name: 'default', usage: 'default "无"', description: '值为空时使用给定的文本' },
+  { name: 'join', usage: 'join "、"', description: '用分隔符连接数组，默认为 ", "' },
+  { name: 'json', usage: 'json', description: '输出JSON' },
+  { name: 'time', usage: 'time', description: '将时间戳格式化为时间' },
+  { name: 'upper', usage: 'upper', description: '转为大写' },
+  { name: 'lower', usage: 'lower', description: '转为小写' }
+];
+
+/**
+ * 不允许访问的属性名
+ * @type {Array<string>}
+ */
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * 解析结果的缓存，键为模板文本
+ * @type {Map<string, Array>}
+ */
+const parseCache = new Map();
+
+/**
+ * 缓存的模板数量上限
+ * @type {number}
+ */
+const PARSE_CACHE_SIZE = 50;
+
+/**
+ * 判断值是否为空（undefined、null、空字符串或空数组）
+ * @param {*} value - 值
+ * @returns {boolean} 是否为空
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * 判断条件是否成立，空数组视为假
+ * @param {*} value - 值
+ * @returns {boolean} 是否成立
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * 将值转为输出文本
+ * @param {*} value - 值
+ * @returns {string} 文本
+ */
+function toText(value) {
+  if (value === undefined || value === null || typeof value === 'function') {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toText).join(', ');
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * 计算文本中某个位置所在的行号
+ * @param {string} source - 模板文本
+ * @param {number} index - 位置
+ * @returns {number} 行号
+ */
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * 将模板切分为文本和标签
+ * @param {string} source - 模板文本
+ * @returns {Array<Object>} 片段数组
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\{\{([\s\S]*?)\}\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    
+    const body = match[1].trim();
+    const line = lineAt(source, match.index);
+    
+    if (body.startsWith('!')) {
+      tokens.push({ type: 'comment', line });
+    } else if (body.startsWith('#')) {
+      const [, name, expression = ''] = body.match(/^#(\S*)\s*([\s\S]*)$/);
+      tokens.push({ type: 'open', name, expression, line });
+    } else if (body.startsWith('/')) {
+      tokens.push({ type: 'close', name: body.slice(1).trim(), line });
+    } else if (body === 'else') {
+      tokens.push({ type: 'else', line });
+    } else {
+      tokens.push({ type: 'variable', expression: body, line });
+    }
+    
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < source.length) {
+    tokens.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  stripStandaloneLines(tokens);
+  return tokens;
+}
+
+/**
+ * 去掉独占一行的块标签和注释所在的行
+ * 先根据原始文本判断所有标签，再统一修改，保证连续的标签行都能被识别
+ * @param {Array<Object>} tokens - 片段数组
+ */
+function stripStandaloneLines(tokens) {
+  const standalone = tokens.map((token, index) => {
+    if (token.type === 'text' || token.type === 'variable') {
+      return false;
+    }
+    
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    const startsLine = !previous ||
+      (previous.type === 'text' && (/\n[ \t]*$/.test(previous.value) || (index === 1 && /^[ \t]*$/.test(previous.value))));
+    const endsLine = !next ||
+      (next.type === 'text' && (/^[ \t]*\r?\n/.test(next.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+    
+    return startsLine && endsLine;
+  });
+
+  standalone.forEach((isStandalone, index) => {
+    if (!isStandalone) {
+      return;
+    }
+    
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    
+    if (previous) {
+      previous.value = previous.value.replace(/[ \t]*$/, '');
+    }
+    
+    if (next) {
+      next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+    }
+  });
+}
+
+/**
+ * 解析变量路径
+ * @param {string} path - 路径，如 "agent.name"、"this"、"@index"
+ * @param {number} line - 行号
+ * @returns {Object} 路径 { path: 属性名数组 }
+ * @throws {TemplateSyntaxError} 路径无效时抛出
+ */
+function parsePath(path, line) {
+  if (!/^(@[\p{L}\p{N}_]+|[\p{L}\p{N}_]+(\.[\p{L}\p{N}_]+)*)$/u.test(path)) {
+    throw new TemplateSyntaxError(`无效的变量名 "${path}"`, line);
+  }
+
+  const keys = path.split('.');
+
+  if (keys.some(key => FORBIDDEN_KEYS.includes(key))) {
+    throw new TemplateSyntaxError(`不允许访问 "${path}"`, line);
+  }
+
+  return { path: keys };
+}
+
+/**
+ * 解析表达式：变量路径加上可选的过滤器
+ * @param {string} expression - 表达式，如 'agent.goals | join "、" | default "无"'
+ * @param {number} line - 行号
+ * @returns {Object} 表达式 { path, filters: [{ name, args }] }
+ * @throws {TemplateSyntaxError} 表达式无效时抛出
+ */
+function parseExpression(expression, line) {
+  const parts = [];
+  const pattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\||[^\s|]+)/gy;
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null && match[0] !== '') {
+    parts.push(match[1]);
+  }
+
+  if (parts.length === 0) {
+    throw new TemplateSyntaxError('缺少变量名', line);
+  }
+
+  const [first, ...rest] = parts;
+  const result = { ...parsePath(first, line), filters: [] };
+
+  for (const part of rest) {
+    if (part === '|') {
+      result.filters.push(null);
+      continue;
+    }
+    
+    const current = result.filters[result.filters.length - 1];
+    
+    if (current === undefined) {
+      throw new TemplateSyntaxError(`过滤器前缺少 "|"：${part}`, line);
+    }
+    
+    if (current === null) {
+      if (!Object.prototype.hasOwnProperty.call(FILTERS, part)) {
+        throw new TemplateSyntaxError(`未知的过滤器 "${part}"`, line);
+      }
+      
+      result.filters[result.filters.length - 1] = { name: part, args: [] };
+    } else {
+      current.args.push(parseArgument(part, line));
+    }
+  }
+
+  if (result.filters.includes(null)) {
+    throw new TemplateSyntaxError('"|" 后缺少过滤器名', line);
+  }
+
+  return result;
+}
+
+/**
+ * 解析过滤器参数：字符串、数字、布尔值或变量路径
+ * @param {string} text - 参数文本
+ * @param {number} line - 行号
+ * @returns {Object} 参数 { value } 或 { path }
+ */
+function parseArgument(text, line) {
+  if (/^(["']).*\1$/s.test(text)) {
+    return { value: text.slice(1, -1).replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char)) };
+  }
+
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    return { value: Number(text) };
+  }
+
+  if (text === 'true' || text === 'false') {
+    return { value: text === 'true' };
+  }
+
+  return parsePath(text, line);
+}
+
+/**
+ * 将片段组织为语法树
+ * @param {Array<Object>} tokens - 片段数组
+ * @returns {Array<Object>} 节点数组
+ * @throws {TemplateSyntaxError} 块标签不匹配时抛出
+ */
+function buildTree(tokens) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.elseChildren : current.children;
+    
+    switch (token.type) {
+      case 'text':
+        if (token.value) {
+          target.push({ type: 'text', value: token.value });
+        }
+        break;
+      
+      case 'variable':
+        target.push({ type: 'variable', expression: parseExpression(token.expression, token.line) });
+        break;
+      
+      case 'open': {
+        if (!['if', 'unless', 'each'].includes(token.name)) {
+          throw new TemplateSyntaxError(`未知的块 "#${token.name}"`, token.line);
+        }
+        
+        const node = {
+          type: token.name,
+          expression: parseExpression(token.expression, token.line),
+          children: [],
+          elseChildren: [],
+          inElse: false,
+          line: token.line
+        };
+        
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+      
+      case 'else':
+        if (stack.length === 1 || current.inElse) {
+          throw new TemplateSyntaxError('多余的 {{else}}', token.line);
+        }
+        current.inElse = true;
+        break;
+      
+      case 'close':
+        if (stack.length === 1 || current.type !== token.name) {
+          throw new TemplateSyntaxError(`多余的 {{/${token.name}}}`, token.line);
+        }
+        stack.pop();
+        break;
+      
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`{{#${unclosed.type}}} 没有对应的 {{/${unclosed.type}}}`, unclosed.line);
+  }
+
+  return root.children;
+}
+
+/**
+ * 解析模板
+ * @param {string} source - 模板文本
+ * @returns {Array<Object>} 语法树
+ * @throws {TemplateSyntaxError} 语法错误时抛出
+ */
+export function parseTemplate(source) {
+  const text = String(source ?? '');
+
+  if (parseCache.has(text)) {
+    return parseCache.get(text);
+  }
+
+  const tree = buildTree(tokenize(text));
+
+  if (parseCache.size >= PARSE_CACHE_SIZE) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  parseCache.set(text, tree);
+
+  return tree;
+}
+
+/**
+ * 检查模板语法
+ * @param {string} source - 模板文本
+ * @returns {Object} 结果 { valid, error, line }
+ */
+export function validateTemplate(source) {
+  try {
+    parseTemplate(source);
+    return { valid: true, error: null, line: null };
+  } catch (error) {
+    return { valid: false, error: error.message, line: error.line ?? null };
+  }
+}
+
+/**
+ * 在作用域链中查找变量
+ * 只读取对象自身的属性
+ * @param {Array<Object>} scopes - 作用域，最内层在最后
+ * @param {Array<string>} path - 属性名数组
+ * @returns {*} 值，不存在时为undefined
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path;
+  const own = (object, key) => object !== null && typeof object === 'object' &&
+    Object.prototype.hasOwnProperty.call(object, key);
+  let value;
+
+  if (head === 'this') {
+    value = scopes[scopes.length - 1].data;
+  } else if (head.startsWith('@')) {
+    const scope = [...scopes].reverse().find(item => item.locals && own(item.locals, head));
+    value = scope?.locals[head];
+  } else {
+    const scope = [...scopes].reverse().find(item => own(item.data, head));
+    value = scope?.data[head];
+  }
+
+  for (const key of rest) {
+    value = own(value, key) ? value[key] : undefined;
+  }
+
+  return value;
+}
+
+/**
+ * 计算表达式
+ * @param {Object} expression - 表达式
+ * @param {Array<Object>} scopes - 作用域
+ * @returns {*} 值
+ */
+function evaluate(expression, scopes) {
+  return expression.filters.reduce((value, filter) => {
+    const args = filter.args.map(arg => ('path' in arg ? lookup(scopes, arg.path) : arg.value));
+    return FILTERS[filter.name](value, ...args);
+  }, lookup(scopes, expression.path));
+}
+
+/**
+ * 渲染节点
+ * @param {Array<Object>} nodes - 节点数组
+ * @param {Array<Object>} scopes - 作用域
+ * @returns {string} 文本
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      
+      case 'variable':
+        output += toText(evaluate(node.expression, scopes));
+        break;
+      
+      case 'if':
+      case 'unless': {
+        const passed = isTruthy(evaluate(node.expression, scopes)) === (node.type === 'if');
+        output += renderNodes(passed ? node.children : node.elseChildren, scopes);
+        break;
+      }
+      
+      case 'each': {
+        const value = evaluate(node.expression, scopes);
+        const items = Array.isArray(value) ? value : [];
+        
+        if (items.length === 0) {
+          output += renderNodes(node.elseChildren, scopes);
+          break;
+        }
+        
+        items.forEach((item, index) => {
+          output += renderNodes(node.children, [...scopes, {
+            data: item,
+            locals: {
+              '@index': index,
+              '@number': index + 1,
+              '@first': index === 0,
+              '@last': index === items.length - 1
+            }
+          }]);
+        });
+        break;
+      }
+      
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * 渲染模板
+ * @param {string} source - 模板文本
+ * @param {Object} data - 模板变量
+ * @returns {string} 渲染结果
+ * @throws {TemplateSyntaxError} 语法错误时抛出
+ */
+export function renderTemplate(source, data = {}) {
+  return renderNodes(parseTemplate(source), [{ data }]);
+}
+
+export default {
+  TemplateSyntaxError,
+  TEMPLATE_FILTERS,
+  parseTemplate,
+  validateTemplate,
+  renderTemplate
+};
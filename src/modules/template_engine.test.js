@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { renderTemplate, validateTemplate, TemplateSyntaxError } from './template_engine';
+
+describe('变量', () => {
+  it('按点号路径输出变量，不存在的变量输出空文本', () => {
+    const data = { agent: { name: '艾琳', age: 27, tags: ['商人', '向导'] } };
+    
+    expect(renderTemplate('{{agent.name}}（{{ agent.age }}岁）', data)).toBe('艾琳（27岁）');
+    expect(renderTemplate('{{agent.tags}}', data)).toBe('商人, 向导');
+    expect(renderTemplate('[{{agent.title}}][{{missing.name}}]', data)).toBe('[][]');
+  });
+});
+
+describe('条件和循环', () => {
+  it('if 和 unless，空数组视为假', () => {
+    const template = '{{#if items}}有{{else}}无{{/if}}/{{#unless chat}}文本{{/unless}}';
+    
+    expect(renderTemplate(template, { items: [1], chat: false })).toBe('有/文本');
+    expect(renderTemplate(template, { items: [], chat: true })).toBe('无/');
+  });
+
+  it('each 提供元素属性、this 和序号变量，空数组时渲染 else', () => {
+    const template = '{{#each list}}{{@number}}.{{name}}{{#if @last}}。{{else}}，{{/if}}{{else}}无{{/each}}';
+    
+    expect(renderTemplate(template, { list: [{ name: '甲' }, { name: '乙' }] })).toBe('1.甲，2.乙。');
+    expect(renderTemplate(template, { list: [] })).toBe('无');
+    expect(renderTemplate('{{#each list}}{{@index}}={{this}};{{/each}}', { list: ['a', 'b'] })).toBe('0=a;1=b;');
+  });
+
+  it('循环体内可以访问外层变量', () => {
+    expect(renderTemplate('{{#each list}}{{prefix}}{{this}} {{/each}}', { prefix: '#', list: [1, 2] })).toBe('#1 #2 ');
+  });
+
+  it('独占一行的块标签和注释连同换行一起去掉', () => {
+    const template = '开始\n{{! 注释 }}\n{{#if show}}\n  内容\n{{/if}}\n结束';
+    
+    expect(renderTemplate(template, { show: true })).toBe('开始\n  内容\n结束');
+    expect(renderTemplate(template, { show: false })).toBe('开始\n结束');
+  });
+});
+
+describe('过滤器', () => {
+  it('依次应用过滤器，参数可以是字符串或变量', () => {
+    const data = { goals: ['复仇', '寻宝'], empty: [], separator: ' / ', name: 'Erin' };
+    
+    expect(renderTemplate('{{goals | join "、"}}', data)).toBe('复仇、寻宝');
+    expect(renderTemplate('{{goals | join separator}}', data)).toBe('复仇 / 寻宝');
+    expect(renderTemplate('{{empty | join "、" | default "无"}}', data)).toBe('无');
+    expect(renderTemplate('{{name | upper}} {{name | lower}}', data)).toBe('ERIN erin');
+    expect(renderTemplate('{{goals | json}}', data)).toBe('["复仇","寻宝"]');
+  });
+});
+
+describe('安全', () => {
+  it('不允许访问 __proto__、constructor 和 prototype', () => {
+    for (const template of ['{{__proto__}}', '{{agent.constructor}}', '{{agent.constructor.name}}', '{{#each list.__proto__}}{{/each}}', '{{name | default constructor}}']) {
+      expect(() => renderTemplate(template, { agent: {}, list: [] })).toThrow(TemplateSyntaxError);
+    }
+  });
+
+  it('只读取对象自身的属性，不读取继承的属性和方法', () => {
+    const data = Object.create({ secret: '继承' });
+    data.agent = { name: '艾琳' };
+    
+    expect(renderTemplate('[{{secret}}][{{agent.toString}}][{{agent.hasOwnProperty}}][{{agent.name.length}}]', data)).toBe('[][][][]');
+  });
+});
+
+describe('语法错误', () => {
+  it.each([
+    ['{{#if a}}没有结束', '{{#if}} 没有对应的 {{/if}}'],
+    ['{{/if}}', '多余的 {{/if}}'],
+    ['{{#if a}}{{/each}}', '多余的 {{/each}}'],
+    ['{{else}}', '多余的 {{else}}'],
+    ['{{#if a}}{{else}}{{else}}{{/if}}', '多余的 {{else}}'],
+    ['{{#with a}}{{/with}}', '未知的块 "#with"'],
+    ['{{name | shout}}', '未知的过滤器 "shout"'],
+    ['{{name |}}', '"|" 后缺少过滤器名'],
+    ['{{a-b}}', '无效的变量名 "a-b"'],
+    ['{{}}', '缺少变量名']
+  ])('%s', (template, message) => {
+    expect(() => renderTemplate(template, {})).toThrow(message);
+  });
+
+  it('报告出错的行号', () => {
+    expect(validateTemplate('第一行\n第二行\n{{#each list}}')).toEqual({
+      valid: false,
+      error: '第3行：{{#each}} 没有对应的 {{/each}}',
+      line: 3
+    });
+    expect(validateTemplate('{{name}}')).toEqual({ valid: true, error: null, line: null });
+  });
+});
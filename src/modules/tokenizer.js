@@ -0,0 +1,274 @@
+/**
+ * tokenizer.js
+ * 本地BPE分词器，按模型选择词表精确计算令牌数
+ * 分词和词表使用 js-tiktoken：
+ *   cl100k_base - gpt-3.5、gpt-4、text-embedding-3
+ *   o200k_base  - gpt-4o、gpt-4.1、o系列
+ * 词表较大，按需加载为单独的代码块；加载完成前或没有对应词表的模型（Claude、本地模型等）使用启发式估算
+ */
+
+import { Tiktoken } from 'js-tiktoken/lite';
+
+/**
+ * 编码名称枚举
+ * @readonly
+ * @enum {string}
+ */
+export const TokenizerEncoding = {
+  /** GPT-3.5 / GPT-4 使用的词表 */
+  CL100K: 'cl100k_base',
+  /** GPT-4o 及之后模型使用的词表 */
+  O200K: 'o200k_base',
+  /** 启发式估算，不加载词表 */
+  HEURISTIC: 'heuristic'
+};
+
+/**
+ * 各编码词表的加载函数
+ * @type {Object}
+ */
+const RANK_LOADERS = {
+  [TokenizerEncoding.CL100K]: () => import('js-tiktoken/ranks/cl100k_base'),
+  [TokenizerEncoding.O200K]: () => import('js-tiktoken/ranks/o200k_base')
+};
+
+/**
+ * 模型名前缀到编码的映射，最长的前缀优先
+ * 没有匹配的模型使用启发式估算
+ * @type {Object}
+ */
+const MODEL_ENCODINGS = {
+  'gpt-4o': TokenizerEncoding.O200K,
+  'chatgpt-4o': TokenizerEncoding.O200K,
+  'gpt-4.1': TokenizerEncoding.O200K,
+  'gpt-4.5': TokenizerEncoding.O200K,
+  'gpt-5': TokenizerEncoding.O200K,
+  'o1': TokenizerEncoding.O200K,
+  'o3': TokenizerEncoding.O200K,
+  'o4': TokenizerEncoding.O200K,
+  'gpt-4': TokenizerEncoding.CL100K,
+  'gpt-3.5': TokenizerEncoding.CL100K,
+  'text-embedding-3': TokenizerEncoding.CL100K,
+  'text-embedding-ada-002': TokenizerEncoding.CL100K
+};
+
+/**
+ * 聊天格式的固定开销（OpenAI聊天格式）
+ * 每条消息有3个令牌的起止标记，带name字段时多1个，回复前还有3个令牌的引导
+ * @type {Object}
+ */
+const CHAT_OVERHEAD = {
+  perMessage: 3,
+  perName: 1,
+  replyPriming: 3
+};
+
+/**
+ * 启发式估算令牌数
+ * 中日韩字符按每字1个令牌，其余字符按每4个字符1个令牌分别计算，混合文本不再整体偏向一种语言
+ * @param {string} text - 文本
+ * @returns {number} 估算的令牌数
+ */
+export function heuristicTokenCount(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const cjkChars = text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g) || [];
+  const otherLength = text.length - cjkChars.length;
+
+  return cjkChars.length + Math.ceil(otherLength / 4);
+}
+
+/**
+ * 分词器类
+ * 管理词表加载，按模型选择编码器
+ */
+class Tokenizer {
+  constructor() {
+    this.encoders = new Map(); // 编码名称 -> Tiktoken
+    this.loading = new Map(); // 编码名称 -> 加载中的Promise
+    this.failed = new Set(); // 加载失败的编码，不再重复请求
+    this.modelEncodings = { ...MODEL_ENCODINGS };
+  }
+
+  /**
+   * 获取模型使用的编码
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码，'auto' 或省略时按模型选择
+   * @returns {string} 编码名称
+   */
+  getEncodingName(model, override) {
+    if (override && override !== 'auto') {
+      return override;
+    }
+    
+    if (!model) {
+      return TokenizerEncoding.HEURISTIC;
+    }
+    
+    const prefix = Object.keys(this.modelEncodings)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return prefix ? this.modelEncodings[prefix] : TokenizerEncoding.HEURISTIC;
+  }
+
+  /**
+   * 设置模型名前缀使用的编码
+   * @param {string} prefix - 模型名前缀
+   * @param {string} encoding - 编码名称
+   */
+  setModelEncoding(prefix, encoding) {
+    this.modelEncodings[prefix] = encoding;
+  }
+
+  /**
+   * 模型的令牌数是否为精确计算（词表已加载）
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码
+   * @returns {boolean} 是否精确
+   */
+  isExact(model, override) {
+    return this.encoders.has(this.getEncodingName(model, override));
+  }
+
+  /**
+   * 加载模型使用的词表
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码
+   * @returns {Promise<boolean>} 是否可以精确计算
+   */
+  async ensureLoaded(model, override) {
+    const name = this.getEncodingName(model, override);
+    
+    if (name === TokenizerEncoding.HEURISTIC || !RANK_LOADERS[name] || this.failed.has(name)) {
+      return false;
+    }
+    
+    if (this.encoders.has(name)) {
+      return true;
+    }
+    
+    if (!this.loading.has(name)) {
+      this.loading.set(name, this._loadEncoding(name).finally(() => this.loading.delete(name)));
+    }
+    
+    return this.loading.get(name);
+  }
+
+  /**
+   * 计算文本的令牌数
+   * 词表未加载时使用启发式估算，并在后台开始加载
+   * @param {string} text - 文本
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码
+   * @returns {number} 令牌数
+   */
+  countText(text, model, override) {
+    if (!text) {
+      return 0;
+    }
+    
+    const encoder = this._getEncoder(model, override);
+    return encoder ? encoder.encode(text, [], []).length : heuristicTokenCount(text);
+  }
+
+  /**
+   * 计算聊天消息的令牌数，包含每条消息的格式开销和回复引导
+   * @param {Array} messages - 消息数组
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码
+   * @returns {number} 令牌数
+   */
+  countMessages(messages, model, override) {
+    let total = CHAT_OVERHEAD.replyPriming;
+    
+    for (const message of messages) {
+      total += CHAT_OVERHEAD.perMessage;
+      total += this.countText(message.role || '', model, override);
+      total += this.countText(this._contentToText(message.content), model, override);
+      
+      if (message.name) {
+        total += CHAT_OVERHEAD.perName + this.countText(message.name, model, override);
+      }
+      
+      if (message.tool_calls) {
+        total += this.countText(JSON.stringify(message.tool_calls), model, override);
+      }
+    }
+    
+    return total;
+  }
+
+  /**
+   * 编码文本，词表未加载时返回null
+   * @param {string} text - 文本
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码
+   * @returns {Array<number>|null} 令牌序号数组
+   */
+  encode(text, model, override) {
+    const encoder = this._getEncoder(model, override);
+    return encoder ? encoder.encode(text, [], []) : null;
+  }
+
+  /**
+   * 获取已加载的编码器，未加载时在后台开始加载
+   * @private
+   * @param {string} model - 模型名称
+   * @param {string} [override] - 指定的编码
+   * @returns {Tiktoken|null} 编码器
+   */
+  _getEncoder(model, override) {
+    const name = this.getEncodingName(model, override);
+    const encoder = this.encoders.get(name);
+    
+    if (!encoder && name !== TokenizerEncoding.HEURISTIC) {
+      this.ensureLoaded(model, override).catch(() => {});
+    }
+    
+    return encoder || null;
+  }
+
+  /**
+   * 将消息内容转换为文本
+   * @private
+   * @param {string|Array|null} content - 消息内容
+   * @returns {string} 文本
+   */
+  _contentToText(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    
+    if (Array.isArray(content)) {
+      return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+    }
+    
+    return content ? JSON.stringify(content) : '';
+  }
+
+  /**
+   * 加载词表并创建编码器
+   * @private
+   * @param {string} name - 编码名称
+   * @returns {Promise<boolean>} 是否加载成功
+   */
+  async _loadEncoding(name) {
+    try {
+      const { default: ranks } = await RANK_LOADERS[name]();
+      this.encoders.set(name, new Tiktoken(ranks));
+      return true;
+    } catch (error) {
+      console.warn(`无法加载词表 ${name}，使用启发式估算令牌数:`, error.message);
+      this.failed.add(name);
+      return false;
+    }
+  }
+}
+
+// 创建单例实例
+const tokenizer = new Tokenizer();
+
+export default tokenizer;
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import tokenizer, { TokenizerEncoding, heuristicTokenCount } from './tokenizer';
+
+describe('词表分词', () => {
+  it('cl100k_base 与 tiktoken 的结果一致', async () => {
+    expect(await tokenizer.ensureLoaded('gpt-4')).toBe(true);
+    expect(tokenizer.isExact('gpt-4')).toBe(true);
+    
+    expect(tokenizer.encode('hello world', 'gpt-4')).toEqual([15339, 1917]);
+    expect(tokenizer.encode('tiktoken is great!', 'gpt-4')).toEqual([83, 1609, 5963, 374, 2294, 0]);
+    expect(tokenizer.countText('tiktoken is great!', 'gpt-3.5-turbo')).toBe(6);
+  });
+
+  it('o200k_base 与 tiktoken 的结果一致', async () => {
+    expect(await tokenizer.ensureLoaded('gpt-4o-mini')).toBe(true);
+    
+    expect(tokenizer.encode('hello world', 'gpt-4o')).toEqual([24912, 2375]);
+    expect(tokenizer.countText('hello world', 'o3')).toBe(2);
+  });
+
+  it('文本中的特殊标记按普通文本计算', async () => {
+    await tokenizer.ensureLoaded('gpt-4');
+    
+    expect(tokenizer.countText('<|endoftext|>', 'gpt-4')).toBeGreaterThan(1);
+  });
+
+  it('聊天消息包含格式开销', async () => {
+    await tokenizer.ensureLoaded('gpt-4');
+    
+    // 3（回复引导）+ 3（消息标记）+ 1（user）+ 2（hello world）
+    expect(tokenizer.countMessages([{ role: 'user', content: 'hello world' }], 'gpt-4')).toBe(9);
+  });
+});
+
+describe('启发式估算', () => {
+  it('没有词表的模型使用估算', () => {
+    expect(tokenizer.getEncodingName('claude-3-5-sonnet')).toBe(TokenizerEncoding.HEURISTIC);
+    expect(tokenizer.isExact('claude-3-5-sonnet')).toBe(false);
+    expect(tokenizer.countText('你好，世界', 'claude-3-5-sonnet')).toBe(heuristicTokenCount('你好，世界'));
+  });
+
+  it('中日韩字符每字一个令牌，其余每4个字符一个令牌', () => {
+    expect(heuristicTokenCount('你好')).toBe(2);
+    expect(heuristicTokenCount('abcdefgh')).toBe(2);
+    expect(heuristicTokenCount('')).toBe(0);
+  });
+});
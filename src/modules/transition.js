@@ -4,6 +4,7 @@
  */
 
 import gameState from './game_state';
+import agentRegistry from './agent_registry';
 import { ActionType, TargetType } from './action_space';
 
 /**
@@ -321,6 +322,77 @@ class StateTransition {
     return newState;
   }
 
+  /**
+   * 掷骰子
+   * @param {string} notation - 骰子表达式，例如 "1d20"、"2d6+3"
+   * @returns {Object} 掷骰结果 {notation, rolls, modifier, total}
+   */
+  rollDice(notation) {
+    const match = String(notation).trim().match(/^(\d*)d(\d+)\s*([+-]\s*\d+)?$/i);
+    
+    if (!match) {
+      throw new Error(`无效的骰子表达式: ${notation}`);
+    }
+    
+    const count = match[1] ? parseInt(match[1], 10) : 1;
+    const sides = parseInt(match[2], 10);
+    const modifier = match[3] ? parseInt(match[3].replace(/\s/g, ''), 10) : 0;
+    
+    if (count < 1 || count > 100 || sides < 2 || sides > 1000) {
+      throw new Error(`骰子数量或面数超出范围: ${notation}`);
+    }
+    
+    const rolls = Array.from({ length: count }, () => Math.floor(Math.random() * sides) + 1);
+    
+    return {
+      notation,
+      rolls,
+      modifier,
+      total: rolls.reduce((sum, roll) => sum + roll, 0) + modifier
+    };
+  }
+
+  /**
+   * 移动角色到指定位置
+   * 移动玩家时同时更新当前场景位置
+   * @param {string} characterId - 角色ID
+   * @param {string} locationId - 位置ID
+   * @returns {Object} 移动后的角色对象
+   */
+  moveCharacter(characterId, locationId) {
+    if (!gameState.getLocation(locationId)) {
+      throw new Error(`位置不存在: ${locationId}`);
+    }
+    
+    const character = agentRegistry.updateAgentLocation(characterId, locationId);
+    
+    if (!character) {
+      throw new Error(`角色不存在: ${characterId}`);
+    }
+    
+    if (characterId === 'player') {
+      gameState.setCurrentLocation(locationId);
+    }
+    
+    return character;
+  }
+
+  /**
+   * 设置游戏标志
+   * @param {string} key - 标志名称
+   * @param {*} value - 标志值
+   * @returns {Object} 更新后的标志集合
+   */
+  setFlag(key, value) {
+    const flags = {
+      ...gameState.getState().flags,
+      [key]: value
+    };
+    
+    gameState.updateState({ flags });
+    return flags;
+  }
+
   /**
    * 批量应用状态转移
    * @param {Array} actions - 行为对象数组
@@ -0,0 +1,394 @@
+/**
+ * usage_ledger.js
+ * 记录LLM令牌用量和费用，并执行会话/每日预算限制
+ */
+
+/**
+ * 预算单位枚举
+ * @readonly
+ * @enum {string}
+ */
+export const BudgetUnit = {
+  /** 按费用（美元）计算 */
+  COST: 'cost',
+  /** 按令牌数计算 */
+  TOKENS: 'tokens'
+};
+
+/**
+ * 超出预算时的处理方式枚举
+ * @readonly
+ * @enum {string}
+ */
+export const BudgetAction = {
+  /** 仅提示 */
+  WARN: 'warn',
+  /** 阻止继续请求 */
+  BLOCK: 'block'
+};
+
+/**
+ * 预算范围枚举
+ * @readonly
+ * @enum {string}
+ */
+export const BudgetScope = {
+  /** 当前会话 */
+  SESSION: 'session',
+  /** 当天 */
+  DAILY: 'daily'
+};
+
+/**
+ * 默认模型价格（美元 / 百万令牌）
+ * 按模型名前缀匹配，最长的前缀优先
+ * @type {Object}
+ */
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-7-sonnet': { prompt: 3, completion: 15 },
+  'claude-sonnet-4': { prompt: 3, completion: 15 },
+  'claude-3-opus': { prompt: 15, completion: 75 }
+};
+
+/**
+ * 默认设置
+ * 预算为0表示不限制
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS = {
+  prices: DEFAULT_PRICES,
+  budgetUnit: BudgetUnit.COST,
+  sessionBudget: 0,
+  dailyBudget: 0,
+  budgetAction: BudgetAction.WARN,
+  maxEntries: 5000
+};
+
+/**
+ * 用量账本类
+ * 每次LLM调用记录一条用量，按会话、角色、提示类型和模型汇总
+ */
+class UsageLedger {
+  constructor() {
+    this.entries = [];
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.loadFromLocalStorage();
+  }
+
+  /**
+   * 记录一次调用的用量
+   * @param {Object} record - 用量记录
+   * @param {string} record.sessionId - 会话ID
+   * @param {string} [record.agentId] - 发起请求的角色ID
+   * @param {string} [record.promptType] - 提示类型或任务名称
+   * @param {string} record.provider - 提供商
+   * @param {string} record.model - 模型
+   * @param {Object} record.usage - 用量 { prompt_tokens, completion_tokens, estimated }
+   * @returns {Object} 用量条目
+   */
+  record({ sessionId, agentId = null, promptType = null, provider, model, usage }) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const now = new Date();
+    
+    const entry = {
+      timestamp: now.toISOString(),
+      date: this._getDateKey(now),
+      sessionId,
+      agentId,
+      promptType,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      cost: this.calculateCost(model, promptTokens, completionTokens),
+      estimated: !!usage?.estimated
+    };
+    
+    this.entries.push(entry);
+    
+    // 超出上限时丢弃最早的记录
+    if (this.entries.length > this.settings.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.settings.maxEntries);
+    }
+    
+    this.saveToLocalStorage();
+    return entry;
+  }
+
+  /**
+   * 计算费用
+   * @param {string} model - 模型
+   * @param {number} promptTokens - 提示令牌数
+   * @param {number} completionTokens - 生成令牌数
+   * @returns {number} 费用（美元）
+   */
+  calculateCost(model, promptTokens, completionTokens) {
+    const price = this.getPrice(model);
+    
+    if (!price) {
+      return 0;
+    }
+    
+    return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1000000;
+  }
+
+  /**
+   * 获取模型价格
+   * 先精确匹配，再按最长前缀匹配（例如 gpt-4o-2024-08-06 使用 gpt-4o 的价格）
+   * @param {string} model - 模型
+   * @returns {Object|null} 价格 { prompt, completion }（美元 / 百万令牌）
+   */
+  getPrice(model) {
+    if (!model) {
+      return null;
+    }
+    
+    const prices = this.settings.prices || {};
+    
+    if (prices[model]) {
+      return prices[model];
+    }
+    
+    const prefix = Object.keys(prices)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return prefix ? prices[prefix] : null;
+  }
+
+  /**
+   * 设置模型价格
+   * @param {string} model - 模型或模型名前缀
+   * @param {Object|null} price - 价格 { prompt, completion }（美元 / 百万令牌），为null时删除
+   */
+  setPrice(model, price) {
+    const prices = { ...this.settings.prices };
+    
+    if (price) {
+      prices[model] = price;
+    } else {
+      delete prices[model];
+    }
+    
+    this.updateSettings({ prices });
+  }
+
+  /**
+   * 检查预算
+   * @param {string} sessionId - 会话ID
+   * @returns {Object} 检查结果 { exceeded: Array<{scope, limit, spent}>, blocked: boolean }
+   */
+  checkBudget(sessionId) {
+    const { budgetUnit, sessionBudget, dailyBudget, budgetAction } = this.settings;
+    const exceeded = [];
+    
+    const budgets = [
+      { scope: BudgetScope.SESSION, limit: sessionBudget, filter: { sessionId } },
+      { scope: BudgetScope.DAILY, limit: dailyBudget, filter: { date: this._getDateKey(new Date()) } }
+    ];
+    
+    for (const { scope, limit, filter } of budgets) {
+      if (!limit || limit <= 0) {
+        continue;
+      }
+      
+      const totals = this._sumEntries(this._filterEntries(filter));
+      const spent = budgetUnit === BudgetUnit.TOKENS ? totals.totalTokens : totals.cost;
+      
+      if (spent >= limit) {
+        exceeded.push({ scope, limit, spent, unit: budgetUnit });
+      }
+    }
+    
+    return {
+      exceeded,
+      blocked: exceeded.length > 0 && budgetAction === BudgetAction.BLOCK
+    };
+  }
+
+  /**
+   * 获取用量汇总
+   * @param {Object} [filter={}] - 筛选条件
+   * @param {string} [filter.sessionId] - 只统计该会话
+   * @param {string} [filter.date] - 只统计该日期（YYYY-MM-DD）
+   * @returns {Object} 汇总 { totals, byAgent, byPromptType, byModel }
+   */
+  getSummary(filter = {}) {
+    const entries = this._filterEntries(filter);
+    
+    return {
+      totals: this._sumEntries(entries),
+      byAgent: this._groupEntries(entries, 'agentId'),
+      byPromptType: this._groupEntries(entries, 'promptType'),
+      byModel: this._groupEntries(entries, 'model')
+    };
+  }
+
+  /**
+   * 获取今天的日期键
+   * @returns {string} 日期（YYYY-MM-DD）
+   */
+  getToday() {
+    return this._getDateKey(new Date());
+  }
+
+  /**
+   * 获取设置
+   * @returns {Object} 设置
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * 更新设置
+   * @param {Object} settings - 要更新的设置
+   */
+  updateSettings(settings) {
+    this.settings = {
+      ...this.settings,
+      ...settings
+    };
+    
+    this.saveToLocalStorage();
+  }
+
+  /**
+   * 清空用量记录，保留设置
+   */
+  clear() {
+    this.entries = [];
+    this.saveToLocalStorage();
+  }
+
+  /**
+   * 保存账本到本地存储
+   * @param {string} [key='ai_trpg_usage_ledger'] - 存储键名
+   * @returns {boolean} 是否成功保存
+   */
+  saveToLocalStorage(key = 'ai_trpg_usage_ledger') {
+    try {
+      localStorage.setItem(key, JSON.stringify({
+        settings: this.settings,
+        entries: this.entries
+      }));
+      return true;
+    } catch (error) {
+      console.error('保存用量记录失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 从本地存储加载账本
+   * @param {string} [key='ai_trpg_usage_ledger'] - 存储键名
+   * @returns {boolean} 是否成功加载
+   */
+  loadFromLocalStorage(key = 'ai_trpg_usage_ledger') {
+    try {
+      if (typeof localStorage === 'undefined') {
+        return false;
+      }
+      
+      const serialized = localStorage.getItem(key);
+      
+      if (!serialized) {
+        return false;
+      }
+      
+      const data = JSON.parse(serialized);
+      this.entries = data.entries || [];
+      this.settings = {
+        ...DEFAULT_SETTINGS,
+        ...data.settings
+      };
+      return true;
+    } catch (error) {
+      console.error('加载用量记录失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 按条件筛选条目
+   * @private
+   * @param {Object} filter - 字段到值的映射
+   * @returns {Array<Object>} 条目数组
+   */
+  _filterEntries(filter) {
+    const conditions = Object.entries(filter).filter(([, value]) => value !== undefined && value !== null);
+    return this.entries.filter(entry => conditions.every(([field, value]) => entry[field] === value));
+  }
+
+  /**
+   * 汇总条目
+   * @private
+   * @param {Array<Object>} entries - 条目数组
+   * @returns {Object} 汇总 { requests, promptTokens, completionTokens, totalTokens, cost }
+   */
+  _sumEntries(entries) {
+    const totals = {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      cost: 0
+    };
+    
+    for (const entry of entries) {
+      totals.requests++;
+      totals.promptTokens += entry.promptTokens;
+      totals.completionTokens += entry.completionTokens;
+      totals.totalTokens += entry.promptTokens + entry.completionTokens;
+      totals.cost += entry.cost;
+    }
+    
+    return totals;
+  }
+
+  /**
+   * 按字段分组汇总
+   * @private
+   * @param {Array<Object>} entries - 条目数组
+   * @param {string} field - 分组字段
+   * @returns {Object} 字段值到汇总的映射，空值归入 "unknown"
+   */
+  _groupEntries(entries, field) {
+    const groups = {};
+    
+    for (const entry of entries) {
+      const key = entry[field] || 'unknown';
+      (groups[key] = groups[key] || []).push(entry);
+    }
+    
+    return Object.fromEntries(
+      Object.entries(groups).map(([key, group]) => [key, this._sumEntries(group)])
+    );
+  }
+
+  /**
+   * 获取本地日期键
+   * @private
+   * @param {Date} date - 日期
+   * @returns {string} 日期（YYYY-MM-DD）
+   */
+  _getDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+// 创建单例实例
+const usageLedger = new UsageLedger();
+
+export default usageLedger;
@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import usageLedger, { BudgetUnit, BudgetAction, BudgetScope } from './usage_ledger';
+import llmAdapter, { LLMProvider, LLMErrorType } from './llm_adapter';
+import gameState from './game_state';
+
+afterEach(() => {
+  usageLedger.clear();
+  usageLedger.updateSettings({ sessionBudget: 0, dailyBudget: 0, budgetAction: BudgetAction.WARN, budgetUnit: BudgetUnit.COST });
+  vi.restoreAllMocks();
+});
+
+describe('用量记录', () => {
+  it('按会话、角色和提示类型分别汇总', () => {
+    const usage = (prompt, completion) => ({ prompt_tokens: prompt, completion_tokens: completion });
+    usageLedger.record({ sessionId: 's1', agentId: 'gm', promptType: 'story_progression', provider: 'openai', model: 'gpt-4o', usage: usage(100, 50) });
+    usageLedger.record({ sessionId: 's1', agentId: 'npc_1', promptType: 'agent_response', provider: 'openai', model: 'gpt-4o', usage: usage(20, 10) });
+    usageLedger.record({ sessionId: 's1', agentId: 'npc_1', promptType: 'agent_response', provider: 'openai', model: 'gpt-4o', usage: usage(30, 10) });
+    usageLedger.record({ sessionId: 's2', provider: 'local', model: 'llama3', usage: usage(5, 5) });
+    
+    const summary = usageLedger.getSummary({ sessionId: 's1' });
+    
+    expect(summary.totals).toMatchObject({ requests: 3, promptTokens: 150, completionTokens: 70, totalTokens: 220 });
+    expect(summary.byAgent.gm.totalTokens).toBe(150);
+    expect(summary.byAgent.npc_1).toMatchObject({ requests: 2, totalTokens: 70 });
+    expect(summary.byPromptType.agent_response.requests).toBe(2);
+    expect(summary.byPromptType.story_progression.requests).toBe(1);
+    expect(usageLedger.getSummary({ sessionId: 's2' }).byAgent).toEqual({
+      unknown: { requests: 1, promptTokens: 5, completionTokens: 5, totalTokens: 10, cost: 0 }
+    });
+  });
+
+  it('按最长的模型名前缀计算费用', () => {
+    const entry = usageLedger.record({
+      sessionId: 's1',
+      provider: 'openai',
+      model: 'gpt-4o-mini-2024-07-18',
+      usage: { prompt_tokens: 1000000, completion_tokens: 1000000 }
+    });
+    
+    expect(entry.cost).toBeCloseTo(0.75);
+  });
+});
+
+describe('用量预算', () => {
+  it('超出会话预算后按设置提示或阻止', () => {
+    usageLedger.updateSettings({ budgetUnit: BudgetUnit.TOKENS, sessionBudget: 100 });
+    usageLedger.record({ sessionId: 's1', provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 60, completion_tokens: 40 } });
+    
+    expect(usageLedger.checkBudget('s2').exceeded).toEqual([]);
+    expect(usageLedger.checkBudget('s1')).toEqual({
+      exceeded: [{ scope: BudgetScope.SESSION, limit: 100, spent: 100, unit: BudgetUnit.TOKENS }],
+      blocked: false
+    });
+    
+    usageLedger.updateSettings({ budgetAction: BudgetAction.BLOCK });
+    expect(usageLedger.checkBudget('s1').blocked).toBe(true);
+  });
+
+  it('预算设置为阻止时不再发送请求', async () => {
+    const sessionId = gameState.getState().sessionId;
+    usageLedger.updateSettings({ budgetUnit: BudgetUnit.TOKENS, sessionBudget: 10, budgetAction: BudgetAction.BLOCK });
+    usageLedger.record({ sessionId, provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 10, completion_tokens: 5 } });
+    const fetch = vi.spyOn(globalThis, 'fetch');
+    
+    await expect(llmAdapter.sendRequest('你好', { provider: LLMProvider.OPENAI, apiKey: 'sk-test' }))
+      .rejects.toMatchObject({ type: LLMErrorType.BUDGET });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * worldbook_scanner.js
+ * 世界书条目的关键词触发
+ * 扫描最近的行为和历史记录，条目的名称、标签或触发关键词出现时注入到提示中
+ */
+
+/**
+ * 被触发条目的插入顺序枚举
+ * @readonly
+ * @enum {string}
+ */
+export const WorldbookInsertionOrder = {
+  /** 命中关键词多的条目在前 */
+  RELEVANCE: 'relevance',
+  /** 按条目的插入顺序值从小到大 */
+  ORDER: 'order',
+  /** 按条目在世界书中的排列顺序 */
+  BOOK: 'book'
+};
+
+/**
+ * 插入顺序的显示名称
+ * @type {Object}
+ */
+export const WORLDBOOK_INSERTION_ORDER_LABELS = {
+  [WorldbookInsertionOrder.RELEVANCE]: '按相关性（命中关键词数）',
+  [WorldbookInsertionOrder.ORDER]: '按条目的插入顺序值',
+  [WorldbookInsertionOrder.BOOK]: '按世界书中的顺序'
+};
+
+/**
+ * 条目未设置插入顺序值时使用的值
+ * @type {number}
+ */
+export const DEFAULT_ENTRY_ORDER = 100;
+
+/**
+ * 默认的触发设置
+ * scanDepth 为扫描的历史记录条数；maxEntries 为最多注入的条目数，0表示不限
+ * @type {Object}
+ */
+export const DEFAULT_WORLDBOOK_SETTINGS = {
+  scanDepth: 4,
+  maxEntries: 5,
+  insertionOrder: WorldbookInsertionOrder.RELEVANCE
+};
+
+/**
+ * 只由英文字母、数字组成的关键词按整词匹配，避免 "cat" 命中 "category"
+ * @type {RegExp}
+ */
+const WORD_KEYWORD_PATTERN = /^[a-z0-9][a-z0-9 '_-]*$/;
+
+/**
+ * 获取世界书的触发设置，缺少或无效的字段使用默认值
+ * @param {Object} [worldBook] - 世界书 { mainSetting, entries, settings }
+ * @returns {Object} 设置 { scanDepth, maxEntries, insertionOrder }
+ */
+export function getWorldbookSettings(worldBook) {
+  const settings = { ...DEFAULT_WORLDBOOK_SETTINGS, ...worldBook?.settings };
+  const toCount = (value, fallback) => (Number.isFinite(Number(value)) && Number(value) >= 0 ? Math.floor(Number(value)) : fallback);
+
+  return {
+    scanDepth: toCount(settings.scanDepth, DEFAULT_WORLDBOOK_SETTINGS.scanDepth),
+    maxEntries: toCount(settings.maxEntries, DEFAULT_WORLDBOOK_SETTINGS.maxEntries),
+    insertionOrder: Object.values(WorldbookInsertionOrder).includes(settings.insertionOrder) ?
+      settings.insertionOrder :
+      DEFAULT_WORLDBOOK_SETTINGS.insertionOrder
+  };
+}
+
+/**
+ * 获取条目的触发关键词：名称、标签和触发关键词
+ * @param {Object} entry - 世界书条目
+ * @returns {Array<string>} 去重后的关键词
+ */
+export function getEntryKeywords(entry) {
+  const keywords = [entry.name, ...(entry.tags || []), ...(entry.keys || [])]
+    .map(keyword => (typeof keyword === 'string' ? keyword.trim() : ''))
+    .filter(Boolean);
+
+  return [...new Set(keywords)];
+}
+
+/**
+ * 检查文本中是否出现关键词，不区分大小写
+ * @param {string} haystack - 已转为小写的文本
+ * @param {string} keyword - 关键词
+ * @returns {boolean} 是否出现
+ */
+function containsKeyword(haystack, keyword) {
+  const needle = keyword.toLowerCase();
+
+  if (!WORD_KEYWORD_PATTERN.test(needle)) {
+    return haystack.includes(needle);
+  }
+
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    const before = haystack[index - 1];
+    const after = haystack[index + needle.length];
+    if (!/[a-z0-9_]/.test(before || '') && !/[a-z0-9_]/.test(after || '')) {
+      return true;
+    }
+    index = haystack.indexOf(needle, index + 1);
+  }
+
+  return false;
+}
+
+/**
+ * 扫描文本，找出被触发的条目
+ * 停用或没有内容的条目不参与；结果按设置的顺序排列并截取到最大条目数
+ * @param {Array<Object>} entries - 世界书条目
+ * @param {Array<string>} texts - 扫描的文本，如最近的行为和历史记录
+ * @param {Object} [settings] - 触发设置，见 DEFAULT_WORLDBOOK_SETTINGS
+ * @returns {Array<Object>} [{ entry, keywords: 命中的关键词 }]
+ */
+export function scanWorldbook(entries, texts, settings = DEFAULT_WORLDBOOK_SETTINGS) {
+  const haystack = (texts || []).filter(Boolean).join('\n').toLowerCase();
+
+  if (!haystack) {
+    return [];
+  }
+
+  const triggered = (entries || [])
+    .filter(entry => entry && entry.isActive !== false && entry.content)
+    .map((entry, index) => ({
+      entry,
+      index,
+      keywords: getEntryKeywords(entry).filter(keyword => containsKeyword(haystack, keyword))
+    }))
+    .filter(item => item.keywords.length > 0);
+
+  const order = item => (Number.isFinite(Number(item.entry.order)) ? Number(item.entry.order) : DEFAULT_ENTRY_ORDER);
+  const comparators = {
+    [WorldbookInsertionOrder.RELEVANCE]: (a, b) => b.keywords.length - a.keywords.length,
+    [WorldbookInsertionOrder.ORDER]: (a, b) => order(a) - order(b),
+    [WorldbookInsertionOrder.BOOK]: () => 0
+  };
+  const compare = comparators[settings.insertionOrder] || comparators[WorldbookInsertionOrder.RELEVANCE];
+
+  // 相同时保持世界书中的顺序
+  triggered.sort((a, b) => compare(a, b) || a.index - b.index);
+
+  const limited = settings.maxEntries > 0 ? triggered.slice(0, settings.maxEntries) : triggered;
+  return limited.map(({ entry, keywords }) => ({ entry, keywords }));
+}
+
+export default {
+  WorldbookInsertionOrder,
+  WORLDBOOK_INSERTION_ORDER_LABELS,
+  DEFAULT_ENTRY_ORDER,
+  DEFAULT_WORLDBOOK_SETTINGS,
+  getWorldbookSettings,
+  getEntryKeywords,
+  scanWorldbook
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { WorldbookInsertionOrder, getWorldbookSettings, scanWorldbook } from './worldbook_scanner';
+
+const entries = [
+  { id: 'cat', name: '猫', keys: ['cat'], content: '城里到处是猫。', order: 300 },
+  { id: 'tower', name: '高塔', tags: ['法师'], keys: ['tower'], content: '高塔是法师协会的总部。', order: 200 },
+  { id: 'river', name: '河流', keys: ['river'], content: '河流穿过城市。' },
+  { id: 'hidden', name: '密道', content: '高塔下有一条密道。', isActive: false }
+];
+
+const settings = overrides => getWorldbookSettings({ settings: overrides });
+const ids = results => results.map(({ entry }) => entry.id);
+
+describe('关键词匹配', () => {
+  it('名称、标签和触发关键词都能触发条目，不区分大小写', () => {
+    const results = scanWorldbook(entries, ['一位法师走向 TOWER 和高塔'], settings());
+    
+    expect(ids(results)).toEqual(['tower']);
+    expect(results[0].keywords).toEqual(['高塔', '法师', 'tower']);
+  });
+
+  it('英文关键词按整词匹配', () => {
+    expect(scanWorldbook(entries, ['a category of things'], settings())).toEqual([]);
+    expect(ids(scanWorldbook(entries, ["the cat's tail"], settings()))).toEqual(['cat']);
+  });
+
+  it('停用的条目和空文本不触发', () => {
+    expect(scanWorldbook(entries, ['密道'], settings())).toEqual([]);
+    expect(scanWorldbook(entries, ['', null], settings())).toEqual([]);
+  });
+});
+
+describe('插入顺序和数量限制', () => {
+  const texts = ['猫在河流边', '法师离开了高塔'];
+
+  it('按相关性时命中关键词多的在前，相同时保持世界书中的顺序', () => {
+    expect(ids(scanWorldbook(entries, texts, settings()))).toEqual(['tower', 'cat', 'river']);
+  });
+
+  it('按插入顺序值排列，未设置时使用默认值', () => {
+    const results = scanWorldbook(entries, texts, settings({ insertionOrder: WorldbookInsertionOrder.ORDER }));
+    
+    expect(ids(results)).toEqual(['river', 'tower', 'cat']);
+  });
+
+  it('按世界书中的顺序排列', () => {
+    const results = scanWorldbook(entries, texts, settings({ insertionOrder: WorldbookInsertionOrder.BOOK }));
+    
+    expect(ids(results)).toEqual(['cat', 'tower', 'river']);
+  });
+
+  it('超过最大条目数时截取，0表示不限', () => {
+    expect(ids(scanWorldbook(entries, texts, settings({ maxEntries: 2 })))).toEqual(['tower', 'cat']);
+    expect(scanWorldbook(entries, texts, settings({ maxEntries: 0 }))).toHaveLength(3);
+  });
+
+  it('无效的设置使用默认值', () => {
+    expect(getWorldbookSettings({ settings: { scanDepth: -1, maxEntries: 'many', insertionOrder: 'random' } })).toEqual({
+      scanDepth: 4,
+      maxEntries: 5,
+      insertionOrder: WorldbookInsertionOrder.RELEVANCE
+    });
+  });
+});
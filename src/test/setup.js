@@ -0,0 +1,11 @@
+import { vi } from 'vitest';
+
+// 测试在Node环境中运行，没有localStorage；各模块加载时就会读取存档，需要在导入前准备好
+const store = new Map();
+
+vi.stubGlobal('localStorage', {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key),
+  clear: () => store.clear()
+});
@@ -32,4 +32,8 @@ export default defineConfig({
     // 限制块大小警告
     chunkSizeWarningLimit: 1000,
   },
+  test: {
+    // 测试前准备浏览器环境中才有的全局对象
+    setupFiles: ['./src/test/setup.js'],
+  },
 })